@@ -1,20 +1,31 @@
 import pool from '../db/db.js';
-import { sendTemplateMessage } from './dialog360SendTemplate.js';
+import { getTemplateButtons } from './dialog360SendTemplate.js';
+import { queueEventTemplateMessage, wakeOutboundWorker } from './dialog360/outboundQueue.js';
 import { getTemplateConfiguration } from './templates/templateConfigurations.js';
+import { renderTemplatePreview } from './templates/templatePreview.js';
 import { getReminderTemplateName, TEMPLATE_NAMES } from './templates/templateNames.js';
-import { normalizePhoneForDialog360 } from './utils/phoneNormalization.js';
+import { resolveContactPhone } from './utils/phoneNormalization.js';
+import { getPausedTemplateNames } from './database/dialog360ErrorsRepository.js';
+import { getOptedOutNumbers } from './database/optOutsRepository.js';
+import { selectHouseholdRecipients } from './contacts/households.js';
 
 /**
  * Auto-Invite Service
  * 
  * Handles automatic sending of WhatsApp invitations for events with auto_invite_enabled = true.
  * Processes:
- * - Initial invitations to contacts who haven't been invited
+ * - Initial invitations to contacts who haven't been invited (one per household)
  * - Reminders to contacts who haven't responded after messageInterval days
  * - Thank you messages to attendees the day after event
  * - Morning reminders to attendees on event day
  * 
- * Runs via cron job daily at 10:00 AM.
+ * Runs via cron job daily at 10:00 AM. Messages are queued in the outbound queue
+ * (one event_messages row per send) and delivered by the outbound worker.
+ * Templates paused after a critical Dialog360 error (template_pauses) are skipped
+ * until an admin resumes them - the contacts are picked up again on a later run.
+ *
+ * A dry run goes through the same selection and lists what would be queued,
+ * rendered like the guest would receive it, without queueing anything.
  */
 
 /**
@@ -26,26 +37,28 @@ async function getAutoInviteEvents() {
   try {
     const result = await client.query(`
       SELECT 
-        id,
-        event_name,
-        event_type,
-        event_date,
-        event_time,
-        venue_name,
-        location,
-        image_url,
-        owner_email,
-        celebrator1_name,
-        celebrator2_name,
-        auto_invite_enabled,
-        auto_invite_started_at,
-        auto_invite_reminder_count,
-        auto_invite_message_interval,
-        auto_invite_send_thank_you,
-        auto_invite_send_morning_reminder
-      FROM events
-      WHERE auto_invite_enabled = TRUE
-      ORDER BY auto_invite_started_at ASC
+        e.id,
+        e.event_name,
+        e.event_type,
+        e.event_date,
+        e.event_time,
+        e.venue_name,
+        e.location,
+        e.image_url,
+        e.owner_email,
+        e.celebrator1_name,
+        e.celebrator2_name,
+        e.auto_invite_enabled,
+        e.auto_invite_started_at,
+        e.auto_invite_reminder_count,
+        e.auto_invite_message_interval,
+        e.auto_invite_send_thank_you,
+        e.auto_invite_send_morning_reminder,
+        u.default_country
+      FROM events e
+      LEFT JOIN users u ON u.email = e.owner_email
+      WHERE e.auto_invite_enabled = TRUE
+      ORDER BY e.auto_invite_started_at ASC
     `);
 
     return result.rows;
@@ -56,6 +69,8 @@ async function getAutoInviteEvents() {
 
 /**
  * Get contacts who need initial invitations (haven't been invited yet)
+ * Members of a household that already got an invitation for this event are
+ * left out - the household is covered by that invitation.
  */
 async function getContactsNeedingInitialInvitation(eventId) {
   const client = await pool.connect();
@@ -66,19 +81,30 @@ async function getContactsNeedingInitialInvitation(eventId) {
         c.id as contact_id,
         c.display_name as contact_name,
         c.canonical_form,
+        c.preferred_language,
         c.phone_number,
-        c.contact_owner
+        c.contact_owner,
+        c.household_id,
+        h.primary_contact_id as household_primary_contact_id,
+        r.contact_id as household_recipient_id
       FROM contacts c
       INNER JOIN event_contacts ec ON c.id = ec.contact_id
+      LEFT JOIN households h ON h.id = c.household_id
+      LEFT JOIN household_event_recipients r ON r.household_id = c.household_id AND r.event_id = ec.event_id
       WHERE ec.event_id = $1
         AND c.phone_number IS NOT NULL
         AND c.phone_number != ''
         AND NOT EXISTS (
           SELECT 1 
           FROM event_messages em
+          LEFT JOIN contacts m ON m.id = em.contact_id
           WHERE em.event_id = $1 
-            AND em.contact_id = c.id
             AND em.message_type = 'invitation'
+            AND (
+              em.contact_id = c.id
+              OR em.household_id = c.household_id
+              OR m.household_id = c.household_id
+            )
         )
       ORDER BY c.id ASC
     `, [eventId]);
@@ -108,8 +134,10 @@ async function getContactsNeedingReminders(eventId, messageInterval, reminderCou
         em.contact_id,
         em.message_round,
         em.created_at,
+        em.household_id,
         c.display_name as contact_name,
         c.canonical_form,
+        c.preferred_language,
         c.phone_number,
         c.contact_owner,
         MAX(em.message_round) OVER (PARTITION BY em.contact_id) as max_round
@@ -183,8 +211,10 @@ async function getContactsNeedingThankYou(eventId, eventDate) {
       SELECT 
         em.id as message_id,
         em.contact_id,
+        em.household_id,
         c.display_name as contact_name,
         c.canonical_form,
+        c.preferred_language,
         c.phone_number,
         c.contact_owner
       FROM event_messages em
@@ -230,8 +260,10 @@ async function getContactsNeedingMorningReminder(eventId, eventDate) {
       SELECT 
         em.id as message_id,
         em.contact_id,
+        em.household_id,
         c.display_name as contact_name,
         c.canonical_form,
+        c.preferred_language,
         c.phone_number,
         c.contact_owner
       FROM event_messages em
@@ -257,25 +289,34 @@ async function getContactsNeedingMorningReminder(eventId, eventDate) {
 }
 
 /**
- * Send invitation to a single contact
+ * Queue an invitation (or reminder / thank you / morning reminder) for a single contact
+ * Returns { success: false, skipped: true } when the template is paused or the
+ * contact's number is on the owner's do-not-contact list (optedOutNumbers).
+ * A dry run returns { success: true, planned } with the rendered message instead of queueing it.
  */
-async function sendInvitation(contactData, event, messageRound = 1, messageType = 'invitation') {
+async function queueInvitation(contactData, event, messageRound = 1, messageType = 'invitation', pausedTemplates = new Set(), optedOutNumbers = new Set(), dryRun = false) {
   try {
     const {
       contact_id,
       contact_name,
       canonical_form,
+      preferred_language,
       phone_number,
       contact_owner
     } = contactData;
 
-    const normalizedPhone = normalizePhoneForDialog360(phone_number);
+    const normalizedPhone = resolveContactPhone(contactData, event.default_country);
     
     if (!normalizedPhone) {
       console.error(`❌ Invalid phone number for contact ${contact_id}: ${phone_number}`);
       return { success: false, error: 'Invalid phone number' };
     }
 
+    if (optedOutNumbers.has(normalizedPhone)) {
+      console.log(`🚫 Not queueing ${messageType} to ${contact_name}: opted out`);
+      return { success: false, skipped: true, error: 'Contact opted out' };
+    }
+
     // Prepare event and contact objects for template configuration
     const eventObj = {
       id: event.id,
@@ -295,6 +336,7 @@ async function sendInvitation(contactData, event, messageRound = 1, messageType
       id: contact_id,
       display_name: contact_name,
       canonical_form,
+      preferred_language,
       phone_number: normalizedPhone,
       contact_owner
     };
@@ -310,60 +352,72 @@ async function sendInvitation(contactData, event, messageRound = 1, messageType
       templateName = TEMPLATE_NAMES.MORNING_REMINDER;
     }
 
+    if (pausedTemplates.has(templateName)) {
+      return { success: false, skipped: true, error: `Template ${templateName} is paused` };
+    }
+
+    if (dryRun) {
+      const { payload, ...preview } = renderTemplatePreview({
+        templateName,
+        event: eventObj,
+        contact: contactObj,
+        phoneNumber: normalizedPhone
+      });
+
+      return {
+        success: true,
+        planned: {
+          eventId: event.id,
+          eventName: event.event_name,
+          contactId: contact_id,
+          contactName: contact_name,
+          phoneNumber: normalizedPhone,
+          messageType,
+          messageRound,
+          ...preview
+        }
+      };
+    }
+
     const templateConfig = getTemplateConfiguration(templateName, eventObj, contactObj);
 
-    console.log(`📱 Sending ${messageType} to ${contact_name} (${normalizedPhone}) for event: ${event.event_name}`);
-
-    // Send WhatsApp template message
-    const result = await sendTemplateMessage({
-      phoneNumber: normalizedPhone,
-      templateName,
-      languageCode: 'he',
-      templateData: templateConfig,
-      imageUrl: event.image_url,
-      buttons: messageType === 'thank_you' || messageType === 'morning_reminder' 
-        ? [] // No buttons for thank you or morning reminder
-        : [
-            {
-              id: 'rsvp_yes',
-              payload: `rsvp_yes_${event.id}`
-            },
-            {
-              id: 'rsvp_no',
-              payload: `rsvp_no_${event.id}`
-            },
-            {
-              id: 'rsvp_maybe',
-              payload: `rsvp_maybe_${event.id}`
-            }
-          ]
-    });
+    console.log(`📱 Queueing ${messageType} to ${contact_name} (${normalizedPhone}) for event: ${event.event_name}`);
 
-    // Log message in database
     const client = await pool.connect();
+    let queued;
     try {
-      await client.query(`
-        INSERT INTO event_messages (
-          event_id, contact_id, message_type, message_round,
-          response, message_id
-        ) VALUES ($1, $2, $3, $4, $5, $6)
-      `, [
-        event.id,
-        contact_id,
+      await client.query('BEGIN');
+
+      queued = await queueEventTemplateMessage(client, {
+        eventId: event.id,
+        contactId: contact_id,
         messageType,
         messageRound,
-        'ממתין לתגובה',
-        result.messageId
-      ]);
+        householdId: contactData.household_id ?? null,
+        idempotencyKey: `auto:${event.id}:${contact_id}:${messageType}:${messageRound}`,
+        message: {
+          phoneNumber: normalizedPhone,
+          templateName,
+          languageCode: templateConfig.languageCode, // Contact's language when the template has a variant in it
+          templateData: templateConfig,
+          imageUrl: event.image_url,
+          buttons: getTemplateButtons(templateName, event.id) // No buttons for thank you or morning reminder
+        }
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally {
       client.release();
     }
 
-    console.log(`✅ ${messageType} sent successfully to ${contact_name}:`, result.messageId);
-    return { success: true, messageId: result.messageId };
+    console.log(`✅ ${messageType} queued for ${contact_name} (outbound_message ${queued.outboundMessageId})`);
+    return { success: true, queued: queued.created };
 
   } catch (error) {
-    console.error(`❌ Failed to send ${messageType} to contact ${contactData.contact_id}:`, error.message);
+    console.error(`❌ Failed to queue ${messageType} for contact ${contactData.contact_id}:`, error.message);
     return { success: false, error: error.message };
   }
 }
@@ -371,9 +425,12 @@ async function sendInvitation(contactData, event, messageRound = 1, messageType
 /**
  * Main function to process all auto-invite events
  * This is called by the cron job
+ *
+ * @param {Object} options
+ * @param {boolean} options.dryRun - List what would be queued (planned) without queueing anything
  */
-export async function processAutoInvitations() {
-  console.log('🔄 Starting auto-invite processing...');
+export async function processAutoInvitations({ dryRun = false } = {}) {
+  console.log(`🔄 Starting auto-invite processing${dryRun ? ' (dry run)' : ''}...`);
   
   try {
     // Get all events with auto-invite enabled
@@ -381,30 +438,52 @@ export async function processAutoInvitations() {
     
     if (events.length === 0) {
       console.log('✅ No events with auto-invite enabled');
-      return { success: true, processed: 0, sent: 0, failed: 0 };
+      return { success: true, dryRun, processed: 0, queued: 0, failed: 0, skipped: 0, ...(dryRun && { planned: [] }) };
     }
 
-    let totalSent = 0;
+    let totalQueued = 0;
     let totalFailed = 0;
+    let totalSkipped = 0;
     const results = [];
+    const planned = [];
+
+    const countResult = (result) => {
+      if (result.planned) {
+        planned.push(result.planned);
+      }
+
+      if (result.success) {
+        totalQueued++;
+      } else if (result.skipped) {
+        totalSkipped++;
+      } else {
+        totalFailed++;
+      }
+    };
+
+    // Templates paused after a critical Dialog360 error
+    const pausedTemplates = await getPausedTemplateNames();
+    if (pausedTemplates.size > 0) {
+      console.log(`⏸️ Skipping paused templates: ${[...pausedTemplates].join(', ')}`);
+    }
 
     // Process each event
     for (const event of events) {
       console.log(`\n📅 Processing event: ${event.event_name} (${event.id})`);
       
       try {
+        // Numbers on the do-not-contact list for this event's owner
+        const optedOutNumbers = await getOptedOutNumbers(event.owner_email);
+
         // 1. Send initial invitations
-        const initialContacts = await getContactsNeedingInitialInvitation(event.id);
-        console.log(`   📤 Found ${initialContacts.length} contacts needing initial invitations`);
+        const { recipients: initialContacts, covered } = selectHouseholdRecipients(
+          await getContactsNeedingInitialInvitation(event.id)
+        );
+        console.log(`   📤 Found ${initialContacts.length} contacts needing initial invitations (${covered.length} covered by a household invitation)`);
         
         for (const contact of initialContacts) {
-          const result = await sendInvitation(contact, event, 1, 'invitation');
-          if (result.success) {
-            totalSent++;
-          } else {
-            totalFailed++;
-          }
-          await new Promise(resolve => setTimeout(resolve, 200)); // Rate limiting
+          const result = await queueInvitation(contact, event, 1, 'invitation', pausedTemplates, optedOutNumbers, dryRun);
+          countResult(result);
         }
 
         // 2. Send reminders
@@ -418,13 +497,8 @@ export async function processAutoInvitations() {
           console.log(`   🔔 Found ${reminderContacts.length} contacts needing reminders`);
           
           for (const contact of reminderContacts) {
-            const result = await sendInvitation(contact, event, contact.targetRound, 'reminder');
-            if (result.success) {
-              totalSent++;
-            } else {
-              totalFailed++;
-            }
-            await new Promise(resolve => setTimeout(resolve, 200)); // Rate limiting
+            const result = await queueInvitation(contact, event, contact.targetRound, 'reminder', pausedTemplates, optedOutNumbers, dryRun);
+            countResult(result);
           }
         }
 
@@ -434,13 +508,8 @@ export async function processAutoInvitations() {
           console.log(`   🙏 Found ${thankYouContacts.length} contacts needing thank you messages`);
           
           for (const contact of thankYouContacts) {
-            const result = await sendInvitation(contact, event, 1, 'thank_you');
-            if (result.success) {
-              totalSent++;
-            } else {
-              totalFailed++;
-            }
-            await new Promise(resolve => setTimeout(resolve, 200)); // Rate limiting
+            const result = await queueInvitation(contact, event, 1, 'thank_you', pausedTemplates, optedOutNumbers, dryRun);
+            countResult(result);
           }
         }
 
@@ -450,13 +519,8 @@ export async function processAutoInvitations() {
           console.log(`   🌅 Found ${morningContacts.length} contacts needing morning reminders`);
           
           for (const contact of morningContacts) {
-            const result = await sendInvitation(contact, event, 1, 'morning_reminder');
-            if (result.success) {
-              totalSent++;
-            } else {
-              totalFailed++;
-            }
-            await new Promise(resolve => setTimeout(resolve, 200)); // Rate limiting
+            const result = await queueInvitation(contact, event, 1, 'morning_reminder', pausedTemplates, optedOutNumbers, dryRun);
+            countResult(result);
           }
         }
 
@@ -466,17 +530,25 @@ export async function processAutoInvitations() {
       }
     }
 
-    console.log(`\n📊 Auto-invite processing complete:`);
-    console.log(`   📤 Sent: ${totalSent}`);
+    if (!dryRun) {
+      wakeOutboundWorker();
+    }
+
+    console.log(`\n📊 Auto-invite processing complete${dryRun ? ' (dry run - nothing queued)' : ''}:`);
+    console.log(`   📤 ${dryRun ? 'Would queue' : 'Queued'}: ${totalQueued}`);
     console.log(`   ❌ Failed: ${totalFailed}`);
+    console.log(`   ⏸️ Skipped (paused templates / opted out): ${totalSkipped}`);
     console.log(`   📋 Events processed: ${events.length}`);
 
     return {
       success: true,
+      dryRun,
       processed: events.length,
-      sent: totalSent,
+      queued: totalQueued,
       failed: totalFailed,
-      results
+      skipped: totalSkipped,
+      results,
+      ...(dryRun && { planned })
     };
 
   } catch (error) {
@@ -485,25 +557,30 @@ export async function processAutoInvitations() {
       success: false,
       error: error.message,
       processed: 0,
-      sent: 0,
-      failed: 0
+      queued: 0,
+      failed: 0,
+      skipped: 0
     };
   }
 }
 
 /**
- * Manual trigger function for testing
+ * Manual trigger function for testing (admins only)
  * Can be called via API endpoint for testing purposes
+ *
+ * POST /api/auto-invite/trigger?dryRun=true (or body { dryRun: true }) lists
+ * what would be sent today instead.
  */
 export async function triggerAutoInvitations(req, res) {
   try {
-    console.log('🔧 Manual trigger of auto-invite processing...');
+    const dryRun = req.query?.dryRun === 'true' || req.body?.dryRun === true;
+    console.log(`🔧 Manual trigger of auto-invite processing${dryRun ? ' (dry run)' : ''}...`);
     
-    const result = await processAutoInvitations();
+    const result = await processAutoInvitations({ dryRun });
     
     res.status(200).json({
       success: true,
-      message: 'Auto-invite processing completed',
+      message: dryRun ? 'Auto-invite dry run completed - nothing was queued' : 'Auto-invite processing completed',
       data: result
     });
 
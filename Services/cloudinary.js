@@ -9,7 +9,7 @@ const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
   console.warn('Missing Cloudinary environment variables:', missingEnvVars);
-  console.warn('Cloudinary image deletion will be disabled');
+  console.warn('Cloudinary uploads and image deletion will be disabled');
 }
 
 // Configure Cloudinary only if all required variables are present
@@ -21,6 +21,35 @@ if (missingEnvVars.length === 0) {
   });
 }
 
+/**
+ * Upload a file to Cloudinary
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options
+ * @param {string} options.folder - Cloudinary folder
+ * @param {string} options.resourceType - 'image' | 'video' (also audio) | 'raw' (documents)
+ * @returns {Promise<Object>} - { success, url, message }
+ */
+export async function uploadBufferToCloudinary(buffer, { folder, resourceType = 'auto' } = {}) {
+  if (missingEnvVars.length > 0) {
+    return { success: false, url: null, message: 'Cloudinary not configured' };
+  }
+
+  try {
+    const result = await new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { folder, resource_type: resourceType },
+        (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+      );
+      stream.end(buffer);
+    });
+
+    return { success: true, url: result.secure_url, message: 'File uploaded successfully' };
+  } catch (error) {
+    console.error('Error uploading file to Cloudinary:', error);
+    return { success: false, url: null, message: error.message };
+  }
+}
+
 /**
  * Delete an image from Cloudinary using the public ID
  * @param {string} imageUrl - The Cloudinary URL of the image
@@ -1,14 +1,18 @@
 import jwt from "jsonwebtoken";
 import { parse } from "vcard-parser";
+import { getPhoneComparisonKey } from "../utils/phoneNormalization.js";
+import { resolveImportCountry, describePhoneNumber, getPhonePriority } from "./contactPhones.js";
 
-export function appleContacts(req, res) {
-  const email = req.body.email || 'unknown@example.com';
+export async function appleContacts(req, res) {
+  const email = req.user.email;
   
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
+    const defaultCountry = await resolveImportCountry(req);
+
     // Convert buffer to string and split by vCard delimiters
     const vCardData = req.file.buffer.toString("utf-8");
     const vCards = vCardData.split("BEGIN:VCARD").filter(Boolean); // Split and remove empty strings
@@ -25,6 +29,7 @@ export function appleContacts(req, res) {
             : parsedContact;
 
           const displayName = entry.fn?.[0]?.value || "Unknown";
+          const contactEmail = entry.email?.[0]?.value || null;
 
           // Collect TEL entries with their types
           const telEntries = (entry.tel || [])
@@ -41,67 +46,9 @@ export function appleContacts(req, res) {
             })
             .filter(t => t.value);
 
-          // Helper function to normalize for comparison (same logic as client-side)
-          function normalizeForComparison(numberString) {
-            let cleaned = numberString.replace(/[-\s()]/g, '');
-            if (cleaned.startsWith('+')) {
-              cleaned = cleaned.substring(1);
-            }
-            if (cleaned.startsWith('0') && (cleaned.length === 9 || cleaned.length === 10)) {
-              cleaned = '972' + cleaned.substring(1);
-            }
-            return cleaned;
-          };
-
-          // Helper function to determine phone number priority (lower number = higher priority)
-          function getPhonePriority(telEntry) {
-            const type = (telEntry.type || '').toLowerCase();
-            const label = (telEntry.label || '').toLowerCase();
-            const number = telEntry.value.replace(/[-\s()]/g, '').trim();
-            
-            // Mobile numbers have highest priority
-            if (type.includes('cell') || type.includes('mobile') || 
-                label.includes('cell') || label.includes('mobile') ||
-                label.includes('נייד') || label.includes('סלולר')) {
-              return 1;
-            }
-            
-            // Heuristic: Detect mobile numbers by format (Israeli mobile numbers start with 05)
-            if (number.startsWith('05') || number.startsWith('+9725') || number.startsWith('9725')) {
-              return 1; // Mobile number detected by format
-            }
-            
-            // Work numbers have medium priority
-            if (type.includes('work') || type.includes('office') ||
-                label.includes('work') || label.includes('office') ||
-                label.includes('עבודה') || label.includes('משרד')) {
-              return 3;
-            }
-            
-            // Home numbers have lower priority
-            if (type.includes('home') || type.includes('house') ||
-                label.includes('home') || label.includes('house') ||
-                label.includes('בית') || label.includes('ביתי')) {
-              return 4;
-            }
-            
-            // Heuristic: Detect landline numbers by format (Israeli landlines start with 02, 03, 04, 08, 09)
-            if (number.startsWith('02') || number.startsWith('03') || number.startsWith('04') || 
-                number.startsWith('08') || number.startsWith('09') ||
-                number.startsWith('+9722') || number.startsWith('+9723') || 
-                number.startsWith('+9724') || number.startsWith('+9728') || number.startsWith('+9729') ||
-                number.startsWith('9722') || number.startsWith('9723') || 
-                number.startsWith('9724') || number.startsWith('9728') || number.startsWith('9729')) {
-              return 4; // Landline number detected by format
-            }
-            
-            // Default priority for unknown types (other numbers)
-            return 2;
-          };
-
           // Sort telEntries by priority (mobile first, then others, then work, then home/landline)
           const sortedTelEntries = [...telEntries].sort((a, b) => {
-            return getPhonePriority(a) - getPhonePriority(b);
+            return getPhonePriority(a, defaultCountry) - getPhonePriority(b, defaultCountry);
           });
 
           // Normalize and deduplicate, preferring mobile numbers
@@ -111,7 +58,7 @@ export function appleContacts(req, res) {
 
           for (let telEntry of sortedTelEntries) {
             const cleaned = telEntry.value.replace(/[-\s]/g, "").trim(); // Remove dashes and spaces
-            const normalized = normalizeForComparison(cleaned);
+            const normalized = getPhoneComparisonKey(cleaned, defaultCountry);
             
             if (seen.has(normalized)) continue;
             seen.add(normalized);
@@ -133,7 +80,7 @@ export function appleContacts(req, res) {
           
           for (let telEntry of telEntries) {
             const cleaned = telEntry.value.replace(/[-\s]/g, "").trim();
-            const normalized = normalizeForComparison(cleaned);
+            const normalized = getPhoneComparisonKey(cleaned, defaultCountry);
             
             // If we haven't seen this normalized number, add it
             if (!seenNumbers.has(normalized)) {
@@ -142,12 +89,13 @@ export function appleContacts(req, res) {
                 type: telEntry.type,
                 label: telEntry.label,
                 isCanonical: cleaned.startsWith("+"),
-                priority: getPhonePriority(telEntry)
+                priority: getPhonePriority(telEntry, defaultCountry),
+                ...describePhoneNumber(cleaned, defaultCountry)
               });
             } else {
               // If we have seen it, prefer the one with higher priority (lower number)
               const existing = seenNumbers.get(normalized);
-              const currentPriority = getPhonePriority(telEntry);
+              const currentPriority = getPhonePriority(telEntry, defaultCountry);
               const existingPriority = existing.priority;
               
               // Replace if current has higher priority (lower number)
@@ -157,7 +105,8 @@ export function appleContacts(req, res) {
                   type: telEntry.type,
                   label: telEntry.label,
                   isCanonical: cleaned.startsWith("+"),
-                  priority: currentPriority
+                  priority: currentPriority,
+                  ...describePhoneNumber(cleaned, defaultCountry)
                 });
               }
             }
@@ -170,6 +119,7 @@ export function appleContacts(req, res) {
             displayName,
             canonicalForm,
             phoneNumber,
+            email: contactEmail,
             uploadedByEmail: email,
             contactSource: "VCF",
             tags: [], // Initialize with empty tags array
@@ -0,0 +1,353 @@
+import { parsePhoneNumber, splitPhoneNumbers, getPhoneComparisonKey } from "../utils/phoneNormalization.js";
+
+/**
+ * Contact Duplicate Detection
+ *
+ * Finds contacts of one owner that are the same person imported from
+ * different sources (Google, VCF, Excel, guest uploads, WhatsApp vCards).
+ *
+ * - Same phone number (compared as E.164) or same email -> high confidence
+ * - Similar name only (Hebrew and Latin spellings compared phonetically) -> low confidence
+ */
+
+const NAME_SIMILARITY_THRESHOLD = 0.9;
+const MIN_NAME_SKELETON_LENGTH = 3;
+
+// Placeholder names the importers use when a contact has no name
+const PLACEHOLDER_NAMES = new Set(['unknown', 'אורח', 'ללא שם']);
+
+const HEBREW_LETTER = /[א-ת]/;
+
+// Hebrew letter -> consonant class ('' = silent / vowel letter)
+const HEBREW_SKELETON = {
+  'א': '', 'ב': 'b', 'ג': 'g', 'ד': 'd', 'ה': '', 'ז': 'z', 'ח': 'k', 'ט': 't',
+  'י': '', 'כ': 'k', 'ך': 'k', 'ל': 'l', 'מ': 'm', 'ם': 'm', 'נ': 'n', 'ן': 'n',
+  'ס': 's', 'ע': '', 'פ': 'p', 'ף': 'p', 'צ': 'z', 'ץ': 'z', 'ק': 'k', 'ר': 'r',
+  'ש': 's', 'ת': 't'
+};
+
+// Latin spellings -> the same consonant classes, longest first
+const LATIN_SKELETON = [
+  ['sch', 's'], ['tch', 'z'], ['ch', 'k'], ['kh', 'k'], ['ck', 'k'], ['sh', 's'],
+  ['ph', 'p'], ['th', 't'], ['tz', 'z'], ['ts', 'z'],
+  ['c', 'k'], ['q', 'k'], ['x', 'ks'], ['f', 'p'], ['v', 'b'], ['w', 'b'], ['j', 'g'],
+  ['a', ''], ['e', ''], ['i', ''], ['o', ''], ['u', ''], ['y', ''], ['h', '']
+];
+
+/**
+ * Lowercase, strip niqqud / accents and punctuation, sort the name parts
+ * ("Levi, Dana" and "dana levi" normalize the same)
+ *
+ * @param {string} name - Display name
+ * @returns {string} Normalized name ('' for placeholders)
+ */
+export function normalizeContactName(name) {
+  const normalized = String(name || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+
+  return PLACEHOLDER_NAMES.has(normalized) ? '' : normalized;
+}
+
+function latinSkeleton(word) {
+  let skeleton = '';
+  let i = 0;
+
+  while (i < word.length) {
+    const match = LATIN_SKELETON.find(([spelling]) => word.startsWith(spelling, i));
+
+    if (match) {
+      skeleton += match[1];
+      i += match[0].length;
+    } else {
+      skeleton += word[i];
+      i += 1;
+    }
+  }
+
+  return skeleton;
+}
+
+function hebrewSkeleton(word, vavAsConsonant) {
+  return [...word]
+    .map(letter => letter === 'ו' ? (vavAsConsonant ? 'b' : '') : (HEBREW_SKELETON[letter] ?? ''))
+    .join('');
+}
+
+function collapseRepeats(skeleton) {
+  return skeleton.replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Consonant skeletons of a name, comparable across Hebrew and Latin spellings
+ * ("מיכאל כהן" and "Michael Cohen" -> "kn mkl"). Hebrew vav is both a
+ * vowel and a v, so Hebrew names get a skeleton for each reading.
+ *
+ * @param {string} name - Display name
+ * @returns {Array<string>} Skeletons (token-sorted)
+ */
+export function getNameSkeletons(name) {
+  const words = normalizeContactName(name).split(' ').filter(Boolean);
+  if (words.length === 0) return [];
+
+  const readings = words.some(word => word.includes('ו')) ? [false, true] : [false];
+
+  const skeletons = readings.map(vavAsConsonant =>
+    words
+      .map(word => collapseRepeats(HEBREW_LETTER.test(word) ? hebrewSkeleton(word, vavAsConsonant) : latinSkeleton(word)))
+      .filter(Boolean)
+      .sort()
+      .join(' ')
+  );
+
+  return [...new Set(skeletons)].filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Similarity of two names (0-1)
+ * Same-script names are compared letter by letter; Hebrew vs Latin names
+ * are compared by their consonant skeletons.
+ *
+ * @param {string} nameA
+ * @param {string} nameB
+ * @returns {number}
+ */
+export function nameSimilarity(nameA, nameB) {
+  const a = normalizeContactName(nameA);
+  const b = normalizeContactName(nameB);
+
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  if (HEBREW_LETTER.test(a) === HEBREW_LETTER.test(b)) {
+    return similarity(a, b);
+  }
+
+  let best = 0;
+  for (const skeletonA of getNameSkeletons(a)) {
+    for (const skeletonB of getNameSkeletons(b)) {
+      if (Math.min(skeletonA.length, skeletonB.length) >= MIN_NAME_SKELETON_LENGTH) {
+        best = Math.max(best, similarity(skeletonA, skeletonB));
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * E.164 numbers of a stored contact (phone_number and canonical_form)
+ *
+ * @param {Object} contact - { phone_number, canonical_form }
+ * @param {string} defaultCountry - Country of the contact owner
+ * @returns {Array<string>}
+ */
+export function getContactPhoneKeys(contact, defaultCountry) {
+  const keys = [...splitPhoneNumbers(contact.phone_number), ...splitPhoneNumbers(contact.canonical_form)]
+    .map(number => parsePhoneNumber(number, defaultCountry))
+    .filter(parsed => parsed?.isValid)
+    .map(parsed => parsed.e164);
+
+  return [...new Set(keys)];
+}
+
+function normalizeEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return normalized.includes('@') ? normalized : null;
+}
+
+function createUnionFind(ids) {
+  const parent = new Map(ids.map(id => [id, id]));
+
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  return { find, union };
+}
+
+/**
+ * Contact that should survive a merge: most event links, then has an email,
+ * then the oldest (lowest ID)
+ */
+export function pickSurvivor(contacts) {
+  return [...contacts].sort((a, b) =>
+    (Number(b.event_count) || 0) - (Number(a.event_count) || 0) ||
+    Number(Boolean(b.email)) - Number(Boolean(a.email)) ||
+    a.id - b.id
+  )[0];
+}
+
+/**
+ * Group an owner's contacts into proposed merge groups
+ *
+ * @param {Array<Object>} contacts - Contact rows ({ id, display_name, phone_number, canonical_form, email, event_count })
+ * @param {Object} options
+ * @param {string} options.defaultCountry - Country of the contact owner
+ * @param {number} options.nameThreshold - Minimum name similarity for name-only matches
+ * @returns {Array<Object>} Groups: { contactIds, suggestedSurvivorId, confidence, reasons, matches, contacts }
+ */
+export function findDuplicateGroups(contacts, { defaultCountry, nameThreshold = NAME_SIMILARITY_THRESHOLD } = {}) {
+  const ids = contacts.map(contact => contact.id);
+  const byId = new Map(contacts.map(contact => [contact.id, contact]));
+  const strongLinks = createUnionFind(ids);
+  const allLinks = createUnionFind(ids);
+  const matches = [];
+
+  const link = (a, b, reason, score = 1) => {
+    if (reason !== 'name') strongLinks.union(a, b);
+    allLinks.union(a, b);
+    matches.push({ contactIds: [a, b], reason, score });
+  };
+
+  // Exact keys: phone numbers and emails
+  const seenKeys = new Map();
+  for (const contact of contacts) {
+    const keys = [
+      ...getContactPhoneKeys(contact, defaultCountry).map(key => ['phone', key]),
+      ...(normalizeEmail(contact.email) ? [['email', normalizeEmail(contact.email)]] : [])
+    ];
+
+    for (const [reason, key] of keys) {
+      const mapKey = `${reason}:${key}`;
+      if (seenKeys.has(mapKey)) {
+        link(seenKeys.get(mapKey), contact.id, reason);
+      } else {
+        seenKeys.set(mapKey, contact.id);
+      }
+    }
+  }
+
+  // Names: only compare contacts sharing the first consonant of a name part
+  const buckets = new Map();
+  for (const contact of contacts) {
+    const initials = new Set(
+      getNameSkeletons(contact.display_name).flatMap(skeleton => skeleton.split(' ').map(word => word[0]))
+    );
+    for (const initial of initials) {
+      if (!buckets.has(initial)) buckets.set(initial, []);
+      buckets.get(initial).push(contact);
+    }
+  }
+
+  const comparedPairs = new Set();
+  for (const bucket of buckets.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const [a, b] = bucket[i].id < bucket[j].id ? [bucket[i], bucket[j]] : [bucket[j], bucket[i]];
+        const pairKey = `${a.id}:${b.id}`;
+        if (comparedPairs.has(pairKey)) continue;
+        comparedPairs.add(pairKey);
+
+        const score = nameSimilarity(a.display_name, b.display_name);
+        if (score >= nameThreshold) {
+          link(a.id, b.id, 'name', Math.round(score * 100) / 100);
+        }
+      }
+    }
+  }
+
+  // Collect groups of 2+ contacts
+  const groups = new Map();
+  for (const id of ids) {
+    const root = allLinks.find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  }
+
+  return [...groups.values()]
+    .filter(groupIds => groupIds.length > 1)
+    .map(groupIds => {
+      const members = groupIds.map(id => byId.get(id));
+      const groupMatches = matches.filter(match => groupIds.includes(match.contactIds[0]));
+      const strongRoots = new Set(groupIds.map(id => strongLinks.find(id)));
+
+      return {
+        contactIds: groupIds,
+        suggestedSurvivorId: pickSurvivor(members).id,
+        confidence: strongRoots.size === 1 ? 'high' : 'low',
+        reasons: [...new Set(groupMatches.map(match => match.reason))],
+        matches: groupMatches,
+        contacts: members
+      };
+    })
+    .sort((a, b) => (a.confidence === b.confidence ? 0 : a.confidence === 'high' ? -1 : 1));
+}
+
+function hasDigits(value) {
+  return /\d/.test(value);
+}
+
+function mergePhoneField(values, defaultCountry) {
+  const seen = new Set();
+  const numbers = [];
+
+  for (const number of values.flatMap(value => splitPhoneNumbers(value)).filter(hasDigits)) {
+    const key = getPhoneComparisonKey(number, defaultCountry);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    numbers.push(number);
+  }
+
+  return numbers.join(', ');
+}
+
+/**
+ * Fields of the surviving contact after a merge
+ * Phone numbers and tags are combined (duplicates dropped); the survivor's
+ * name is kept and its email is filled from a merged contact if missing.
+ *
+ * @param {Object} survivor - Surviving contact row
+ * @param {Array<Object>} merged - Contact rows merged into it
+ * @param {string} defaultCountry - Country of the contact owner
+ * @returns {Object} { phone_number, canonical_form, email, tags }
+ */
+export function buildMergedContactFields(survivor, merged, defaultCountry) {
+  const all = [survivor, ...merged];
+
+  return {
+    phone_number: mergePhoneField(all.map(contact => contact.phone_number), defaultCountry) || survivor.phone_number,
+    canonical_form: mergePhoneField(all.map(contact => contact.canonical_form), defaultCountry) || survivor.canonical_form,
+    email: survivor.email || merged.find(contact => contact.email)?.email || null,
+    tags: [...new Set(all.flatMap(contact => contact.tags || []))]
+  };
+}
@@ -0,0 +1,88 @@
+import { parsePhoneNumber } from "../utils/phoneNormalization.js";
+import { isSupportedPhoneCountry } from "../utils/phoneCountries.js";
+import { getUserDefaultCountry } from "../database/usersRepository.js";
+
+/**
+ * Shared phone handling for the contact importers (VCF, Google, Excel)
+ */
+
+/**
+ * Country local numbers in an import are read in
+ * An explicit defaultCountry field on the request wins over the user's setting.
+ *
+ * @param {Object} req - Express request (authenticated)
+ * @returns {Promise<string>} ISO country code
+ */
+export async function resolveImportCountry(req) {
+  const requested = req.body?.defaultCountry;
+
+  if (isSupportedPhoneCountry(requested)) {
+    return requested.toUpperCase();
+  }
+
+  return getUserDefaultCountry(req.user.email);
+}
+
+/**
+ * Describe one imported number: { e164, phoneType, isValid }
+ *
+ * @param {string} number - Number as imported
+ * @param {string} defaultCountry - Country for local numbers
+ */
+export function describePhoneNumber(number, defaultCountry) {
+  const parsed = parsePhoneNumber(number, defaultCountry);
+
+  return {
+    e164: parsed?.e164 || null,
+    phoneType: parsed?.type || 'unknown',
+    isValid: parsed?.isValid === true
+  };
+}
+
+/**
+ * Determine phone number priority (lower number = higher priority)
+ * Mobile first, then other numbers, then work, then home / landline.
+ *
+ * @param {Object} phone - { value, type, label }
+ * @param {string} defaultCountry - Country for local numbers
+ * @returns {number} 1-4
+ */
+export function getPhonePriority(phone, defaultCountry) {
+  const type = (phone.type || '').toLowerCase();
+  const label = (phone.label || '').toLowerCase();
+  const lineType = describePhoneNumber(phone.value, defaultCountry).phoneType;
+
+  // Mobile numbers have highest priority
+  if (type.includes('cell') || type.includes('mobile') ||
+      label.includes('cell') || label.includes('mobile') ||
+      label.includes('נייד') || label.includes('סלולר')) {
+    return 1;
+  }
+
+  // Mobile number detected by format
+  if (lineType === 'mobile') {
+    return 1;
+  }
+
+  // Work numbers have medium priority
+  if (type.includes('work') || type.includes('office') ||
+      label.includes('work') || label.includes('office') ||
+      label.includes('עבודה') || label.includes('משרד')) {
+    return 3;
+  }
+
+  // Home numbers have lower priority
+  if (type.includes('home') || type.includes('house') ||
+      label.includes('home') || label.includes('house') ||
+      label.includes('בית') || label.includes('ביתי')) {
+    return 4;
+  }
+
+  // Landline number detected by format
+  if (lineType === 'landline') {
+    return 4;
+  }
+
+  // Default priority for unknown types (other numbers)
+  return 2;
+}
@@ -1,13 +1,17 @@
+import { resolveImportCountry, describePhoneNumber, getPhonePriority } from "./contactPhones.js";
+
 export async function googleContactsFetch(req, res) {
   console.log('=== GOOGLE CONTACTS FETCH REQUEST ===');
-  const { accessToken, email } = req.body;
+  const { accessToken } = req.body;
+  const { email } = req.user;
   
-  if (!accessToken || !email) {
-    return res.status(400).json({ error: 'Missing accessToken or email' });
+  if (!accessToken) {
+    return res.status(400).json({ error: 'Missing accessToken' });
   }
 
   try {
     console.log('Fetching Google contacts for email:', email);
+    const defaultCountry = await resolveImportCountry(req);
     
     let allContacts = [];
     let nextPageToken = null;
@@ -70,6 +74,8 @@ export async function googleContactsFetch(req, res) {
                     contact.names[0]?.givenName + ' ' + contact.names[0]?.familyName || 
                     'Unknown';
         
+        const contactEmail = contact.emailAddresses?.[0]?.value || null;
+        
         // Process phone numbers with the same logic as VCF files
         const phoneNumbers = contact.phoneNumbers || [];
         
@@ -78,6 +84,7 @@ export async function googleContactsFetch(req, res) {
             displayName: name,
             phoneNumber: "No phone number",
             canonicalForm: "No canonical number",
+            email: contactEmail,
             uploadedByEmail: email,
             contactSource: "GOOGLE",
             tags: [],
@@ -85,55 +92,9 @@ export async function googleContactsFetch(req, res) {
           };
         }
 
-        // Helper function to determine phone number priority (same as VCF logic)
-        const getPhonePriority = (phoneData) => {
-          const type = (phoneData.type || '').toLowerCase();
-          const label = (phoneData.label || '').toLowerCase();
-          const number = phoneData.value.replace(/[-\s()]/g, '').trim();
-          
-          // Mobile numbers have highest priority
-          if (type.includes('cell') || type.includes('mobile') || 
-              label.includes('cell') || label.includes('mobile') ||
-              label.includes('נייד') || label.includes('סלולר')) {
-            return 1;
-          }
-          
-          // Heuristic: Detect mobile numbers by format (Israeli mobile numbers start with 05)
-          if (number.startsWith('05') || number.startsWith('+9725') || number.startsWith('9725')) {
-            return 1; // Mobile number detected by format
-          }
-          
-          // Work numbers have medium priority
-          if (type.includes('work') || type.includes('office') ||
-              label.includes('work') || label.includes('office') ||
-              label.includes('עבודה') || label.includes('משרד')) {
-            return 3;
-          }
-          
-          // Home numbers have lower priority
-          if (type.includes('home') || type.includes('house') ||
-              label.includes('home') || label.includes('house') ||
-              label.includes('בית') || label.includes('ביתי')) {
-            return 4;
-          }
-          
-          // Heuristic: Detect landline numbers by format (Israeli landlines start with 02, 03, 04, 08, 09)
-          if (number.startsWith('02') || number.startsWith('03') || number.startsWith('04') || 
-              number.startsWith('08') || number.startsWith('09') ||
-              number.startsWith('+9722') || number.startsWith('+9723') || 
-              number.startsWith('+9724') || number.startsWith('+9728') || number.startsWith('+9729') ||
-              number.startsWith('9722') || number.startsWith('9723') || 
-              number.startsWith('9724') || number.startsWith('9728') || number.startsWith('9729')) {
-            return 4; // Landline number detected by format
-          }
-          
-          // Default priority for unknown types (other numbers)
-          return 2;
-        };
-
         // Sort phone numbers by priority (mobile first, then others, then work, then home/landline)
         const sortedPhoneNumbers = [...phoneNumbers].sort((a, b) => {
-          return getPhonePriority(a) - getPhonePriority(b);
+          return getPhonePriority(a, defaultCountry) - getPhonePriority(b, defaultCountry);
         });
 
         // Get the highest priority number for display
@@ -149,13 +110,15 @@ export async function googleContactsFetch(req, res) {
           type: phone.type || 'TEL',
           label: phone.label || phone.type || (phone.value.startsWith('+') ? 'בינלאומי' : 'מקומי'),
           isCanonical: phone.value.startsWith('+'),
-          priority: getPhonePriority(phone)
+          priority: getPhonePriority(phone, defaultCountry),
+          ...describePhoneNumber(phone.value, defaultCountry)
         }));
 
         return {
           displayName: name,
           phoneNumber: displayPhoneNumber,
           canonicalForm: displayCanonicalForm,
+          email: contactEmail,
           uploadedByEmail: email,
           contactSource: "GOOGLE",
           tags: [],
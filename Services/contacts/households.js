@@ -0,0 +1,87 @@
+/**
+ * Household Recipient Selection
+ *
+ * A household (couple, family) gets one invitation per event. The recipient
+ * is the household's per-event recipient if set, otherwise its primary
+ * contact, otherwise the member with the lowest ID - always picked from the
+ * members that are actually being invited.
+ */
+
+function getContactId(contact) {
+  return contact.contact_id ?? contact.id;
+}
+
+/**
+ * Pick the recipient among the members of one household
+ *
+ * @param {Array<Object>} members - Contacts of the same household
+ * @returns {Object} The member that receives the invitation
+ */
+export function pickHouseholdRecipient(members) {
+  const memberIds = new Set(members.map(getContactId));
+  const { household_recipient_id: recipientId, household_primary_contact_id: primaryId } = members[0];
+
+  const preferredId = [recipientId, primaryId].find(id => id != null && memberIds.has(id));
+
+  if (preferredId != null) {
+    return members.find(member => getContactId(member) === preferredId);
+  }
+
+  return members.reduce((lowest, member) => (getContactId(member) < getContactId(lowest) ? member : lowest));
+}
+
+/**
+ * Reduce a list of contacts to one recipient per household
+ *
+ * Contacts are rows with contact_id (or id), household_id,
+ * household_primary_contact_id and household_recipient_id. Contacts without a
+ * household are kept as they are. Each household recipient gets
+ * household_member_ids (the members covered by its invitation).
+ *
+ * @param {Array<Object>} contacts - Contacts to invite
+ * @returns {{ recipients: Array<Object>, covered: Array<{ contactId, householdId, recipientId }> }}
+ */
+export function selectHouseholdRecipients(contacts) {
+  const households = new Map();
+
+  for (const contact of contacts) {
+    if (contact.household_id == null) continue;
+
+    if (!households.has(contact.household_id)) {
+      households.set(contact.household_id, []);
+    }
+    households.get(contact.household_id).push(contact);
+  }
+
+  const recipientByHousehold = new Map();
+  for (const [householdId, members] of households) {
+    recipientByHousehold.set(householdId, pickHouseholdRecipient(members));
+  }
+
+  const recipients = [];
+  const covered = [];
+
+  for (const contact of contacts) {
+    if (contact.household_id == null) {
+      recipients.push(contact);
+      continue;
+    }
+
+    const recipient = recipientByHousehold.get(contact.household_id);
+
+    if (recipient === contact) {
+      recipients.push({
+        ...contact,
+        household_member_ids: households.get(contact.household_id).map(getContactId)
+      });
+    } else {
+      covered.push({
+        contactId: getContactId(contact),
+        householdId: contact.household_id,
+        recipientId: getContactId(recipient)
+      });
+    }
+  }
+
+  return { recipients, covered };
+}
@@ -1,69 +1,5 @@
 import pool from "../../db/db.js";
 
-/**
- * Ensure the tags column exists in the event_contacts table
- */
-async function ensureEventContactsTagsColumn(client) {
-  try {
-    // Check if tags column exists
-    const checkQuery = `
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'event_contacts' AND column_name = 'tags'
-    `;
-    
-    const checkResult = await client.query(checkQuery);
-    
-    if (checkResult.rows.length === 0) {
-      // Add tags column as TEXT array
-      await client.query(`
-        ALTER TABLE event_contacts 
-        ADD COLUMN tags TEXT[] DEFAULT '{}'
-      `);
-      
-      console.log('Tags column added to event_contacts table');
-    }
-  } catch (error) {
-    console.error('Error ensuring tags column exists in event_contacts:', error);
-    throw error;
-  }
-}
-
-/**
- * Add tags column to contacts table if it doesn't exist
- */
-export async function addTagsColumnToContacts() {
-  const client = await pool.connect();
-  
-  try {
-    // Check if tags column exists
-    const checkQuery = `
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'contacts' AND column_name = 'tags'
-    `;
-    
-    const checkResult = await client.query(checkQuery);
-    
-    if (checkResult.rows.length === 0) {
-      // Add tags column as TEXT array
-      await client.query(`
-        ALTER TABLE contacts 
-        ADD COLUMN tags TEXT[] DEFAULT '{}'
-      `);
-      
-      console.log('Tags column added to contacts table');
-    } else {
-      console.log('Tags column already exists in contacts table');
-    }
-  } catch (error) {
-    console.error('Error adding tags column:', error);
-    throw error;
-  } finally {
-    client.release();
-  }
-}
-
 /**
  * Update contact tags
  */
@@ -98,13 +34,22 @@ export async function updateContactTags(req, res) {
     const client = await pool.connect();
     
     try {
+      // Only contacts owned by the authenticated user may be tagged
+      const ownedResult = await client.query(
+        `SELECT id FROM contacts WHERE id = ANY($1::integer[]) AND contact_owner = $2`,
+        [validContactIds.map(id => parseInt(id)), req.user.email]
+      );
+
+      if (ownedResult.rows.length !== new Set(validContactIds.map(id => parseInt(id))).size) {
+        return res.status(403).json({ 
+          message: "Forbidden: Contacts do not belong to this user" 
+        });
+      }
+
       await client.query('BEGIN');
       
       if (eventId) {
         // Event-specific tags: store in event_contacts table
-        // First ensure tags column exists in event_contacts
-        await ensureEventContactsTagsColumn(client);
-        
         for (const contactId of validContactIds) {
           if (preserveExistingTags) {
             // Get existing event-specific tags and merge with new tags
@@ -194,13 +139,8 @@ export async function updateContactTags(req, res) {
  */
 export async function getUserTags(req, res) {
   try {
-    const { userEmail, eventId = null } = req.body;
-    
-    if (!userEmail) {
-      return res.status(400).json({ 
-        message: "User email is required" 
-      });
-    }
+    const { eventId = null } = req.body;
+    const userEmail = req.user.email;
 
     const client = await pool.connect();
     
@@ -209,8 +149,6 @@ export async function getUserTags(req, res) {
       
       if (eventId) {
         // Get event-specific tags from event_contacts table
-        await ensureEventContactsTagsColumn(client);
-        
         result = await client.query(
           `SELECT DISTINCT unnest(ec.tags) as tag 
            FROM event_contacts ec
@@ -254,11 +192,12 @@ export async function getUserTags(req, res) {
  */
 export async function getContactsByTag(req, res) {
   try {
-    const { userEmail, tag } = req.body;
+    const { tag } = req.body;
+    const userEmail = req.user.email;
     
-    if (!userEmail || !tag) {
+    if (!tag) {
       return res.status(400).json({ 
-        message: "User email and tag are required" 
+        message: "Tag is required" 
       });
     }
 
@@ -328,9 +267,6 @@ export async function updateTagName(req, res) {
       
       if (eventId) {
         // Event-specific tags: update in event_contacts table
-        // First ensure tags column exists in event_contacts
-        await ensureEventContactsTagsColumn(client);
-        
         // Find all event_contacts that have the old tag name
         const eventContactsWithTag = await client.query(
           `SELECT event_id, contact_id, tags FROM event_contacts WHERE event_id = $1 AND $2 = ANY(tags)`,
@@ -354,8 +290,8 @@ export async function updateTagName(req, res) {
         // Global tags: update in contacts table
       // Find all contacts that have the old tag name
       const contactsWithTag = await client.query(
-        `SELECT id, tags FROM contacts WHERE $1 = ANY(tags)`,
-        [oldTagName]
+        `SELECT id, tags FROM contacts WHERE $1 = ANY(tags) AND contact_owner = $2`,
+        [oldTagName, req.user.email]
       );
       
       // Update each contact's tags array to replace the old tag with the new one
@@ -400,7 +336,7 @@ export async function updateTagName(req, res) {
 } 
 
 /**
- * Remove a tag from all contacts that have it
+ * Remove a tag from all of the user's contacts that have it
  */
 export async function removeTag(req, res) {
   try {
@@ -419,8 +355,8 @@ export async function removeTag(req, res) {
       
       // Find all contacts that have the tag
       const contactsWithTag = await client.query(
-        `SELECT id, tags FROM contacts WHERE $1 = ANY(tags)`,
-        [tagName]
+        `SELECT id, tags FROM contacts WHERE $1 = ANY(tags) AND contact_owner = $2`,
+        [tagName, req.user.email]
       );
       
       // Update each contact's tags array to remove the specified tag
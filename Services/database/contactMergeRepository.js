@@ -0,0 +1,167 @@
+import pool from '../../db/db.js';
+import { buildMergedContactFields } from '../contacts/contactDuplicates.js';
+import { saveContactPhones } from './contactPhonesRepository.js';
+import { clearNonMemberHouseholdRoles } from './householdsRepository.js';
+
+/**
+ * Contact Merge Database Repository
+ *
+ * Loads an owner's contacts for duplicate detection and merges duplicates
+ * into a surviving contact (event links, messages and tags follow it).
+ */
+
+/**
+ * Get all contacts of an owner with the number of events they are in
+ *
+ * @param {string} ownerEmail - Contact owner
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getContactsForDuplicateCheck(ownerEmail) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT
+         c.id,
+         c.display_name,
+         c.phone_number,
+         c.canonical_form,
+         c.email,
+         c.contact_source,
+         c.tags,
+         (SELECT COUNT(*) FROM event_contacts ec WHERE ec.contact_id = c.id)::int AS event_count
+       FROM contacts c
+       WHERE c.contact_owner = $1
+       ORDER BY c.id ASC`,
+      [ownerEmail]
+    );
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Move everything attached to a merged contact onto the survivor
+ * When both contacts are in the same event, the event tags are combined
+ * and the merged contact's event_contacts row is dropped. The survivor
+ * joins the merged contact's household when it has none; if it ends up in
+ * that household it takes over as its primary contact and per-event
+ * recipient, otherwise those roles are cleared.
+ */
+async function moveContactReferences(client, ownerEmail, survivorId, mergedId) {
+  await client.query(
+    `UPDATE event_contacts s
+     SET tags = ARRAY(SELECT DISTINCT unnest(COALESCE(s.tags, '{}') || COALESCE(m.tags, '{}')))
+     FROM event_contacts m
+     WHERE s.contact_id = $1 AND m.contact_id = $2 AND s.event_id = m.event_id`,
+    [survivorId, mergedId]
+  );
+
+  await client.query(
+    `DELETE FROM event_contacts m
+     USING event_contacts s
+     WHERE m.contact_id = $2 AND s.contact_id = $1 AND s.event_id = m.event_id`,
+    [survivorId, mergedId]
+  );
+
+  const eventContacts = await client.query(
+    'UPDATE event_contacts SET contact_id = $1 WHERE contact_id = $2',
+    [survivorId, mergedId]
+  );
+
+  const eventMessages = await client.query(
+    'UPDATE event_messages SET contact_id = $1 WHERE contact_id = $2',
+    [survivorId, mergedId]
+  );
+
+  await client.query('UPDATE rsvp_response_changes SET contact_id = $1 WHERE contact_id = $2', [survivorId, mergedId]);
+  await client.query('UPDATE owner_notifications SET contact_id = $1 WHERE contact_id = $2', [survivorId, mergedId]);
+  await client.query('UPDATE rsvp_review_items SET contact_id = $1 WHERE contact_id = $2', [survivorId, mergedId]);
+
+  await client.query(
+    `UPDATE contacts s
+     SET household_id = m.household_id
+     FROM contacts m
+     WHERE s.id = $1 AND m.id = $2 AND s.household_id IS NULL`,
+    [survivorId, mergedId]
+  );
+  await client.query('UPDATE households SET primary_contact_id = $1, updated_at = NOW() WHERE primary_contact_id = $2', [survivorId, mergedId]);
+  await client.query('UPDATE household_event_recipients SET contact_id = $1 WHERE contact_id = $2', [survivorId, mergedId]);
+  await clearNonMemberHouseholdRoles(client, ownerEmail);
+
+  await client.query('UPDATE inbox_messages SET contact_id = $1 WHERE contact_id = $2', [survivorId, mergedId]);
+
+  return { eventContactsMoved: eventContacts.rowCount, eventMessagesMoved: eventMessages.rowCount };
+}
+
+/**
+ * Merge contacts into a surviving contact
+ *
+ * Re-points event_contacts and event_messages, combines phone numbers, tags
+ * and email onto the survivor, records each merge in contact_merges and
+ * deletes the merged contacts. Runs in one transaction.
+ *
+ * @param {string} ownerEmail - Contact owner (all contacts must belong to them)
+ * @param {number} survivorId - Contact that is kept
+ * @param {Array<number>} mergedIds - Contacts merged into it
+ * @param {string} defaultCountry - Country of the owner (for phone de-duplication)
+ * @returns {Promise<Object|null>} { contact, merged: [...] } or null if a contact was not found
+ */
+export async function mergeContacts(ownerEmail, survivorId, mergedIds, defaultCountry) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const contactsResult = await client.query(
+      `SELECT * FROM contacts
+       WHERE id = ANY($1::integer[]) AND contact_owner = $2
+       ORDER BY id
+       FOR UPDATE`,
+      [[survivorId, ...mergedIds], ownerEmail]
+    );
+
+    if (contactsResult.rows.length !== mergedIds.length + 1) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const survivor = contactsResult.rows.find(contact => contact.id === survivorId);
+    const mergedContacts = contactsResult.rows.filter(contact => contact.id !== survivorId);
+    const merged = [];
+
+    for (const mergedContact of mergedContacts) {
+      const moved = await moveContactReferences(client, ownerEmail, survivorId, mergedContact.id);
+
+      await client.query(
+        `INSERT INTO contact_merges
+         (contact_owner, surviving_contact_id, merged_contact_id, merged_contact, event_contacts_moved, event_messages_moved)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [ownerEmail, survivorId, mergedContact.id, mergedContact, moved.eventContactsMoved, moved.eventMessagesMoved]
+      );
+
+      merged.push({ contactId: mergedContact.id, ...moved });
+    }
+
+    const fields = buildMergedContactFields(survivor, mergedContacts, defaultCountry);
+
+    const updated = await client.query(
+      `UPDATE contacts
+       SET phone_number = $2, canonical_form = $3, email = $4, tags = $5
+       WHERE id = $1
+       RETURNING *`,
+      [survivorId, fields.phone_number, fields.canonical_form, fields.email, fields.tags]
+    );
+
+    await client.query('DELETE FROM contacts WHERE id = ANY($1::integer[])', [mergedIds]);
+    await saveContactPhones(client, [survivorId]);
+
+    await client.query('COMMIT');
+    return { contact: updated.rows[0], merged };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,77 @@
+import { getContactPhoneNumbers } from '../utils/phoneNormalization.js';
+import { DEFAULT_PHONE_COUNTRY } from '../utils/phoneCountries.js';
+
+/**
+ * Contact Phones Database Repository
+ *
+ * contact_phones holds each contact's numbers normalized (see
+ * getContactPhoneNumbers), so inbound messages find their contact through an
+ * index. Rows are rebuilt whenever a contact's numbers or its owner's default
+ * country change; the helpers take the caller's client to run in its
+ * transaction.
+ */
+
+async function replaceContactPhones(client, contacts) {
+  if (contacts.length === 0) {
+    return;
+  }
+
+  const contactIds = [];
+  const phoneNumbers = [];
+
+  for (const contact of contacts) {
+    for (const phoneNumber of getContactPhoneNumbers(contact, contact.default_country || DEFAULT_PHONE_COUNTRY)) {
+      contactIds.push(contact.id);
+      phoneNumbers.push(phoneNumber);
+    }
+  }
+
+  await client.query(
+    'DELETE FROM contact_phones WHERE contact_id = ANY($1::integer[])',
+    [contacts.map(contact => contact.id)]
+  );
+
+  await client.query(
+    `INSERT INTO contact_phones (contact_id, phone_number)
+     SELECT * FROM unnest($1::integer[], $2::text[])
+     ON CONFLICT DO NOTHING`,
+    [contactIds, phoneNumbers]
+  );
+}
+
+const CONTACTS_WITH_COUNTRY = `
+  SELECT c.id, c.phone_number, c.canonical_form, u.default_country
+  FROM contacts c
+  LEFT JOIN users u ON u.email = c.contact_owner
+`;
+
+/**
+ * Rebuild the stored numbers of contacts
+ *
+ * @param {Object} client - Database client
+ * @param {Array<number>} contactIds - Contacts whose numbers were written
+ */
+export async function saveContactPhones(client, contactIds) {
+  const result = await client.query(
+    `${CONTACTS_WITH_COUNTRY} WHERE c.id = ANY($1::integer[])`,
+    [contactIds]
+  );
+
+  await replaceContactPhones(client, result.rows);
+}
+
+/**
+ * Rebuild the stored numbers of all contacts of an owner
+ * Local numbers are read in the owner's default country.
+ *
+ * @param {Object} client - Database client
+ * @param {string} ownerEmail - Contact owner
+ */
+export async function saveOwnerContactPhones(client, ownerEmail) {
+  const result = await client.query(
+    `${CONTACTS_WITH_COUNTRY} WHERE c.contact_owner = $1`,
+    [ownerEmail]
+  );
+
+  await replaceContactPhones(client, result.rows);
+}
@@ -3,10 +3,13 @@ import pool from "../../db/db.js";
 export async function createEvent(req, res) {
   const { event, contactIds } = req.body;
 
-  if (!event || !event.id || !event.owner_email) {
+  if (!event || !event.id) {
     return res.status(400).json({ error: "Missing required event fields" });
   }
 
+  // The owner is always the authenticated user, never the client-supplied owner_email
+  event.owner_email = req.user.email;
+
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -36,7 +39,19 @@ export async function createEvent(req, res) {
       insertValues
     );
 
-    // Link contacts (if any)
+    // Link contacts (if any) - only contacts owned by the event owner
+    if (contactIds && contactIds.length > 0) {
+      const ownedResult = await client.query(
+        'SELECT id FROM contacts WHERE id = ANY($1::integer[]) AND contact_owner = $2',
+        [contactIds, event.owner_email]
+      );
+
+      if (ownedResult.rows.length !== new Set(contactIds.map(String)).size) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ error: "Forbidden: Contacts do not belong to this user" });
+      }
+    }
+
     for (const contactId of contactIds || []) {
       await client.query(
         `INSERT INTO event_contacts (event_id, contact_id)
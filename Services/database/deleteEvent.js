@@ -2,10 +2,11 @@ import pool from "../../db/db.js";
 import { deleteImageFromCloudinary } from "../cloudinary.js";
 
 export async function deleteEvent(req, res) {
-  const { eventId, ownerEmail } = req.body;
+  const { eventId } = req.body;
+  const ownerEmail = req.user.email;
 
-  if (!eventId || !ownerEmail) {
-    return res.status(400).json({ error: "Missing eventId or ownerEmail" });
+  if (!eventId) {
+    return res.status(400).json({ error: "Missing eventId" });
   }
 
   console.log(`Deleting event ${eventId} for user ${ownerEmail}`);
@@ -11,6 +11,19 @@ export async function deleteGuestUpload(req, res) {
     const client = await pool.connect();
     
     try {
+      const ownerResult = await client.query(
+        'SELECT invited_by_email FROM guest_contact_uploads WHERE upload_id = $1',
+        [uploadId]
+      );
+
+      if (ownerResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Upload not found' });
+      }
+
+      if (ownerResult.rows[0].invited_by_email !== req.user.email) {
+        return res.status(403).json({ error: 'Forbidden: Upload does not belong to this user' });
+      }
+
       await client.query('BEGIN');
       
       // Delete the upload (contacts will be deleted automatically due to CASCADE)
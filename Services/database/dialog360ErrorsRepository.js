@@ -0,0 +1,212 @@
+import pool from '../../db/db.js';
+
+/**
+ * Dialog360 Errors Database Repository
+ *
+ * Handles all database operations for dialog360_errors (out-of-band errors and
+ * account notifications from the webhook) and template_pauses (templates the
+ * auto-invite job must skip).
+ */
+
+/**
+ * Store a Dialog360 error
+ *
+ * @param {Object} error
+ * @param {string} error.source - 'webhook_error' | 'message_status' | 'template_status' | 'quality_update'
+ * @param {number|null} error.code - Dialog360 / WhatsApp error code
+ * @param {string} error.title - Error title
+ * @param {string} error.message - Error message
+ * @param {string} error.details - error_data.details (or event-specific details)
+ * @param {string} error.severity - 'critical' | 'warning' | 'error' | 'info'
+ * @param {string} error.category - Classification category
+ * @param {string|null} error.templateName - Affected template, if known
+ * @param {number|null} error.eventMessageId - Affected event message, if known
+ * @param {string|null} error.dialog360MessageId - Affected WhatsApp message ID, if known
+ * @param {string|null} error.phoneNumberId - Business phone number ID from the webhook metadata
+ * @param {Object} error.payload - Raw webhook object
+ * @returns {Promise<Object>} Inserted row
+ */
+export async function insertDialog360Error(error) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `INSERT INTO dialog360_errors
+       (source, code, title, message, details, severity, category, template_name,
+        event_message_id, dialog360_message_id, phone_number_id, payload)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        error.source,
+        Number.isInteger(error.code) ? error.code : null,
+        error.title || null,
+        error.message || null,
+        error.details || null,
+        error.severity,
+        error.category || null,
+        error.templateName || null,
+        error.eventMessageId || null,
+        error.dialog360MessageId || null,
+        error.phoneNumberId || null,
+        JSON.stringify(error.payload || {})
+      ]
+    );
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find the event message and template behind a WhatsApp message ID
+ * Looks at the outbound queue, which knows the template of every message it sent.
+ *
+ * @param {string} dialog360MessageId - WhatsApp message ID
+ * @returns {Promise<{ eventMessageId: number|null, templateName: string|null }|null>}
+ */
+export async function findMessageContext(dialog360MessageId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT event_message_id, payload->>'templateName' AS template_name
+       FROM outbound_messages
+       WHERE dialog360_message_id = $1
+       ORDER BY id DESC
+       LIMIT 1`,
+      [dialog360MessageId]
+    );
+
+    if (result.rows.length > 0) {
+      return {
+        eventMessageId: result.rows[0].event_message_id,
+        templateName: result.rows[0].template_name
+      };
+    }
+
+    const legacy = await client.query(
+      'SELECT id FROM event_messages WHERE message_id = $1 LIMIT 1',
+      [dialog360MessageId]
+    );
+
+    return legacy.rows.length > 0
+      ? { eventMessageId: legacy.rows[0].id, templateName: null }
+      : null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Pause a template (no-op when it is already paused)
+ *
+ * @param {string} templateName - Template name
+ * @param {string} reason - Why the template was paused
+ * @param {number|null} dialog360ErrorId - Error that triggered the pause
+ * @returns {Promise<boolean>} True if a new pause was created
+ */
+export async function pauseTemplate(templateName, reason, dialog360ErrorId = null) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `INSERT INTO template_pauses (template_name, reason, dialog360_error_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (template_name) WHERE resumed_at IS NULL DO NOTHING
+       RETURNING id`,
+      [templateName, reason, dialog360ErrorId]
+    );
+    return result.rows.length > 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Resume a paused template
+ *
+ * @param {string} templateName - Template name
+ * @param {string} resumedBy - Admin email, or 'dialog360' when WhatsApp reinstated it
+ * @returns {Promise<boolean>} True if the template was paused
+ */
+export async function resumeTemplate(templateName, resumedBy) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE template_pauses
+       SET resumed_at = NOW(), resumed_by = $2
+       WHERE template_name = $1 AND resumed_at IS NULL`,
+      [templateName, resumedBy]
+    );
+    return result.rowCount > 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the names of all currently paused templates
+ *
+ * @returns {Promise<Set<string>>}
+ */
+export async function getPausedTemplateNames() {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT template_name FROM template_pauses WHERE resumed_at IS NULL'
+    );
+    return new Set(result.rows.map(row => row.template_name));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List stored errors, newest first
+ *
+ * @param {Object} filters
+ * @param {string} filters.severity - Only this severity (optional)
+ * @param {number} filters.code - Only this error code (optional)
+ * @param {string} filters.templateName - Only this template (optional)
+ * @param {number} filters.limit - Maximum rows (default 100)
+ * @returns {Promise<Array>}
+ */
+export async function listDialog360Errors({ severity, code, templateName, limit = 100 } = {}) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT id, source, code, title, message, details, severity, category,
+              template_name, event_message_id, dialog360_message_id, phone_number_id, created_at
+       FROM dialog360_errors
+       WHERE ($1::text IS NULL OR severity = $1)
+         AND ($2::integer IS NULL OR code = $2)
+         AND ($3::text IS NULL OR template_name = $3)
+       ORDER BY id DESC
+       LIMIT $4`,
+      [severity || null, code ?? null, templateName || null, limit]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List template pauses, active first
+ *
+ * @param {boolean} activeOnly - Only templates that are still paused
+ * @returns {Promise<Array>}
+ */
+export async function listTemplatePauses(activeOnly = false) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT tp.*, de.code AS error_code, de.title AS error_title
+       FROM template_pauses tp
+       LEFT JOIN dialog360_errors de ON de.id = tp.dialog360_error_id
+       WHERE ($1::boolean = FALSE OR tp.resumed_at IS NULL)
+       ORDER BY (tp.resumed_at IS NULL) DESC, tp.paused_at DESC`,
+      [activeOnly]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
@@ -9,7 +9,6 @@ import pool from "../../db/db.js";
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.eventId - Event ID to enable auto-invite for
- * @param {string} req.body.userEmail - User email for authentication and validation
  * @param {number} req.body.reminderCount - Number of reminders to send (0-5)
  * @param {number} req.body.messageInterval - Days between messages (1-30)
  * @param {boolean} req.body.sendThankYou - Whether to send thank you message next day
@@ -17,7 +16,8 @@ import pool from "../../db/db.js";
  * @param {Object} res - Express response object
  */
 export async function enableAutoInvite(req, res) {
-  const { eventId, userEmail, reminderCount, messageInterval, sendThankYou, sendMorningReminder } = req.body;
+  const { eventId, reminderCount, messageInterval, sendThankYou, sendMorningReminder } = req.body;
+  const userEmail = req.user.email;
 
   // Validate required fields
   if (!eventId) {
@@ -27,13 +27,6 @@ export async function enableAutoInvite(req, res) {
     });
   }
 
-  if (!userEmail) {
-    return res.status(400).json({ 
-      success: false,
-      error: "User email is required" 
-    });
-  }
-
   // Validate configuration values
   if (reminderCount !== undefined && (reminderCount < 0 || reminderCount > 5)) {
     return res.status(400).json({ 
@@ -79,39 +72,6 @@ export async function enableAutoInvite(req, res) {
       });
     }
 
-    // Check if auto-invite columns exist (for graceful handling)
-    const columnCheck = await client.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'events' 
-      AND column_name IN (
-        'auto_invite_enabled',
-        'auto_invite_started_at',
-        'auto_invite_reminder_count',
-        'auto_invite_message_interval',
-        'auto_invite_send_thank_you',
-        'auto_invite_send_morning_reminder'
-      )
-    `);
-
-    const existingColumns = columnCheck.rows.map(row => row.column_name);
-    const missingColumns = [
-      'auto_invite_enabled',
-      'auto_invite_started_at',
-      'auto_invite_reminder_count',
-      'auto_invite_message_interval',
-      'auto_invite_send_thank_you',
-      'auto_invite_send_morning_reminder'
-    ].filter(col => !existingColumns.includes(col));
-
-    if (missingColumns.length > 0) {
-      await client.query('ROLLBACK');
-      return res.status(500).json({ 
-        success: false,
-        error: `Database columns not found. Please run migration to add: ${missingColumns.join(', ')}` 
-      });
-    }
-
     // Enable auto-invite with configuration
     const now = new Date();
     const updateQuery = `
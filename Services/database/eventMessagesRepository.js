@@ -32,53 +32,22 @@ export async function findEventMessageByMessageId(messageId) {
   }
 }
 
-/**
- * Update seen_at when guest opens invitation
- * 
- * @param {number} eventMessageId - Event message ID
- * @param {Date} seenAt - Timestamp when message was read
- */
-export async function updateMessageSeenAt(eventMessageId, seenAt) {
-  const client = await pool.connect();
-  try {
-    await client.query(
-      'UPDATE event_messages SET seen_at = $1 WHERE id = $2',
-      [seenAt, eventMessageId]
-    );
-    console.log(`✅ Message seen - updated seen_at for event_message ${eventMessageId}`);
-  } finally {
-    client.release();
-  }
-}
-
-/**
- * Update failure_reason when message fails to deliver
- * 
- * @param {number} eventMessageId - Event message ID
- * @param {string} failureReason - Reason for failure
- */
-export async function updateMessageFailure(eventMessageId, failureReason) {
-  const client = await pool.connect();
-  try {
-    await client.query(
-      'UPDATE event_messages SET failure_reason = $1 WHERE id = $2',
-      [failureReason, eventMessageId]
-    );
-    console.log(`❌ Message failed - logged reason for event_message ${eventMessageId}: ${failureReason}`);
-  } finally {
-    client.release();
-  }
-}
-
+// contact_phones holds every stored number normalized, indexed by number
+const CONTACT_PHONE_MATCH = `EXISTS (
+  SELECT 1
+  FROM contact_phones cp
+  WHERE cp.contact_id = c.id
+  AND cp.phone_number = ANY($1::text[])
+)`;
 
 /**
  * Find contact by phone number and event context
- * Handles both international (972544349661) and local (0544349661) formats
+ * Handles international (972544349661) and local (0544349661, 054-434-9661) formats
  * Uses event_id to find the correct contact when duplicates exist
  * 
  * @param {string} phoneNumber - Phone number in any format
  * @param {string} eventId - Event ID to find the correct contact (required for duplicate handling)
- * @returns {Promise<Object|null>} Contact object or null
+ * @returns {Promise<Object|null>} { id, preferred_language } or null
  */
 export async function findContactByPhoneNumber(phoneNumber, eventId = null) {
   const client = await pool.connect();
@@ -90,10 +59,10 @@ export async function findContactByPhoneNumber(phoneNumber, eventId = null) {
     // This handles duplicate phone numbers across different users
     if (eventId) {
       const result = await client.query(
-        `SELECT DISTINCT c.id 
+        `SELECT DISTINCT c.id, c.preferred_language
          FROM contacts c
          INNER JOIN event_messages em ON c.id = em.contact_id
-         WHERE c.phone_number = ANY($1::text[])
+         WHERE ${CONTACT_PHONE_MATCH}
          AND em.event_id = $2
          AND em.message_type = 'invitation'
          ORDER BY c.id DESC
@@ -112,7 +81,7 @@ export async function findContactByPhoneNumber(phoneNumber, eventId = null) {
     
     // Fallback: If no eventId provided, just find by phone (for backwards compatibility)
     const result = await client.query(
-      'SELECT id FROM contacts WHERE phone_number = ANY($1::text[]) ORDER BY id DESC LIMIT 1',
+      `SELECT c.id, c.preferred_language FROM contacts c WHERE ${CONTACT_PHONE_MATCH} ORDER BY c.id DESC LIMIT 1`,
       [phoneFormats]
     );
     
@@ -129,20 +98,19 @@ export async function findContactByPhoneNumber(phoneNumber, eventId = null) {
 }
 
 /**
- * Check if contact is awaiting guest count input
+ * Find pending invitation message for contact
  * 
  * @param {number} contactId - Contact ID
  * @returns {Promise<Object|null>} Event message object or null
  */
-export async function findAwaitingGuestCountMessage(contactId) {
+export async function findPendingInvitation(contactId) {
   const client = await pool.connect();
   try {
     const result = await client.query(
       `SELECT event_id, id FROM event_messages 
        WHERE contact_id = $1 
        AND message_type = 'invitation' 
-       AND response = 'מגיע'
-       AND awaiting_guest_count = true
+       AND response IN ('ממתין לתגובה', 'ללא מענה')
        ORDER BY id DESC 
        LIMIT 1`,
       [contactId]
@@ -154,22 +122,27 @@ export async function findAwaitingGuestCountMessage(contactId) {
 }
 
 /**
- * Find pending invitation message for contact
+ * Find the answered invitation a guest can still change
+ * Invitations of past events are not returned.
  * 
  * @param {number} contactId - Contact ID
- * @returns {Promise<Object|null>} Event message object or null
+ * @param {string|null} eventId - Limit to this event (from a button payload)
+ * @returns {Promise<Object|null>} { id, event_id, response } or null
  */
-export async function findPendingInvitation(contactId) {
+export async function findChangeableInvitation(contactId, eventId = null) {
   const client = await pool.connect();
   try {
     const result = await client.query(
-      `SELECT event_id, id FROM event_messages 
-       WHERE contact_id = $1 
-       AND message_type = 'invitation' 
-       AND response IN ('ממתין לתגובה', 'ללא מענה')
-       ORDER BY id DESC 
+      `SELECT em.id, em.event_id, em.response FROM event_messages em
+       LEFT JOIN events e ON e.id = em.event_id
+       WHERE em.contact_id = $1 
+       AND ($2::text IS NULL OR em.event_id = $2)
+       AND em.message_type = 'invitation' 
+       AND em.response IN ('מגיע', 'לא מגיע', 'לא בטוח')
+       AND (e.event_date IS NULL OR e.event_date >= CURRENT_DATE)
+       ORDER BY em.response_time DESC NULLS LAST, em.id DESC 
        LIMIT 1`,
-      [contactId]
+      [contactId, eventId]
     );
     return result.rows.length > 0 ? result.rows[0] : null;
   } finally {
@@ -178,81 +151,124 @@ export async function findPendingInvitation(contactId) {
 }
 
 /**
- * Update event message with response
+ * Get phone number for a contact
  * 
- * @param {number} eventMessageId - Event message ID
- * @param {string} response - Hebrew response type
- * @param {Date} responseTime - Timestamp of response
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<string|null>} Phone number or null
  */
-export async function updateMessageResponse(eventMessageId, response, responseTime) {
+export async function getContactPhoneNumber(contactId) {
   const client = await pool.connect();
   try {
-    await client.query(
-      `UPDATE event_messages 
-       SET response = $1, response_time = $2
-       WHERE id = $3`,
-      [response, responseTime, eventMessageId]
+    const result = await client.query(
+      'SELECT phone_number FROM contacts WHERE id = $1',
+      [contactId]
     );
+    return result.rows.length > 0 ? result.rows[0].phone_number : null;
   } finally {
     client.release();
   }
 }
 
+
 /**
- * Set awaiting guest count flag for a message
+ * Record that a guest wrote to the business (opens the customer service window)
+ * Every contact with the phone number is updated - the same guest may be a
+ * contact of several owners.
  * 
- * @param {number} eventMessageId - Event message ID
+ * @param {string} phoneNumber - Phone number the message came from
+ * @param {Date} receivedAt - Message time
+ * @returns {Promise<number>} Contacts updated
  */
-export async function setAwaitingGuestCount(eventMessageId) {
+export async function recordContactInbound(phoneNumber, receivedAt = new Date()) {
   const client = await pool.connect();
   try {
-    await client.query(
-      `UPDATE event_messages 
-       SET awaiting_guest_count = true, guests_coming = 1
-       WHERE id = $1`,
-      [eventMessageId]
+    const result = await client.query(
+      `UPDATE contacts c
+       SET last_inbound_at = GREATEST(c.last_inbound_at, $2::timestamp)
+       WHERE ${CONTACT_PHONE_MATCH}`,
+      [normalizePhoneNumberFormats(phoneNumber), receivedAt]
     );
+    return result.rowCount;
   } finally {
     client.release();
   }
 }
 
 /**
- * Update guest count for an event message
+ * When the contact last wrote to the business
  * 
- * @param {number} eventMessageId - Event message ID
- * @param {number} guestCount - Number of guests
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Date|null>} null if the contact never wrote
  */
-export async function updateGuestCount(eventMessageId, guestCount) {
+export async function getContactLastInboundAt(contactId) {
   const client = await pool.connect();
   try {
-    await client.query(
-      `UPDATE event_messages 
-       SET guests_coming = $1, awaiting_guest_count = false
-       WHERE id = $2`,
-      [guestCount, eventMessageId]
+    const result = await client.query(
+      'SELECT last_inbound_at FROM contacts WHERE id = $1',
+      [contactId]
     );
+    return result.rows[0]?.last_inbound_at || null;
   } finally {
     client.release();
   }
 }
 
 /**
- * Get phone number for a contact
+ * Get the event and contact data for sending a contact a template
  * 
+ * @param {string} eventId - Event ID
  * @param {number} contactId - Contact ID
- * @returns {Promise<string|null>} Phone number or null
+ * @returns {Promise<Object|null>} { event, contact, defaultCountry } or null
  */
-export async function getContactPhoneNumber(contactId) {
+export async function getTemplateRecipient(eventId, contactId) {
   const client = await pool.connect();
   try {
     const result = await client.query(
-      'SELECT phone_number FROM contacts WHERE id = $1',
-      [contactId]
+      `SELECT
+         e.id as event_id, e.event_name, e.event_type, e.event_date, e.event_time,
+         e.venue_name, e.location, e.image_url, e.owner_email,
+         e.celebrator1_name, e.celebrator2_name,
+         c.id as contact_id, c.display_name, c.canonical_form, c.phone_number,
+         c.preferred_language, c.contact_owner,
+         u.default_country
+       FROM events e
+       INNER JOIN contacts c ON c.id = $2
+       LEFT JOIN users u ON u.email = e.owner_email
+       WHERE e.id = $1`,
+      [eventId, contactId]
     );
-    return result.rows.length > 0 ? result.rows[0].phone_number : null;
+
+    const row = result.rows[0];
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      event: {
+        id: row.event_id,
+        event_name: row.event_name,
+        event_type: row.event_type,
+        event_date: row.event_date,
+        event_time: row.event_time,
+        venue_name: row.venue_name,
+        location: row.location,
+        image_url: row.image_url,
+        owner_email: row.owner_email,
+        celebrator1_name: row.celebrator1_name,
+        celebrator2_name: row.celebrator2_name
+      },
+      contact: {
+        id: row.contact_id,
+        display_name: row.display_name,
+        canonical_form: row.canonical_form,
+        phone_number: row.phone_number,
+        preferred_language: row.preferred_language,
+        contact_owner: row.contact_owner
+      },
+      defaultCountry: row.default_country
+    };
   } finally {
     client.release();
   }
 }
-
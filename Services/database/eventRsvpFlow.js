@@ -0,0 +1,53 @@
+import { getEventRsvpFlow, setEventRsvpFlow } from './rsvpConversationsRepository.js';
+import { buildDefaultRsvpFlow, validateRsvpFlow, FLOW_STEP_TYPES, RSVP_FLOW_STARTS } from '../dialog360/rsvpFlows.js';
+import { resolveLanguage } from '../utils/languages.js';
+
+/**
+ * RSVP Flow Endpoints
+ */
+
+/**
+ * GET /api/events/:eventId/rsvp-flow
+ * flow is the owner's custom flow (null = default flow); effectiveFlow is
+ * the flow guests get, a starting point for editing
+ * ?language=en shows the default flow as guests with that language get it
+ */
+export async function getRsvpFlow(req, res) {
+  try {
+    const { flow, questionnaire } = await getEventRsvpFlow(req.params.eventId);
+
+    res.json({
+      success: true,
+      flow,
+      effectiveFlow: flow || buildDefaultRsvpFlow(questionnaire, resolveLanguage(req.query.language)),
+      stepTypes: FLOW_STEP_TYPES,
+      startResponses: Object.keys(RSVP_FLOW_STARTS)
+    });
+  } catch (err) {
+    console.error('Error fetching RSVP flow:', err);
+    res.status(500).json({ error: 'Failed to fetch RSVP flow' });
+  }
+}
+
+/**
+ * PUT /api/events/:eventId/rsvp-flow
+ * Body: { flow: { start, steps } | null } - null restores the default flow
+ * Guests in the middle of a conversation continue at the step with the same ID.
+ */
+export async function updateRsvpFlow(req, res) {
+  const { flow, error } = validateRsvpFlow(req.body.flow);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await setEventRsvpFlow(req.params.eventId, flow);
+
+    console.log(`💬 RSVP flow for event ${req.params.eventId}: ${flow ? `${Object.keys(flow.steps).length} steps` : 'default'}`);
+    res.json({ success: true, flow });
+  } catch (err) {
+    console.error('Error updating RSVP flow:', err);
+    res.status(500).json({ error: 'Failed to update RSVP flow' });
+  }
+}
@@ -0,0 +1,47 @@
+import { getEventQuestionnaire, setEventQuestionnaire } from './rsvpQuestionnaireRepository.js';
+import { normalizeQuestionnaireConfig, DIETARY_OPTIONS } from '../dialog360/rsvpQuestionnaire.js';
+
+/**
+ * RSVP Questionnaire Endpoints
+ */
+
+/**
+ * GET /api/events/:eventId/rsvp-questionnaire
+ * null questionnaire = only the guest count is asked
+ */
+export async function getRsvpQuestionnaire(req, res) {
+  try {
+    const questionnaire = await getEventQuestionnaire(req.params.eventId);
+
+    res.json({
+      success: true,
+      questionnaire,
+      dietaryOptions: Object.entries(DIETARY_OPTIONS).map(([key, option]) => ({ key, label: option.label }))
+    });
+  } catch (err) {
+    console.error('Error fetching RSVP questionnaire:', err);
+    res.status(500).json({ error: 'Failed to fetch RSVP questionnaire' });
+  }
+}
+
+/**
+ * PUT /api/events/:eventId/rsvp-questionnaire
+ * Body: { questionnaire: { adultsChildren, dietaryOptions: [] } | null }
+ */
+export async function updateRsvpQuestionnaire(req, res) {
+  const { config, error } = normalizeQuestionnaireConfig(req.body.questionnaire);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await setEventQuestionnaire(req.params.eventId, config);
+
+    console.log(`📝 RSVP questionnaire for event ${req.params.eventId}: ${config ? JSON.stringify(config) : 'guest count only'}`);
+    res.json({ success: true, questionnaire: config });
+  } catch (err) {
+    console.error('Error updating RSVP questionnaire:', err);
+    res.status(500).json({ error: 'Failed to update RSVP questionnaire' });
+  }
+}
@@ -0,0 +1,92 @@
+import pool from '../../db/db.js';
+
+/**
+ * RSVP Export
+ *
+ * GET /api/events/:eventId/rsvp-export
+ * CSV of the event's guests with their answer, guest count and the
+ * questionnaire answers (adults / children / dietary) - for caterers.
+ * Household members show the answer given for their household.
+ */
+
+const CSV_COLUMNS = [
+  ['display_name', 'Name'],
+  ['phone_number', 'Phone'],
+  ['household_name', 'Household'],
+  ['response', 'Response'],
+  ['guests_coming', 'Guests'],
+  ['adults_count', 'Adults'],
+  ['children_count', 'Children'],
+  ['vegetarian_count', 'Vegetarian'],
+  ['vegan_count', 'Vegan'],
+  ['gluten_free_count', 'Gluten free'],
+  ['response_time', 'Response time']
+];
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the CSV document (UTF-8 BOM so Excel shows Hebrew correctly)
+ *
+ * @param {Array<Object>} rows - Export rows
+ * @returns {string}
+ */
+export function buildRsvpCsv(rows) {
+  const lines = [
+    CSV_COLUMNS.map(([, header]) => header).join(','),
+    ...rows.map(row => CSV_COLUMNS.map(([column]) => escapeCsvValue(row[column])).join(','))
+  ];
+
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+export async function exportEventRsvps(req, res) {
+  const { eventId } = req.params;
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT
+         c.display_name,
+         c.phone_number,
+         h.name as household_name,
+         COALESCE(em.response, 'לא נשלח') as response,
+         CASE WHEN em.response = 'מגיע' THEN em.guests_coming ELSE 0 END as guests_coming,
+         em.adults_count,
+         em.children_count,
+         em.vegetarian_count,
+         em.vegan_count,
+         em.gluten_free_count,
+         em.response_time
+       FROM event_contacts ec
+       INNER JOIN contacts c ON c.id = ec.contact_id
+       LEFT JOIN households h ON h.id = c.household_id
+       LEFT JOIN LATERAL (
+         SELECT response, guests_coming, adults_count, children_count,
+                vegetarian_count, vegan_count, gluten_free_count, response_time
+         FROM event_messages
+         WHERE event_id = $1 AND message_type = 'invitation'
+           AND (contact_id = c.id OR household_id = c.household_id)
+         ORDER BY response_time DESC NULLS LAST, id DESC
+         LIMIT 1
+       ) em ON true
+       WHERE ec.event_id = $1
+       ORDER BY h.name NULLS LAST, c.display_name`,
+      [eventId]
+    );
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="rsvps-${eventId}.csv"`);
+    res.status(200).send(buildRsvpCsv(result.rows));
+  } catch (err) {
+    console.error('Error exporting RSVPs:', err);
+    res.status(500).json({ error: 'Failed to export RSVPs' });
+  } finally {
+    client.release();
+  }
+}
@@ -1,29 +1,15 @@
 import pool from "../../db/db.js";
+import { getServiceWindowEnd, isServiceWindowOpen } from "../dialog360/serviceWindow.js";
 
 /**
- * Ensure the tags column exists in the event_contacts table
+ * Customer service window fields of a contact (see Services/dialog360/serviceWindow.js)
  */
-async function ensureEventContactsTagsColumn(client) {
-  try {
-    const checkQuery = `
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'event_contacts' AND column_name = 'tags'
-    `;
-    
-    const checkResult = await client.query(checkQuery);
-    
-    if (checkResult.rows.length === 0) {
-      await client.query(`
-        ALTER TABLE event_contacts 
-        ADD COLUMN tags TEXT[] DEFAULT '{}'
-      `);
-      console.log('Tags column added to event_contacts table');
-    }
-  } catch (error) {
-    console.error('Error ensuring tags column exists in event_contacts:', error);
-    throw error;
-  }
+function formatServiceWindow(row) {
+  return {
+    lastInboundAt: row.last_inbound_at,
+    windowOpen: isServiceWindowOpen(row.last_inbound_at),
+    windowClosesAt: getServiceWindowEnd(row.last_inbound_at),
+  };
 }
 
 /**
@@ -31,36 +17,47 @@ async function ensureEventContactsTagsColumn(client) {
  */
 export async function getContactsByEventWithTags(req, res) {
   try {
-    const { ownerEmail, eventId } = req.body;
+    const { eventId } = req.body;
+    const ownerEmail = req.user.email;
 
-    if (!ownerEmail || !eventId) {
-      return res.status(400).json({ message: "Missing ownerEmail or eventId in request body" });
+    if (!eventId) {
+      return res.status(400).json({ message: "Missing eventId in request body" });
     }
 
     const client = await pool.connect();
 
     try {
-      await ensureEventContactsTagsColumn(client);
-      
       // Get contacts with merged tags and latest invitation response
+      // (household members show the answer given for their household)
       const result = await client.query(
         `SELECT 
           c.id, 
           c.display_name, 
           c.canonical_form, 
           c.phone_number, 
+          c.email,
           c.contact_source, 
           c.contact_owner,
+          c.household_id,
+          c.preferred_language,
+          c.timezone,
+          c.last_inbound_at,
           COALESCE(ec.tags, c.tags, '{}') as tags,
           em.response as invitation_response,
           em.guests_coming,
+          em.adults_count,
+          em.children_count,
+          em.vegetarian_count,
+          em.vegan_count,
+          em.gluten_free_count,
           em.message_round
          FROM contacts c
          INNER JOIN event_contacts ec ON c.id = ec.contact_id
          LEFT JOIN LATERAL (
-           SELECT response, guests_coming, message_round
+           SELECT response, guests_coming, adults_count, children_count,
+                  vegetarian_count, vegan_count, gluten_free_count, message_round
            FROM event_messages
-           WHERE event_id = $2 AND contact_id = c.id
+           WHERE event_id = $2 AND (contact_id = c.id OR household_id = c.household_id)
            ORDER BY response_time DESC NULLS LAST
            LIMIT 1
          ) em ON true
@@ -73,12 +70,22 @@ export async function getContactsByEventWithTags(req, res) {
         displayName: row.display_name,
         canonicalForm: row.canonical_form,
         phoneNumber: row.phone_number,
+        email: row.email,
         contactSource: row.contact_source,
         uploadedByEmail: row.contact_owner,
+        householdId: row.household_id,
+        preferredLanguage: row.preferred_language,
+        timezone: row.timezone,
         tags: row.tags || [],
         invitationResponse: row.invitation_response,
         guestsComing: row.guests_coming || 0,
+        adultsCount: row.adults_count,
+        childrenCount: row.children_count,
+        vegetarianCount: row.vegetarian_count,
+        veganCount: row.vegan_count,
+        glutenFreeCount: row.gluten_free_count,
         messageRound: row.message_round || 0,
+        ...formatServiceWindow(row),
       }));
 
       res.status(200).json({ contacts: formattedContacts });
@@ -96,11 +103,8 @@ export async function getContactsByEventWithTags(req, res) {
 
 export async function getContactsByOwner(req, res) {
   try {
-    const { ownerEmail, eventId = null } = req.body;
-
-    if (!ownerEmail) {
-      return res.status(400).json({ message: "Missing ownerEmail in request body" });
-    }
+    const { eventId = null } = req.body;
+    const ownerEmail = req.user.email;
 
     const client = await pool.connect();
 
@@ -109,10 +113,8 @@ export async function getContactsByOwner(req, res) {
       
       if (eventId) {
         // Get contacts with merged tags (global + event-specific)
-        await ensureEventContactsTagsColumn(client);
-        
         result = await client.query(
-          `SELECT id, display_name, canonical_form, phone_number, contact_source, contact_owner, tags
+          `SELECT id, display_name, canonical_form, phone_number, email, contact_source, contact_owner, tags, household_id, preferred_language, timezone, last_inbound_at
            FROM contacts 
            WHERE contact_owner = $1`,
           [ownerEmail]
@@ -120,7 +122,7 @@ export async function getContactsByOwner(req, res) {
       } else {
         // Get contacts with global tags only (existing behavior)
         result = await client.query(
-          `SELECT id, display_name, canonical_form, phone_number, contact_source, contact_owner, tags
+          `SELECT id, display_name, canonical_form, phone_number, email, contact_source, contact_owner, tags, household_id, preferred_language, timezone, last_inbound_at
            FROM contacts 
            WHERE contact_owner = $1`,
           [ownerEmail]
@@ -132,9 +134,14 @@ export async function getContactsByOwner(req, res) {
         displayName: row.display_name,
         canonicalForm: row.canonical_form,
         phoneNumber: row.phone_number,
+        email: row.email,
         contactSource: row.contact_source,
         uploadedByEmail: row.contact_owner,
+        householdId: row.household_id,
+        preferredLanguage: row.preferred_language,
+        timezone: row.timezone,
         tags: row.tags || [],
+        ...formatServiceWindow(row),
       }));
 
       res.status(200).json({ contacts: formattedContacts });
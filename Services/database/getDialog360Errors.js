@@ -0,0 +1,94 @@
+import {
+  listDialog360Errors,
+  listTemplatePauses,
+  pauseTemplate,
+  resumeTemplate
+} from './dialog360ErrorsRepository.js';
+
+/**
+ * Dialog360 Error Admin Endpoints
+ *
+ * Operator views of stored Dialog360 errors and template pauses.
+ * All routes require requireAdmin.
+ */
+
+const MAX_ERRORS_LIMIT = 500;
+
+/**
+ * GET /api/admin/dialog360-errors?severity=&code=&template=&limit=
+ */
+export async function getDialog360Errors(req, res) {
+  const { severity, code, template } = req.query;
+
+  if (code !== undefined && !/^\d+$/.test(String(code))) {
+    return res.status(400).json({ error: 'Invalid code' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 100, MAX_ERRORS_LIMIT);
+
+  try {
+    const errors = await listDialog360Errors({
+      severity,
+      code: code !== undefined ? parseInt(code) : null,
+      templateName: template,
+      limit
+    });
+
+    res.json({ success: true, errors });
+  } catch (err) {
+    console.error('Error fetching Dialog360 errors:', err);
+    res.status(500).json({ error: 'Failed to fetch Dialog360 errors' });
+  }
+}
+
+/**
+ * GET /api/admin/template-pauses?active=true
+ */
+export async function getTemplatePauses(req, res) {
+  try {
+    const pauses = await listTemplatePauses(req.query.active === 'true');
+    res.json({ success: true, pauses });
+  } catch (err) {
+    console.error('Error fetching template pauses:', err);
+    res.status(500).json({ error: 'Failed to fetch template pauses' });
+  }
+}
+
+/**
+ * POST /api/admin/template-pauses/:templateName/pause
+ * Body: { reason }
+ */
+export async function pauseTemplateEndpoint(req, res) {
+  const { templateName } = req.params;
+  const reason = req.body?.reason || `Paused by ${req.user.email}`;
+
+  try {
+    const paused = await pauseTemplate(templateName, reason);
+    console.log(`⏸️ Template "${templateName}" paused by ${req.user.email}`);
+    res.json({ success: true, paused, message: paused ? 'Template paused' : 'Template was already paused' });
+  } catch (err) {
+    console.error('Error pausing template:', err);
+    res.status(500).json({ success: false, error: 'Failed to pause template' });
+  }
+}
+
+/**
+ * POST /api/admin/template-pauses/:templateName/resume
+ */
+export async function resumeTemplateEndpoint(req, res) {
+  const { templateName } = req.params;
+
+  try {
+    const resumed = await resumeTemplate(templateName, req.user.email);
+
+    if (!resumed) {
+      return res.status(404).json({ success: false, error: 'Template is not paused' });
+    }
+
+    console.log(`▶️ Template "${templateName}" resumed by ${req.user.email}`);
+    res.json({ success: true, message: 'Template resumed' });
+  } catch (err) {
+    console.error('Error resuming template:', err);
+    res.status(500).json({ success: false, error: 'Failed to resume template' });
+  }
+}
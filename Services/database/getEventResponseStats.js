@@ -1,5 +1,29 @@
 import pool from '../../db/db.js';
 
+// A reply that is not still waiting for an answer
+const ANSWERED = `(response IS NOT NULL AND response NOT IN ('ממתין לתגובה', 'ללא מענה'))`;
+
+// event_messages of the event with household invitations rolled up: a household
+// (by the invitation's household, or the contact's current one) counts once per
+// message type and round - its answered, most recent row wins. Rows of contacts
+// outside a household are kept as they are.
+const PARTY_MESSAGES = `party_messages AS (
+  SELECT DISTINCT ON (party_key) *
+  FROM (
+    SELECT
+      em.*,
+      COALESCE(em.household_id, c.household_id) AS party_household_id,
+      CASE
+        WHEN COALESCE(em.household_id, c.household_id) IS NULL THEN 'message:' || em.id
+        ELSE 'household:' || COALESCE(em.household_id, c.household_id) || ':' || COALESCE(em.message_type, '') || ':' || em.message_round
+      END AS party_key
+    FROM event_messages em
+    LEFT JOIN contacts c ON c.id = em.contact_id
+    WHERE em.event_id = $1
+  ) keyed
+  ORDER BY party_key, ${ANSWERED} DESC, response_time DESC NULLS LAST, id DESC
+)`;
+
 export async function getEventResponseStats(req, res) {
   const { eventId } = req.query;
 
@@ -10,33 +34,39 @@ export async function getEventResponseStats(req, res) {
   const client = await pool.connect();
 
   try {
-    // Total contacts who were sent invitations (regardless of response)
+    // Total contacts who were sent invitations (regardless of response),
+    // and how many of those invitations went to households
     const totalContactsResult = await client.query(
-      `SELECT COUNT(DISTINCT contact_id) as total_contacts_invited
-       FROM event_messages
-       WHERE event_id = $1`,
+      `WITH ${PARTY_MESSAGES}
+       SELECT
+         COUNT(DISTINCT contact_id) as total_contacts_invited,
+         COUNT(DISTINCT party_household_id) as total_households_invited
+       FROM party_messages`,
       [eventId]
     );
 
     // Total messages sent per round
     const messagesResult = await client.query(
-      `SELECT message_round, COUNT(*) as total_sent
-       FROM event_messages
-       WHERE event_id = $1
+      `WITH ${PARTY_MESSAGES}
+       SELECT message_round, COUNT(*) as total_sent
+       FROM party_messages
        GROUP BY message_round
        ORDER BY message_round`,
       [eventId]
     );
 
     // Approved responses with guest breakdown and timestamp
+    // (each invitation holds the guest's latest answer, so a changed answer
+    // moves to the day it changed and only attending guests are counted)
     const responsesResult = await client.query(
-      `WITH daily_stats AS (
+      `WITH ${PARTY_MESSAGES},
+      daily_stats AS (
         SELECT 
           response_time::date as date,
-          COALESCE(SUM(CAST(guests_coming AS INTEGER)), 0) as daily_guests,
+          COALESCE(SUM(CAST(guests_coming AS INTEGER)) FILTER (WHERE response = 'מגיע'), 0) as daily_guests,
           COUNT(*) as daily_responses
-        FROM event_messages
-        WHERE event_id = $1 AND response IS DISTINCT FROM 'ללא מענה'
+        FROM party_messages
+        WHERE response IS DISTINCT FROM 'ללא מענה'
         GROUP BY response_time::date
       )
       SELECT 
@@ -52,7 +82,8 @@ export async function getEventResponseStats(req, res) {
 
     // Breakdown: how many responded with 1, 2, 3+ guests
     const guestTypeBreakdown = await client.query(
-      `SELECT 
+      `WITH ${PARTY_MESSAGES}
+       SELECT 
          CASE 
            WHEN CAST(guests_coming AS INTEGER) = 1 THEN '1'
            WHEN CAST(guests_coming AS INTEGER) = 2 THEN '2'
@@ -60,8 +91,8 @@ export async function getEventResponseStats(req, res) {
            WHEN CAST(guests_coming AS INTEGER) > 3 THEN '3+'
          END AS guest_type,
          COUNT(*) as count
-       FROM event_messages
-       WHERE event_id = $1 AND response IS DISTINCT FROM 'ללא מענה'
+       FROM party_messages
+       WHERE response IS DISTINCT FROM 'ללא מענה'
        GROUP BY guest_type
        ORDER BY guest_type`,
       [eventId]
@@ -69,12 +100,12 @@ export async function getEventResponseStats(req, res) {
 
     // Response rate per round
     const replyRateResult = await client.query(
-      `SELECT 
+      `WITH ${PARTY_MESSAGES}
+       SELECT 
           message_round,
           COUNT(*) FILTER (WHERE response IS DISTINCT FROM 'ללא מענה') as responses,
           COUNT(*) as total
-       FROM event_messages
-       WHERE event_id = $1
+       FROM party_messages
        GROUP BY message_round
        ORDER BY message_round`,
       [eventId]
@@ -82,24 +113,59 @@ export async function getEventResponseStats(req, res) {
 
     // Response type breakdown (מגיע, לא מגיע, אולי, ללא מענה)
     const responseBreakdownResult = await client.query(
-      `SELECT 
+      `WITH ${PARTY_MESSAGES}
+       SELECT 
         COALESCE(response, 'ללא מענה') as response_type,
         COUNT(*) as count,
-        COALESCE(SUM(CAST(guests_coming AS INTEGER)), 0) as total_guests
-       FROM event_messages
-       WHERE event_id = $1
+        COALESCE(SUM(CAST(guests_coming AS INTEGER)) FILTER (WHERE response = 'מגיע'), 0) as total_guests
+       FROM party_messages
        GROUP BY response_type
        ORDER BY response_type`,
       [eventId]
     );
 
+    // RSVP questionnaire answers of attending guests (adults / children / dietary)
+    const questionnaireResult = await client.query(
+      `WITH ${PARTY_MESSAGES}
+       SELECT
+         COUNT(*) FILTER (WHERE adults_count IS NOT NULL OR vegetarian_count IS NOT NULL) as detailed_responses,
+         COALESCE(SUM(adults_count), 0) as adults,
+         COALESCE(SUM(children_count), 0) as children,
+         COALESCE(SUM(vegetarian_count), 0) as vegetarian,
+         COALESCE(SUM(vegan_count), 0) as vegan,
+         COALESCE(SUM(gluten_free_count), 0) as gluten_free
+       FROM party_messages
+       WHERE response = 'מגיע'`,
+      [eventId]
+    );
+
+    // Household roll-up: the current answer of each invited household
+    const householdsResult = await client.query(
+      `WITH ${PARTY_MESSAGES}
+       SELECT DISTINCT ON (pm.party_household_id)
+         pm.party_household_id as household_id,
+         h.name as household_name,
+         (SELECT COUNT(*) FROM contacts m WHERE m.household_id = h.id)::int as member_count,
+         pm.contact_id as responder_contact_id,
+         COALESCE(pm.response, 'ללא מענה') as response,
+         COALESCE(pm.guests_coming, 0) as guests_coming
+       FROM party_messages pm
+       INNER JOIN households h ON h.id = pm.party_household_id
+       WHERE pm.message_type = 'invitation'
+       ORDER BY pm.party_household_id, ${ANSWERED} DESC, pm.response_time DESC NULLS LAST, pm.id DESC`,
+      [eventId]
+    );
+
     res.status(200).json({
       totalContactsInvited: totalContactsResult.rows[0].total_contacts_invited,
+      totalHouseholdsInvited: totalContactsResult.rows[0].total_households_invited,
       messageRounds: messagesResult.rows,      // [{ message_round, total_sent }]
       guestBreakdown: responsesResult.rows,    // [{ date, daily_guests, daily_responses, total_guests_cumulative, total_responses_cumulative }]
       guestTypes: guestTypeBreakdown.rows,     // [{ guest_type: '1' | '2' | '3+' , count }]
       responseRates: replyRateResult.rows,     // [{ message_round, responses, total }]
-      responseBreakdown: responseBreakdownResult.rows  // [{ response_type, count, total_guests }]
+      responseBreakdown: responseBreakdownResult.rows, // [{ response_type, count, total_guests }]
+      questionnaireTotals: questionnaireResult.rows[0], // { detailed_responses, adults, children, vegetarian, vegan, gluten_free }
+      households: householdsResult.rows        // [{ household_id, household_name, member_count, responder_contact_id, response, guests_coming }]
     });
   } catch (err) {
     console.error('Error fetching event response stats:', err);
@@ -8,15 +8,11 @@ import pool from '../../db/db.js';
  * - Contact selected a follow-up date
  * - Notification hasn't been dismissed
  * 
- * Query endpoint: GET /api/followup-notifications?ownerEmail=user@example.com
+ * Query endpoint: GET /api/followup-notifications (owner = authenticated user)
  */
 export async function getFollowupNotifications(req, res) {
   try {
-    const { ownerEmail } = req.query;
-
-    if (!ownerEmail) {
-      return res.status(400).json({ error: 'ownerEmail is required' });
-    }
+    const ownerEmail = req.user.email;
 
     const client = await pool.connect();
     
@@ -75,13 +71,14 @@ export async function dismissFollowupNotification(req, res) {
     const client = await pool.connect();
     
     try {
-      // Mark notification as dismissed
+      // Mark notification as dismissed (only for events owned by the user)
       const result = await client.query(`
         UPDATE event_messages 
         SET followup_notification_dismissed = TRUE 
         WHERE id = $1
+          AND event_id IN (SELECT id FROM events WHERE owner_email = $2)
         RETURNING id
-      `, [notificationId]);
+      `, [notificationId, req.user.email]);
 
       if (result.rows.length === 0) {
         return res.status(404).json({ error: 'Notification not found' });
@@ -29,6 +29,13 @@ export async function getGuestUploadContacts(req, res) {
         });
       }
 
+      if (uploadResult.rows[0].invited_by_email !== req.user.email) {
+        return res.status(403).json({ 
+          success: false, 
+          error: 'Forbidden: Upload does not belong to this user' 
+        });
+      }
+
       // Fetch all contacts for this upload
       const contactsQuery = `
         SELECT id, display_name, phone_number, email, invited_by, created_at, contact_source, canonical_form
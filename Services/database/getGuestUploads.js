@@ -2,11 +2,7 @@ import pool from '../../db/db.js';
 
 export async function getGuestUploads(req, res) {
   try {
-    const { invitedByEmail } = req.query;
-
-    if (!invitedByEmail) {
-      return res.status(400).json({ error: 'InvitedBy email is required' });
-    }
+    const invitedByEmail = req.user.email;
 
     const client = await pool.connect();
     
@@ -0,0 +1,106 @@
+import pool from '../../db/db.js';
+import { getMessageStatusEvents, getEventMessageTimelines } from './messageStatusEventsRepository.js';
+
+/**
+ * Message Delivery Timeline Endpoints
+ *
+ * Shows where each invitation is in the delivery pipeline:
+ * not_sent -> queued -> accepted (Dialog360 returned a message ID) -> sent -> delivered -> read,
+ * or failed at any point.
+ */
+
+/**
+ * Derive the current delivery stage of an event message
+ *
+ * @param {Object} message - Row with message_id, sent_at, delivered_at, seen_at, failed_at, queue_status
+ * @returns {string} Delivery stage
+ */
+export function getDeliveryStage(message) {
+  if (message.failed_at || message.queue_status === 'failed') return 'failed';
+  if (message.seen_at) return 'read';
+  if (message.delivered_at) return 'delivered';
+  if (message.sent_at) return 'sent';
+  if (message.message_id) return 'accepted';
+  if (message.queue_status === 'pending' || message.queue_status === 'sending') return 'queued';
+  return 'not_sent';
+}
+
+/**
+ * GET /api/message-timeline/:messageId
+ * Status history of a single event message (must belong to one of the user's events)
+ */
+export async function getMessageTimeline(req, res) {
+  const { messageId } = req.params;
+
+  if (!/^\d+$/.test(String(messageId))) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT em.id, em.event_id, em.contact_id, em.message_type, em.message_round,
+              em.message_id, em.created_at, em.sent_at, em.delivered_at, em.seen_at,
+              em.failed_at, em.failure_reason, em.error_message, e.owner_email,
+              (SELECT status FROM outbound_messages
+               WHERE event_message_id = em.id AND purpose = 'event_message'
+               ORDER BY id DESC LIMIT 1) AS queue_status
+       FROM event_messages em
+       JOIN events e ON e.id = em.event_id
+       WHERE em.id = $1`,
+      [messageId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const { owner_email, ...message } = result.rows[0];
+
+    if (owner_email !== req.user.email) {
+      return res.status(403).json({ error: 'Forbidden: Message does not belong to this user' });
+    }
+
+    const statusEvents = await getMessageStatusEvents(message.id);
+
+    res.json({
+      success: true,
+      message: { ...message, stage: getDeliveryStage(message) },
+      timeline: statusEvents
+    });
+  } catch (err) {
+    console.error('Error fetching message timeline:', err);
+    res.status(500).json({ error: 'Failed to fetch message timeline' });
+  }
+}
+
+/**
+ * GET /api/event-delivery-timeline/:eventId
+ * Delivery stage and status history of every message of an event, with a per-stage summary
+ */
+export async function getEventDeliveryTimeline(req, res) {
+  const { eventId } = req.params;
+
+  if (!eventId) {
+    return res.status(400).json({ error: 'Missing eventId' });
+  }
+
+  try {
+    const rows = await getEventMessageTimelines(eventId);
+
+    const summary = {};
+    const messages = rows.map(row => {
+      const stage = getDeliveryStage(row);
+      summary[stage] = (summary[stage] || 0) + 1;
+      return { ...row, stage };
+    });
+
+    res.json({
+      success: true,
+      summary,
+      messages
+    });
+  } catch (err) {
+    console.error('Error fetching event delivery timeline:', err);
+    res.status(500).json({ error: 'Failed to fetch delivery timeline' });
+  }
+}
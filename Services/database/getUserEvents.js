@@ -1,11 +1,7 @@
 import pool from '../../db/db.js';
 
 export async function getUserEvents(req, res) {
-  const { email } = req.query;
-
-  if (!email) {
-    return res.status(400).json({ error: 'Missing email' });
-  }
+  const { email } = req.user;
 
   const client = await pool.connect();
 
@@ -0,0 +1,227 @@
+import {
+  getHouseholdsByOwner,
+  createHousehold,
+  updateHousehold,
+  deleteHousehold,
+  getEventHouseholdMembers,
+  setHouseholdEventRecipient
+} from './householdsRepository.js';
+import { pickHouseholdRecipient } from '../contacts/households.js';
+
+/**
+ * Household Endpoints
+ */
+
+function formatHousehold(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    primaryContactId: row.primary_contact_id,
+    createdAt: row.created_at,
+    members: row.members.map(member => ({
+      id: member.id,
+      displayName: member.display_name,
+      phoneNumber: member.phone_number
+    }))
+  };
+}
+
+function parseContactIds(value) {
+  if (!Array.isArray(value)) return null;
+  const ids = [...new Set(value.map(Number))];
+  return ids.length > 0 && ids.every(Number.isInteger) ? ids : null;
+}
+
+function parseOptionalId(value) {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  const id = Number(value);
+  return Number.isInteger(id) ? id : NaN;
+}
+
+/**
+ * GET /api/households
+ */
+export async function getHouseholds(req, res) {
+  try {
+    const households = await getHouseholdsByOwner(req.user.email);
+    res.json({ success: true, households: households.map(formatHousehold) });
+  } catch (err) {
+    console.error('Error fetching households:', err);
+    res.status(500).json({ error: 'Failed to fetch households' });
+  }
+}
+
+/**
+ * POST /api/households
+ * Body: { name, contactIds: [], primaryContactId }
+ */
+export async function createHouseholdEndpoint(req, res) {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  const contactIds = parseContactIds(req.body.contactIds);
+  const primaryContactId = parseOptionalId(req.body.primaryContactId) ?? null;
+
+  if (!name || !contactIds) {
+    return res.status(400).json({ error: 'name and a non-empty contactIds array are required' });
+  }
+
+  if (primaryContactId !== null && !contactIds.includes(primaryContactId)) {
+    return res.status(400).json({ error: 'primaryContactId must be one of contactIds' });
+  }
+
+  try {
+    const household = await createHousehold(req.user.email, { name, contactIds, primaryContactId });
+
+    console.log(`🏠 Created household ${household.id} (${contactIds.length} members) for ${req.user.email}`);
+    res.status(201).json({ success: true, household: formatHousehold(household) });
+  } catch (err) {
+    console.error('Error creating household:', err);
+    res.status(500).json({ error: 'Failed to create household' });
+  }
+}
+
+/**
+ * PUT /api/households/:householdId
+ * Body: { name?, contactIds?, primaryContactId? } - contactIds replaces the members
+ */
+export async function updateHouseholdEndpoint(req, res) {
+  const householdId = Number(req.params.householdId);
+  const { name } = req.body;
+  const contactIds = req.body.contactIds === undefined ? undefined : parseContactIds(req.body.contactIds);
+  const primaryContactId = parseOptionalId(req.body.primaryContactId);
+
+  if (!Number.isInteger(householdId)) {
+    return res.status(400).json({ error: 'Invalid household ID' });
+  }
+
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({ error: 'name cannot be empty' });
+  }
+
+  if (contactIds === null) {
+    return res.status(400).json({ error: 'contactIds must be a non-empty array' });
+  }
+
+  if (Number.isNaN(primaryContactId)) {
+    return res.status(400).json({ error: 'Invalid primaryContactId' });
+  }
+
+  try {
+    const result = await updateHousehold(req.user.email, householdId, {
+      name: name?.trim(),
+      contactIds,
+      primaryContactId
+    });
+
+    if (result.status === 'household_not_found') {
+      return res.status(404).json({ error: 'Household not found' });
+    }
+
+    if (result.status === 'not_a_member') {
+      return res.status(400).json({ error: 'primaryContactId must be a member of the household' });
+    }
+
+    res.json({ success: true, household: formatHousehold(result.household) });
+  } catch (err) {
+    console.error('Error updating household:', err);
+    res.status(500).json({ error: 'Failed to update household' });
+  }
+}
+
+/**
+ * DELETE /api/households/:householdId
+ */
+export async function deleteHouseholdEndpoint(req, res) {
+  const householdId = Number(req.params.householdId);
+
+  if (!Number.isInteger(householdId)) {
+    return res.status(400).json({ error: 'Invalid household ID' });
+  }
+
+  try {
+    const deleted = await deleteHousehold(req.user.email, householdId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Household not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting household:', err);
+    res.status(500).json({ error: 'Failed to delete household' });
+  }
+}
+
+/**
+ * GET /api/events/:eventId/households
+ * The households among the event's guests and who receives each invitation
+ */
+export async function getEventHouseholds(req, res) {
+  try {
+    const members = await getEventHouseholdMembers(req.params.eventId);
+    const households = new Map();
+
+    for (const member of members) {
+      if (!households.has(member.household_id)) {
+        households.set(member.household_id, []);
+      }
+      households.get(member.household_id).push(member);
+    }
+
+    const result = [...households.values()].map(householdMembers => {
+      const recipient = pickHouseholdRecipient(householdMembers);
+
+      return {
+        id: recipient.household_id,
+        name: recipient.household_name,
+        primaryContactId: recipient.household_primary_contact_id,
+        recipientContactId: recipient.contact_id,
+        recipientOverridden: recipient.household_recipient_id === recipient.contact_id,
+        members: householdMembers.map(member => ({
+          id: member.contact_id,
+          displayName: member.display_name,
+          phoneNumber: member.phone_number
+        }))
+      };
+    });
+
+    res.json({ success: true, households: result });
+  } catch (err) {
+    console.error('Error fetching event households:', err);
+    res.status(500).json({ error: 'Failed to fetch event households' });
+  }
+}
+
+/**
+ * PUT /api/events/:eventId/households/:householdId/recipient
+ * Body: { contactId } - null goes back to the household's primary contact
+ */
+export async function setEventHouseholdRecipient(req, res) {
+  const householdId = Number(req.params.householdId);
+  const contactId = parseOptionalId(req.body.contactId);
+
+  if (!Number.isInteger(householdId)) {
+    return res.status(400).json({ error: 'Invalid household ID' });
+  }
+
+  if (contactId === undefined || Number.isNaN(contactId)) {
+    return res.status(400).json({ error: 'contactId is required (null to reset)' });
+  }
+
+  try {
+    const result = await setHouseholdEventRecipient(req.user.email, householdId, req.params.eventId, contactId);
+
+    if (result.status === 'household_not_found') {
+      return res.status(404).json({ error: 'Household not found' });
+    }
+
+    if (result.status === 'not_a_member') {
+      return res.status(400).json({ error: 'contactId must be a member of the household' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error setting household recipient:', err);
+    res.status(500).json({ error: 'Failed to set household recipient' });
+  }
+}
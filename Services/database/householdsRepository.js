@@ -0,0 +1,306 @@
+import pool from '../../db/db.js';
+
+/**
+ * Households Database Repository
+ *
+ * Households group an owner's contacts (couples, families) so each event
+ * sends them a single invitation. A contact belongs to at most one household.
+ */
+
+const HOUSEHOLD_WITH_MEMBERS = `
+  SELECT
+    h.id,
+    h.name,
+    h.primary_contact_id,
+    h.created_at,
+    COALESCE(
+      json_agg(
+        json_build_object('id', c.id, 'display_name', c.display_name, 'phone_number', c.phone_number)
+        ORDER BY c.id
+      ) FILTER (WHERE c.id IS NOT NULL),
+      '[]'
+    ) AS members
+  FROM households h
+  LEFT JOIN contacts c ON c.household_id = h.id
+`;
+
+/**
+ * Get all households of an owner with their members
+ *
+ * @param {string} ownerEmail - Household owner
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getHouseholdsByOwner(ownerEmail) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `${HOUSEHOLD_WITH_MEMBERS}
+       WHERE h.owner_email = $1
+       GROUP BY h.id
+       ORDER BY h.name, h.id`,
+      [ownerEmail]
+    );
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+async function getHousehold(client, ownerEmail, householdId) {
+  const result = await client.query(
+    `${HOUSEHOLD_WITH_MEMBERS}
+     WHERE h.id = $1 AND h.owner_email = $2
+     GROUP BY h.id`,
+    [householdId, ownerEmail]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Make contactIds the members of a household
+ * Contacts leave their previous household; a household whose primary contact
+ * left it falls back to its lowest member.
+ */
+async function setHouseholdMembers(client, ownerEmail, householdId, contactIds) {
+  await client.query(
+    'UPDATE contacts SET household_id = NULL WHERE household_id = $1 AND NOT (id = ANY($2::integer[]))',
+    [householdId, contactIds]
+  );
+
+  await client.query(
+    'UPDATE contacts SET household_id = $1 WHERE id = ANY($2::integer[]) AND contact_owner = $3',
+    [householdId, contactIds, ownerEmail]
+  );
+
+  await clearNonMemberHouseholdRoles(client, ownerEmail);
+}
+
+/**
+ * Drop household roles held by contacts that are not members
+ * Clears primary contacts and deletes per-event recipients outside their household.
+ *
+ * @param {Object} client - Database client (the caller's transaction)
+ * @param {string} ownerEmail - Household owner
+ */
+export async function clearNonMemberHouseholdRoles(client, ownerEmail) {
+  await client.query(
+    `UPDATE households h
+     SET primary_contact_id = NULL
+     WHERE h.owner_email = $1
+       AND h.primary_contact_id IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM contacts c WHERE c.id = h.primary_contact_id AND c.household_id = h.id)`,
+    [ownerEmail]
+  );
+
+  await client.query(
+    `DELETE FROM household_event_recipients r
+     USING contacts c
+     WHERE r.contact_id = c.id AND c.contact_owner = $1 AND c.household_id IS DISTINCT FROM r.household_id`,
+    [ownerEmail]
+  );
+}
+
+/**
+ * Create a household
+ *
+ * @param {string} ownerEmail - Household owner
+ * @param {Object} household - { name, contactIds, primaryContactId }
+ * @returns {Promise<Object>} The household with its members
+ */
+export async function createHousehold(ownerEmail, { name, contactIds, primaryContactId = null }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const inserted = await client.query(
+      'INSERT INTO households (owner_email, name) VALUES ($1, $2) RETURNING id',
+      [ownerEmail, name]
+    );
+    const householdId = inserted.rows[0].id;
+
+    await setHouseholdMembers(client, ownerEmail, householdId, contactIds);
+    await client.query(
+      'UPDATE households SET primary_contact_id = $2 WHERE id = $1',
+      [householdId, primaryContactId]
+    );
+
+    const household = await getHousehold(client, ownerEmail, householdId);
+
+    await client.query('COMMIT');
+    return household;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Update a household's name, members or primary contact
+ * Fields left undefined are not changed.
+ *
+ * @param {string} ownerEmail - Household owner
+ * @param {number} householdId - Household ID
+ * @param {Object} changes - { name, contactIds, primaryContactId }
+ * @returns {Promise<{ status: 'ok'|'household_not_found'|'not_a_member', household?: Object }>}
+ */
+export async function updateHousehold(ownerEmail, householdId, { name, contactIds, primaryContactId }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id FROM households WHERE id = $1 AND owner_email = $2 FOR UPDATE',
+      [householdId, ownerEmail]
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 'household_not_found' };
+    }
+
+    if (name !== undefined) {
+      await client.query('UPDATE households SET name = $2 WHERE id = $1', [householdId, name]);
+    }
+
+    if (contactIds !== undefined) {
+      await setHouseholdMembers(client, ownerEmail, householdId, contactIds);
+    }
+
+    if (primaryContactId !== undefined) {
+      const primary = await client.query(
+        `UPDATE households SET primary_contact_id = $2
+         WHERE id = $1
+           AND ($2::integer IS NULL OR EXISTS (SELECT 1 FROM contacts WHERE id = $2 AND household_id = $1))`,
+        [householdId, primaryContactId]
+      );
+
+      if (primary.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return { status: 'not_a_member' };
+      }
+    }
+
+    await client.query('UPDATE households SET updated_at = NOW() WHERE id = $1', [householdId]);
+
+    const household = await getHousehold(client, ownerEmail, householdId);
+
+    await client.query('COMMIT');
+    return { status: 'ok', household };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a household (its members become individual contacts again)
+ *
+ * @param {string} ownerEmail - Household owner
+ * @param {number} householdId - Household ID
+ * @returns {Promise<boolean>} False if the household was not found
+ */
+export async function deleteHousehold(ownerEmail, householdId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'DELETE FROM households WHERE id = $1 AND owner_email = $2',
+      [householdId, ownerEmail]
+    );
+
+    return result.rowCount > 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the household members of an event's guests
+ * One row per contact in the event that belongs to a household, with the
+ * fields selectHouseholdRecipients() needs.
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getEventHouseholdMembers(eventId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT
+         c.id AS contact_id,
+         c.display_name,
+         c.phone_number,
+         c.household_id,
+         h.name AS household_name,
+         h.primary_contact_id AS household_primary_contact_id,
+         r.contact_id AS household_recipient_id
+       FROM event_contacts ec
+       INNER JOIN contacts c ON c.id = ec.contact_id
+       INNER JOIN households h ON h.id = c.household_id
+       LEFT JOIN household_event_recipients r ON r.household_id = h.id AND r.event_id = ec.event_id
+       WHERE ec.event_id = $1
+       ORDER BY h.name, c.id`,
+      [eventId]
+    );
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Choose which member receives a household's invitation for one event
+ *
+ * @param {string} ownerEmail - Household owner
+ * @param {number} householdId - Household ID
+ * @param {string} eventId - Event ID
+ * @param {number|null} contactId - Recipient, or null to fall back to the primary contact
+ * @returns {Promise<{ status: 'ok'|'household_not_found'|'not_a_member' }>}
+ */
+export async function setHouseholdEventRecipient(ownerEmail, householdId, eventId, contactId) {
+  const client = await pool.connect();
+  try {
+    const household = await client.query(
+      'SELECT id FROM households WHERE id = $1 AND owner_email = $2',
+      [householdId, ownerEmail]
+    );
+
+    if (household.rows.length === 0) {
+      return { status: 'household_not_found' };
+    }
+
+    if (contactId === null) {
+      await client.query(
+        'DELETE FROM household_event_recipients WHERE household_id = $1 AND event_id = $2',
+        [householdId, eventId]
+      );
+      return { status: 'ok' };
+    }
+
+    const member = await client.query(
+      'SELECT id FROM contacts WHERE id = $1 AND household_id = $2',
+      [contactId, householdId]
+    );
+
+    if (member.rows.length === 0) {
+      return { status: 'not_a_member' };
+    }
+
+    await client.query(
+      `INSERT INTO household_event_recipients (household_id, event_id, contact_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (household_id, event_id) DO UPDATE SET contact_id = EXCLUDED.contact_id`,
+      [householdId, eventId, contactId]
+    );
+
+    return { status: 'ok' };
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,187 @@
+import {
+  getInboxThreads,
+  getInboxContact,
+  getInboxThreadMessages,
+  markInboxThreadRead,
+  getLastInboundMessage,
+  findInboxMedia
+} from './inboxRepository.js';
+import { sendInboxReply } from '../dialog360/inboxMessages.js';
+import { getServiceWindowEnd, isServiceWindowOpen } from '../dialog360/serviceWindow.js';
+
+/**
+ * Owner Inbox Endpoints
+ *
+ * WhatsApp conversations with guests (see Services/dialog360/inboxMessages.js).
+ */
+
+const MAX_REPLY_LENGTH = 4096; // WhatsApp text message limit
+
+function parseContactId(req, res) {
+  const contactId = parseInt(req.params.contactId, 10);
+
+  if (!Number.isInteger(contactId)) {
+    res.status(400).json({ error: 'Invalid contactId' });
+    return null;
+  }
+  return contactId;
+}
+
+/**
+ * GET /api/inbox
+ * The authenticated owner's conversations, latest activity first
+ * Query: eventId to only include messages about one event
+ */
+export async function getInbox(req, res) {
+  try {
+    const threads = await getInboxThreads(req.user.email, { eventId: req.query.eventId || null });
+
+    res.json({
+      success: true,
+      threads: threads.map(thread => ({
+        ...thread,
+        windowOpen: isServiceWindowOpen(thread.last_inbound_at)
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching inbox:', err);
+    res.status(500).json({ error: 'Failed to fetch inbox' });
+  }
+}
+
+/**
+ * GET /api/inbox/:contactId
+ * A conversation's messages, oldest first
+ * Query: eventId to only include messages about one event
+ */
+export async function getInboxThread(req, res) {
+  const contactId = parseContactId(req, res);
+  if (contactId === null) return;
+
+  try {
+    const contact = await getInboxContact(req.user.email, contactId);
+
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const [messages, lastInbound] = await Promise.all([
+      getInboxThreadMessages(contactId, { eventId: req.query.eventId || null }),
+      getLastInboundMessage(contactId)
+    ]);
+
+    res.json({
+      success: true,
+      contact: {
+        id: contact.id,
+        displayName: contact.display_name,
+        phoneNumber: contact.phone_number
+      },
+      messages,
+      windowOpen: isServiceWindowOpen(lastInbound?.created_at),
+      windowClosesAt: getServiceWindowEnd(lastInbound?.created_at)
+    });
+  } catch (err) {
+    console.error('Error fetching inbox thread:', err);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+}
+
+/**
+ * POST /api/inbox/:contactId/read
+ * Mark a conversation as read
+ */
+export async function markInboxRead(req, res) {
+  const contactId = parseContactId(req, res);
+  if (contactId === null) return;
+
+  try {
+    const contact = await getInboxContact(req.user.email, contactId);
+
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const marked = await markInboxThreadRead(contactId);
+    res.json({ success: true, marked });
+  } catch (err) {
+    console.error('Error marking inbox thread as read:', err);
+    res.status(500).json({ error: 'Failed to mark conversation as read' });
+  }
+}
+
+/**
+ * POST /api/inbox/:contactId/reply
+ * Reply to a guest within the 24-hour customer service window
+ * Guests on the do-not-contact list cannot be replied to.
+ * Body: { text }
+ */
+export async function replyToInboxThread(req, res) {
+  const contactId = parseContactId(req, res);
+  if (contactId === null) return;
+
+  const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+
+  if (!text || text.length > MAX_REPLY_LENGTH) {
+    return res.status(400).json({ error: `text is required (up to ${MAX_REPLY_LENGTH} characters)` });
+  }
+
+  try {
+    const contact = await getInboxContact(req.user.email, contactId);
+
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const result = await sendInboxReply(contact, text, req.user.email);
+
+    if (result.optedOut) {
+      return res.status(409).json({ error: 'The guest opted out of WhatsApp messages' });
+    }
+
+    if (!result.windowOpen) {
+      return res.status(409).json({
+        error: 'The guest has not written in the last 24 hours - WhatsApp only allows template messages',
+        windowClosesAt: result.windowClosesAt
+      });
+    }
+
+    if (!result.sent) {
+      return res.status(502).json({ error: `WhatsApp did not accept the reply: ${result.error}` });
+    }
+
+    res.json({ success: true, message: result.message, windowClosesAt: result.windowClosesAt });
+  } catch (err) {
+    console.error('Error sending inbox reply:', err);
+    res.status(500).json({ error: 'Failed to send reply' });
+  }
+}
+
+/**
+ * GET /api/inbox/messages/:messageId/media
+ * Redirect to a message's stored media
+ */
+export async function getInboxMessageMedia(req, res) {
+  const messageId = parseInt(req.params.messageId, 10);
+
+  if (!Number.isInteger(messageId)) {
+    return res.status(400).json({ error: 'Invalid messageId' });
+  }
+
+  try {
+    const media = await findInboxMedia(req.user.email, messageId);
+
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    if (media.media_status !== 'stored' || !media.media_url) {
+      return res.status(404).json({ error: `Media is not available (${media.media_status})` });
+    }
+
+    res.redirect(media.media_url);
+  } catch (err) {
+    console.error('Error fetching inbox media:', err);
+    res.status(500).json({ error: 'Failed to fetch media' });
+  }
+}
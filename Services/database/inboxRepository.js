@@ -0,0 +1,321 @@
+import pool from '../../db/db.js';
+
+/**
+ * Owner Inbox Database Repository
+ *
+ * WhatsApp messages between the business and the owner's contacts
+ * (inbox_messages). A thread is all messages with one contact; RSVP answers
+ * are part of the thread but never unread.
+ */
+
+/**
+ * Event an inbound message is about
+ * The invitation it replies to (WhatsApp context), else the contact's
+ * latest invitation.
+ *
+ * @param {number} contactId - Contact ID
+ * @param {string|null} contextMessageId - WhatsApp ID of the message replied to
+ * @returns {Promise<string|null>} Event ID
+ */
+export async function findInboxEventId(contactId, contextMessageId = null) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT event_id FROM (
+         SELECT event_id, 0 AS priority, id FROM event_messages
+         WHERE contact_id = $1 AND $2::text IS NOT NULL AND message_id = $2
+         UNION ALL
+         SELECT event_id, 1 AS priority, id FROM event_messages
+         WHERE contact_id = $1 AND message_type = 'invitation'
+       ) candidates
+       ORDER BY priority, id DESC
+       LIMIT 1`,
+      [contactId, contextMessageId]
+    );
+    return result.rows[0]?.event_id || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Store an inbox message
+ * A WhatsApp message ID is stored once (webhook redeliveries are ignored).
+ *
+ * @param {Object} message
+ * @param {number} message.contactId - Contact ID
+ * @param {string|null} message.eventId - Event the message is about
+ * @param {string} message.direction - 'inbound' | 'outbound'
+ * @param {string} message.phoneNumber - WhatsApp number of the contact
+ * @param {string} message.messageType - WhatsApp message type ('text', 'image', ...)
+ * @param {string|null} message.body - Text / caption / button title
+ * @param {string|null} message.whatsappMessageId - WhatsApp message ID
+ * @param {boolean} message.rsvpHandled - The message was an RSVP answer
+ * @param {Object|null} message.media - { id, mimeType, filename, sha256 }
+ * @param {string|null} message.sentBy - Owner who sent an outbound message
+ * @param {Date} message.createdAt - Message time
+ * @returns {Promise<Object|null>} Stored row, or null if the message was already stored
+ */
+export async function insertInboxMessage({
+  contactId,
+  eventId = null,
+  direction,
+  phoneNumber,
+  messageType,
+  body = null,
+  whatsappMessageId = null,
+  rsvpHandled = false,
+  media = null,
+  sentBy = null,
+  createdAt = new Date()
+}) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `INSERT INTO inbox_messages
+       (contact_id, event_id, direction, phone_number, message_type, body, whatsapp_message_id, rsvp_handled,
+        media_id, media_mime_type, media_filename, media_sha256, media_status, sent_by, created_at, read_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+               CASE WHEN $3 = 'outbound' OR $8 THEN $15::timestamp END)
+       ON CONFLICT (whatsapp_message_id) DO NOTHING
+       RETURNING *`,
+      [
+        contactId,
+        eventId,
+        direction,
+        phoneNumber,
+        messageType,
+        body,
+        whatsappMessageId,
+        rsvpHandled,
+        media?.id ?? null,
+        media?.mimeType ?? null,
+        media?.filename ?? null,
+        media?.sha256 ?? null,
+        media ? 'pending' : null,
+        sentBy,
+        createdAt
+      ]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record the outcome of storing a message's media
+ *
+ * @param {number} messageId - Inbox message ID
+ * @param {Object} outcome - { status: 'stored' | 'failed', url, mimeType, error }
+ */
+export async function updateInboxMedia(messageId, { status, url = null, mimeType = null, error = null }) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE inbox_messages
+       SET media_status = $2,
+           media_url = COALESCE($3, media_url),
+           media_mime_type = COALESCE($4, media_mime_type),
+           media_error = $5
+       WHERE id = $1`,
+      [messageId, status, url, mimeType, error]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the owner's inbox threads, latest activity first
+ * Threads with nothing but RSVP answers are left out.
+ *
+ * @param {string} ownerEmail - Owner email
+ * @param {Object} options
+ * @param {string} options.eventId - Only messages about this event (optional)
+ * @param {number} options.limit - Maximum threads
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getInboxThreads(ownerEmail, { eventId = null, limit = 100 } = {}) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `WITH owned AS (
+         SELECT m.*
+         FROM inbox_messages m
+         INNER JOIN contacts c ON c.id = m.contact_id
+         WHERE c.contact_owner = $1
+         AND ($2::text IS NULL OR m.event_id = $2)
+       ),
+       latest AS (
+         SELECT DISTINCT ON (contact_id) *
+         FROM owned
+         ORDER BY contact_id, created_at DESC, id DESC
+       ),
+       stats AS (
+         SELECT
+           contact_id,
+           COUNT(*) FILTER (WHERE direction = 'inbound' AND read_at IS NULL)::int AS unread_count,
+           MAX(created_at) FILTER (WHERE direction = 'inbound') AS last_inbound_at,
+           BOOL_OR(NOT rsvp_handled) AS has_conversation
+         FROM owned
+         GROUP BY contact_id
+       )
+       SELECT
+         l.contact_id,
+         c.display_name as contact_name,
+         c.phone_number,
+         l.event_id,
+         e.event_name,
+         l.id as last_message_id,
+         l.direction as last_direction,
+         l.message_type as last_message_type,
+         l.body as last_body,
+         l.created_at as last_message_at,
+         s.unread_count,
+         s.last_inbound_at
+       FROM latest l
+       INNER JOIN stats s ON s.contact_id = l.contact_id
+       INNER JOIN contacts c ON c.id = l.contact_id
+       LEFT JOIN events e ON e.id = l.event_id
+       WHERE s.has_conversation
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT $3`,
+      [ownerEmail, eventId, limit]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get one of the owner's contacts for the inbox
+ *
+ * @param {string} ownerEmail - Owner email
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Object|null>} { id, display_name, phone_number, preferred_language } or null if not the owner's
+ */
+export async function getInboxContact(ownerEmail, contactId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT id, display_name, phone_number, preferred_language
+       FROM contacts
+       WHERE id = $1 AND contact_owner = $2`,
+      [contactId, ownerEmail]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the messages of a thread, oldest first
+ *
+ * @param {number} contactId - Contact ID (ownership is checked by the caller)
+ * @param {Object} options
+ * @param {string} options.eventId - Only messages about this event (optional)
+ * @param {number} options.limit - Maximum messages (the latest ones)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getInboxThreadMessages(contactId, { eventId = null, limit = 200 } = {}) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT * FROM (
+         SELECT
+           m.id,
+           m.event_id,
+           m.direction,
+           m.message_type,
+           m.body,
+           m.rsvp_handled,
+           m.media_mime_type,
+           m.media_filename,
+           m.media_status,
+           m.sent_by,
+           m.created_at,
+           m.read_at
+         FROM inbox_messages m
+         WHERE m.contact_id = $1
+         AND ($2::text IS NULL OR m.event_id = $2)
+         ORDER BY m.created_at DESC, m.id DESC
+         LIMIT $3
+       ) thread
+       ORDER BY created_at, id`,
+      [contactId, eventId, limit]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark a thread's inbound messages as read
+ *
+ * @param {number} contactId - Contact ID (ownership is checked by the caller)
+ * @returns {Promise<number>} Messages marked
+ */
+export async function markInboxThreadRead(contactId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE inbox_messages
+       SET read_at = NOW()
+       WHERE contact_id = $1 AND direction = 'inbound' AND read_at IS NULL`,
+      [contactId]
+    );
+    return result.rowCount;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * The contact's latest inbound message (opens the customer service window)
+ *
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Object|null>} { created_at, phone_number, event_id } or null if the contact never wrote
+ */
+export async function getLastInboundMessage(contactId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT created_at, phone_number, event_id
+       FROM inbox_messages
+       WHERE contact_id = $1 AND direction = 'inbound'
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [contactId]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the media of one of the owner's inbox messages
+ *
+ * @param {string} ownerEmail - Owner email
+ * @param {number} messageId - Inbox message ID
+ * @returns {Promise<Object|null>} { media_url, media_status, media_mime_type, media_filename } or null
+ */
+export async function findInboxMedia(ownerEmail, messageId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT m.media_url, m.media_status, m.media_mime_type, m.media_filename
+       FROM inbox_messages m
+       INNER JOIN contacts c ON c.id = m.contact_id
+       WHERE m.id = $1 AND c.contact_owner = $2 AND m.media_id IS NOT NULL`,
+      [messageId, ownerEmail]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
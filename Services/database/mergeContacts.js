@@ -0,0 +1,77 @@
+import { getContactsForDuplicateCheck, mergeContacts } from './contactMergeRepository.js';
+import { getUserDefaultCountry } from './usersRepository.js';
+import { findDuplicateGroups } from '../contacts/contactDuplicates.js';
+
+/**
+ * Contact Duplicate / Merge Endpoints
+ */
+
+function formatContact(row) {
+  return {
+    id: row.id,
+    displayName: row.display_name,
+    canonicalForm: row.canonical_form,
+    phoneNumber: row.phone_number,
+    email: row.email,
+    contactSource: row.contact_source,
+    tags: row.tags || [],
+    eventCount: row.event_count
+  };
+}
+
+/**
+ * GET /api/contacts/duplicates
+ * Proposed merge groups for the current user's contacts (high confidence first)
+ */
+export async function getContactDuplicates(req, res) {
+  try {
+    const ownerEmail = req.user.email;
+    const [contacts, defaultCountry] = await Promise.all([
+      getContactsForDuplicateCheck(ownerEmail),
+      getUserDefaultCountry(ownerEmail)
+    ]);
+
+    const groups = findDuplicateGroups(contacts, { defaultCountry }).map(group => ({
+      ...group,
+      contacts: group.contacts.map(formatContact)
+    }));
+
+    res.json({ success: true, groups });
+  } catch (err) {
+    console.error('Error finding duplicate contacts:', err);
+    res.status(500).json({ error: 'Failed to find duplicate contacts' });
+  }
+}
+
+/**
+ * POST /api/contacts/merge
+ * Body: { survivorId, mergedIds: [] }
+ */
+export async function mergeContactsEndpoint(req, res) {
+  const survivorId = Number(req.body.survivorId);
+  const mergedIds = Array.isArray(req.body.mergedIds) ? [...new Set(req.body.mergedIds.map(Number))] : [];
+
+  if (!Number.isInteger(survivorId) || mergedIds.length === 0 || !mergedIds.every(Number.isInteger)) {
+    return res.status(400).json({ error: 'survivorId and a non-empty mergedIds array are required' });
+  }
+
+  if (mergedIds.includes(survivorId)) {
+    return res.status(400).json({ error: 'survivorId cannot be merged into itself' });
+  }
+
+  try {
+    const ownerEmail = req.user.email;
+    const defaultCountry = await getUserDefaultCountry(ownerEmail);
+    const result = await mergeContacts(ownerEmail, survivorId, mergedIds, defaultCountry);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Contacts not found' });
+    }
+
+    console.log(`🔗 Merged contacts ${mergedIds.join(', ')} into ${survivorId} for ${ownerEmail}`);
+    res.json({ success: true, contact: formatContact(result.contact), merged: result.merged });
+  } catch (err) {
+    console.error('Error merging contacts:', err);
+    res.status(500).json({ error: 'Failed to merge contacts' });
+  }
+}
@@ -0,0 +1,181 @@
+import pool from '../../db/db.js';
+
+/**
+ * Message Status Events Database Repository
+ *
+ * Handles all database operations for message_status_events - the delivery
+ * timeline (sent / delivered / read / failed) of each event_messages row, as
+ * reported by Dialog360 status webhooks.
+ */
+
+/**
+ * Record a status webhook and update the matching event_messages timestamp
+ * sent_at / delivered_at / seen_at keep the first time a stage was reached;
+ * failed sets failed_at, failure_reason and error_message.
+ *
+ * @param {number} eventMessageId - Event message ID
+ * @param {Object} statusEvent
+ * @param {string} statusEvent.messageId - WhatsApp message ID
+ * @param {string} statusEvent.status - 'sent' | 'delivered' | 'read' | 'failed'
+ * @param {Date} statusEvent.statusAt - When WhatsApp reports the transition happened
+ * @param {string} statusEvent.recipientId - Recipient phone number
+ * @param {Object} statusEvent.conversation - WhatsApp conversation object (optional)
+ * @param {Object} statusEvent.pricing - WhatsApp pricing object (optional)
+ * @param {Object} statusEvent.error - First entry of status.errors (optional)
+ * @param {string} statusEvent.failureReason - Human readable failure reason (failed only)
+ * @param {Object} statusEvent.payload - Raw status object
+ * @returns {Promise<boolean>} False if this status was already recorded for the message
+ */
+export async function recordMessageStatusEvent(eventMessageId, statusEvent) {
+  const { messageId, status, statusAt, recipientId, conversation, pricing, error, failureReason, payload } = statusEvent;
+
+  const conversationExpiresAt = conversation?.expiration_timestamp
+    ? new Date(parseInt(conversation.expiration_timestamp) * 1000)
+    : null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const inserted = await client.query(
+      `INSERT INTO message_status_events
+       (event_message_id, dialog360_message_id, status, status_at, recipient_id,
+        conversation_id, conversation_origin, conversation_expires_at,
+        pricing_model, pricing_category, billable,
+        error_code, error_title, error_details, payload)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       ON CONFLICT (dialog360_message_id, status) DO NOTHING
+       RETURNING id`,
+      [
+        eventMessageId,
+        messageId,
+        status,
+        statusAt,
+        recipientId || null,
+        conversation?.id || null,
+        conversation?.origin?.type || null,
+        conversationExpiresAt,
+        pricing?.pricing_model || null,
+        pricing?.category || null,
+        typeof pricing?.billable === 'boolean' ? pricing.billable : null,
+        Number.isInteger(error?.code) ? error.code : null,
+        error?.title || null,
+        error?.error_data?.details || error?.message || null,
+        JSON.stringify(payload || {})
+      ]
+    );
+
+    if (inserted.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    if (status === 'sent') {
+      await client.query(
+        'UPDATE event_messages SET sent_at = COALESCE(sent_at, $2) WHERE id = $1',
+        [eventMessageId, statusAt]
+      );
+    } else if (status === 'delivered') {
+      await client.query(
+        'UPDATE event_messages SET delivered_at = COALESCE(delivered_at, $2) WHERE id = $1',
+        [eventMessageId, statusAt]
+      );
+    } else if (status === 'read') {
+      await client.query(
+        'UPDATE event_messages SET seen_at = COALESCE(seen_at, $2) WHERE id = $1',
+        [eventMessageId, statusAt]
+      );
+    } else if (status === 'failed') {
+      await client.query(
+        `UPDATE event_messages
+         SET failed_at = $2, failure_reason = $3, error_message = $4
+         WHERE id = $1`,
+        [eventMessageId, statusAt, failureReason, error?.title || error?.message || null]
+      );
+    }
+
+    await client.query('COMMIT');
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the status history of one event message, oldest first
+ *
+ * @param {number} eventMessageId - Event message ID
+ * @returns {Promise<Array>} Status event rows
+ */
+export async function getMessageStatusEvents(eventMessageId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT status, status_at, dialog360_message_id, recipient_id,
+              conversation_id, conversation_origin, conversation_expires_at,
+              pricing_model, pricing_category, billable,
+              error_code, error_title, error_details, received_at
+       FROM message_status_events
+       WHERE event_message_id = $1
+       ORDER BY status_at ASC, id ASC`,
+      [eventMessageId]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get every message of an event with its delivery timestamps, latest outbound
+ * queue state and status history
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} One row per event message, with a `status_events` array
+ */
+export async function getEventMessageTimelines(eventId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT em.id, em.contact_id, c.display_name, c.phone_number,
+              em.message_type, em.message_round, em.message_id, em.created_at,
+              em.sent_at, em.delivered_at, em.seen_at, em.failed_at,
+              em.failure_reason, em.error_message, em.response, em.response_time,
+              om.status AS queue_status, om.attempts AS queue_attempts,
+              om.next_attempt_at AS queue_next_attempt_at, om.last_error AS queue_last_error,
+              COALESCE(
+                (SELECT json_agg(json_build_object(
+                          'status', mse.status,
+                          'status_at', mse.status_at,
+                          'conversation_origin', mse.conversation_origin,
+                          'pricing_category', mse.pricing_category,
+                          'billable', mse.billable,
+                          'error_code', mse.error_code,
+                          'error_title', mse.error_title,
+                          'error_details', mse.error_details
+                        ) ORDER BY mse.status_at, mse.id)
+                 FROM message_status_events mse
+                 WHERE mse.event_message_id = em.id),
+                '[]'::json
+              ) AS status_events
+       FROM event_messages em
+       JOIN contacts c ON c.id = em.contact_id
+       LEFT JOIN LATERAL (
+         SELECT status, attempts, next_attempt_at, last_error
+         FROM outbound_messages
+         WHERE event_message_id = em.id AND purpose = 'event_message'
+         ORDER BY id DESC
+         LIMIT 1
+       ) om ON TRUE
+       WHERE em.event_id = $1
+       ORDER BY em.id ASC`,
+      [eventId]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
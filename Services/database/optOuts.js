@@ -0,0 +1,106 @@
+import pool from '../../db/db.js';
+import { getOwnerOptOuts, recordOptOut, liftOptOut } from './optOutsRepository.js';
+import { getUserDefaultCountry } from './usersRepository.js';
+import { resolveContactPhone } from '../utils/phoneNormalization.js';
+
+/**
+ * Opt-out (Do-not-contact) Endpoints
+ *
+ * Guests who asked to stop WhatsApp messages (see
+ * Services/dialog360/optOuts.js) and contacts the owner does not want
+ * messaged.
+ */
+
+/**
+ * GET /api/opt-outs
+ * Opt-outs that apply to the authenticated owner's contacts, newest first
+ * Query: includeLifted=true to include lifted opt-outs
+ */
+export async function getOptOuts(req, res) {
+  try {
+    const optOuts = await getOwnerOptOuts(req.user.email, {
+      includeLifted: req.query.includeLifted === 'true'
+    });
+
+    res.json({ success: true, optOuts });
+  } catch (err) {
+    console.error('Error fetching opt-outs:', err);
+    res.status(500).json({ error: 'Failed to fetch opt-outs' });
+  }
+}
+
+/**
+ * POST /api/opt-outs
+ * Add a contact to the owner's do-not-contact list
+ * Body: { contactId }
+ */
+export async function addOptOut(req, res) {
+  const contactId = parseInt(req.body?.contactId, 10);
+
+  if (!Number.isInteger(contactId)) {
+    return res.status(400).json({ error: 'contactId is required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT phone_number, canonical_form FROM contacts WHERE id = $1 AND contact_owner = $2',
+      [contactId, req.user.email]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const phoneNumber = resolveContactPhone(result.rows[0], await getUserDefaultCountry(req.user.email));
+
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'The contact has no valid phone number' });
+    }
+
+    const { optOut, created } = await recordOptOut({
+      phoneNumber,
+      ownerEmail: req.user.email,
+      source: 'owner',
+      createdBy: req.user.email
+    });
+
+    if (created) {
+      console.log(`🚫 Contact ${contactId} added to ${req.user.email}'s do-not-contact list`);
+    }
+
+    res.status(created ? 201 : 200).json({ success: true, optOut, created });
+  } catch (err) {
+    console.error('Error adding opt-out:', err);
+    res.status(500).json({ error: 'Failed to add opt-out' });
+  }
+}
+
+/**
+ * DELETE /api/opt-outs/:optOutId
+ * Lift an opt-out - the contact can be messaged again
+ */
+export async function liftOptOutEndpoint(req, res) {
+  const optOutId = parseInt(req.params.optOutId, 10);
+
+  if (!Number.isInteger(optOutId)) {
+    return res.status(400).json({ error: 'Invalid optOutId' });
+  }
+
+  try {
+    const result = await liftOptOut(req.user.email, optOutId);
+
+    if (!result.found) {
+      return res.status(404).json({ error: 'Opt-out not found' });
+    }
+
+    if (!result.active) {
+      return res.status(409).json({ error: 'Opt-out was already lifted' });
+    }
+
+    console.log(`✅ Opt-out ${optOutId} lifted by ${req.user.email}`);
+    res.json({ success: true, optOut: result.optOut });
+  } catch (err) {
+    console.error('Error lifting opt-out:', err);
+    res.status(500).json({ error: 'Failed to lift opt-out' });
+  }
+}
@@ -0,0 +1,265 @@
+import pool from '../../db/db.js';
+import { normalizePhoneNumberFormats, normalizePhoneForDialog360 } from '../utils/phoneNormalization.js';
+
+/**
+ * Opt-outs Database Repository
+ *
+ * The do-not-contact list (opt_outs): numbers that are not sent WhatsApp
+ * messages. Guest opt-outs (owner_email NULL) apply to every owner, owner
+ * opt-outs to that owner's sends only. Lifted opt-outs are kept for history.
+ */
+
+// Any of the contact's stored numbers (see contactPhonesRepository.js) is the opted-out number
+const CONTACT_MATCHES_OPT_OUT = `EXISTS (
+  SELECT 1
+  FROM contact_phones cp
+  WHERE cp.contact_id = c.id
+  AND cp.phone_number = ANY(o.phone_formats)
+)`;
+
+/**
+ * Add a number to the do-not-contact list
+ * Adding a number that is already on the list (same scope) keeps the existing entry.
+ *
+ * @param {Object} optOut
+ * @param {string} optOut.phoneNumber - Phone number in any format
+ * @param {string|null} optOut.ownerEmail - Owner the opt-out applies to (null = every owner)
+ * @param {string} optOut.source - 'keyword' (the guest asked) | 'owner'
+ * @param {string|null} optOut.keyword - Keyword the guest sent
+ * @param {string|null} optOut.createdBy - Owner who added the number
+ * @returns {Promise<{ optOut: Object, created: boolean }>}
+ */
+export async function recordOptOut({ phoneNumber, ownerEmail = null, source, keyword = null, createdBy = null }) {
+  const number = normalizePhoneForDialog360(phoneNumber) || String(phoneNumber).replace(/\D/g, '');
+
+  const client = await pool.connect();
+  try {
+    const inserted = await client.query(
+      `INSERT INTO opt_outs (phone_number, phone_formats, owner_email, source, keyword, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (phone_number, COALESCE(owner_email, '')) WHERE lifted_at IS NULL DO NOTHING
+       RETURNING *`,
+      [number, normalizePhoneNumberFormats(number), ownerEmail, source, keyword, createdBy]
+    );
+
+    if (inserted.rows.length > 0) {
+      return { optOut: inserted.rows[0], created: true };
+    }
+
+    const existing = await client.query(
+      `SELECT * FROM opt_outs
+       WHERE phone_number = $1 AND owner_email IS NOT DISTINCT FROM $2 AND lifted_at IS NULL`,
+      [number, ownerEmail]
+    );
+    return { optOut: existing.rows[0], created: false };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Lift the opt-outs a guest asked for (the guest asked to be messaged again)
+ * Owner opt-outs stay.
+ *
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {Promise<number>} Opt-outs lifted
+ */
+export async function liftGuestOptOuts(phoneNumber) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE opt_outs
+       SET lifted_at = NOW(), lifted_by = 'guest'
+       WHERE owner_email IS NULL AND lifted_at IS NULL AND phone_number = ANY($1::text[])`,
+      [normalizePhoneNumberFormats(phoneNumber)]
+    );
+    return result.rowCount;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Whether a number is on the do-not-contact list for an owner
+ *
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {string} ownerEmail - Owner sending the message
+ * @returns {Promise<boolean>}
+ */
+export async function isPhoneOptedOut(phoneNumber, ownerEmail) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT 1 FROM opt_outs
+       WHERE lifted_at IS NULL
+       AND (owner_email IS NULL OR owner_email = $2)
+       AND phone_number = ANY($1::text[])
+       LIMIT 1`,
+      [normalizePhoneNumberFormats(phoneNumber), ownerEmail]
+    );
+    return result.rows.length > 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Numbers an owner must not message (Dialog360 format)
+ *
+ * @param {string} ownerEmail - Owner email
+ * @returns {Promise<Set<string>>}
+ */
+export async function getOptedOutNumbers(ownerEmail) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT DISTINCT phone_number FROM opt_outs
+       WHERE lifted_at IS NULL AND (owner_email IS NULL OR owner_email = $1)`,
+      [ownerEmail]
+    );
+    return new Set(result.rows.map(row => row.phone_number));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * The opt-out that keeps the contact's owner from messaging a contact
+ *
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Object|null>} Active opt-out or null
+ */
+export async function findContactOptOut(contactId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT o.*
+       FROM contacts c
+       INNER JOIN opt_outs o
+         ON o.lifted_at IS NULL
+         AND (o.owner_email IS NULL OR o.owner_email = c.contact_owner)
+         AND ${CONTACT_MATCHES_OPT_OUT}
+       WHERE c.id = $1
+       ORDER BY o.owner_email NULLS FIRST, o.id
+       LIMIT 1`,
+      [contactId]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * The opt-out that blocks a queued message (checked right before sending)
+ *
+ * @param {number} outboundMessageId - outbound_messages ID
+ * @returns {Promise<Object|null>} Active opt-out or null
+ */
+export async function findOutboundOptOut(outboundMessageId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT o.*
+       FROM outbound_messages m
+       LEFT JOIN event_messages em ON em.id = m.event_message_id
+       LEFT JOIN events e ON e.id = em.event_id
+       INNER JOIN opt_outs o
+         ON o.lifted_at IS NULL
+         AND (o.owner_email IS NULL OR o.owner_email = e.owner_email)
+         AND o.phone_number = regexp_replace(m.phone_number, '\\D', '', 'g')
+       WHERE m.id = $1
+       ORDER BY o.owner_email NULLS FIRST, o.id
+       LIMIT 1`,
+      [outboundMessageId]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the opt-outs that apply to an owner's contacts, newest first
+ * The owner's own opt-outs, and guest opt-outs of numbers in their contacts.
+ *
+ * @param {string} ownerEmail - Owner email
+ * @param {Object} options
+ * @param {boolean} options.includeLifted - Include lifted opt-outs
+ * @returns {Promise<Array<Object>>} Opt-outs with scope ('global' | 'owner') and the matching contacts
+ */
+export async function getOwnerOptOuts(ownerEmail, { includeLifted = false } = {}) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT
+         o.id,
+         o.phone_number,
+         CASE WHEN o.owner_email IS NULL THEN 'global' ELSE 'owner' END as scope,
+         o.source,
+         o.keyword,
+         o.created_by,
+         o.created_at,
+         o.lifted_at,
+         o.lifted_by,
+         matched.contacts
+       FROM opt_outs o
+       CROSS JOIN LATERAL (
+         SELECT COALESCE(
+           json_agg(json_build_object('id', c.id, 'displayName', c.display_name) ORDER BY c.id),
+           '[]'::json
+         ) as contacts
+         FROM contacts c
+         WHERE c.contact_owner = $1 AND ${CONTACT_MATCHES_OPT_OUT}
+       ) matched
+       WHERE (o.owner_email = $1 OR (o.owner_email IS NULL AND json_array_length(matched.contacts) > 0))
+       AND ($2 OR o.lifted_at IS NULL)
+       ORDER BY o.created_at DESC, o.id DESC`,
+      [ownerEmail, includeLifted]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Lift an opt-out that applies to the owner's contacts
+ *
+ * @param {string} ownerEmail - Owner lifting the opt-out
+ * @param {number} optOutId - Opt-out ID
+ * @returns {Promise<Object>} { found, active, optOut }
+ */
+export async function liftOptOut(ownerEmail, optOutId) {
+  const client = await pool.connect();
+  try {
+    const existing = await client.query(
+      `SELECT o.lifted_at
+       FROM opt_outs o
+       WHERE o.id = $2
+       AND (o.owner_email = $1 OR (o.owner_email IS NULL AND EXISTS (
+         SELECT 1 FROM contacts c WHERE c.contact_owner = $1 AND ${CONTACT_MATCHES_OPT_OUT}
+       )))`,
+      [ownerEmail, optOutId]
+    );
+
+    if (existing.rows.length === 0) {
+      return { found: false, active: false, optOut: null };
+    }
+
+    if (existing.rows[0].lifted_at) {
+      return { found: true, active: false, optOut: null };
+    }
+
+    const result = await client.query(
+      `UPDATE opt_outs SET lifted_at = NOW(), lifted_by = $2
+       WHERE id = $1 AND lifted_at IS NULL
+       RETURNING *`,
+      [optOutId, ownerEmail]
+    );
+
+    return { found: true, active: result.rows.length > 0, optOut: result.rows[0] || null };
+  } finally {
+    client.release();
+  }
+}
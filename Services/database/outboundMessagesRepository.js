@@ -0,0 +1,286 @@
+import pool from '../../db/db.js';
+
+/**
+ * Outbound Messages Database Repository
+ *
+ * Handles all database operations for the outbound_messages queue and the
+ * outbound_message_attempts log. The worker that drains the queue lives in
+ * Services/dialog360/outboundQueue.js.
+ */
+
+/**
+ * Insert a message into the outbound queue
+ * A message whose idempotency key is already queued is not queued again.
+ *
+ * @param {Object} client - Database client (pass the caller's transaction client)
+ * @param {Object} message - Message to queue
+ * @param {string} message.idempotencyKey - Unique key for this logical send
+ * @param {number|null} message.eventMessageId - event_messages row the send belongs to
+ * @param {string} message.purpose - 'event_message' | 'followup' | 'session_fallback'
+ * @param {number|null} message.sendWaveId - Scheduled send wave the message belongs to
+ * @param {string} message.phoneNumber - Normalized recipient phone number
+ * @param {Object} message.payload - sendTemplateMessage parameters
+ * @param {number} message.maxAttempts - Attempts before the message is marked failed
+ * @returns {Promise<{ id: number, created: boolean }>}
+ */
+export async function insertOutboundMessage(client, message) {
+  const result = await client.query(
+    `INSERT INTO outbound_messages (
+      idempotency_key, event_message_id, purpose, phone_number, payload, max_attempts, send_wave_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (idempotency_key) DO NOTHING
+    RETURNING id`,
+    [
+      message.idempotencyKey,
+      message.eventMessageId,
+      message.purpose,
+      message.phoneNumber,
+      JSON.stringify(message.payload),
+      message.maxAttempts,
+      message.sendWaveId ?? null
+    ]
+  );
+
+  if (result.rows.length > 0) {
+    return { id: result.rows[0].id, created: true };
+  }
+
+  const existing = await client.query(
+    'SELECT id FROM outbound_messages WHERE idempotency_key = $1',
+    [message.idempotencyKey]
+  );
+
+  return { id: existing.rows[0].id, created: false };
+}
+
+/**
+ * Claim due messages for sending
+ * Uses SKIP LOCKED so several server instances can drain the queue together.
+ * Messages stuck in 'sending' longer than staleAfterMs (worker crashed mid-send)
+ * are claimed again.
+ *
+ * @param {number} limit - Maximum number of messages to claim
+ * @param {number} staleAfterMs - Age after which a 'sending' lock is considered abandoned
+ * @returns {Promise<Array>} Claimed outbound_messages rows (attempts already incremented)
+ */
+export async function claimDueOutboundMessages(limit, staleAfterMs) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE outbound_messages
+       SET status = 'sending',
+           locked_at = NOW(),
+           attempts = attempts + 1,
+           updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM outbound_messages
+         WHERE (status = 'pending' AND next_attempt_at <= NOW())
+            OR (status = 'sending' AND locked_at < NOW() - ($2 || ' milliseconds')::interval)
+         ORDER BY next_attempt_at ASC, id ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit, String(staleAfterMs)]
+    );
+
+    return result.rows.sort((a, b) => a.next_attempt_at - b.next_attempt_at || a.id - b.id);
+  } finally {
+    client.release();
+  }
+}
+
+async function insertAttempt(client, message, attempt) {
+  await client.query(
+    `INSERT INTO outbound_message_attempts (
+      outbound_message_id, event_message_id, attempt_number, status,
+      error_code, http_status, error_message, retryable, dialog360_message_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      message.id,
+      message.event_message_id,
+      message.attempts,
+      attempt.status,
+      attempt.errorCode ?? null,
+      attempt.httpStatus ?? null,
+      attempt.errorMessage ?? null,
+      attempt.retryable ?? null,
+      attempt.dialog360MessageId ?? null
+    ]
+  );
+}
+
+/**
+ * Mark a message as sent and link the WhatsApp message ID to its event_messages row
+ *
+ * @param {Object} message - Claimed outbound_messages row
+ * @param {string} dialog360MessageId - WhatsApp message ID returned by Dialog360
+ */
+export async function markOutboundMessageSent(message, dialog360MessageId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE outbound_messages
+       SET status = 'sent', dialog360_message_id = $2, sent_at = NOW(),
+           locked_at = NULL, last_error = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [message.id, dialog360MessageId]
+    );
+
+    await insertAttempt(client, message, { status: 'sent', dialog360MessageId });
+
+    if (message.event_message_id) {
+      if (message.purpose === 'followup') {
+        await client.query(
+          `UPDATE event_messages
+           SET followup_invitation_sent_at = NOW(), followup_dialog360_message_id = $2
+           WHERE id = $1`,
+          [message.event_message_id, dialog360MessageId]
+        );
+      } else if (message.purpose === 'event_message') {
+        await client.query(
+          `UPDATE event_messages
+           SET message_id = $2, failed_at = NULL, failure_reason = NULL, error_message = NULL
+           WHERE id = $1`,
+          [message.event_message_id, dialog360MessageId]
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a failed attempt and schedule the next one
+ *
+ * @param {Object} message - Claimed outbound_messages row
+ * @param {Object} error - Send error (code, httpStatus, retryable, message)
+ * @param {Date} nextAttemptAt - When the message becomes due again
+ */
+export async function scheduleOutboundRetry(message, error, nextAttemptAt) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE outbound_messages
+       SET status = 'pending', next_attempt_at = $2, last_error = $3,
+           locked_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [message.id, nextAttemptAt, error.message]
+    );
+
+    await insertAttempt(client, message, {
+      status: 'failed',
+      errorCode: error.code != null ? String(error.code) : null,
+      httpStatus: error.httpStatus,
+      errorMessage: error.message,
+      retryable: true
+    });
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Put a claimed message back in the queue until its send window opens
+ * Nothing was sent, so the claim's attempt is not counted.
+ *
+ * @param {Object} message - Claimed outbound_messages row
+ * @param {Date} nextAttemptAt - When the send window opens
+ * @param {string} reason - 'quiet_hours' | 'shabbat' | 'holiday'
+ */
+export async function deferOutboundMessage(message, nextAttemptAt, reason) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE outbound_messages
+       SET status = 'pending', next_attempt_at = $2, deferred_reason = $3,
+           attempts = GREATEST(attempts - 1, 0), locked_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [message.id, nextAttemptAt, reason]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Put a claimed message back in the queue when it could not be checked before sending
+ * Nothing was sent, so the claim's attempt is not counted.
+ *
+ * @param {Object} message - Claimed outbound_messages row
+ * @param {Date} nextAttemptAt - When to try again
+ * @param {Object} error - What went wrong
+ */
+export async function releaseOutboundMessage(message, nextAttemptAt, error) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE outbound_messages
+       SET status = 'pending', next_attempt_at = $2, last_error = $3,
+           attempts = GREATEST(attempts - 1, 0), locked_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [message.id, nextAttemptAt, error.message]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a final failed attempt and mark the message (and its event_messages row) as failed
+ *
+ * @param {Object} message - Claimed outbound_messages row
+ * @param {Object} error - Send error (code, httpStatus, retryable, message)
+ */
+export async function markOutboundMessageFailed(message, error) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE outbound_messages
+       SET status = 'failed', last_error = $2, locked_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [message.id, error.message]
+    );
+
+    await insertAttempt(client, message, {
+      status: 'failed',
+      errorCode: error.code != null ? String(error.code) : null,
+      httpStatus: error.httpStatus,
+      errorMessage: error.message,
+      retryable: Boolean(error.retryable)
+    });
+
+    if (message.event_message_id && message.purpose === 'event_message') {
+      await client.query(
+        `UPDATE event_messages
+         SET failed_at = NOW(), failure_reason = $2, error_message = $3
+         WHERE id = $1`,
+        [message.event_message_id, error.code != null ? String(error.code) : 'send_failed', error.message]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,48 @@
+import { getOwnerNotifications, dismissOwnerNotification } from './ownerNotificationsRepository.js';
+
+/**
+ * Owner Notification Endpoints
+ */
+
+/**
+ * GET /api/notifications
+ * The authenticated owner's notifications, newest first
+ * Query: includeDismissed=true to include dismissed ones
+ */
+export async function getNotifications(req, res) {
+  try {
+    const notifications = await getOwnerNotifications(req.user.email, {
+      includeDismissed: req.query.includeDismissed === 'true'
+    });
+
+    res.json({ success: true, notifications });
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+}
+
+/**
+ * DELETE /api/notifications/:notificationId
+ * Dismiss a notification so it no longer shows
+ */
+export async function dismissNotification(req, res) {
+  const notificationId = parseInt(req.params.notificationId, 10);
+
+  if (!Number.isInteger(notificationId)) {
+    return res.status(400).json({ error: 'Invalid notificationId' });
+  }
+
+  try {
+    const dismissed = await dismissOwnerNotification(req.user.email, notificationId);
+
+    if (!dismissed) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error dismissing notification:', err);
+    res.status(500).json({ error: 'Failed to dismiss notification' });
+  }
+}
@@ -0,0 +1,96 @@
+import pool from '../../db/db.js';
+
+/**
+ * Owner Notifications Database Repository
+ *
+ * The owner's in-app notification feed (owner_notifications).
+ *
+ * Types:
+ * - rsvp_changed: a guest changed an earlier answer
+ *   details: { previousResponse, newResponse, previousGuestsComing }
+ */
+
+/**
+ * Add a notification
+ *
+ * @param {Object} client - Database client (joins the caller's transaction)
+ * @param {Object} notification
+ * @param {string} notification.ownerEmail - Event owner
+ * @param {string} notification.type - Notification type
+ * @param {string} notification.eventId - Event ID (optional)
+ * @param {number} notification.contactId - Contact ID (optional)
+ * @param {number} notification.eventMessageId - Event message ID (optional)
+ * @param {Object} notification.details - Type-specific details
+ * @returns {Promise<Object>} Stored notification row
+ */
+export async function insertOwnerNotification(client, { ownerEmail, type, eventId = null, contactId = null, eventMessageId = null, details = {} }) {
+  const result = await client.query(
+    `INSERT INTO owner_notifications (owner_email, type, event_id, contact_id, event_message_id, details)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [ownerEmail, type, eventId, contactId, eventMessageId, details]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get an owner's notifications, newest first
+ *
+ * @param {string} ownerEmail - Owner email
+ * @param {Object} options
+ * @param {boolean} options.includeDismissed - Include dismissed notifications
+ * @param {number} options.limit - Maximum rows
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getOwnerNotifications(ownerEmail, { includeDismissed = false, limit = 100 } = {}) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT
+         n.id,
+         n.type,
+         n.event_id,
+         n.contact_id,
+         n.event_message_id,
+         n.details,
+         n.created_at,
+         n.dismissed_at,
+         c.display_name as contact_name,
+         e.event_name
+       FROM owner_notifications n
+       LEFT JOIN contacts c ON c.id = n.contact_id
+       LEFT JOIN events e ON e.id = n.event_id
+       WHERE n.owner_email = $1
+       AND ($2::boolean OR n.dismissed_at IS NULL)
+       ORDER BY n.created_at DESC, n.id DESC
+       LIMIT $3`,
+      [ownerEmail, includeDismissed, limit]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Dismiss one of the owner's notifications
+ *
+ * @param {string} ownerEmail - Owner email
+ * @param {number} notificationId - Notification ID
+ * @returns {Promise<boolean>} false if the notification was not found
+ */
+export async function dismissOwnerNotification(ownerEmail, notificationId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE owner_notifications
+       SET dismissed_at = COALESCE(dismissed_at, NOW())
+       WHERE id = $1 AND owner_email = $2
+       RETURNING id`,
+      [notificationId, ownerEmail]
+    );
+    return result.rows.length > 0;
+  } finally {
+    client.release();
+  }
+}
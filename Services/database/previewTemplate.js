@@ -0,0 +1,71 @@
+import pool from '../../db/db.js';
+import { renderTemplatePreview } from '../templates/templatePreview.js';
+import { getAvailableTemplateNames } from '../templates/templateRegistry.js';
+import { TEMPLATE_NAMES } from '../templates/templateNames.js';
+import { getUserDefaultCountry } from './usersRepository.js';
+import { resolveContactPhone } from '../utils/phoneNormalization.js';
+import { normalizeLanguage, SUPPORTED_LANGUAGES } from '../utils/languages.js';
+
+/**
+ * POST /api/events/:eventId/template-preview
+ * Body: { templateName?, contactId?, languageCode? }
+ *
+ * What a guest would receive for a template: rendered body text, header image
+ * and buttons, and the Dialog360 payload. Nothing is sent. Without contactId
+ * the template is rendered for a sample guest.
+ */
+export async function previewTemplate(req, res) {
+  const { eventId } = req.params;
+  const { contactId = null } = req.body ?? {};
+  const templateName = req.body?.templateName ?? TEMPLATE_NAMES.INITIAL_INVITATION;
+  const languageCode = req.body?.languageCode ? normalizeLanguage(req.body.languageCode) : null;
+
+  const templates = getAvailableTemplateNames();
+  if (!templates.includes(templateName)) {
+    return res.status(400).json({ error: `templateName must be one of: ${templates.join(', ')}` });
+  }
+
+  if (req.body?.languageCode && !languageCode) {
+    return res.status(400).json({ error: `languageCode must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+  }
+
+  const client = await pool.connect();
+  try {
+    const eventResult = await client.query('SELECT * FROM events WHERE id = $1', [eventId]);
+    const event = eventResult.rows[0];
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    let contact = {};
+    let phoneNumber = null;
+
+    if (contactId !== null) {
+      const contactResult = await client.query(
+        'SELECT * FROM contacts WHERE id = $1 AND contact_owner = $2',
+        [contactId, req.user.email]
+      );
+      contact = contactResult.rows[0];
+
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      phoneNumber = resolveContactPhone(contact, await getUserDefaultCountry(req.user.email));
+    }
+
+    const preview = renderTemplatePreview({ templateName, event, contact, languageCode, phoneNumber });
+
+    if (contactId !== null && !phoneNumber) {
+      preview.warnings.push('The contact has no valid WhatsApp number');
+    }
+
+    res.json({ success: true, preview });
+  } catch (err) {
+    console.error('Error previewing template:', err);
+    res.status(500).json({ error: 'Failed to preview template' });
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,139 @@
+import pool from '../../db/db.js';
+import { insertOwnerNotification } from './ownerNotificationsRepository.js';
+
+/**
+ * RSVP Response History Database Repository
+ *
+ * Every answer a guest gives is stored on the invitation (event_messages)
+ * and appended to rsvp_response_changes. When the guest replaces an earlier
+ * answer the event owner gets an 'rsvp_changed' notification.
+ */
+
+export const ANSWERED_RESPONSES = ['מגיע', 'לא מגיע', 'לא בטוח'];
+
+/**
+ * Record a guest's answer to an invitation
+ * A new answer clears the earlier follow-up date; guests_coming is zeroed
+ * unless the guest is attending (the RSVP flow asks for the count again).
+ *
+ * @param {number} eventMessageId - Invitation
+ * @param {string} response - Hebrew response type
+ * @param {Date} responseTime - Timestamp of response
+ * @param {string} source - Message type the answer came in ('button' / 'interactive' / 'text')
+ * @returns {Promise<Object|null>} { previousResponse, changed, notified } or null if the invitation does not exist
+ */
+export async function recordRsvpResponse(eventMessageId, response, responseTime, source = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const currentResult = await client.query(
+      `SELECT em.event_id, em.contact_id, em.response, em.guests_coming, e.owner_email
+       FROM event_messages em
+       LEFT JOIN events e ON e.id = em.event_id
+       WHERE em.id = $1
+       FOR UPDATE OF em`,
+      [eventMessageId]
+    );
+
+    if (currentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const current = currentResult.rows[0];
+    const previousResponse = current.response;
+
+    if (previousResponse === response) {
+      await client.query('ROLLBACK');
+      return { previousResponse, changed: false, notified: false };
+    }
+
+    await client.query(
+      `UPDATE event_messages
+       SET response = $2,
+           response_time = $3,
+           guests_coming = CASE WHEN $2 = 'מגיע' THEN guests_coming ELSE 0 END,
+           followup_date = NULL,
+           followup_notification_dismissed = FALSE
+       WHERE id = $1`,
+      [eventMessageId, response, responseTime]
+    );
+
+    await client.query(
+      `INSERT INTO rsvp_response_changes
+       (event_message_id, event_id, contact_id, previous_response, new_response, previous_guests_coming, source, changed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        eventMessageId,
+        current.event_id,
+        current.contact_id,
+        previousResponse,
+        response,
+        previousResponse === 'מגיע' ? current.guests_coming : null,
+        source,
+        responseTime
+      ]
+    );
+
+    // Only replacing an earlier answer is news for the owner
+    const notified = ANSWERED_RESPONSES.includes(previousResponse) && Boolean(current.owner_email);
+
+    if (notified) {
+      await insertOwnerNotification(client, {
+        ownerEmail: current.owner_email,
+        type: 'rsvp_changed',
+        eventId: current.event_id,
+        contactId: current.contact_id,
+        eventMessageId,
+        details: {
+          previousResponse,
+          newResponse: response,
+          previousGuestsComing: previousResponse === 'מגיע' ? current.guests_coming : null
+        }
+      });
+    }
+
+    await client.query('COMMIT');
+    return { previousResponse, changed: true, notified };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get an event's RSVP history, newest first
+ *
+ * @param {string} eventId - Event ID
+ * @param {number|null} contactId - Only this contact's answers (optional)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getRsvpHistory(eventId, contactId = null) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT
+         rc.id,
+         rc.event_message_id,
+         rc.contact_id,
+         c.display_name as contact_name,
+         rc.previous_response,
+         rc.new_response,
+         rc.previous_guests_coming,
+         rc.source,
+         rc.changed_at
+       FROM rsvp_response_changes rc
+       LEFT JOIN contacts c ON c.id = rc.contact_id
+       WHERE rc.event_id = $1
+       AND ($2::integer IS NULL OR rc.contact_id = $2)
+       ORDER BY rc.changed_at DESC, rc.id DESC`,
+      [eventId, contactId]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
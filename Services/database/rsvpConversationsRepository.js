@@ -0,0 +1,233 @@
+import pool from '../../db/db.js';
+import { normalizeQuestionnaireConfig, QUESTIONNAIRE_ANSWER_COLUMNS } from '../dialog360/rsvpQuestionnaire.js';
+import { buildDefaultRsvpFlow, validateRsvpFlow } from '../dialog360/rsvpFlows.js';
+import { resolveLanguage } from '../utils/languages.js';
+
+/**
+ * RSVP Conversations Database Repository
+ *
+ * Per-event flows (events.rsvp_flow) and the guests' conversations with
+ * them (rsvp_conversations). A conversation is active while its current
+ * step waits for an answer; answers that map to event_messages columns are
+ * written to the invitation in the same transaction.
+ */
+
+// guests_coming is kept when an answer does not set it
+const COUNT_COLUMNS = QUESTIONNAIRE_ANSWER_COLUMNS.filter(column => column !== 'guests_coming');
+
+async function writeAnswerColumns(client, eventMessageId, answers) {
+  await client.query(
+    `UPDATE event_messages
+     SET guests_coming = COALESCE($2, guests_coming),
+         ${COUNT_COLUMNS.map((column, index) => `${column} = $${index + 3}`).join(',\n         ')}
+     WHERE id = $1`,
+    [eventMessageId, answers.guests_coming ?? null, ...COUNT_COLUMNS.map(column => answers[column] ?? null)]
+  );
+}
+
+/**
+ * Get an event's custom flow and questionnaire
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} { flow, questionnaire } (flow null = default flow), null if the event does not exist
+ */
+export async function getEventRsvpFlow(eventId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query('SELECT rsvp_flow, rsvp_questionnaire FROM events WHERE id = $1', [eventId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return {
+      flow: validateRsvpFlow(result.rows[0].rsvp_flow).flow,
+      questionnaire: normalizeQuestionnaireConfig(result.rows[0].rsvp_questionnaire).config
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Set an event's custom flow
+ *
+ * @param {string} eventId - Event ID
+ * @param {Object|null} flow - Validated flow, null for the default flow
+ */
+export async function setEventRsvpFlow(eventId, flow) {
+  const client = await pool.connect();
+  try {
+    await client.query('UPDATE events SET rsvp_flow = $2 WHERE id = $1', [eventId, flow]);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * The flow to run for an event and the values its texts may use
+ * The default flow is built in the guest's preferred language.
+ *
+ * @param {string} eventId - Event ID
+ * @param {number} contactId - Guest contact ID
+ * @returns {Promise<{ flow: Object, context: Object }>}
+ */
+export async function getRsvpFlowContext(eventId, contactId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT e.rsvp_flow, e.rsvp_questionnaire, e.event_name, e.event_date,
+              e.celebrator1_name, e.celebrator2_name,
+              c.display_name as guest_name, c.preferred_language
+       FROM events e
+       LEFT JOIN contacts c ON c.id = $2
+       WHERE e.id = $1`,
+      [eventId, contactId]
+    );
+
+    const row = result.rows[0] || {};
+    const customFlow = validateRsvpFlow(row.rsvp_flow).flow;
+    const language = resolveLanguage(row.preferred_language);
+
+    return {
+      flow: customFlow || buildDefaultRsvpFlow(normalizeQuestionnaireConfig(row.rsvp_questionnaire).config, language),
+      context: {
+        language,
+        guest_name: row.guest_name || null,
+        event_name: row.event_name || null,
+        event_date: row.event_date || null,
+        celebrator1_name: row.celebrator1_name || null,
+        celebrator2_name: row.celebrator2_name || null
+      }
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find the contact's active conversation
+ *
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Object|null>} { id, event_message_id, event_id, current_step, answers } or null
+ */
+export async function findActiveConversation(contactId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT rc.id, rc.event_message_id, em.event_id, rc.current_step, rc.answers
+       FROM rsvp_conversations rc
+       INNER JOIN event_messages em ON em.id = rc.event_message_id
+       WHERE em.contact_id = $1
+       AND rc.status = 'active'
+       ORDER BY rc.updated_at DESC, rc.id DESC
+       LIMIT 1`,
+      [contactId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Start a conversation on an invitation that was just answered
+ * Cancels the contact's earlier conversations and clears answers of an
+ * earlier run. No conversation is stored when the flow asks nothing.
+ *
+ * @param {number} eventMessageId - Answered invitation
+ * @param {number} contactId - Contact ID
+ * @param {Object} answers - Initial answers
+ * @param {string|null} firstStep - First question, null when the flow asks nothing
+ * @returns {Promise<number|null>} Conversation ID
+ */
+export async function beginConversation(eventMessageId, contactId, answers, firstStep) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE rsvp_conversations
+       SET status = 'cancelled', updated_at = NOW()
+       WHERE status = 'active'
+       AND event_message_id IN (SELECT id FROM event_messages WHERE contact_id = $1)`,
+      [contactId]
+    );
+
+    await writeAnswerColumns(client, eventMessageId, answers);
+
+    let conversationId = null;
+
+    if (firstStep) {
+      const result = await client.query(
+        `INSERT INTO rsvp_conversations (event_message_id, current_step, answers)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [eventMessageId, firstStep, answers]
+      );
+      conversationId = result.rows[0].id;
+    }
+
+    await client.query('COMMIT');
+    return conversationId;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Store the answers so far and move to the next question
+ * The conversation is completed when nextStep is null.
+ *
+ * @param {Object} conversation - { id, event_message_id }
+ * @param {Object} answers - All answers so far
+ * @param {string|null} nextStep - Next question, or null when complete
+ */
+export async function advanceConversation(conversation, answers, nextStep) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await writeAnswerColumns(client, conversation.event_message_id, answers);
+
+    await client.query(
+      `UPDATE rsvp_conversations
+       SET answers = $2,
+           current_step = $3,
+           status = CASE WHEN $3::text IS NULL THEN 'completed' ELSE 'active' END,
+           completed_at = CASE WHEN $3::text IS NULL THEN NOW() END,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [conversation.id, answers, nextStep]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Cancel a conversation (its step no longer exists in the event's flow)
+ *
+ * @param {number} conversationId - Conversation ID
+ */
+export async function cancelConversation(conversationId) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE rsvp_conversations
+       SET status = 'cancelled', updated_at = NOW()
+       WHERE id = $1`,
+      [conversationId]
+    );
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,24 @@
+import { getRsvpHistory } from './rsvpChangesRepository.js';
+
+/**
+ * RSVP History Endpoint
+ *
+ * GET /api/events/:eventId/rsvp-history
+ * Every answer guests gave to the event's invitations, newest first.
+ * Query: contactId to get a single guest's history
+ */
+export async function getEventRsvpHistory(req, res) {
+  const contactId = req.query.contactId ? parseInt(req.query.contactId, 10) : null;
+
+  if (req.query.contactId && !Number.isInteger(contactId)) {
+    return res.status(400).json({ error: 'Invalid contactId' });
+  }
+
+  try {
+    const history = await getRsvpHistory(req.params.eventId, contactId);
+    res.json({ success: true, history });
+  } catch (err) {
+    console.error('Error fetching RSVP history:', err);
+    res.status(500).json({ error: 'Failed to fetch RSVP history' });
+  }
+}
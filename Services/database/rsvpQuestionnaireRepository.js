@@ -0,0 +1,40 @@
+import pool from '../../db/db.js';
+import { normalizeQuestionnaireConfig } from '../dialog360/rsvpQuestionnaire.js';
+
+/**
+ * RSVP Questionnaire Database Repository
+ *
+ * Per-event questionnaire configuration (events.rsvp_questionnaire). The
+ * answers are collected by the RSVP flow (see rsvpConversationsRepository.js).
+ */
+
+/**
+ * Get an event's questionnaire configuration
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} Normalized configuration, null for the single guest count question
+ */
+export async function getEventQuestionnaire(eventId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query('SELECT rsvp_questionnaire FROM events WHERE id = $1', [eventId]);
+    return normalizeQuestionnaireConfig(result.rows[0]?.rsvp_questionnaire).config;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Set an event's questionnaire configuration
+ *
+ * @param {string} eventId - Event ID
+ * @param {Object|null} config - Normalized configuration
+ */
+export async function setEventQuestionnaire(eventId, config) {
+  const client = await pool.connect();
+  try {
+    await client.query('UPDATE events SET rsvp_questionnaire = $2 WHERE id = $1', [eventId, config]);
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,192 @@
+import pool from '../../db/db.js';
+import { recordRsvpResponse } from './rsvpChangesRepository.js';
+
+/**
+ * RSVP Review Queue Database Repository
+ *
+ * Free-text replies to invitations the intent classifier was not sure about
+ * (rsvp_review_items). The event owner reads the reply and resolves it with
+ * the guest's answer, or dismisses it when it is not an answer.
+ *
+ * Statuses: open -> resolved / dismissed
+ */
+
+export const REVIEW_STATUSES = ['open', 'resolved', 'dismissed'];
+
+/**
+ * Queue a reply for the owner's review
+ *
+ * @param {number} eventMessageId - Invitation the reply answers
+ * @param {string} messageText - The guest's reply
+ * @param {Object} classification - classifyRsvpReply() result (the suggestion)
+ * @param {Date} receivedAt - Timestamp of the reply
+ * @returns {Promise<Object|null>} Stored item, or null if the invitation does not exist
+ */
+export async function queueRsvpReview(eventMessageId, messageText, classification, receivedAt) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `INSERT INTO rsvp_review_items
+       (event_message_id, event_id, contact_id, message_text, suggested_response, suggested_guest_count, confidence, received_at)
+       SELECT em.id, em.event_id, em.contact_id, $2, $3, $4, $5, $6
+       FROM event_messages em
+       WHERE em.id = $1
+       RETURNING *`,
+      [
+        eventMessageId,
+        messageText,
+        classification.response,
+        classification.guestCount,
+        classification.confidence,
+        receivedAt
+      ]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the review items of an owner's events, newest first
+ *
+ * @param {string} ownerEmail - Owner email
+ * @param {Object} options
+ * @param {string} options.eventId - Only this event (optional)
+ * @param {string} options.status - Only this status (default 'open'; null for all)
+ * @param {number} options.limit - Maximum rows
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getRsvpReviews(ownerEmail, { eventId = null, status = 'open', limit = 200 } = {}) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT
+         r.id,
+         r.event_message_id,
+         r.event_id,
+         r.contact_id,
+         r.message_text,
+         r.suggested_response,
+         r.suggested_guest_count,
+         r.confidence::float as confidence,
+         r.status,
+         r.resolved_response,
+         r.resolved_guest_count,
+         r.received_at,
+         r.resolved_at,
+         em.response as current_response,
+         c.display_name as contact_name,
+         c.phone_number,
+         e.event_name
+       FROM rsvp_review_items r
+       INNER JOIN events e ON e.id = r.event_id
+       INNER JOIN event_messages em ON em.id = r.event_message_id
+       LEFT JOIN contacts c ON c.id = r.contact_id
+       WHERE e.owner_email = $1
+       AND ($2::text IS NULL OR r.event_id = $2)
+       AND ($3::text IS NULL OR r.status = $3)
+       ORDER BY r.received_at DESC, r.id DESC
+       LIMIT $4`,
+      [ownerEmail, eventId, status, limit]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// Lock an open item of one of the owner's events
+async function claimOpenReview(client, ownerEmail, reviewId) {
+  const result = await client.query(
+    `SELECT r.id, r.event_message_id, r.status, r.suggested_guest_count
+     FROM rsvp_review_items r
+     INNER JOIN events e ON e.id = r.event_id
+     WHERE r.id = $1 AND e.owner_email = $2
+     FOR UPDATE OF r`,
+    [reviewId, ownerEmail]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Resolve a review item with the guest's answer
+ * The answer is recorded like any other (RSVP history, change notification);
+ * no message is sent to the guest.
+ *
+ * @param {string} ownerEmail - Owner email
+ * @param {number} reviewId - Review item ID
+ * @param {Object} resolution
+ * @param {string} resolution.response - Hebrew response ('מגיע' / 'לא מגיע' / 'לא בטוח')
+ * @param {number|null} resolution.guestsComing - Guest count when attending (default: the suggestion, else 1)
+ * @returns {Promise<Object>} { found, open, item }
+ */
+export async function resolveRsvpReview(ownerEmail, reviewId, { response, guestsComing = null }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const review = await claimOpenReview(client, ownerEmail, reviewId);
+
+    if (!review || review.status !== 'open') {
+      await client.query('ROLLBACK');
+      return { found: Boolean(review), open: false, item: null };
+    }
+
+    const guestCount = response === 'מגיע' ? (guestsComing ?? review.suggested_guest_count ?? 1) : null;
+    const resolvedAt = new Date();
+
+    // recordRsvpResponse runs its own transaction; the item stays locked meanwhile
+    await recordRsvpResponse(review.event_message_id, response, resolvedAt, 'review');
+
+    if (guestCount !== null) {
+      await client.query(
+        'UPDATE event_messages SET guests_coming = $2 WHERE id = $1',
+        [review.event_message_id, guestCount]
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE rsvp_review_items
+       SET status = 'resolved', resolved_response = $2, resolved_guest_count = $3, resolved_at = $4
+       WHERE id = $1
+       RETURNING *`,
+      [reviewId, response, guestCount, resolvedAt]
+    );
+
+    await client.query('COMMIT');
+    return { found: true, open: true, item: result.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Dismiss a review item (the reply was not an answer)
+ *
+ * @param {string} ownerEmail - Owner email
+ * @param {number} reviewId - Review item ID
+ * @returns {Promise<boolean>} false if no open item was found
+ */
+export async function dismissRsvpReview(ownerEmail, reviewId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE rsvp_review_items r
+       SET status = 'dismissed', resolved_at = NOW()
+       FROM events e
+       WHERE r.id = $1
+       AND e.id = r.event_id
+       AND e.owner_email = $2
+       AND r.status = 'open'
+       RETURNING r.id`,
+      [reviewId, ownerEmail]
+    );
+    return result.rows.length > 0;
+  } finally {
+    client.release();
+  }
+}
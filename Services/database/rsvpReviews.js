@@ -0,0 +1,107 @@
+import {
+  REVIEW_STATUSES,
+  getRsvpReviews,
+  resolveRsvpReview,
+  dismissRsvpReview
+} from './rsvpReviewRepository.js';
+import { ANSWERED_RESPONSES } from './rsvpChangesRepository.js';
+
+/**
+ * RSVP Review Queue Endpoints
+ *
+ * Guest replies the intent classifier was not sure about, for the event
+ * owner to resolve.
+ */
+
+const MAX_GUESTS_COMING = 99;
+
+/**
+ * GET /api/rsvp-reviews
+ * The authenticated owner's review items, newest first
+ * Query: eventId to filter by event, status ('open' by default, or 'all')
+ */
+export async function getRsvpReviewQueue(req, res) {
+  const status = req.query.status || 'open';
+
+  if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${REVIEW_STATUSES.join(', ')}, all` });
+  }
+
+  try {
+    const reviews = await getRsvpReviews(req.user.email, {
+      eventId: req.query.eventId || null,
+      status: status === 'all' ? null : status
+    });
+
+    res.json({ success: true, reviews });
+  } catch (err) {
+    console.error('Error fetching RSVP reviews:', err);
+    res.status(500).json({ error: 'Failed to fetch RSVP reviews' });
+  }
+}
+
+/**
+ * POST /api/rsvp-reviews/:reviewId/resolve
+ * Record the guest's answer for a reply
+ * Body: { response: 'מגיע' | 'לא מגיע' | 'לא בטוח', guestsComing?: number }
+ */
+export async function resolveRsvpReviewItem(req, res) {
+  const reviewId = parseInt(req.params.reviewId, 10);
+  const { response, guestsComing } = req.body || {};
+
+  if (!Number.isInteger(reviewId)) {
+    return res.status(400).json({ error: 'Invalid reviewId' });
+  }
+
+  if (!ANSWERED_RESPONSES.includes(response)) {
+    return res.status(400).json({ error: `response must be one of ${ANSWERED_RESPONSES.join(', ')}` });
+  }
+
+  if (guestsComing !== undefined && guestsComing !== null &&
+      (!Number.isInteger(guestsComing) || guestsComing < 1 || guestsComing > MAX_GUESTS_COMING)) {
+    return res.status(400).json({ error: `guestsComing must be a whole number between 1 and ${MAX_GUESTS_COMING}` });
+  }
+
+  try {
+    const result = await resolveRsvpReview(req.user.email, reviewId, { response, guestsComing: guestsComing ?? null });
+
+    if (!result.found) {
+      return res.status(404).json({ error: 'Review item not found' });
+    }
+
+    if (!result.open) {
+      return res.status(409).json({ error: 'Review item was already handled' });
+    }
+
+    console.log(`✅ RSVP review ${reviewId} resolved: ${response}`);
+    res.json({ success: true, review: result.item });
+  } catch (err) {
+    console.error('Error resolving RSVP review:', err);
+    res.status(500).json({ error: 'Failed to resolve RSVP review' });
+  }
+}
+
+/**
+ * DELETE /api/rsvp-reviews/:reviewId
+ * Dismiss a reply that is not an answer
+ */
+export async function dismissRsvpReviewItem(req, res) {
+  const reviewId = parseInt(req.params.reviewId, 10);
+
+  if (!Number.isInteger(reviewId)) {
+    return res.status(400).json({ error: 'Invalid reviewId' });
+  }
+
+  try {
+    const dismissed = await dismissRsvpReview(req.user.email, reviewId);
+
+    if (!dismissed) {
+      return res.status(404).json({ error: 'Review item not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error dismissing RSVP review:', err);
+    res.status(500).json({ error: 'Failed to dismiss RSVP review' });
+  }
+}
@@ -1,4 +1,5 @@
 import pool from "../../db/db.js";
+import { saveContactPhones } from "./contactPhonesRepository.js";
 
 export async function sendContactsToDatabase(req, res) {
   try {
@@ -40,8 +41,8 @@ export async function sendContactsToDatabase(req, res) {
       const insertedIds = [];
       for (const contact of contacts) {
         const result = await client.query(
-          `INSERT INTO contacts (google_id, display_name, canonical_form, phone_number, contact_source, contact_owner, tags)
-           VALUES ($1, $2, $3, $4, $5, $6, $7)
+          `INSERT INTO contacts (google_id, display_name, canonical_form, phone_number, contact_source, contact_owner, tags, email)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
            RETURNING id`,
           [
             contact.uploadedByGoogleId, 
@@ -49,13 +50,16 @@ export async function sendContactsToDatabase(req, res) {
             contact.canonicalForm, 
             contact.phoneNumber, 
             contact.contactSource, 
-            contact.uploadedByEmail, 
-            contact.tags || []
+            req.user.email, // Owner is always the authenticated user
+            contact.tags || [],
+            contact.email || null
           ]
         );
         insertedIds.push(result.rows[0].id);
       }
 
+      await saveContactPhones(client, insertedIds);
+
       await client.query('COMMIT');
 
       // Return all inserted IDs and maintain backward compatibility
@@ -0,0 +1,228 @@
+import {
+  createSendWave,
+  getEventSendWaves,
+  getSendWave,
+  updateScheduledSendWave,
+  cancelSendWave
+} from './sendWavesRepository.js';
+import { TEMPLATE_NAMES } from '../templates/templateNames.js';
+import { getAvailableTemplateNames } from '../templates/templateRegistry.js';
+import { normalizeLanguage, SUPPORTED_LANGUAGES } from '../utils/languages.js';
+
+/**
+ * Send Wave Endpoints
+ *
+ * Schedule an invitation wave for an exact date and time (see
+ * Services/sendWaves.js). A wave is sent to contactIds, or to the event's
+ * contacts with any of `tags`. Scheduled waves can be edited or cancelled
+ * until they fire.
+ */
+
+/**
+ * Validate wave fields; on update only the fields passed are checked
+ *
+ * @returns {{ wave: Object, error?: string }}
+ */
+function readWaveBody(body, { partial }) {
+  const wave = {};
+  const has = field => body[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { wave, error: 'name is required' };
+    }
+    wave.name = body.name.trim();
+  }
+
+  if (!partial || has('templateName')) {
+    wave.templateName = body.templateName ?? TEMPLATE_NAMES.INITIAL_INVITATION;
+    const templates = getAvailableTemplateNames();
+    if (!templates.includes(wave.templateName)) {
+      return { wave, error: `templateName must be one of: ${templates.join(', ')}` };
+    }
+  }
+
+  if (has('languageCode')) {
+    wave.languageCode = body.languageCode ? normalizeLanguage(body.languageCode) : null;
+    if (body.languageCode && !wave.languageCode) {
+      return { wave, error: `languageCode must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` };
+    }
+  } else if (!partial) {
+    wave.languageCode = null;
+  }
+
+  if (has('contactIds') && has('tags')) {
+    return { wave, error: 'Send a wave to contactIds or tags, not both' };
+  }
+
+  if (has('contactIds')) {
+    const contactIds = Array.isArray(body.contactIds) ? body.contactIds.map(id => parseInt(id, 10)) : [];
+    if (contactIds.length === 0 || !contactIds.every(Number.isInteger)) {
+      return { wave, error: 'contactIds must be a non-empty array of contact IDs' };
+    }
+    wave.contactIds = [...new Set(contactIds)];
+    wave.tags = null;
+  } else if (has('tags')) {
+    const tags = Array.isArray(body.tags) ? body.tags.filter(tag => typeof tag === 'string' && tag.trim()) : [];
+    if (tags.length === 0) {
+      return { wave, error: 'tags must be a non-empty array of tags' };
+    }
+    wave.tags = [...new Set(tags.map(tag => tag.trim()))];
+    wave.contactIds = null;
+  } else if (!partial) {
+    return { wave, error: 'contactIds or tags is required' };
+  }
+
+  if (!partial || has('sendAt')) {
+    const sendAt = new Date(body.sendAt);
+    if (!body.sendAt || isNaN(sendAt.getTime())) {
+      return { wave, error: 'sendAt must be a date and time' };
+    }
+    if (sendAt <= new Date()) {
+      return { wave, error: 'sendAt must be in the future' };
+    }
+    wave.sendAt = sendAt;
+  }
+
+  return { wave };
+}
+
+function readWaveId(req) {
+  const waveId = parseInt(req.params.waveId, 10);
+  return Number.isInteger(waveId) ? waveId : null;
+}
+
+/**
+ * GET /api/events/:eventId/send-waves
+ * The event's waves with progress, next to send first
+ */
+export async function getSendWaves(req, res) {
+  try {
+    const waves = await getEventSendWaves(req.params.eventId);
+    res.json({ success: true, waves });
+  } catch (err) {
+    console.error('Error fetching send waves:', err);
+    res.status(500).json({ error: 'Failed to fetch send waves' });
+  }
+}
+
+/**
+ * GET /api/events/:eventId/send-waves/:waveId
+ */
+export async function getSendWaveEndpoint(req, res) {
+  const waveId = readWaveId(req);
+
+  if (!waveId) {
+    return res.status(400).json({ error: 'Invalid waveId' });
+  }
+
+  try {
+    const wave = await getSendWave(req.params.eventId, waveId);
+
+    if (!wave) {
+      return res.status(404).json({ error: 'Send wave not found' });
+    }
+
+    res.json({ success: true, wave });
+  } catch (err) {
+    console.error('Error fetching send wave:', err);
+    res.status(500).json({ error: 'Failed to fetch send wave' });
+  }
+}
+
+/**
+ * POST /api/events/:eventId/send-waves
+ * Body: { name, contactIds: [] | tags: [], templateName?, languageCode?, sendAt }
+ */
+export async function createSendWaveEndpoint(req, res) {
+  const { wave, error } = readWaveBody(req.body ?? {}, { partial: false });
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const created = await createSendWave({
+      ...wave,
+      eventId: req.params.eventId,
+      ownerEmail: req.user.email,
+      createdBy: req.user.email
+    });
+
+    console.log(`🌊 Send wave ${created.id} ("${created.name}") scheduled for event ${req.params.eventId} at ${wave.sendAt.toISOString()}`);
+    res.status(201).json({ success: true, wave: created });
+  } catch (err) {
+    console.error('Error scheduling send wave:', err);
+    res.status(500).json({ error: 'Failed to schedule send wave' });
+  }
+}
+
+/**
+ * PUT /api/events/:eventId/send-waves/:waveId
+ * Body: any of the POST fields - only scheduled waves can be changed
+ */
+export async function updateSendWaveEndpoint(req, res) {
+  const waveId = readWaveId(req);
+
+  if (!waveId) {
+    return res.status(400).json({ error: 'Invalid waveId' });
+  }
+
+  const { wave, error } = readWaveBody(req.body ?? {}, { partial: true });
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (Object.keys(wave).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const result = await updateScheduledSendWave(req.params.eventId, waveId, wave);
+
+    if (!result.found) {
+      return res.status(404).json({ error: 'Send wave not found' });
+    }
+
+    if (!result.scheduled) {
+      return res.status(409).json({ error: 'Only scheduled send waves can be changed' });
+    }
+
+    console.log(`🌊 Send wave ${waveId} updated by ${req.user.email}`);
+    res.json({ success: true, wave: result.wave });
+  } catch (err) {
+    console.error('Error updating send wave:', err);
+    res.status(500).json({ error: 'Failed to update send wave' });
+  }
+}
+
+/**
+ * DELETE /api/events/:eventId/send-waves/:waveId
+ * Cancel a scheduled wave
+ */
+export async function cancelSendWaveEndpoint(req, res) {
+  const waveId = readWaveId(req);
+
+  if (!waveId) {
+    return res.status(400).json({ error: 'Invalid waveId' });
+  }
+
+  try {
+    const result = await cancelSendWave(req.params.eventId, waveId);
+
+    if (!result.found) {
+      return res.status(404).json({ error: 'Send wave not found' });
+    }
+
+    if (!result.scheduled) {
+      return res.status(409).json({ error: 'Only scheduled send waves can be cancelled' });
+    }
+
+    console.log(`🚫 Send wave ${waveId} cancelled by ${req.user.email}`);
+    res.json({ success: true, wave: result.wave });
+  } catch (err) {
+    console.error('Error cancelling send wave:', err);
+    res.status(500).json({ error: 'Failed to cancel send wave' });
+  }
+}
@@ -0,0 +1,344 @@
+import pool from '../../db/db.js';
+
+/**
+ * Send Waves Database Repository
+ *
+ * Scheduled invitation waves (send_waves) and their progress, counted from
+ * the outbound messages they queued (outbound_messages.send_wave_id) and the
+ * invitations those belong to. The runner lives in Services/sendWaves.js.
+ *
+ * Statuses: scheduled -> sending -> completed | failed, or scheduled -> cancelled
+ */
+
+const WAVE_WITH_PROGRESS = `
+  SELECT sw.*,
+    COUNT(om.id)::int AS messages,
+    COUNT(om.id) FILTER (WHERE om.status IN ('pending', 'sending'))::int AS pending,
+    COUNT(om.id) FILTER (WHERE om.status = 'sent')::int AS sent,
+    COUNT(om.id) FILTER (WHERE om.status = 'failed')::int AS failed,
+    COUNT(em.delivered_at)::int AS delivered,
+    COUNT(em.id) FILTER (WHERE em.response = 'מגיע')::int AS attending,
+    COUNT(em.id) FILTER (WHERE em.response = 'לא מגיע')::int AS not_attending,
+    COUNT(em.id) FILTER (WHERE em.response = 'לא בטוח')::int AS maybe
+  FROM send_waves sw
+  LEFT JOIN outbound_messages om ON om.send_wave_id = sw.id
+  LEFT JOIN event_messages em ON em.id = om.event_message_id
+`;
+
+function formatWave(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    name: row.name,
+    templateName: row.template_name,
+    languageCode: row.language_code,
+    contactIds: row.contact_ids,
+    tags: row.tag_filter,
+    sendAt: row.send_at,
+    status: row.status,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    cancelledAt: row.cancelled_at,
+    error: row.error,
+    results: {
+      queued: row.queued_count,
+      skipped: row.skipped,
+      covered: row.covered_count
+    },
+    progress: row.messages === undefined ? null : {
+      messages: row.messages,
+      pending: row.pending,
+      sent: row.sent,
+      failed: row.failed,
+      delivered: row.delivered,
+      attending: row.attending,
+      notAttending: row.not_attending,
+      maybe: row.maybe
+    }
+  };
+}
+
+/**
+ * Schedule a send wave
+ *
+ * @param {Object} wave
+ * @param {string} wave.eventId - Event ID
+ * @param {string} wave.ownerEmail - Event owner
+ * @param {string} wave.name - Wave name
+ * @param {string} wave.templateName - Template to send
+ * @param {string|null} wave.languageCode - Overrides the contacts' preferred languages
+ * @param {Array<number>|null} wave.contactIds - Contacts to invite (or tags)
+ * @param {Array<string>|null} wave.tags - Invite the event's contacts with any of these tags
+ * @param {Date} wave.sendAt - When the wave is sent
+ * @param {string} wave.createdBy - User who scheduled it
+ * @returns {Promise<Object>} The wave
+ */
+export async function createSendWave(wave) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `INSERT INTO send_waves (
+        event_id, owner_email, name, template_name, language_code, contact_ids, tag_filter, send_at, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [
+        wave.eventId,
+        wave.ownerEmail,
+        wave.name,
+        wave.templateName,
+        wave.languageCode,
+        wave.contactIds,
+        wave.tags,
+        wave.sendAt,
+        wave.createdBy
+      ]
+    );
+
+    return formatWave(result.rows[0]);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * An event's send waves with progress, next to send first
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>}
+ */
+export async function getEventSendWaves(eventId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `${WAVE_WITH_PROGRESS}
+       WHERE sw.event_id = $1
+       GROUP BY sw.id
+       ORDER BY sw.send_at ASC, sw.id ASC`,
+      [eventId]
+    );
+
+    return result.rows.map(formatWave);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * A send wave of an event with progress
+ *
+ * @param {string} eventId - Event ID
+ * @param {number} waveId - Wave ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getSendWave(eventId, waveId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `${WAVE_WITH_PROGRESS}
+       WHERE sw.event_id = $1 AND sw.id = $2
+       GROUP BY sw.id`,
+      [eventId, waveId]
+    );
+
+    return result.rows[0] ? formatWave(result.rows[0]) : null;
+  } finally {
+    client.release();
+  }
+}
+
+async function findWaveStatus(client, eventId, waveId) {
+  const result = await client.query(
+    'SELECT status FROM send_waves WHERE event_id = $1 AND id = $2',
+    [eventId, waveId]
+  );
+  return result.rows[0]?.status ?? null;
+}
+
+/**
+ * Change a wave that has not been sent yet
+ * Only the fields passed are changed.
+ *
+ * @param {string} eventId - Event ID
+ * @param {number} waveId - Wave ID
+ * @param {Object} changes - { name, templateName, languageCode, contactIds, tags, sendAt }
+ * @returns {Promise<Object>} { found, scheduled, wave }
+ */
+export async function updateScheduledSendWave(eventId, waveId, changes) {
+  const columns = {
+    name: 'name',
+    templateName: 'template_name',
+    languageCode: 'language_code',
+    contactIds: 'contact_ids',
+    tags: 'tag_filter',
+    sendAt: 'send_at'
+  };
+
+  const assignments = [];
+  const values = [eventId, waveId];
+
+  for (const [field, column] of Object.entries(columns)) {
+    if (changes[field] !== undefined) {
+      values.push(changes[field]);
+      assignments.push(`${column} = $${values.length}`);
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE send_waves
+       SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+       WHERE event_id = $1 AND id = $2 AND status = 'scheduled'
+       RETURNING *`,
+      values
+    );
+
+    if (result.rows.length > 0) {
+      return { found: true, scheduled: true, wave: formatWave(result.rows[0]) };
+    }
+
+    const status = await findWaveStatus(client, eventId, waveId);
+    return { found: status !== null, scheduled: false, wave: null };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Cancel a wave that has not been sent yet
+ *
+ * @param {string} eventId - Event ID
+ * @param {number} waveId - Wave ID
+ * @returns {Promise<Object>} { found, scheduled, wave }
+ */
+export async function cancelSendWave(eventId, waveId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE send_waves
+       SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+       WHERE event_id = $1 AND id = $2 AND status = 'scheduled'
+       RETURNING *`,
+      [eventId, waveId]
+    );
+
+    if (result.rows.length > 0) {
+      return { found: true, scheduled: true, wave: formatWave(result.rows[0]) };
+    }
+
+    const status = await findWaveStatus(client, eventId, waveId);
+    return { found: status !== null, scheduled: false, wave: null };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Claim waves that are due for sending
+ * Uses SKIP LOCKED so a wave is sent by one server instance only. Waves
+ * stuck in 'sending' longer than staleAfterMs (server crashed while queueing)
+ * are claimed again; their queued messages keep their idempotency keys, so
+ * queueing them again is a no-op.
+ *
+ * @param {number} limit - Maximum number of waves to claim
+ * @param {number} staleAfterMs - Age after which a 'sending' wave is considered abandoned
+ * @returns {Promise<Array>} Claimed send_waves rows (status 'sending')
+ */
+export async function claimDueSendWaves(limit, staleAfterMs) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE send_waves
+       SET status = 'sending', started_at = NOW(), updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM send_waves
+         WHERE (status = 'scheduled' AND send_at <= NOW())
+            OR (status = 'sending' AND started_at < NOW() - ($2 || ' milliseconds')::interval)
+         ORDER BY send_at ASC, id ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit, String(staleAfterMs)]
+    );
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Contacts a wave is sent to
+ * A tag filter selects the event's contacts with any of the tags (event
+ * tags, else the contact's own).
+ *
+ * @param {Object} wave - send_waves row
+ * @returns {Promise<Array<number>>} Contact IDs
+ */
+export async function getWaveContactIds(wave) {
+  if (wave.contact_ids) {
+    return wave.contact_ids;
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT c.id
+       FROM contacts c
+       INNER JOIN event_contacts ec ON ec.contact_id = c.id
+       WHERE ec.event_id = $1 AND c.contact_owner = $2
+         AND COALESCE(ec.tags, c.tags, '{}') && $3::text[]
+       ORDER BY c.id`,
+      [wave.event_id, wave.owner_email, wave.tag_filter]
+    );
+
+    return result.rows.map(row => row.id);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record what a wave queued
+ *
+ * @param {number} waveId - Wave ID
+ * @param {Object} results - { queued, skipped: [{ contactId, phoneNumber, name, error }], covered }
+ */
+export async function completeSendWave(waveId, results) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE send_waves
+       SET status = 'completed', completed_at = NOW(), updated_at = NOW(),
+           queued_count = $2, skipped = $3, covered_count = $4
+       WHERE id = $1`,
+      [waveId, results.queued, JSON.stringify(results.skipped), results.covered]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark a wave that could not be queued as failed
+ *
+ * @param {number} waveId - Wave ID
+ * @param {string} error - What went wrong
+ */
+export async function failSendWave(waveId, error) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE send_waves
+       SET status = 'failed', error = $2, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [waveId, error]
+    );
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,97 @@
+import { getOwnerSendWindow, setOwnerSendWindow, getEventSendWindow, setEventSendWindow } from './sendWindowsRepository.js';
+import { normalizeSendWindow, resolveSendWindow, DEFAULT_SEND_WINDOW } from '../dialog360/sendWindow.js';
+
+/**
+ * Send Window Endpoints
+ *
+ * Hours and days queued WhatsApp messages may go out (see
+ * Services/dialog360/sendWindow.js). `sendWindow` is what the owner or
+ * event overrides, `effective` the policy that applies.
+ */
+
+/**
+ * GET /api/user/send-window
+ */
+export async function getUserSendWindow(req, res) {
+  try {
+    const sendWindow = await getOwnerSendWindow(req.user.email);
+
+    res.json({
+      success: true,
+      sendWindow,
+      effective: resolveSendWindow(sendWindow),
+      defaults: DEFAULT_SEND_WINDOW
+    });
+  } catch (err) {
+    console.error('Error fetching send window:', err);
+    res.status(500).json({ error: 'Failed to fetch send window' });
+  }
+}
+
+/**
+ * PUT /api/user/send-window
+ * Body: { sendWindow: { startHour, endHour, observeShabbat } | null }
+ */
+export async function updateUserSendWindow(req, res) {
+  const { config, error } = normalizeSendWindow(req.body.sendWindow);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const updated = await setOwnerSendWindow(req.user.email, config);
+
+    if (!updated) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`🌙 Send window for ${req.user.email}: ${config ? JSON.stringify(config) : 'defaults'}`);
+    res.json({ success: true, sendWindow: config, effective: resolveSendWindow(config) });
+  } catch (err) {
+    console.error('Error updating send window:', err);
+    res.status(500).json({ error: 'Failed to update send window' });
+  }
+}
+
+/**
+ * GET /api/events/:eventId/send-window
+ * null sendWindow = the owner's policy applies
+ */
+export async function getEventSendWindowEndpoint(req, res) {
+  try {
+    const { eventWindow, ownerWindow } = await getEventSendWindow(req.params.eventId);
+
+    res.json({
+      success: true,
+      sendWindow: eventWindow,
+      effective: resolveSendWindow(ownerWindow, eventWindow)
+    });
+  } catch (err) {
+    console.error('Error fetching event send window:', err);
+    res.status(500).json({ error: 'Failed to fetch event send window' });
+  }
+}
+
+/**
+ * PUT /api/events/:eventId/send-window
+ * Body: { sendWindow: { startHour, endHour, observeShabbat } | null }
+ */
+export async function updateEventSendWindowEndpoint(req, res) {
+  const { config, error } = normalizeSendWindow(req.body.sendWindow);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await setEventSendWindow(req.params.eventId, config);
+    const { ownerWindow } = await getEventSendWindow(req.params.eventId);
+
+    console.log(`🌙 Send window for event ${req.params.eventId}: ${config ? JSON.stringify(config) : "owner's"}`);
+    res.json({ success: true, sendWindow: config, effective: resolveSendWindow(ownerWindow, config) });
+  } catch (err) {
+    console.error('Error updating event send window:', err);
+    res.status(500).json({ error: 'Failed to update event send window' });
+  }
+}
@@ -0,0 +1,116 @@
+import pool from '../../db/db.js';
+import { normalizeSendWindow } from '../dialog360/sendWindow.js';
+
+/**
+ * Send Windows Database Repository
+ *
+ * Owner (users.send_window) and event (events.send_window) send-window
+ * policies, and the guest time zone (contacts.timezone) the outbound worker
+ * checks them in. The policy rules live in Services/dialog360/sendWindow.js.
+ */
+
+/**
+ * Get an owner's send-window policy
+ *
+ * @param {string} email - Owner email
+ * @returns {Promise<Object|null>} Normalized policy, null when the defaults apply
+ */
+export async function getOwnerSendWindow(email) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query('SELECT send_window FROM users WHERE email = $1', [email]);
+    return normalizeSendWindow(result.rows[0]?.send_window).config;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Set an owner's send-window policy
+ *
+ * @param {string} email - Owner email
+ * @param {Object|null} config - Normalized policy
+ * @returns {Promise<boolean>} False if the user does not exist
+ */
+export async function setOwnerSendWindow(email, config) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query('UPDATE users SET send_window = $2 WHERE email = $1', [email, config]);
+    return result.rowCount > 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get an event's send-window policy and its owner's
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<{ eventWindow: Object|null, ownerWindow: Object|null }>}
+ */
+export async function getEventSendWindow(eventId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT e.send_window AS event_window, u.send_window AS owner_window
+       FROM events e
+       LEFT JOIN users u ON u.email = e.owner_email
+       WHERE e.id = $1`,
+      [eventId]
+    );
+
+    return {
+      eventWindow: normalizeSendWindow(result.rows[0]?.event_window).config,
+      ownerWindow: normalizeSendWindow(result.rows[0]?.owner_window).config
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Set an event's send-window policy
+ *
+ * @param {string} eventId - Event ID
+ * @param {Object|null} config - Normalized policy (null = the owner's applies)
+ */
+export async function setEventSendWindow(eventId, config) {
+  const client = await pool.connect();
+  try {
+    await client.query('UPDATE events SET send_window = $2 WHERE id = $1', [eventId, config]);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Send-window settings of a queued message's recipient
+ * Messages without an event_messages row only get the platform defaults.
+ *
+ * @param {number} outboundMessageId - outbound_messages row
+ * @returns {Promise<{ ownerWindow: Object|null, eventWindow: Object|null, timezone: string|null }>}
+ */
+export async function getOutboundSendWindow(outboundMessageId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT u.send_window AS owner_window, e.send_window AS event_window, c.timezone
+       FROM outbound_messages om
+       JOIN event_messages em ON em.id = om.event_message_id
+       JOIN events e ON e.id = em.event_id
+       LEFT JOIN users u ON u.email = e.owner_email
+       LEFT JOIN contacts c ON c.id = em.contact_id
+       WHERE om.id = $1`,
+      [outboundMessageId]
+    );
+
+    const row = result.rows[0];
+    return {
+      ownerWindow: row?.owner_window ?? null,
+      eventWindow: row?.event_window ?? null,
+      timezone: row?.timezone ?? null
+    };
+  } finally {
+    client.release();
+  }
+}
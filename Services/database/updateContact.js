@@ -1,9 +1,12 @@
 import pool from "../../db/db.js";
+import { saveContactPhones } from "./contactPhonesRepository.js";
+import { normalizeLanguage, SUPPORTED_LANGUAGES } from "../utils/languages.js";
+import { isValidTimeZone } from "../dialog360/sendWindow.js";
 
 export async function updateContact(req, res) {
   try {
     const { id } = req.params;
-    const { displayName, phoneNumber } = req.body;
+    const { displayName, phoneNumber, preferredLanguage, timezone } = req.body;
 
     if (!id || !displayName || !phoneNumber) {
       return res.status(400).json({ 
@@ -11,19 +14,40 @@ export async function updateContact(req, res) {
       });
     }
 
+    // Optional: undefined keeps the current language, null clears it (Hebrew)
+    const language = preferredLanguage ? normalizeLanguage(preferredLanguage) : null;
+
+    if (preferredLanguage && !language) {
+      return res.status(400).json({ 
+        message: `preferredLanguage must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` 
+      });
+    }
+
+    // Optional: undefined keeps the current time zone, null uses the phone number's country
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ 
+        message: "timezone must be an IANA time zone (e.g. Europe/London)" 
+      });
+    }
+
     const client = await pool.connect();
 
     try {
+      await client.query('BEGIN');
+
       // Update the contact in the main contacts table
       const result = await client.query(
         `UPDATE contacts 
-         SET display_name = $1, phone_number = $2 
+         SET display_name = $1, phone_number = $2,
+             preferred_language = CASE WHEN $4::boolean THEN $5::text ELSE preferred_language END,
+             timezone = CASE WHEN $6::boolean THEN $7::text ELSE timezone END
          WHERE id = $3 
          RETURNING *`,
-        [displayName, phoneNumber, id]
+        [displayName, phoneNumber, id, preferredLanguage !== undefined, language, timezone !== undefined, timezone || null]
       );
 
       if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
         return res.status(404).json({ 
           message: "Contact not found" 
         });
@@ -31,17 +55,25 @@ export async function updateContact(req, res) {
 
       const updatedContact = result.rows[0];
 
+      await saveContactPhones(client, [updatedContact.id]);
+      await client.query('COMMIT');
+
       res.status(200).json({
         message: "Contact updated successfully",
         contact: {
           id: updatedContact.id,
           displayName: updatedContact.display_name,
           phoneNumber: updatedContact.phone_number,
+          preferredLanguage: updatedContact.preferred_language,
+          timezone: updatedContact.timezone,
           contactSource: updatedContact.contact_source,
           contactOwner: updatedContact.contact_owner
         }
       });
 
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally {
       client.release();
     }
@@ -12,68 +12,21 @@ export async function updateEvent(req, res) {
   try {
     await client.query('BEGIN');
 
-    // Check if venue_name column exists
-    const columnCheck = await client.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'events' AND column_name = 'venue_name'
-    `);
-    const hasVenueNameColumn = columnCheck.rows.length > 0;
-
-    // Check if event_time column exists
-    const timeColumnCheck = await client.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'events' AND column_name = 'event_time'
-    `);
-    const hasEventTimeColumn = timeColumnCheck.rows.length > 0;
-
     const eventDate = eventData.event_date && eventData.event_date.trim() !== '' ? eventData.event_date : null;
 
-    let updateQuery;
-    let queryParams;
-    
-    if (hasVenueNameColumn && hasEventTimeColumn) {
-      updateQuery = `
-        UPDATE events SET
-          event_type = $1,
-          venue_name = $2,
-          location = $3,
-          celebrator1_name = $4,
-          celebrator2_name = $5,
-          event_name = $6,
-          event_date = $7,
-          image_url = $8,
-          event_time = $9
-        WHERE id = $10 AND owner_email = $11
-      `;
-      queryParams = [
-        eventData.eventType,
-        eventData.venue_name,
-        eventData.venue_address,
-        eventData.groom_name || eventData.bride_name || eventData.bar_mitzvah_boy_name || eventData.bat_mitzvah_girl_name || eventData.brit_milah_boy_name,
-        eventData.bride_name,
-        eventData.event_name,
-        eventDate,
-        eventData.imageUrl,
-        eventData.event_time,
-        eventId,
-        eventData.owner_email
-      ];
-    } else if (hasVenueNameColumn && !hasEventTimeColumn) {
-      updateQuery = `
-        UPDATE events SET
-          event_type = $1,
-          venue_name = $2,
-          location = $3,
-          celebrator1_name = $4,
-          celebrator2_name = $5,
-          event_name = $6,
-          event_date = $7,
-          image_url = $8
-        WHERE id = $9 AND owner_email = $10
-      `;
-      queryParams = [
+    const result = await client.query(
+      `UPDATE events SET
+        event_type = $1,
+        venue_name = $2,
+        location = $3,
+        celebrator1_name = $4,
+        celebrator2_name = $5,
+        event_name = $6,
+        event_date = $7,
+        image_url = $8,
+        event_time = $9
+      WHERE id = $10 AND owner_email = $11`,
+      [
         eventData.eventType,
         eventData.venue_name,
         eventData.venue_address,
@@ -82,61 +35,11 @@ export async function updateEvent(req, res) {
         eventData.event_name,
         eventDate,
         eventData.imageUrl,
-        eventId,
-        eventData.owner_email
-      ];
-    } else if (!hasVenueNameColumn && hasEventTimeColumn) {
-      updateQuery = `
-        UPDATE events SET
-          event_type = $1,
-          location = $2,
-          celebrator1_name = $3,
-          celebrator2_name = $4,
-          event_name = $5,
-          event_date = $6,
-          image_url = $7,
-          event_time = $8
-        WHERE id = $9 AND owner_email = $10
-      `;
-      queryParams = [
-        eventData.eventType,
-        eventData.venue_address,
-        eventData.groom_name || eventData.bride_name || eventData.bar_mitzvah_boy_name || eventData.bat_mitzvah_girl_name || eventData.brit_milah_boy_name,
-        eventData.bride_name,
-        eventData.event_name,
-        eventDate,
-        eventData.imageUrl,
         eventData.event_time,
         eventId,
-        eventData.owner_email
-      ];
-    } else {
-      // Fallback without venue_name and event_time columns
-      updateQuery = `
-        UPDATE events SET
-          event_type = $1,
-          location = $2,
-          celebrator1_name = $3,
-          celebrator2_name = $4,
-          event_name = $5,
-          event_date = $6,
-          image_url = $7
-        WHERE id = $8 AND owner_email = $9
-      `;
-      queryParams = [
-        eventData.eventType,
-        eventData.venue_address,
-        eventData.groom_name || eventData.bride_name || eventData.bar_mitzvah_boy_name || eventData.bat_mitzvah_girl_name || eventData.brit_milah_boy_name,
-        eventData.bride_name,
-        eventData.event_name,
-        eventDate,
-        eventData.imageUrl,
-        eventId,
-        eventData.owner_email
-      ];
-    }
-
-    const result = await client.query(updateQuery, queryParams);
+        req.user.email
+      ]
+    );
 
     if (result.rowCount === 0) {
       await client.query('ROLLBACK');
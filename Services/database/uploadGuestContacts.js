@@ -1,17 +1,14 @@
+import jwt from 'jsonwebtoken';
 import pool from '../../db/db.js';
 
 export async function uploadGuestContacts(req, res) {
   try {
-    const { contacts, invitedBy, token, guestName, guestNotes } = req.body;
+    const { contacts, token, guestName, guestNotes } = req.body;
 
     if (!contacts || !Array.isArray(contacts) || contacts.length === 0) {
       return res.status(400).json({ error: 'No contacts provided' });
     }
 
-    if (!invitedBy) {
-      return res.status(400).json({ error: 'InvitedBy email is required' });
-    }
-
     if (!token) {
       return res.status(400).json({ error: 'Token is required' });
     }
@@ -20,8 +17,23 @@ export async function uploadGuestContacts(req, res) {
       return res.status(400).json({ error: 'Guest name is required' });
     }
 
-    // TODO: Validate JWT token here when we implement the validation
-    // For now, we'll just log the data and proceed
+    // The inviter comes from the signed invitation token, not from the request body
+    let invitedBy;
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      if (decoded.type !== 'guest-upload' || !decoded.invitedBy) {
+        return res.status(401).json({ error: 'Invalid token type' });
+      }
+
+      if (decoded.expiresAt < Date.now()) {
+        return res.status(401).json({ error: 'Invitation expired' });
+      }
+
+      invitedBy = decoded.invitedBy;
+    } catch (tokenError) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
     
     console.log('Guest contacts upload:', {
       contactsCount: contacts.length,
@@ -0,0 +1,245 @@
+import pool from '../../db/db.js';
+
+/**
+ * WhatsApp Upload Sessions Database Repository
+ *
+ * Handles all database operations for whatsapp_upload_sessions - the
+ * database-backed replacement for the in-memory contact buffers used by the
+ * WhatsApp contact-upload flow. Sessions survive restarts and are shared by
+ * every server instance.
+ */
+
+/**
+ * Find the open upload session for a sender phone number
+ *
+ * @param {string} senderPhone - Sender phone number (as received from WhatsApp)
+ * @returns {Promise<Object|null>} Session row (with contact_count and is_accepting) or null
+ */
+export async function findActiveUploadSession(senderPhone) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT *,
+              jsonb_array_length(contacts) AS contact_count,
+              accepting_until > NOW() AS is_accepting
+       FROM whatsapp_upload_sessions
+       WHERE sender_phone = $1 AND status = 'active'`,
+      [senderPhone]
+    );
+
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Open an upload session for a validated token, or resume the sender's open
+ * session when it belongs to the same user (contacts already sent are kept)
+ *
+ * @param {Object} params
+ * @param {string} params.senderPhone - Sender phone number
+ * @param {Object} params.user - Token owner ({ id, email })
+ * @param {string} params.tokenId - ID of the upload token that was validated
+ * @param {number} params.acceptingMinutes - How long contact cards are accepted
+ * @returns {Promise<{ session: Object, resumed: boolean }>}
+ */
+export async function openUploadSession({ senderPhone, user, tokenId, acceptingMinutes }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT id FROM whatsapp_upload_sessions
+       WHERE sender_phone = $1 AND status = 'active' AND user_id = $2
+       FOR UPDATE`,
+      [senderPhone, user.id]
+    );
+
+    let result;
+    if (existing.rows.length > 0) {
+      result = await client.query(
+        `UPDATE whatsapp_upload_sessions
+         SET upload_token_id = $2,
+             accepting_until = NOW() + ($3 || ' minutes')::interval,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *, jsonb_array_length(contacts) AS contact_count`,
+        [existing.rows[0].id, tokenId, String(acceptingMinutes)]
+      );
+    } else {
+      result = await client.query(
+        `INSERT INTO whatsapp_upload_sessions (sender_phone, user_id, user_email, upload_token_id, accepting_until)
+         VALUES ($1, $2, $3, $4, NOW() + ($5 || ' minutes')::interval)
+         RETURNING *, jsonb_array_length(contacts) AS contact_count`,
+        [senderPhone, user.id, user.email, tokenId, String(acceptingMinutes)]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return { session: result.rows[0], resumed: existing.rows.length > 0 };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Append contact cards to an open session and push back its finalization time
+ *
+ * @param {number} sessionId - Session ID
+ * @param {Array} contacts - Parsed contacts ({ name, phone, email })
+ * @param {number} idleMinutes - Minutes of inactivity before the sweeper finalizes
+ * @returns {Promise<number|null>} Total contacts in the session, or null if it is no longer open
+ */
+export async function appendContactsToSession(sessionId, contacts, idleMinutes) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE whatsapp_upload_sessions
+       SET contacts = contacts || $2::jsonb,
+           finalize_after = NOW() + ($3 || ' minutes')::interval,
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'active'
+       RETURNING jsonb_array_length(contacts) AS contact_count`,
+      [sessionId, JSON.stringify(contacts), String(idleMinutes)]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].contact_count : null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Finalize a session atomically
+ * Locks the session, saves its contacts to guest_contact_uploads / guest_contacts
+ * and closes it in one transaction, so a contact list is saved exactly once even
+ * when "סיימתי" and the sweeper race, or several instances sweep together.
+ *
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<Object|null>} { status: 'completed'|'expired', session, uploadId, contactCount },
+ *   or null when the session was already finalized or is being finalized elsewhere
+ */
+export async function finalizeUploadSession(sessionId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const locked = await client.query(
+      `SELECT * FROM whatsapp_upload_sessions
+       WHERE id = $1 AND status = 'active'
+       FOR UPDATE SKIP LOCKED`,
+      [sessionId]
+    );
+
+    if (locked.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const session = locked.rows[0];
+    const contacts = session.contacts || [];
+
+    if (contacts.length === 0) {
+      await client.query(
+        `UPDATE whatsapp_upload_sessions
+         SET status = 'expired', finalized_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [sessionId]
+      );
+      await client.query('COMMIT');
+      return { status: 'expired', session, uploadId: null, contactCount: 0 };
+    }
+
+    // Insert into guest_contact_uploads table
+    const uploadResult = await client.query(
+      `INSERT INTO guest_contact_uploads
+       (invited_by_email, guest_name, guest_notes, token, sender_phone)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING upload_id`,
+      [
+        session.user_email,
+        'משתמש WhatsApp', // guest_name in Hebrew
+        'אנשי קשר נשלחו דרך WhatsApp', // guest_notes in Hebrew
+        'whatsapp_upload', // token identifier
+        session.sender_phone
+      ]
+    );
+
+    const uploadId = uploadResult.rows[0].upload_id;
+
+    // Insert contacts into guest_contacts table
+    for (const contact of contacts) {
+      await client.query(
+        `INSERT INTO guest_contacts
+         (upload_id, display_name, phone_number, email, invited_by, contact_source, canonical_form)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          uploadId,
+          contact.name || '',
+          contact.phone || '',
+          contact.email || '',
+          session.user_email,
+          'whatsapp_upload', // contact_source
+          contact.name || '' // canonical_form
+        ]
+      );
+    }
+
+    await client.query(
+      `UPDATE whatsapp_upload_sessions
+       SET status = 'completed', upload_id = $2, finalized_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [sessionId, uploadId]
+    );
+
+    if (session.upload_token_id) {
+      await client.query(
+        'UPDATE whatsapp_upload_tokens SET contacts_received = contacts_received + $2 WHERE id = $1',
+        [session.upload_token_id, contacts.length]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return { status: 'completed', session, uploadId, contactCount: contacts.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find open sessions the sweeper should finalize:
+ * - sessions with contacts whose idle period (finalize_after) has passed
+ * - empty sessions whose acceptance window has closed
+ *
+ * @param {number} limit - Maximum number of sessions to return
+ * @returns {Promise<number[]>} Session IDs
+ */
+export async function findDueUploadSessionIds(limit = 50) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT id FROM whatsapp_upload_sessions
+       WHERE status = 'active'
+         AND (
+           (jsonb_array_length(contacts) > 0 AND finalize_after <= NOW())
+           OR (jsonb_array_length(contacts) = 0 AND accepting_until <= NOW())
+         )
+       ORDER BY id ASC
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows.map(row => row.id);
+  } finally {
+    client.release();
+  }
+}
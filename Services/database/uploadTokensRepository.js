@@ -0,0 +1,156 @@
+import pool from '../../db/db.js';
+
+/**
+ * WhatsApp Upload Tokens Database Repository
+ *
+ * Handles all database operations for whatsapp_upload_tokens. Token strings
+ * are built and verified in Services/dialog360/uploadTokens.js.
+ */
+
+/**
+ * Create a token for a user, revoking the user's other active tokens
+ *
+ * @param {string} tokenId - Random token ID
+ * @param {number} userId - Owner user ID
+ * @param {number} expiryDays - Days until the token expires
+ * @returns {Promise<Object>} Created token row
+ */
+export async function createUploadToken(tokenId, userId, expiryDays) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE whatsapp_upload_tokens
+       SET revoked_at = NOW()
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+      [userId]
+    );
+
+    const result = await client.query(
+      `INSERT INTO whatsapp_upload_tokens (id, user_id, expires_at)
+       VALUES ($1, $2, NOW() + ($3 || ' days')::interval)
+       RETURNING *`,
+      [tokenId, userId, String(expiryDays)]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find a token and its owner by token ID
+ *
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<Object|null>} Token row with user_email / user_name and is_active, or null
+ */
+export async function findUploadTokenById(tokenId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT t.*, u.email AS user_email, u.name AS user_name,
+              (t.revoked_at IS NULL AND t.expires_at > NOW()) AS is_active
+       FROM whatsapp_upload_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.id = $1`,
+      [tokenId]
+    );
+
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find the user's current (not revoked, not expired) token
+ *
+ * @param {string} userEmail - Owner email
+ * @returns {Promise<Object|null>} Token row or null
+ */
+export async function findActiveUploadTokenForUser(userEmail) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT t.*
+       FROM whatsapp_upload_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE u.email = $1 AND t.revoked_at IS NULL AND t.expires_at > NOW()
+       ORDER BY t.created_at DESC
+       LIMIT 1`,
+      [userEmail]
+    );
+
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record that a guest validated the token
+ *
+ * @param {string} tokenId - Token ID
+ */
+export async function recordUploadTokenUse(tokenId) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE whatsapp_upload_tokens
+       SET use_count = use_count + 1, last_used_at = NOW()
+       WHERE id = $1`,
+      [tokenId]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke the user's active tokens and stop their open upload sessions from
+ * accepting more contacts (contacts already received are still saved)
+ *
+ * @param {string} userEmail - Owner email
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+export async function revokeUploadTokensForUser(userEmail) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE whatsapp_upload_tokens t
+       SET revoked_at = NOW()
+       FROM users u
+       WHERE u.id = t.user_id AND u.email = $1
+         AND t.revoked_at IS NULL AND t.expires_at > NOW()
+       RETURNING t.id`,
+      [userEmail]
+    );
+
+    const tokenIds = result.rows.map(row => row.id);
+
+    if (tokenIds.length > 0) {
+      await client.query(
+        `UPDATE whatsapp_upload_sessions
+         SET accepting_until = LEAST(accepting_until, NOW()), updated_at = NOW()
+         WHERE upload_token_id = ANY($1) AND status = 'active'`,
+        [tokenIds]
+      );
+    }
+
+    await client.query('COMMIT');
+    return tokenIds.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
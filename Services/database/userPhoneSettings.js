@@ -0,0 +1,55 @@
+import { getUserDefaultCountry, setUserDefaultCountry } from './usersRepository.js';
+import { PHONE_COUNTRIES, isSupportedPhoneCountry } from '../utils/phoneCountries.js';
+
+/**
+ * User Phone Settings Endpoints
+ *
+ * The default country is used to read local phone numbers (without +)
+ * when contacts are imported and invitations are sent.
+ */
+
+function listCountries() {
+  return Object.entries(PHONE_COUNTRIES).map(([code, country]) => ({
+    code,
+    name: country.name,
+    dialCode: country.dialCode
+  }));
+}
+
+/**
+ * GET /api/user/default-country
+ */
+export async function getDefaultCountry(req, res) {
+  try {
+    const defaultCountry = await getUserDefaultCountry(req.user.email);
+    res.json({ success: true, defaultCountry, countries: listCountries() });
+  } catch (err) {
+    console.error('Error fetching default country:', err);
+    res.status(500).json({ error: 'Failed to fetch default country' });
+  }
+}
+
+/**
+ * PUT /api/user/default-country
+ * Body: { country }
+ */
+export async function updateDefaultCountry(req, res) {
+  const { country } = req.body;
+
+  if (!isSupportedPhoneCountry(country)) {
+    return res.status(400).json({ error: 'Unsupported country' });
+  }
+
+  try {
+    const updated = await setUserDefaultCountry(req.user.email, country.toUpperCase());
+
+    if (!updated) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, defaultCountry: country.toUpperCase() });
+  } catch (err) {
+    console.error('Error updating default country:', err);
+    res.status(500).json({ error: 'Failed to update default country' });
+  }
+}
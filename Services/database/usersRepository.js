@@ -0,0 +1,61 @@
+import pool from '../../db/db.js';
+import { DEFAULT_PHONE_COUNTRY } from '../utils/phoneCountries.js';
+import { saveOwnerContactPhones } from './contactPhonesRepository.js';
+
+/**
+ * Users Database Repository
+ *
+ * Per-user settings stored on the users table.
+ */
+
+/**
+ * Get the country local phone numbers of this user are read in
+ *
+ * @param {string} email - User email
+ * @returns {Promise<string>} ISO country code (IL when the user is unknown)
+ */
+export async function getUserDefaultCountry(email) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT default_country FROM users WHERE email = $1',
+      [email]
+    );
+
+    return result.rows[0]?.default_country || DEFAULT_PHONE_COUNTRY;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Set the default phone country of a user
+ * The user's contact numbers are normalized again in the new country.
+ *
+ * @param {string} email - User email
+ * @param {string} countryCode - ISO country code (must be in PHONE_COUNTRIES)
+ * @returns {Promise<boolean>} False if the user does not exist
+ */
+export async function setUserDefaultCountry(email, countryCode) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'UPDATE users SET default_country = $2 WHERE email = $1',
+      [email, countryCode]
+    );
+
+    if (result.rowCount > 0) {
+      await saveOwnerContactPhones(client, email);
+    }
+
+    await client.query('COMMIT');
+    return result.rowCount > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
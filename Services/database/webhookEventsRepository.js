@@ -0,0 +1,140 @@
+import pool from '../../db/db.js';
+
+/**
+ * Webhook Events Database Repository
+ *
+ * Handles all database operations for the Dialog360 webhook ledger
+ * (webhook_events) and the rejected-request log (webhook_rejections).
+ */
+
+// A claim still 'processing' after this long is assumed abandoned (crash mid-processing)
+const STALE_CLAIM_MINUTES = 5;
+
+/**
+ * Claim a webhook event for processing
+ * Returns false when the event was already processed, or is being processed
+ * by another request right now.
+ *
+ * @param {string} eventKey - Ledger key (e.g. "message:wamid..." or "status:wamid...:read")
+ * @param {string} eventType - 'message' | 'status'
+ * @returns {Promise<boolean>} True if the caller should process the event
+ */
+export async function claimWebhookEvent(eventKey, eventType) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `INSERT INTO webhook_events (event_key, event_type)
+       VALUES ($1, $2)
+       ON CONFLICT (event_key) DO UPDATE
+         SET claimed_at = NOW(), attempts = webhook_events.attempts + 1
+         WHERE webhook_events.status = 'processing'
+           AND webhook_events.claimed_at < NOW() - ($3 || ' minutes')::interval
+       RETURNING event_key`,
+      [eventKey, eventType, String(STALE_CLAIM_MINUTES)]
+    );
+
+    return result.rows.length > 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark a claimed webhook event as processed
+ *
+ * @param {string} eventKey - Ledger key
+ */
+export async function markWebhookEventProcessed(eventKey) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE webhook_events
+       SET status = 'processed', processed_at = NOW()
+       WHERE event_key = $1`,
+      [eventKey]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Release a claim whose processing failed
+ * The event is no longer in the ledger, so its redelivery is processed.
+ *
+ * @param {string} eventKey - Ledger key
+ */
+export async function releaseWebhookEvent(eventKey) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `DELETE FROM webhook_events WHERE event_key = $1 AND status = 'processing'`,
+      [eventKey]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete ledger entries older than the given number of days
+ * Dialog360 only redelivers for a limited time, so old keys are no longer needed.
+ *
+ * @param {number} days - Retention in days
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function pruneWebhookEvents(days) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `DELETE FROM webhook_events WHERE claimed_at < NOW() - ($1 || ' days')::interval`,
+      [String(days)]
+    );
+    return result.rowCount;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Log a rejected webhook request
+ *
+ * @param {Object} rejection
+ * @param {string} rejection.reason - Why the request was rejected
+ * @param {string} rejection.remoteIp - Caller IP
+ * @param {Object} rejection.headers - Request headers (secrets already masked, values truncated)
+ * @param {string} rejection.body - Start of the raw request body
+ * @param {number} rejection.bodyLength - Length of the whole body in bytes
+ * @param {string} rejection.bodySha256 - Hex SHA-256 digest of the whole body
+ */
+export async function insertWebhookRejection({ reason, remoteIp, headers, body, bodyLength, bodySha256 }) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `INSERT INTO webhook_rejections (reason, remote_ip, headers, body, body_length, body_sha256)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [reason, remoteIp, JSON.stringify(headers || {}), body, bodyLength, bodySha256]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete logged rejections older than the given number of days
+ *
+ * @param {number} days - Retention in days
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function pruneWebhookRejections(days) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `DELETE FROM webhook_rejections WHERE created_at < NOW() - ($1 || ' days')::interval`,
+      [String(days)]
+    );
+    return result.rowCount;
+  } finally {
+    client.release();
+  }
+}
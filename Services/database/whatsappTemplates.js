@@ -0,0 +1,84 @@
+import { listWhatsAppTemplates, setTemplateVariableMapping } from './whatsappTemplatesRepository.js';
+import { syncTemplatesFromDialog360, refreshTemplateRegistry } from '../templates/templateSync.js';
+import { normalizeVariableMapping, TEMPLATE_FIELD_NAMES } from '../templates/templateConfigurations.js';
+
+/**
+ * WhatsApp Template Registry Admin Endpoints
+ *
+ * The templates synced from the WhatsApp Business account and their variable
+ * mappings (see templateConfigurations.js for the mapping format).
+ * All routes require requireAdmin.
+ */
+
+/**
+ * GET /api/admin/templates?status=approved
+ */
+export async function getWhatsAppTemplates(req, res) {
+  try {
+    const templates = await listWhatsAppTemplates({ status: req.query.status || null });
+    res.json({ success: true, templates, fields: TEMPLATE_FIELD_NAMES });
+  } catch (err) {
+    console.error('Error fetching WhatsApp templates:', err);
+    res.status(500).json({ error: 'Failed to fetch WhatsApp templates' });
+  }
+}
+
+/**
+ * POST /api/admin/templates/sync
+ * Import the account's templates from Dialog360 now
+ */
+export async function syncWhatsAppTemplatesEndpoint(req, res) {
+  try {
+    const result = await syncTemplatesFromDialog360();
+    console.log(`🔄 WhatsApp templates synced by ${req.user.email}`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error syncing WhatsApp templates:', err);
+    res.status(502).json({ error: `Failed to sync WhatsApp templates: ${err.message}` });
+  }
+}
+
+/**
+ * PUT /api/admin/templates/:templateId/variable-mapping
+ * Body: { variableMapping: [{ parameter, value }] | null }
+ * null goes back to the template's built-in configuration.
+ */
+export async function updateTemplateVariableMapping(req, res) {
+  const templateId = parseInt(req.params.templateId, 10);
+
+  if (!Number.isInteger(templateId)) {
+    return res.status(400).json({ error: 'Invalid templateId' });
+  }
+
+  const raw = req.body?.variableMapping;
+
+  if (raw === undefined) {
+    return res.status(400).json({ error: 'variableMapping is required' });
+  }
+
+  let mapping = null;
+
+  if (raw !== null) {
+    const normalized = normalizeVariableMapping(raw);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+    mapping = normalized.mapping;
+  }
+
+  try {
+    const template = await setTemplateVariableMapping(templateId, mapping);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await refreshTemplateRegistry();
+
+    console.log(`🧩 Variable mapping of template "${template.name}" (${template.language}) updated by ${req.user.email}`);
+    res.json({ success: true, template });
+  } catch (err) {
+    console.error('Error updating template variable mapping:', err);
+    res.status(500).json({ error: 'Failed to update template variable mapping' });
+  }
+}
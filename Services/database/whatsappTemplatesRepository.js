@@ -0,0 +1,159 @@
+import pool from '../../db/db.js';
+
+/**
+ * WhatsApp Templates Database Repository
+ *
+ * The template registry (whatsapp_templates): one row per template language
+ * variant, synced from the WhatsApp Business account (see
+ * Services/templates/templateSync.js), with the variable mapping that fills
+ * its body parameters.
+ *
+ * Statuses follow WhatsApp (approved, pending, rejected, paused, disabled...),
+ * plus 'deleted' for variants the account no longer has.
+ */
+
+function formatTemplate(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    language: row.language,
+    category: row.category,
+    status: row.status,
+    components: row.components,
+    variableMapping: row.variable_mapping,
+    externalId: row.external_id,
+    rejectedReason: row.rejected_reason,
+    syncedAt: row.synced_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Templates in the registry
+ *
+ * @param {Object} filters
+ * @param {string} filters.status - Only variants with this status (optional)
+ * @returns {Promise<Array>}
+ */
+export async function listWhatsAppTemplates({ status = null } = {}) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT * FROM whatsapp_templates
+       WHERE ($1::text IS NULL OR status = $1)
+       ORDER BY name ASC, language ASC`,
+      [status]
+    );
+
+    return result.rows.map(formatTemplate);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Approved variants, as loaded into the in-memory registry
+ *
+ * @returns {Promise<Array>} whatsapp_templates rows
+ */
+export async function getApprovedTemplateRows() {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT * FROM whatsapp_templates WHERE status = 'approved' ORDER BY name ASC, language ASC`
+    );
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Store the templates of the WhatsApp Business account
+ * Status, category and components are updated and variable mappings kept;
+ * variants the account no longer lists are marked deleted.
+ *
+ * @param {Array<Object>} templates - [{ name, language, category, status, components, externalId, rejectedReason }]
+ * @returns {Promise<Object>} { created, updated, deleted }
+ */
+export async function saveSyncedTemplates(templates) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const stats = { created: 0, updated: 0, deleted: 0 };
+
+    for (const template of templates) {
+      const result = await client.query(
+        `INSERT INTO whatsapp_templates (
+          name, language, category, status, components, external_id, rejected_reason, synced_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+        ON CONFLICT (name, language) DO UPDATE SET
+          category = EXCLUDED.category,
+          status = EXCLUDED.status,
+          components = EXCLUDED.components,
+          external_id = EXCLUDED.external_id,
+          rejected_reason = EXCLUDED.rejected_reason,
+          synced_at = NOW(),
+          updated_at = NOW()
+        RETURNING (xmax = 0) AS created`,
+        [
+          template.name,
+          template.language,
+          template.category,
+          template.status,
+          JSON.stringify(template.components),
+          template.externalId,
+          template.rejectedReason
+        ]
+      );
+
+      stats[result.rows[0].created ? 'created' : 'updated']++;
+    }
+
+    const deleted = await client.query(
+      `UPDATE whatsapp_templates
+       SET status = 'deleted', synced_at = NOW(), updated_at = NOW()
+       WHERE status <> 'deleted'
+         AND (name, language) NOT IN (
+           SELECT * FROM UNNEST($1::text[], $2::text[])
+         )`,
+      [templates.map(template => template.name), templates.map(template => template.language)]
+    );
+    stats.deleted = deleted.rowCount;
+
+    await client.query('COMMIT');
+    return stats;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Set how a template variant's body parameters are filled
+ *
+ * @param {number} templateId - whatsapp_templates.id
+ * @param {Array|null} mapping - Variable mapping, or null for the built-in configuration
+ * @returns {Promise<Object|null>} The template, or null if not found
+ */
+export async function setTemplateVariableMapping(templateId, mapping) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE whatsapp_templates
+       SET variable_mapping = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [templateId, mapping === null ? null : JSON.stringify(mapping)]
+    );
+
+    return result.rows[0] ? formatTemplate(result.rows[0]) : null;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Dialog360 API Configuration
+ *
+ * D360_BASE_URL - Dialog360 API base URL (default: https://waba-v2.360dialog.io).
+ *                 Point it at the local mock server (mock/dialog360MockServer.js)
+ *                 to run WhatsApp flows offline.
+ */
+
+const DEFAULT_BASE_URL = 'https://waba-v2.360dialog.io';
+
+/**
+ * @returns {string} Dialog360 API base URL without a trailing slash
+ */
+export function getDialog360BaseUrl() {
+  return (process.env.D360_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * @returns {string} URL of the Dialog360 messages endpoint
+ */
+export function getDialog360MessagesUrl() {
+  return `${getDialog360BaseUrl()}/messages`;
+}
+
+/**
+ * @returns {string} URL of the Dialog360 endpoint listing the account's templates
+ */
+export function getDialog360TemplatesUrl() {
+  return `${getDialog360BaseUrl()}/v1/configs/templates`;
+}
+
+/**
+ * Download URL of WhatsApp media through Dialog360
+ * The media API returns WhatsApp CDN URLs (lookaside.fbsbx.com); Dialog360
+ * serves the same path from its own host.
+ *
+ * @param {string} whatsappUrl - url from the media API
+ * @returns {string}
+ */
+export function getDialog360MediaDownloadUrl(whatsappUrl) {
+  const url = new URL(whatsappUrl);
+  return `${getDialog360BaseUrl()}${url.pathname}${url.search}`;
+}
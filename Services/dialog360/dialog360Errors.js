@@ -0,0 +1,184 @@
+import {
+  insertDialog360Error,
+  findMessageContext,
+  pauseTemplate,
+  resumeTemplate
+} from '../database/dialog360ErrorsRepository.js';
+
+/**
+ * Dialog360 Error Tracking
+ *
+ * Persists errors and account notifications Dialog360 delivers out of band
+ * (webhook `errors`, failed statuses with known codes, template status and
+ * phone-number quality updates). Critical template errors pause the template so
+ * processAutoInvitations stops sending it until an admin resumes it.
+ *
+ * Severity:
+ * - critical: sends cannot succeed until someone acts (template paused/disabled, account locked)
+ * - warning:  throughput or quality problems (rate limits, quality downgrades)
+ * - error:    any other error code
+ * - info:     notifications that need no action (quality upgrade, template approved)
+ */
+
+// Known error codes (WhatsApp Cloud API / Dialog360)
+const ERROR_CLASSIFICATION = {
+  // Template problems - every send of the template will fail
+  132000: { severity: 'critical', category: 'template', pausesTemplate: true },  // Parameter count mismatch
+  132001: { severity: 'critical', category: 'template', pausesTemplate: true },  // Template does not exist
+  132007: { severity: 'critical', category: 'template', pausesTemplate: true },  // Template format policy violated
+  132012: { severity: 'critical', category: 'template', pausesTemplate: true },  // Parameter format mismatch
+  132015: { severity: 'critical', category: 'template', pausesTemplate: true },  // Template paused (low quality)
+  132016: { severity: 'critical', category: 'template', pausesTemplate: true },  // Template disabled
+
+  // Account problems
+  131031: { severity: 'critical', category: 'account' },  // Business account locked
+  131042: { severity: 'critical', category: 'account' },  // Payment issue
+  368: { severity: 'critical', category: 'account' },     // Temporarily blocked for policy violations
+
+  // Rate limits and quality
+  4: { severity: 'warning', category: 'rate_limit' },
+  80007: { severity: 'warning', category: 'rate_limit' },
+  130429: { severity: 'warning', category: 'rate_limit' },
+  131048: { severity: 'warning', category: 'rate_limit' },  // Spam rate limit
+  131056: { severity: 'warning', category: 'rate_limit' },  // Pair rate limit
+  131049: { severity: 'warning', category: 'quality' }      // Not delivered to maintain ecosystem engagement
+};
+
+// message_template_status_update events
+const TEMPLATE_PAUSING_EVENTS = new Set(['PAUSED', 'DISABLED', 'REJECTED', 'PENDING_DELETION']);
+const TEMPLATE_RESUMING_EVENTS = new Set(['APPROVED', 'REINSTATED']);
+
+/**
+ * Classify a Dialog360 error code
+ *
+ * @param {number} code - Error code
+ * @returns {{ severity: string, category: string, pausesTemplate: boolean, known: boolean }}
+ */
+export function classifyDialog360Error(code) {
+  const known = ERROR_CLASSIFICATION[code];
+
+  if (!known) {
+    return { severity: 'error', category: 'other', pausesTemplate: false, known: false };
+  }
+
+  return { pausesTemplate: false, ...known, known: true };
+}
+
+/**
+ * Pause a template after a critical error and log it
+ */
+async function pauseTemplateForError(templateName, reason, errorRow) {
+  const paused = await pauseTemplate(templateName, reason, errorRow.id);
+
+  if (paused) {
+    console.error(`⏸️ Template "${templateName}" paused for auto-invite: ${reason}`);
+  }
+}
+
+/**
+ * Record an error object from the webhook
+ * Links it to the affected message (and through the outbound queue, its
+ * template) when a WhatsApp message ID is known.
+ *
+ * @param {Object} error - Dialog360 error object ({ code, title, message, error_data })
+ * @param {Object} context
+ * @param {string} context.source - 'webhook_error' | 'message_status'
+ * @param {string} context.dialog360MessageId - Affected WhatsApp message ID (optional)
+ * @param {Object} context.value - WhatsApp webhook value object
+ * @returns {Promise<Object>} Stored error row
+ */
+export async function recordDialog360Error(error, { source, dialog360MessageId = null, value = null } = {}) {
+  const classification = classifyDialog360Error(error.code);
+
+  const messageContext = dialog360MessageId ? await findMessageContext(dialog360MessageId) : null;
+  const templateName = messageContext?.templateName || null;
+
+  const errorRow = await insertDialog360Error({
+    source,
+    code: error.code,
+    title: error.title,
+    message: error.message,
+    details: error.error_data?.details,
+    severity: classification.severity,
+    category: classification.category,
+    templateName,
+    eventMessageId: messageContext?.eventMessageId || null,
+    dialog360MessageId,
+    phoneNumberId: value?.metadata?.phone_number_id,
+    payload: error
+  });
+
+  const label = `${error.code} ${error.title || error.message || ''}`.trim();
+
+  if (classification.severity === 'critical') {
+    console.error(`🚨 Critical Dialog360 error: ${label}${templateName ? ` (template ${templateName})` : ''}`);
+  } else {
+    console.warn(`⚠️ Dialog360 error: ${label}`);
+  }
+
+  if (classification.pausesTemplate && templateName) {
+    await pauseTemplateForError(templateName, `Dialog360 error ${label}`, errorRow);
+  }
+
+  return errorRow;
+}
+
+/**
+ * Record a message_template_status_update notification
+ * PAUSED / DISABLED / REJECTED pause the template; APPROVED / REINSTATED resume it.
+ *
+ * @param {Object} value - Webhook value ({ event, message_template_name, reason, ... })
+ * @returns {Promise<Object>} Stored error row
+ */
+export async function recordTemplateStatusUpdate(value) {
+  const event = String(value.event || '').toUpperCase();
+  const templateName = value.message_template_name || null;
+  const pauses = TEMPLATE_PAUSING_EVENTS.has(event);
+
+  const errorRow = await insertDialog360Error({
+    source: 'template_status',
+    code: null,
+    title: `Template ${event}`,
+    message: value.reason || null,
+    details: value.other_info?.description || value.disable_info?.disable_date || null,
+    severity: pauses ? 'critical' : event === 'FLAGGED' ? 'warning' : 'info',
+    category: 'template',
+    templateName,
+    payload: value
+  });
+
+  if (templateName && pauses) {
+    await pauseTemplateForError(templateName, `Template ${event}${value.reason ? `: ${value.reason}` : ''}`, errorRow);
+  } else if (templateName && TEMPLATE_RESUMING_EVENTS.has(event)) {
+    if (await resumeTemplate(templateName, 'dialog360')) {
+      console.log(`▶️ Template "${templateName}" resumed (${event})`);
+    }
+  }
+
+  return errorRow;
+}
+
+/**
+ * Record a phone_number_quality_update notification (quality rating / messaging limit changes)
+ *
+ * @param {Object} value - Webhook value ({ event, current_limit, display_phone_number })
+ * @returns {Promise<Object>} Stored error row
+ */
+export async function recordQualityUpdate(value) {
+  const event = String(value.event || '').toUpperCase();
+
+  const errorRow = await insertDialog360Error({
+    source: 'quality_update',
+    code: null,
+    title: `Quality ${event}`,
+    message: value.current_limit ? `Messaging limit: ${value.current_limit}` : null,
+    details: value.display_phone_number || null,
+    severity: event === 'UPGRADE' ? 'info' : 'warning',
+    category: 'quality',
+    payload: value
+  });
+
+  console.warn(`⚠️ Dialog360 phone number quality update: ${event} (${value.current_limit || 'no limit info'})`);
+
+  return errorRow;
+}
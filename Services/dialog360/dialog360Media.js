@@ -0,0 +1,62 @@
+import { getDialog360BaseUrl, getDialog360MediaDownloadUrl } from './dialog360Config.js';
+
+/**
+ * Dialog360 Media API
+ *
+ * Downloads media guests send (images, voice notes, videos, documents).
+ * WhatsApp keeps media for 30 days; the download URL from the media API
+ * expires after 5 minutes, so it is fetched right away.
+ */
+
+// Larger files are left on WhatsApp (Cloudinary's upload limit)
+export const MAX_MEDIA_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Download a media file by its WhatsApp media ID
+ *
+ * @param {string} mediaId - Media ID from the webhook message
+ * @returns {Promise<{ buffer: Buffer, mimeType: string|null, sha256: string|null, fileSize: number }>}
+ * @throws {Error} When the media cannot be looked up or downloaded
+ */
+export async function downloadDialog360Media(mediaId) {
+  const apiKey = process.env.D360_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('D360_API_KEY is not configured');
+  }
+
+  const infoResponse = await fetch(`${getDialog360BaseUrl()}/${encodeURIComponent(mediaId)}`, {
+    headers: { 'D360-API-KEY': apiKey }
+  });
+
+  if (!infoResponse.ok) {
+    throw new Error(`Media lookup failed (${infoResponse.status}): ${await infoResponse.text()}`);
+  }
+
+  const info = await infoResponse.json();
+
+  if (!info.url) {
+    throw new Error('Media lookup returned no URL');
+  }
+
+  if (info.file_size && Number(info.file_size) > MAX_MEDIA_BYTES) {
+    throw new Error(`Media is too large (${info.file_size} bytes)`);
+  }
+
+  const fileResponse = await fetch(getDialog360MediaDownloadUrl(info.url), {
+    headers: { 'D360-API-KEY': apiKey }
+  });
+
+  if (!fileResponse.ok) {
+    throw new Error(`Media download failed (${fileResponse.status})`);
+  }
+
+  const buffer = Buffer.from(await fileResponse.arrayBuffer());
+
+  return {
+    buffer,
+    mimeType: info.mime_type || fileResponse.headers.get('content-type'),
+    sha256: info.sha256 || null,
+    fileSize: buffer.length
+  };
+}
@@ -10,8 +10,12 @@
  * - If event is 7-9 days away: Show 3 days and 5 days buttons (special case)
  * - If event is 4-6 days away: Show only 3 days button
  * - If event is <4 days away: Show only 3 days button
+ *
+ * Button titles and messages are in the guest's language (guestMessages.js).
  */
 
+import { guestText, followupText, joinCelebrators } from './guestMessages.js';
+
 /**
  * Calculate days between two dates
  * 
@@ -32,15 +36,33 @@ function calculateDaysBetween(date1, date2) {
   return diffDays;
 }
 
+/**
+ * Reply button for a follow-up timeframe
+ * 
+ * @param {string} buttonId - Button ID (e.g., 'followup_3days')
+ * @param {string} language - Guest language
+ * @returns {Object} Button configuration
+ */
+function followupButton(buttonId, language) {
+  return {
+    type: 'reply',
+    reply: {
+      id: buttonId,
+      title: followupText(language, buttonId)
+    }
+  };
+}
+
 /**
  * Determine which follow-up buttons to show based on event proximity
  * 
  * @param {string|Date} eventDate - Event date
+ * @param {string} language - Guest language
  * @returns {Array} Array of button configurations
  */
-export function getFollowUpButtons(eventDate) {
+export function getFollowUpButtons(eventDate, language = 'he') {
   if (!eventDate) {
-    return getDefaultButtons();
+    return getDefaultButtons(language);
   }
   
   const today = new Date();
@@ -51,126 +73,54 @@ export function getFollowUpButtons(eventDate) {
   // More than 17 days away - show all 3 buttons
   if (daysUntilEvent > 17) {
     return [
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_3days',
-          title: 'בעוד 3 ימים'
-        }
-      },
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_week',
-          title: 'בעוד שבוע'
-        }
-      },
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_2weeks',
-          title: 'בעוד שבועיים'
-        }
-      }
+      followupButton('followup_3days', language),
+      followupButton('followup_week', language),
+      followupButton('followup_2weeks', language)
     ];
   }
   
   // 10-17 days away - show 3 days and 1 week
   if (daysUntilEvent >= 10 && daysUntilEvent <= 17) {
     return [
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_3days',
-          title: 'בעוד 3 ימים'
-        }
-      },
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_week',
-          title: 'בעוד שבוע'
-        }
-      }
+      followupButton('followup_3days', language),
+      followupButton('followup_week', language)
     ];
   }
   
   // 7-9 days away - special case: show 3 days and 5 days
   if (daysUntilEvent >= 7 && daysUntilEvent <= 9) {
     return [
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_3days',
-          title: 'בעוד 3 ימים'
-        }
-      },
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_5days',
-          title: 'בעוד 5 ימים'
-        }
-      }
+      followupButton('followup_3days', language),
+      followupButton('followup_5days', language)
     ];
   }
   
   // 5-6 days away - show only 3 days button
   if (daysUntilEvent >= 5 && daysUntilEvent <= 6) {
     return [
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_3days',
-          title: 'בעוד 3 ימים'
-        }
-      }
+      followupButton('followup_3days', language)
     ];
   }
   
   // 4 days away - show 2 days button only
   if (daysUntilEvent === 4) {
     return [
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_2days',
-          title: 'בעוד יומיים'
-        }
-      }
+      followupButton('followup_2days', language)
     ];
   }
   
   // 3 days away - show 2 days and tomorrow buttons
   if (daysUntilEvent === 3) {
     return [
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_2days',
-          title: 'בעוד יומיים'
-        }
-      },
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_tomorrow',
-          title: 'מחר'
-        }
-      }
+      followupButton('followup_2days', language),
+      followupButton('followup_tomorrow', language)
     ];
   }
   
   // 2 days away - show tomorrow button
   if (daysUntilEvent === 2) {
     return [
-      {
-        type: 'reply',
-        reply: {
-          id: 'followup_tomorrow',
-          title: 'מחר'
-        }
-      }
+      followupButton('followup_tomorrow', language)
     ];
   }
   
@@ -181,31 +131,14 @@ export function getFollowUpButtons(eventDate) {
 /**
  * Get default buttons (when event date is not available)
  * 
+ * @param {string} language - Guest language
  * @returns {Array} Default button configurations
  */
-function getDefaultButtons() {
+function getDefaultButtons(language) {
   return [
-    {
-      type: 'reply',
-      reply: {
-        id: 'followup_3days',
-        title: 'בעוד 3 ימים'
-      }
-    },
-    {
-      type: 'reply',
-      reply: {
-        id: 'followup_week',
-        title: 'בעוד שבוע'
-      }
-    },
-    {
-      type: 'reply',
-      reply: {
-        id: 'followup_2weeks',
-        title: 'בעוד שבועיים'
-      }
-    }
+    followupButton('followup_3days', language),
+    followupButton('followup_week', language),
+    followupButton('followup_2weeks', language)
   ];
 }
 
@@ -239,19 +172,11 @@ export function calculateFollowupDate(buttonPayload) {
  * Get display text for followup button
  * 
  * @param {string} buttonPayload - The button payload
- * @returns {string} Hebrew display text
+ * @param {string} language - Guest language
+ * @returns {string} Display text, as used inside a sentence
  */
-export function getFollowupDisplayText(buttonPayload) {
-  const textMap = {
-    'followup_tomorrow': 'מחר',
-    'followup_2days': 'בעוד יומיים',
-    'followup_3days': 'בעוד 3 ימים',
-    'followup_5days': 'בעוד 5 ימים',
-    'followup_week': 'בעוד שבוע',
-    'followup_2weeks': 'בעוד שבועיים'
-  };
-  
-  return textMap[buttonPayload] || 'בעוד מספר ימים';
+export function getFollowupDisplayText(buttonPayload, language = 'he') {
+  return followupText(language, buttonPayload, true) || guestText(language, 'followupSomeDays');
 }
 
 /**
@@ -259,23 +184,16 @@ export function getFollowupDisplayText(buttonPayload) {
  * 
  * @param {string|null} celebrator1Name - First celebrator name (e.g., groom, bar mitzvah boy)
  * @param {string|null} celebrator2Name - Second celebrator name (e.g., bride - optional)
- * @returns {string} Hebrew message for events that are very close (<2 days)
+ * @param {string} language - Guest language
+ * @returns {string} Message for events that are very close (<2 days)
  */
-export function getEventTooCloseMessage(celebrator1Name = null, celebrator2Name = null) {
-  let celebratorText = '';
-  
-  if (celebrator1Name && celebrator2Name) {
-    // Both celebrators (e.g., wedding)
-    celebratorText = `${celebrator1Name} ו${celebrator2Name}`;
-  } else if (celebrator1Name) {
-    // Single celebrator
-    celebratorText = celebrator1Name;
-  } else {
-    // No celebrator names available
-    celebratorText = 'מארגני האירוע';
-  }
+export function getEventTooCloseMessage(celebrator1Name = null, celebrator2Name = null, language = 'he') {
+  // Both celebrators (e.g., wedding), a single celebrator, or the organizers when no names are available
+  const celebratorText = celebrator1Name
+    ? joinCelebrators(language, celebrator1Name, celebrator2Name)
+    : guestText(language, 'eventOrganizers');
   
-  return `האירוע ממש בפתח! 🎊\n\nמשמחים לראות שאתם שוקלים להגיע!\n\nאם אתם יכולים להגיע - נא ליצור קשר ישירות עם ${celebratorText} כדי לעדכן.\n\nמצפים לראותכם! 💙`;
+  return guestText(language, 'tooClose', { celebrators: celebratorText });
 }
 
 
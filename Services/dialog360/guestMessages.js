@@ -0,0 +1,328 @@
+import { DEFAULT_LANGUAGE, resolveLanguage } from '../utils/languages.js';
+
+/**
+ * Guest Messages
+ *
+ * Texts of the messages sent to guests outside templates - the default RSVP
+ * flow, the follow-up buttons and confirmations - in every guest language
+ * (see utils/languages.js). Texts may use {placeholders}.
+ *
+ * Custom RSVP flows (events.rsvp_flow) are sent as the owner wrote them.
+ */
+
+const MESSAGES = {
+  he: {
+    guestCountQuestion: 'מעולה! 🎉\n\nכמה אורחים יגיעו?\nאנא השב עם מספר בלבד (לדוגמה: 2)',
+    guestCountInvalid: 'אנא השב עם מספר תקין (לדוגמה: 2, 3, 4...)',
+    guestCountOptionsQuestion: 'מעולה! 🎉\n\nכמה אורחים יגיעו?',
+    guestCountLabel: 'מספר אורחים',
+    adultsQuestion: 'מעולה! 🎉\n\nכמה מבוגרים יגיעו (כולל אותך)?',
+    adultsLabel: 'מבוגרים',
+    childrenQuestion: 'וכמה ילדים?',
+    childrenLabel: 'ילדים',
+    dietaryQuestion: 'האם מישהו מכם צריך מנה מיוחדת ({options})?',
+    yes: 'כן',
+    no: 'לא',
+    choiceLabel: 'בחירה',
+    confirmation: 'תודה! רשמנו {summary}. נתראה באירוע! 🎊',
+    declined: 'תודה על עדכון! נשמח לראותך באירועים הבאים 💙',
+    optedOut: 'הוסרת מרשימת התפוצה ולא נשלח לך הודעות נוספות 🙏\nכדי לקבל הודעות שוב, השב/י "התחל".',
+    optedIn: 'חזרת לרשימת התפוצה ✅ נעדכן אותך בהמשך.',
+    invalidAnswer: 'לא הבנו את התשובה 🙏\nאנא בחר/י מהאפשרויות או השב/י במספר בלבד.',
+    largerNumberHint: 'למספר גדול יותר השב/י במספר בלבד',
+    summaryAdults: '{count} מבוגרים',
+    summaryChildren: '{count} ילדים',
+    summaryGuests: '{count} אורחים',
+    summaryDietary: '{count} {label}',
+    maybeQuestion: 'בסדר גמור! 😊\n\nמתי נוכל לבדוק איתך שוב?',
+    followupConfirmation: 'תודה! נחזור אליך {when} ✅',
+    followupSomeDays: 'בעוד מספר ימים',
+    tooClose: 'האירוע ממש בפתח! 🎊\n\nמשמחים לראות שאתם שוקלים להגיע!\n\nאם אתם יכולים להגיע - נא ליצור קשר ישירות עם {celebrators} כדי לעדכן.\n\nמצפים לראותכם! 💙',
+    eventOrganizers: 'מארגני האירוע',
+    celebrators: '{first} ו{second}',
+    followupButtons: {
+      followup_tomorrow: 'מחר',
+      followup_2days: 'בעוד יומיים',
+      followup_3days: 'בעוד 3 ימים',
+      followup_5days: 'בעוד 5 ימים',
+      followup_week: 'בעוד שבוע',
+      followup_2weeks: 'בעוד שבועיים'
+    },
+    followupWhen: {
+      followup_tomorrow: 'מחר',
+      followup_2days: 'בעוד יומיים',
+      followup_3days: 'בעוד 3 ימים',
+      followup_5days: 'בעוד 5 ימים',
+      followup_week: 'בעוד שבוע',
+      followup_2weeks: 'בעוד שבועיים'
+    },
+    dietary: {
+      vegetarian: { label: 'צמחוני', question: 'כמה מכם צריכים מנה צמחונית?' },
+      vegan: { label: 'טבעוני', question: 'כמה מכם צריכים מנה טבעונית?' },
+      gluten_free: { label: 'ללא גלוטן', question: 'כמה מכם צריכים מנה ללא גלוטן?' }
+    }
+  },
+
+  en: {
+    guestCountQuestion: 'Wonderful! 🎉\n\nHow many guests will be coming?\nPlease reply with a number only (e.g. 2)',
+    guestCountInvalid: 'Please reply with a valid number (e.g. 2, 3, 4...)',
+    guestCountOptionsQuestion: 'Wonderful! 🎉\n\nHow many guests will be coming?',
+    guestCountLabel: 'Guests',
+    adultsQuestion: 'Wonderful! 🎉\n\nHow many adults will be coming (including you)?',
+    adultsLabel: 'Adults',
+    childrenQuestion: 'And how many children?',
+    childrenLabel: 'Children',
+    dietaryQuestion: 'Does anyone in your party need a special meal ({options})?',
+    yes: 'Yes',
+    no: 'No',
+    choiceLabel: 'Choose',
+    confirmation: 'Thank you! We have noted {summary}. See you at the event! 🎊',
+    declined: 'Thank you for letting us know! We hope to see you at future events 💙',
+    optedOut: 'You have been unsubscribed and will not receive further messages 🙏\nTo receive messages again, reply "START".',
+    optedIn: 'You are subscribed again ✅ We will keep you posted.',
+    invalidAnswer: 'We did not understand the answer 🙏\nPlease choose one of the options or reply with a number only.',
+    largerNumberHint: 'For a larger number, reply with the number only',
+    summaryAdults: '{count} adults',
+    summaryChildren: '{count} children',
+    summaryGuests: '{count} guests',
+    summaryDietary: '{count} {label}',
+    maybeQuestion: 'No problem! 😊\n\nWhen can we check with you again?',
+    followupConfirmation: 'Thank you! We will check back with you {when} ✅',
+    followupSomeDays: 'in a few days',
+    tooClose: 'The event is just around the corner! 🎊\n\nWe are happy to hear you are thinking of coming!\n\nIf you can make it, please contact {celebrators} directly to let them know.\n\nHope to see you there! 💙',
+    eventOrganizers: 'the event organizers',
+    celebrators: '{first} & {second}',
+    followupButtons: {
+      followup_tomorrow: 'Tomorrow',
+      followup_2days: 'In 2 days',
+      followup_3days: 'In 3 days',
+      followup_5days: 'In 5 days',
+      followup_week: 'In a week',
+      followup_2weeks: 'In 2 weeks'
+    },
+    followupWhen: {
+      followup_tomorrow: 'tomorrow',
+      followup_2days: 'in 2 days',
+      followup_3days: 'in 3 days',
+      followup_5days: 'in 5 days',
+      followup_week: 'in a week',
+      followup_2weeks: 'in 2 weeks'
+    },
+    dietary: {
+      vegetarian: { label: 'vegetarian', question: 'How many of you need a vegetarian meal?' },
+      vegan: { label: 'vegan', question: 'How many of you need a vegan meal?' },
+      gluten_free: { label: 'gluten-free', question: 'How many of you need a gluten-free meal?' }
+    }
+  },
+
+  ru: {
+    guestCountQuestion: 'Отлично! 🎉\n\nСколько гостей придёт?\nПожалуйста, ответьте только числом (например: 2)',
+    guestCountInvalid: 'Пожалуйста, ответьте корректным числом (например: 2, 3, 4...)',
+    guestCountOptionsQuestion: 'Отлично! 🎉\n\nСколько гостей придёт?',
+    guestCountLabel: 'Гости',
+    adultsQuestion: 'Отлично! 🎉\n\nСколько взрослых придёт (включая вас)?',
+    adultsLabel: 'Взрослые',
+    childrenQuestion: 'А сколько детей?',
+    childrenLabel: 'Дети',
+    dietaryQuestion: 'Нужно ли кому-то из вас особое блюдо ({options})?',
+    yes: 'Да',
+    no: 'Нет',
+    choiceLabel: 'Выбрать',
+    confirmation: 'Спасибо! Мы записали: {summary}. До встречи на празднике! 🎊',
+    declined: 'Спасибо, что сообщили! Будем рады видеть вас на следующих праздниках 💙',
+    optedOut: 'Вы отписаны и больше не будете получать сообщения 🙏\nЧтобы снова получать сообщения, ответьте «СТАРТ».',
+    optedIn: 'Вы снова подписаны ✅ Будем держать вас в курсе.',
+    invalidAnswer: 'Мы не поняли ответ 🙏\nПожалуйста, выберите вариант или ответьте только числом.',
+    largerNumberHint: 'Если больше - ответьте числом',
+    summaryAdults: 'взрослых: {count}',
+    summaryChildren: 'детей: {count}',
+    summaryGuests: 'гостей: {count}',
+    summaryDietary: '{label}: {count}',
+    maybeQuestion: 'Без проблем! 😊\n\nКогда нам уточнить у вас снова?',
+    followupConfirmation: 'Спасибо! Мы напишем вам {when} ✅',
+    followupSomeDays: 'через несколько дней',
+    tooClose: 'Праздник уже совсем скоро! 🎊\n\nРады, что вы думаете прийти!\n\nЕсли сможете прийти - пожалуйста, свяжитесь напрямую: {celebrators}.\n\nНадеемся увидеть вас! 💙',
+    eventOrganizers: 'организаторы праздника',
+    celebrators: '{first} и {second}',
+    followupButtons: {
+      followup_tomorrow: 'Завтра',
+      followup_2days: 'Через 2 дня',
+      followup_3days: 'Через 3 дня',
+      followup_5days: 'Через 5 дней',
+      followup_week: 'Через неделю',
+      followup_2weeks: 'Через 2 недели'
+    },
+    followupWhen: {
+      followup_tomorrow: 'завтра',
+      followup_2days: 'через 2 дня',
+      followup_3days: 'через 3 дня',
+      followup_5days: 'через 5 дней',
+      followup_week: 'через неделю',
+      followup_2weeks: 'через 2 недели'
+    },
+    dietary: {
+      vegetarian: { label: 'вегетарианское', question: 'Скольким из вас нужно вегетарианское блюдо?' },
+      vegan: { label: 'веганское', question: 'Скольким из вас нужно веганское блюдо?' },
+      gluten_free: { label: 'без глютена', question: 'Скольким из вас нужно блюдо без глютена?' }
+    }
+  },
+
+  ar: {
+    guestCountQuestion: 'رائع! 🎉\n\nكم عدد الضيوف الذين سيحضرون؟\nيرجى الرد برقم فقط (مثال: 2)',
+    guestCountInvalid: 'يرجى الرد برقم صحيح (مثال: 2، 3، 4...)',
+    guestCountOptionsQuestion: 'رائع! 🎉\n\nكم عدد الضيوف الذين سيحضرون؟',
+    guestCountLabel: 'عدد الضيوف',
+    adultsQuestion: 'رائع! 🎉\n\nكم عدد البالغين الذين سيحضرون (بما فيهم أنت)؟',
+    adultsLabel: 'البالغون',
+    childrenQuestion: 'وكم عدد الأطفال؟',
+    childrenLabel: 'الأطفال',
+    dietaryQuestion: 'هل يحتاج أحدكم إلى وجبة خاصة ({options})؟',
+    yes: 'نعم',
+    no: 'لا',
+    choiceLabel: 'اختيار',
+    confirmation: 'شكرًا! سجّلنا {summary}. نراكم في المناسبة! 🎊',
+    declined: 'شكرًا على إبلاغنا! نتمنى رؤيتك في المناسبات القادمة 💙',
+    optedOut: 'تم إلغاء اشتراكك ولن تصلك رسائل أخرى 🙏\nلتلقي الرسائل مجددًا، أرسل "ابدأ".',
+    optedIn: 'تمت إعادة اشتراكك ✅ سنبقيك على اطلاع.',
+    invalidAnswer: 'لم نفهم الإجابة 🙏\nيرجى اختيار أحد الخيارات أو الرد برقم فقط.',
+    largerNumberHint: 'لعدد أكبر، يرجى الرد بالرقم فقط',
+    summaryAdults: '{count} بالغين',
+    summaryChildren: '{count} أطفال',
+    summaryGuests: '{count} ضيوف',
+    summaryDietary: '{count} {label}',
+    maybeQuestion: 'لا مشكلة! 😊\n\nمتى يمكننا التواصل معك مرة أخرى؟',
+    followupConfirmation: 'شكرًا! سنعود إليك {when} ✅',
+    followupSomeDays: 'بعد بضعة أيام',
+    tooClose: 'المناسبة على الأبواب! 🎊\n\nيسعدنا أنك تفكر في الحضور!\n\nإذا كنت تستطيع الحضور، يرجى التواصل مباشرة مع {celebrators} لإبلاغهم.\n\nنتطلع لرؤيتك! 💙',
+    eventOrganizers: 'منظمي المناسبة',
+    celebrators: '{first} و{second}',
+    followupButtons: {
+      followup_tomorrow: 'غدًا',
+      followup_2days: 'بعد يومين',
+      followup_3days: 'بعد 3 أيام',
+      followup_5days: 'بعد 5 أيام',
+      followup_week: 'بعد أسبوع',
+      followup_2weeks: 'بعد أسبوعين'
+    },
+    followupWhen: {
+      followup_tomorrow: 'غدًا',
+      followup_2days: 'بعد يومين',
+      followup_3days: 'بعد 3 أيام',
+      followup_5days: 'بعد 5 أيام',
+      followup_week: 'بعد أسبوع',
+      followup_2weeks: 'بعد أسبوعين'
+    },
+    dietary: {
+      vegetarian: { label: 'نباتي', question: 'كم شخصًا منكم يحتاج إلى وجبة نباتية؟' },
+      vegan: { label: 'نباتي صرف', question: 'كم شخصًا منكم يحتاج إلى وجبة نباتية صرفة؟' },
+      gluten_free: { label: 'خالٍ من الغلوتين', question: 'كم شخصًا منكم يحتاج إلى وجبة خالية من الغلوتين؟' }
+    }
+  },
+
+  fr: {
+    guestCountQuestion: 'Super ! 🎉\n\nCombien de personnes viendront ?\nMerci de répondre uniquement par un nombre (ex. : 2)',
+    guestCountInvalid: 'Merci de répondre par un nombre valide (ex. : 2, 3, 4...)',
+    guestCountOptionsQuestion: 'Super ! 🎉\n\nCombien de personnes viendront ?',
+    guestCountLabel: 'Invités',
+    adultsQuestion: 'Super ! 🎉\n\nCombien d\'adultes viendront (vous compris) ?',
+    adultsLabel: 'Adultes',
+    childrenQuestion: 'Et combien d\'enfants ?',
+    childrenLabel: 'Enfants',
+    dietaryQuestion: 'Quelqu\'un parmi vous a-t-il besoin d\'un repas spécial ({options}) ?',
+    yes: 'Oui',
+    no: 'Non',
+    choiceLabel: 'Choisir',
+    confirmation: 'Merci ! Nous avons noté {summary}. À bientôt ! 🎊',
+    declined: 'Merci de nous avoir prévenus ! Au plaisir de vous voir lors d\'un prochain événement 💙',
+    optedOut: 'Vous êtes désabonné(e) et ne recevrez plus de messages 🙏\nPour recevoir à nouveau des messages, répondez « START ».',
+    optedIn: 'Vous êtes à nouveau abonné(e) ✅ Nous vous tiendrons informé(e).',
+    invalidAnswer: 'Nous n\'avons pas compris la réponse 🙏\nMerci de choisir une option ou de répondre uniquement par un nombre.',
+    largerNumberHint: 'Pour un nombre plus grand, répondez par le nombre',
+    summaryAdults: '{count} adultes',
+    summaryChildren: '{count} enfants',
+    summaryGuests: '{count} invités',
+    summaryDietary: '{count} {label}',
+    maybeQuestion: 'Pas de souci ! 😊\n\nQuand pouvons-nous revenir vers vous ?',
+    followupConfirmation: 'Merci ! Nous reviendrons vers vous {when} ✅',
+    followupSomeDays: 'dans quelques jours',
+    tooClose: 'L\'événement approche à grands pas ! 🎊\n\nNous sommes ravis que vous pensiez venir !\n\nSi vous pouvez venir, merci de contacter directement {celebrators} pour les prévenir.\n\nAu plaisir de vous voir ! 💙',
+    eventOrganizers: 'les organisateurs',
+    celebrators: '{first} et {second}',
+    followupButtons: {
+      followup_tomorrow: 'Demain',
+      followup_2days: 'Dans 2 jours',
+      followup_3days: 'Dans 3 jours',
+      followup_5days: 'Dans 5 jours',
+      followup_week: 'Dans une semaine',
+      followup_2weeks: 'Dans 2 semaines'
+    },
+    followupWhen: {
+      followup_tomorrow: 'demain',
+      followup_2days: 'dans 2 jours',
+      followup_3days: 'dans 3 jours',
+      followup_5days: 'dans 5 jours',
+      followup_week: 'dans une semaine',
+      followup_2weeks: 'dans 2 semaines'
+    },
+    dietary: {
+      vegetarian: { label: 'végétarien', question: 'Combien d\'entre vous ont besoin d\'un repas végétarien ?' },
+      vegan: { label: 'végan', question: 'Combien d\'entre vous ont besoin d\'un repas végan ?' },
+      gluten_free: { label: 'sans gluten', question: 'Combien d\'entre vous ont besoin d\'un repas sans gluten ?' }
+    }
+  }
+};
+
+function fillPlaceholders(text, values) {
+  return text.replace(/\{([a-z]+)\}/g, (match, key) => (values[key] === undefined ? match : String(values[key])));
+}
+
+/**
+ * A guest message text
+ *
+ * @param {string|null} language - Guest language (Hebrew when not supported)
+ * @param {string} key - Message key
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+export function guestText(language, key, values = {}) {
+  const text = MESSAGES[resolveLanguage(language)][key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+  return fillPlaceholders(text, values);
+}
+
+/**
+ * Title of a follow-up button (followup_3days, ...)
+ *
+ * @param {string|null} language - Guest language
+ * @param {string} buttonId - Button ID
+ * @param {boolean} inSentence - The lowercase form used inside a sentence
+ * @returns {string|undefined}
+ */
+export function followupText(language, buttonId, inSentence = false) {
+  return MESSAGES[resolveLanguage(language)][inSentence ? 'followupWhen' : 'followupButtons'][buttonId];
+}
+
+/**
+ * Label and question of a dietary option
+ *
+ * @param {string|null} language - Guest language
+ * @param {string} option - DIETARY_OPTIONS key
+ * @returns {{ label: string, question: string }}
+ */
+export function dietaryText(language, option) {
+  return MESSAGES[resolveLanguage(language)].dietary[option];
+}
+
+/**
+ * The celebrators' names in a sentence ("X וY", "X & Y", ...)
+ *
+ * @param {string|null} language - Guest language
+ * @param {string|null} first - First celebrator name
+ * @param {string|null} second - Second celebrator name
+ * @returns {string|null} null when there are no names
+ */
+export function joinCelebrators(language, first, second) {
+  if (first && second) {
+    return guestText(language, 'celebrators', { first, second });
+  }
+  return first || second || null;
+}
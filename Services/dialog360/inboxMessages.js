@@ -0,0 +1,197 @@
+import { findContactByPhoneNumber } from '../database/eventMessagesRepository.js';
+import {
+  findInboxEventId,
+  insertInboxMessage,
+  updateInboxMedia,
+  getLastInboundMessage
+} from '../database/inboxRepository.js';
+import { downloadDialog360Media } from './dialog360Media.js';
+import { sendTextMessage } from './whatsappMessenger.js';
+import { uploadBufferToCloudinary } from '../cloudinary.js';
+import { findContactOptOut } from '../database/optOutsRepository.js';
+import { getServiceWindowEnd, isServiceWindowOpen } from './serviceWindow.js';
+
+/**
+ * Owner Inbox
+ *
+ * Keeps the WhatsApp messages guests send (congratulations, questions,
+ * photos, voice notes) in the owner's inbox (see inboxRepository.js) and
+ * sends the owner's replies.
+ *
+ * Owners can reply with free text only within the customer service window
+ * (see serviceWindow.js), and not to guests who opted out (see optOuts.js).
+ */
+
+export const MEDIA_MESSAGE_TYPES = ['image', 'audio', 'video', 'document', 'sticker'];
+
+const INBOX_MEDIA_FOLDER = 'inbox';
+
+// Cloudinary keeps audio under 'video' and documents as raw files
+const CLOUDINARY_RESOURCE_TYPES = {
+  image: 'image',
+  sticker: 'image',
+  video: 'video',
+  audio: 'video',
+  document: 'raw'
+};
+
+/**
+ * Text and media of a WhatsApp message
+ *
+ * @param {Object} message - WhatsApp message object
+ * @returns {Object|null} { body, media, eventId } or null for types the inbox does not keep
+ */
+function readMessageContent(message) {
+  switch (message.type) {
+    case 'text':
+      return { body: message.text?.body ?? null, media: null };
+
+    case 'button': {
+      // Invitation buttons carry the event ("rsvp_yes_<eventId>")
+      const eventId = message.button?.payload?.match(/^rsvp_(?:yes|no|maybe)_(.+)$/)?.[1] || null;
+      return { body: message.button?.text ?? null, media: null, eventId };
+    }
+
+    case 'interactive': {
+      const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+      return reply ? { body: reply.title ?? null, media: null } : null;
+    }
+
+    default: {
+      if (!MEDIA_MESSAGE_TYPES.includes(message.type) || !message[message.type]?.id) {
+        return null;
+      }
+
+      const media = message[message.type];
+      return {
+        body: media.caption ?? null,
+        media: {
+          id: media.id,
+          mimeType: media.mime_type ?? null,
+          filename: media.filename ?? null,
+          sha256: media.sha256 ?? null
+        }
+      };
+    }
+  }
+}
+
+/**
+ * Download a message's media from Dialog360 and store it in Cloudinary
+ *
+ * @param {Object} row - Stored inbox message
+ */
+async function storeInboxMedia(row) {
+  try {
+    const media = await downloadDialog360Media(row.media_id);
+    const upload = await uploadBufferToCloudinary(media.buffer, {
+      folder: INBOX_MEDIA_FOLDER,
+      resourceType: CLOUDINARY_RESOURCE_TYPES[row.message_type] || 'auto'
+    });
+
+    if (!upload.success) {
+      throw new Error(upload.message);
+    }
+
+    await updateInboxMedia(row.id, { status: 'stored', url: upload.url, mimeType: media.mimeType });
+    console.log(`📎 Inbox ${row.message_type} stored (message ${row.id})`);
+  } catch (error) {
+    console.error(`❌ Inbox media ${row.media_id} could not be stored:`, error.message);
+    await updateInboxMedia(row.id, { status: 'failed', error: error.message });
+  }
+}
+
+/**
+ * Keep an inbound WhatsApp message in the owner's inbox
+ * Messages from numbers that are not a contact are not kept.
+ *
+ * @param {Object} message - WhatsApp message object
+ * @param {Object} options
+ * @param {boolean} options.rsvpHandled - The message was taken as an RSVP answer
+ * @returns {Promise<Object|null>} Stored inbox message, or null if not kept
+ */
+export async function recordInboundMessage(message, { rsvpHandled = false } = {}) {
+  const content = readMessageContent(message);
+
+  if (!content || !message.from) {
+    return null;
+  }
+
+  const contact = content.eventId
+    ? await findContactByPhoneNumber(message.from, content.eventId) || await findContactByPhoneNumber(message.from)
+    : await findContactByPhoneNumber(message.from);
+
+  if (!contact) {
+    return null;
+  }
+
+  const stored = await insertInboxMessage({
+    contactId: contact.id,
+    eventId: content.eventId || await findInboxEventId(contact.id, message.context?.id || null),
+    direction: 'inbound',
+    phoneNumber: message.from,
+    messageType: message.type,
+    body: content.body,
+    whatsappMessageId: message.id || null,
+    rsvpHandled,
+    media: content.media,
+    createdAt: message.timestamp ? new Date(parseInt(message.timestamp, 10) * 1000) : new Date()
+  });
+
+  if (!stored) {
+    return null;
+  }
+
+  if (!rsvpHandled) {
+    console.log(`📥 Inbox ${message.type} from contact ${contact.id} (message ${stored.id})`);
+  }
+
+  if (stored.media_id) {
+    await storeInboxMedia(stored);
+  }
+
+  return stored;
+}
+
+/**
+ * Send the owner's reply to a guest
+ * The reply is about the same event as the guest's last message.
+ *
+ * @param {Object} contact - Inbox contact (getInboxContact)
+ * @param {string} text - Reply text
+ * @param {string} ownerEmail - Owner sending the reply
+ * @returns {Promise<Object>} { sent, optedOut, windowOpen, windowClosesAt, message, error }
+ */
+export async function sendInboxReply(contact, text, ownerEmail) {
+  const lastInbound = await getLastInboundMessage(contact.id);
+  const windowClosesAt = getServiceWindowEnd(lastInbound?.created_at);
+  const windowOpen = isServiceWindowOpen(lastInbound?.created_at);
+
+  if (await findContactOptOut(contact.id)) {
+    return { sent: false, optedOut: true, windowOpen, windowClosesAt, message: null, error: null };
+  }
+
+  if (!windowOpen) {
+    return { sent: false, optedOut: false, windowOpen: false, windowClosesAt, message: null, error: null };
+  }
+
+  // Reply to the number the guest wrote from
+  const result = await sendTextMessage(lastInbound.phone_number, text);
+
+  if (!result.success) {
+    return { sent: false, optedOut: false, windowOpen: true, windowClosesAt, message: null, error: result.error };
+  }
+
+  const message = await insertInboxMessage({
+    contactId: contact.id,
+    eventId: lastInbound.event_id,
+    direction: 'outbound',
+    phoneNumber: lastInbound.phone_number,
+    messageType: 'text',
+    body: text,
+    whatsappMessageId: result.messageId,
+    sentBy: ownerEmail
+  });
+
+  return { sent: true, optedOut: false, windowOpen: true, windowClosesAt, message, error: null };
+}
@@ -1,118 +1,62 @@
 import pool from '../../db/db.js';
 import {
   findContactByPhoneNumber,
-  findAwaitingGuestCountMessage,
   findPendingInvitation,
-  updateMessageResponse,
-  setAwaitingGuestCount,
+  findChangeableInvitation,
   findEventMessageByMessageId,
-  updateMessageSeenAt,
-  updateMessageFailure
+  recordContactInbound,
 } from '../database/eventMessagesRepository.js';
-import { mapInvitationButtonResponse } from './responseMapper.js';
-import { sendGuestCountQuestion, markMessageAsRead, sendDeclineConfirmation, sendMaybeConfirmation } from './whatsappMessenger.js';
-import { handleGuestCountReply } from './guestCountHandler.js';
+import { recordMessageStatusEvent } from '../database/messageStatusEventsRepository.js';
+import {
+  classifyDialog360Error,
+  recordDialog360Error,
+  recordTemplateStatusUpdate,
+  recordQualityUpdate
+} from './dialog360Errors.js';
+import { mapInvitationButtonResponse, mapRsvpPayload } from './responseMapper.js';
+import { classifyRsvpReply, RSVP_REVIEW_THRESHOLD } from './rsvpIntentClassifier.js';
+import { markMessageAsRead, sendFlowMessage } from './whatsappMessenger.js';
+import { startRsvpConversation, handleRsvpConversationReply } from './rsvpFlowEngine.js';
+import { findActiveConversation } from '../database/rsvpConversationsRepository.js';
+import { recordRsvpResponse } from '../database/rsvpChangesRepository.js';
+import { queueRsvpReview } from '../database/rsvpReviewRepository.js';
+import { recordInboundMessage } from './inboxMessages.js';
+import { sendSessionMessage } from './sessionMessages.js';
+import { handleOptOutMessage } from './optOuts.js';
 import { calculateFollowupDate, getFollowupDisplayText } from './followUpButtonsHelper.js';
+import { guestText } from './guestMessages.js';
+import {
+  findActiveUploadSession,
+  openUploadSession,
+  appendContactsToSession,
+  finalizeUploadSession,
+  findDueUploadSessionIds
+} from '../database/uploadSessionsRepository.js';
+import {
+  createUploadToken,
+  findUploadTokenById,
+  findActiveUploadTokenForUser,
+  recordUploadTokenUse,
+  revokeUploadTokensForUser
+} from '../database/uploadTokensRepository.js';
+import { generateTokenId, formatUploadToken, extractUploadToken } from './uploadTokens.js';
+import { claimWebhookEvent, markWebhookEventProcessed, releaseWebhookEvent } from '../database/webhookEventsRepository.js';
+import { getDialog360MessagesUrl } from './dialog360Config.js';
+import { parsePhoneNumber, formatE164 } from '../utils/phoneNormalization.js';
 
 // WhatsApp contact upload functions
-const TOKEN_PREFIX = 'VIX_';
 const TOKEN_EXPIRY_DAYS = 10; // 10 days expiry
-const CONTACT_UPLOAD_TIMEOUT = 10 * 60 * 1000; // 10 minutes in milliseconds
-
-// In-memory storage for buffered contacts (in production, use Redis or similar)
-const contactBuffers = new Map(); // phoneNumber -> { user, contacts[], timeoutId }
-const activeTokens = new Map(); // token -> { user, validatedAt }
-const phoneToToken = new Map(); // phoneNumber -> token (for tracking which token a phone number is using)
-
-/**
- * Parse token and extract user information
- * Token format: VIX_[userHash]_[timestamp]_[randomStr]
- */
-function parseToken(token) {
-    try {
-        if (!token.startsWith(TOKEN_PREFIX)) {
-            return null;
-        }
-
-        const parts = token.split('_');
-        if (parts.length !== 4) {
-            return null;
-        }
-
-        const [, userHash, timestampBase36, randomStr] = parts;
-        
-        // Convert base36 timestamp back to milliseconds
-        const timestamp = parseInt(timestampBase36, 36);
-        const tokenAge = Date.now() - timestamp;
-        const maxAge = TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000; // 10 days in milliseconds
-
-        if (tokenAge > maxAge) {
-            return null;
-        }
-
-        return {
-            userHash,
-            timestamp,
-            randomStr,
-            tokenAge,
-            isValid: true
-        };
-    } catch (error) {
-        console.error('Error parsing token:', error);
-        return null;
-    }
-}
+const UPLOAD_SESSION_WINDOW_MINUTES = 10; // Contact cards accepted for 10 minutes after token validation
+const CONTACT_UPLOAD_IDLE_MINUTES = 10; // Sweeper saves the contacts 10 minutes after the last card
 
-/**
- * Find user by user hash
- */
-async function findUserByHash(userHash) {
-    try {
-        // First try: Get all users and test hash generation locally
-        const allUsersQuery = `SELECT id, email, name FROM users`;
-        const allUsers = await pool.query(allUsersQuery);
-        
-        for (const user of allUsers.rows) {
-            // Generate hash the same way as frontend (full hash, no truncation)
-            const generatedHash = Buffer.from(user.email).toString('base64')
-                .replace(/[^a-zA-Z0-9]/g, '');
-            
-            // Compare in uppercase because token is converted to uppercase
-            if (generatedHash.toUpperCase() === userHash.toUpperCase()) {
-                console.log('🔍 USER FOUND BY HASH:', user.email);
-                return user;
-            }
-        }
-        
-        // Fallback: If no hash match, try to decode the hash back to email
-        // This is a safety net for edge cases
-        try {
-            const decodedEmail = Buffer.from(userHash, 'base64').toString('utf-8');
-            console.log('🔍 FALLBACK: Trying to decode hash to email:', decodedEmail);
-            
-            // Verify this email exists in database
-            const fallbackQuery = `SELECT id, email, name FROM users WHERE email = $1`;
-            const fallbackResult = await pool.query(fallbackQuery, [decodedEmail]);
-            
-            if (fallbackResult.rows.length > 0) {
-                console.log('🔍 USER FOUND BY FALLBACK DECODE:', fallbackResult.rows[0].email);
-                return fallbackResult.rows[0];
-            }
-        } catch (decodeError) {
-            console.log('🔍 FALLBACK DECODE FAILED:', decodeError.message);
-        }
-        
-        return null;
-    } catch (error) {
-        console.error('❌ Error finding user by hash:', error);
-        return null;
-    }
-}
+// Upload sessions (token -> sender phone -> buffered contacts) are stored in
+// whatsapp_upload_sessions so they survive restarts and work across instances
 
 /**
  * Process contact data from WhatsApp message
+ * Local numbers are read in defaultCountry and stored as E.164.
  */
-function parseContactData(messageText) {
+function parseContactData(messageText, defaultCountry) {
     const contacts = [];
     const lines = messageText.split('\n').filter(line => line.trim());
     
@@ -127,12 +71,12 @@ function parseContactData(messageText) {
         if (parts.length >= 2) {
             const contact = {
                 name: parts[0],
-                phone: parts[1].replace(/[^\d+]/g, ''), // Keep only digits and +
+                phone: formatE164(parts[1], defaultCountry),
                 email: parts[2] || null
             };
             
             // Validate phone number
-            if (contact.phone && contact.phone.length >= 8) {
+            if (contact.phone) {
                 contacts.push(contact);
             }
         }
@@ -142,216 +86,250 @@ function parseContactData(messageText) {
 }
 
 /**
- * Save contacts to database using guest upload system
+ * Run a webhook event handler at most once per ledger key
+ * Dialog360 redelivers webhooks it considers unacknowledged - the
+ * webhook_events ledger makes those redeliveries no-ops. When the handler
+ * throws, the claim is released so a redelivery is processed again.
+ * 
+ * @param {string} eventKey - Ledger key (WhatsApp message / status ID based)
+ * @param {string} eventType - 'message' | 'status'
+ * @param {Function} handler - Async handler to run once
  */
-async function saveContactsToDatabase(userId, contacts, userEmail, senderPhone = null) {
-    const client = await pool.connect();
+async function processOnce(eventKey, eventType, handler) {
+  try {
+    const claimed = await claimWebhookEvent(eventKey, eventType);
+    
+    if (!claimed) {
+      console.log(`🔁 Duplicate webhook ${eventType} skipped: ${eventKey}`);
+      return;
+    }
+  } catch (error) {
+    console.error(`❌ Webhook ledger unavailable for ${eventKey}:`, error.message);
+    return;
+  }
+  
+  try {
+    await handler();
+  } catch (error) {
+    console.error(`❌ Webhook ${eventType} ${eventKey} failed - released for redelivery:`, error);
+    
     try {
-        await client.query('BEGIN');
-        
-        // Insert into guest_contact_uploads table
-        const uploadQuery = `
-            INSERT INTO guest_contact_uploads 
-            (invited_by_email, guest_name, guest_notes, token, sender_phone) 
-            VALUES ($1, $2, $3, $4, $5) 
-            RETURNING upload_id
-        `;
-        const uploadResult = await client.query(uploadQuery, [
-            userEmail,
-            'משתמש WhatsApp', // guest_name in Hebrew
-            'אנשי קשר נשלחו דרך WhatsApp', // guest_notes in Hebrew
-            'whatsapp_upload', // token identifier
-            senderPhone // sender phone number
-        ]);
-        
-        const uploadId = uploadResult.rows[0].upload_id;
-        
-        // Insert contacts into guest_contacts table
-        const contactQuery = `
-            INSERT INTO guest_contacts 
-            (upload_id, display_name, phone_number, email, invited_by, contact_source, canonical_form) 
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
-        `;
-        
-        for (const contact of contacts) {
-            console.log('🔍 EMAIL EXTRACTED FROM TOKEN AND INSERTED INTO invited_by COLUMN:', userEmail);
-            await client.query(contactQuery, [
-                uploadId,
-                contact.name || '',
-                contact.phone || '',
-                contact.email || '',
-                userEmail,
-                'whatsapp_upload', // contact_source
-                contact.name || '' // canonical_form
-            ]);
-        }
-        
-        await client.query('COMMIT');
-        
-        return { success: true, uploadId: uploadId };
-    } catch (error) {
-        await client.query('ROLLBACK');
-        console.error('Error saving WhatsApp contacts:', error);
-        return { success: false, error: error.message };
-    } finally {
-        client.release();
+      await releaseWebhookEvent(eventKey);
+    } catch (releaseError) {
+      console.error(`❌ Failed to release webhook ${eventKey}:`, releaseError.message);
     }
+    throw error;
+  }
+  
+  try {
+    await markWebhookEventProcessed(eventKey);
+  } catch (error) {
+    console.error(`❌ Failed to mark webhook ${eventKey} as processed:`, error.message);
+  }
 }
 
 /**
  * Process incoming WhatsApp message
+ * Idempotent: a message ID is processed only once.
  * 
  * @param {Object} message - WhatsApp message object
  * @param {Object} value - WhatsApp webhook value object
  */
 export async function processDialog360Message(message, value) {
-  try {
-    const messageId = message.id;
-    const from = message.from;
-    const timestamp = message.timestamp;
-    const messageType = message.type;
-
-    // Process WhatsApp contact upload
-
-    // Mark message as read (shows colored ticks to sender)
-    await markMessageAsRead(messageId, from);
+  if (!message?.id) {
+    return handleIncomingMessage(message, value);
+  }
+  
+  return processOnce(`message:${message.id}`, 'message', () => handleIncomingMessage(message, value));
+}
 
-    switch (messageType) {
-      case 'text':
-        const textContent = message.text?.body;
-        
-        // Check if this is a WhatsApp contact upload message
-        const contactUploadResult = await handleWhatsAppContactUpload(textContent, from);
-        if (contactUploadResult.handled) {
-          // Contact upload was processed, don't process as event response
-          return;
-        }
-        
-        // Update database with text response (normal event invitation flow)
-        await updateEventMessageResponse(from, textContent, timestamp, null, 'text');
-        break;
+async function handleIncomingMessage(message, value) {
+  const messageId = message.id;
+  const from = message.from;
+  const timestamp = message.timestamp;
+  const messageType = message.type;
 
-      case 'image':
-        break;
+  // Process WhatsApp contact upload
 
-      case 'document':
-        break;
+  // Mark message as read (shows colored ticks to sender)
+  await markMessageAsRead(messageId, from);
 
-      case 'audio':
-        break;
+  // The guest wrote - session messages can be sent for the next 24 hours
+  await recordContactInbound(from, timestamp ? new Date(parseInt(timestamp, 10) * 1000) : new Date());
 
-      case 'video':
-        break;
+  // Whether the message was an RSVP answer (kept in the inbox either way)
+  let rsvpHandled = false;
 
-      case 'contacts':
-        // Handle contact cards (vCard format)
-        const contacts = message.contacts || [];
-        
-        // Check if this is a WhatsApp contact upload
-        const contactCardResult = await handleWhatsAppContactCards(contacts, from);
-        if (contactCardResult.handled) {
-          // Contact upload was processed, don't process as event response
-          return;
-        }
+  switch (messageType) {
+    case 'text':
+      const textContent = message.text?.body;
+      
+      // Opt-out / opt-in keywords ("STOP", "הסר") - kept in the inbox only
+      const optOutResult = await handleOptOutMessage(textContent, from);
+      if (optOutResult.handled) {
         break;
-
-      case 'button':
-        const buttonText = message.button?.text;
-        const buttonPayload = message.button?.payload;
+      }
+      
+      // Check if this is a WhatsApp contact upload message
+      const contactUploadResult = await handleWhatsAppContactUpload(textContent, from);
+      if (contactUploadResult.handled) {
+        // Contact upload was processed, don't process as event response
+        return;
+      }
+      
+      // Update database with text response (normal event invitation flow)
+      rsvpHandled = await updateEventMessageResponse(from, textContent, timestamp, null, 'text');
+      break;
+
+    case 'image':
+    case 'document':
+    case 'audio':
+    case 'video':
+    case 'sticker':
+      // Photos, voice notes and files go to the owner's inbox
+      break;
+
+    case 'contacts':
+      // Handle contact cards (vCard format)
+      const contacts = message.contacts || [];
+      
+      // Check if this is a WhatsApp contact upload
+      const contactCardResult = await handleWhatsAppContactCards(contacts, from);
+      if (contactCardResult.handled) {
+        // Contact upload was processed, don't process as event response
+        return;
+      }
+      break;
+
+    case 'button':
+      const buttonText = message.button?.text;
+      const buttonPayload = message.button?.payload;
+      
+      // Update database with RSVP response
+      rsvpHandled = await updateEventMessageResponse(from, buttonText, timestamp, buttonPayload);
+      break;
+
+    case 'interactive':
+      const interactiveType = message.interactive?.type;
+      if (interactiveType === 'button_reply') {
+        const buttonReplyText =
+          message.interactive.button_reply?.title || '';
+        const buttonReplyId = message.interactive.button_reply?.id || '';
         
         // Update database with RSVP response
-        await updateEventMessageResponse(from, buttonText, timestamp, buttonPayload);
-        break;
-
-      case 'interactive':
-        const interactiveType = message.interactive?.type;
-        if (interactiveType === 'button_reply') {
-          const buttonReplyText =
-            message.interactive.button_reply?.title || '';
-          const buttonReplyId = message.interactive.button_reply?.id || '';
-          
-          // Update database with RSVP response
-          await updateEventMessageResponse(from, buttonReplyText, timestamp, buttonReplyId);
-        }
-        break;
+        rsvpHandled = await updateEventMessageResponse(from, buttonReplyText, timestamp, buttonReplyId);
+      } else if (interactiveType === 'list_reply') {
+        // RSVP questionnaire list answer
+        const listReplyText = message.interactive.list_reply?.title || '';
+        const listReplyId = message.interactive.list_reply?.id || '';
+        
+        rsvpHandled = await updateEventMessageResponse(from, listReplyText, timestamp, listReplyId);
+      }
+      break;
 
-      default:
-        break;
-    }
-  } catch (error) {
-    // Silently fail
+    default:
+      break;
   }
+
+  await recordInboundMessage(message, { rsvpHandled });
 }
 
 /**
  * Process status updates for sent messages
- * Tracks when guests open/read invitations AND when delivery fails
+ * Records every transition (sent, delivered, read, failed) in the message's
+ * delivery timeline, including conversation and pricing metadata.
+ * Idempotent: each (message ID, status) pair is processed only once.
  * 
  * @param {Object} status - WhatsApp status object
  * @param {Object} value - WhatsApp webhook value object
  */
 export async function processDialog360Status(status, value) {
-  try {
-    const messageId = status.id; // WhatsApp message ID
-    const recipientId = status.recipient_id; // Phone number
-    const statusType = status.status; // 'sent', 'delivered', 'read', 'failed'
-    const timestamp = status.timestamp; // Unix timestamp
+  if (!status?.id || !status?.status) {
+    return handleStatusUpdate(status, value);
+  }
+  
+  return processOnce(`status:${status.id}:${status.status}`, 'status', () => handleStatusUpdate(status, value));
+}
 
-    // Find the event_message record by message_id (needed for both read and failed)
-    const eventMessage = await findEventMessageByMessageId(messageId);
-    
-    if (!eventMessage) {
-      return;
-    }
-    
-    // Convert WhatsApp timestamp to JavaScript Date
-    const statusTime = new Date(parseInt(timestamp) * 1000);
+async function handleStatusUpdate(status, value) {
+  const messageId = status.id; // WhatsApp message ID
+  const statusType = status.status; // 'sent', 'delivered', 'read', 'failed'
+  const timestamp = status.timestamp; // Unix timestamp
 
-    // Track "read" status - when guest opens the invitation
-    if (statusType === 'read') {
-      await updateMessageSeenAt(eventMessage.id, statusTime);
-      
-    // Track "failed" status - when delivery fails
-    } else if (statusType === 'failed') {
-      // Extract failure reason from status errors
-      const errors = status.errors || [];
-      let failureReason = 'Unknown failure';
-      
-      if (errors.length > 0) {
-        const errorDetails = errors[0].error_data?.details || errors[0].message || 'No details provided';
-        failureReason = errorDetails;
-      }
-      
-      // Save failure reason to database
-      await updateMessageFailure(eventMessage.id, failureReason);
-    }
-    
-  } catch (error) {
-    // Silently fail
+  // Extract failure reason from status errors
+  const error = (status.errors || [])[0];
+
+  // Known error codes (template paused, rate limits, ...) are tracked account-wide
+  if (statusType === 'failed' && error && classifyDialog360Error(error.code).known) {
+    await recordDialog360Error(error, { source: 'message_status', dialog360MessageId: messageId, value });
+  }
+
+  // Find the event_message record by message_id
+  const eventMessage = await findEventMessageByMessageId(messageId);
+  
+  if (!eventMessage) {
+    return;
+  }
+  
+  // Convert WhatsApp timestamp to JavaScript Date
+  const statusTime = timestamp ? new Date(parseInt(timestamp) * 1000) : new Date();
+  let failureReason = null;
+  
+  if (statusType === 'failed') {
+    failureReason = error
+      ? (error.error_data?.details || error.message || 'No details provided')
+      : 'Unknown failure';
+  }
+
+  const recorded = await recordMessageStatusEvent(eventMessage.id, {
+    messageId,
+    status: statusType,
+    statusAt: statusTime,
+    recipientId: status.recipient_id,
+    conversation: status.conversation,
+    pricing: status.pricing,
+    error,
+    failureReason,
+    payload: status
+  });
+
+  if (recorded && statusType === 'failed') {
+    console.log(`❌ Message failed - logged reason for event_message ${eventMessage.id}: ${failureReason}`);
   }
 }
 
 /**
  * Process errors from Dialog 360
+ * Stores the error (see dialog360Errors.js); critical template errors pause the template.
  * 
  * @param {Object} error - Dialog 360 error object
  * @param {Object} value - WhatsApp webhook value object
  */
 export async function processDialog360Error(error, value) {
   try {
-    const errorCode = error.code;
-    const errorTitle = error.title;
-    const errorMessage = error.message;
-    const errorDetails = error.error_data?.details;
-
-    // Add error handling logic here:
-    // - Log to monitoring system (e.g., Sentry)
-    // - Save to database for tracking
-    // - Send alerts for critical errors
-    // - Update message status in DB if related to specific message
+    await recordDialog360Error(error, { source: 'webhook_error', value });
+  } catch (err) {
+    console.error('❌ Error recording Dialog360 error:', err);
+  }
+}
 
+/**
+ * Process account notifications (non-"messages" webhook fields)
+ * - message_template_status_update: template paused / disabled / reinstated
+ * - phone_number_quality_update: quality rating or messaging limit changed
+ * 
+ * @param {string} field - Webhook change field
+ * @param {Object} value - Webhook change value
+ */
+export async function processDialog360AccountUpdate(field, value) {
+  try {
+    if (field === 'message_template_status_update') {
+      await recordTemplateStatusUpdate(value);
+    } else if (field === 'phone_number_quality_update') {
+      await recordQualityUpdate(value);
+    }
   } catch (err) {
-    // Silently fail
+    console.error(`❌ Error recording Dialog360 ${field}:`, err);
   }
 }
 
@@ -363,9 +341,11 @@ export async function processDialog360Error(error, value) {
  * @param {string} timestamp - WhatsApp timestamp
  * @param {string} payload - Button payload (if applicable)
  * @param {string} messageType - Type of message ('text', 'button', etc.)
+ * @returns {Promise<boolean>} Whether the message was taken as an RSVP answer
  */
 async function updateEventMessageResponse(phoneNumber, replyText, timestamp, payload, messageType = 'button') {
   const client = await pool.connect();
+  let handled = false;
   
   try {
     await client.query('BEGIN');
@@ -390,23 +370,25 @@ async function updateEventMessageResponse(phoneNumber, replyText, timestamp, pay
     
     if (!contact) {
       await client.query('ROLLBACK');
-      return;
+      return handled;
     }
     
     const contactId = contact.id;
     
-    // Check if we're expecting a guest count (awaiting_guest_count flag)
-    const awaitingMessage = await findAwaitingGuestCountMessage(contactId);
+    // Check if the guest is answering a question of the event's RSVP flow
+    // (an invitation button is a new answer and ends the conversation instead)
+    const conversation = eventId ? null : await findActiveConversation(contactId);
     
-    if (awaitingMessage) {
-      // This is a guest count reply
-      await handleGuestCountReply(client, awaitingMessage.id, awaitingMessage.event_id, contactId, replyText);
+    if (conversation) {
+      await handleRsvpConversationReply(conversation, contactId, replyText, payload);
+      handled = true;
       await client.query('COMMIT');
-      return;
+      return handled;
     }
     
     // Find the event_message for this event + contact combination
     let eventMessageId = null;
+    let changingAnswer = false;
     
     if (eventId) {
       const eventMessageResult = await client.query(
@@ -420,8 +402,16 @@ async function updateEventMessageResponse(phoneNumber, replyText, timestamp, pay
         [eventId, contactId]
       );
       
+      const changeableInvitation = eventMessageResult.rows.length > 0
+        ? null
+        : await findChangeableInvitation(contactId, eventId);
+      
       if (eventMessageResult.rows.length > 0) {
         eventMessageId = eventMessageResult.rows[0].id;
+      } else if (changeableInvitation) {
+        // Already answered - the guest is changing their answer
+        eventMessageId = changeableInvitation.id;
+        changingAnswer = true;
       } else {
         // No pending invitation found - get event and contact details
         const eventDetailsResult = await client.query(
@@ -462,7 +452,7 @@ async function updateEventMessageResponse(phoneNumber, replyText, timestamp, pay
         }
         
         await client.query('COMMIT');
-        return;
+        return handled;
       }
     }
     
@@ -470,7 +460,7 @@ async function updateEventMessageResponse(phoneNumber, replyText, timestamp, pay
     if (payload && payload.startsWith('followup_')) {
       // Find the most recent "לא בטוח" (maybe) invitation for this contact
       const maybeInvitationResult = await client.query(
-        `SELECT id FROM event_messages 
+        `SELECT id, event_id FROM event_messages 
          WHERE contact_id = $1 
          AND message_type = 'invitation' 
          AND response = 'לא בטוח'
@@ -480,11 +470,11 @@ async function updateEventMessageResponse(phoneNumber, replyText, timestamp, pay
       );
       
       if (maybeInvitationResult.rows.length > 0) {
-        const eventMessageId = maybeInvitationResult.rows[0].id;
+        const { id: eventMessageId, event_id: maybeEventId } = maybeInvitationResult.rows[0];
         
         // Calculate follow-up date using helper function (handles all button types including 5 days)
         const followupDate = calculateFollowupDate(payload);
-        const followupText = getFollowupDisplayText(payload);
+        const followupText = getFollowupDisplayText(payload, contact.preferred_language);
         
         // Store follow-up date in database
         await client.query(
@@ -495,27 +485,19 @@ async function updateEventMessageResponse(phoneNumber, replyText, timestamp, pay
         );
         
         // Send confirmation
+        handled = true;
         await client.query('COMMIT');
         
-        const confirmationText = `תודה! נחזור אליך ${followupText} ✅`;
-        await fetch('https://waba-v2.360dialog.io/messages', {
-          method: 'POST',
-          headers: {
-            'D360-API-KEY': process.env.D360_API_KEY,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            messaging_product: 'whatsapp',
-            to: phoneNumber,
-            type: 'text',
-            text: { body: confirmationText }
-          }),
-        });
+        const confirmationText = guestText(contact.preferred_language, 'followupConfirmation', { when: followupText });
+        await sendSessionMessage(
+          { contactId, eventId: maybeEventId, eventMessageId },
+          () => sendFlowMessage(phoneNumber, confirmationText)
+        );
       } else {
         await client.query('ROLLBACK');
       }
       
-      return;
+      return handled;
     }
     
     // If no eventMessageId from payload, try to find most recent pending invitation
@@ -532,9 +514,18 @@ async function updateEventMessageResponse(phoneNumber, replyText, timestamp, pay
         [contactId]
       );
       
+      const changeableInvitation = fallbackResult.rows.length > 0
+        ? null
+        : await findChangeableInvitation(contactId);
+      
       if (fallbackResult.rows.length > 0) {
         eventMessageId = fallbackResult.rows[0].id;
         eventId = fallbackResult.rows[0].event_id; // Set eventId for later use
+      } else if (changeableInvitation) {
+        // Already answered - a recognized answer changes it
+        eventMessageId = changeableInvitation.id;
+        eventId = changeableInvitation.event_id;
+        changingAnswer = true;
       } else {
         // No pending invitation found - try ANY recent invitation
         const anyRecentResult = await client.query(
@@ -561,64 +552,101 @@ async function updateEventMessageResponse(phoneNumber, replyText, timestamp, pay
         }
         
         await client.query('COMMIT');
-        return;
+        return handled;
       }
     }
     
-    // Map invitation response to Hebrew response types
-    // For text messages, enable fallback to handle templates without buttons
-    const allowTextFallback = (messageType === 'text');
-    const mappedResponse = mapInvitationButtonResponse(replyText, messageType, allowTextFallback);
+    let mappedResponse;
+    let guestCount = null;
+    
+    if (messageType === 'text' && !payload) {
+      // Free text - read the intent and guest count ("נהיה 4"); replies the
+      // classifier is not sure about are left for the owner to resolve
+      const classification = classifyRsvpReply(replyText, contact.preferred_language);
+      
+      if (classification.confidence < RSVP_REVIEW_THRESHOLD) {
+        // After an answer, chat that does not read like a new answer is not queued
+        if (changingAnswer && !classification.intent) {
+          await client.query('ROLLBACK');
+          return handled;
+        }
+        
+        const review = await queueRsvpReview(eventMessageId, replyText, classification, responseTime);
+        await client.query('COMMIT');
+        console.log(`🔎 RSVP reply queued for review (${review?.id}): contact ${contactId}, event ${eventId}, confidence ${classification.confidence}`);
+        return handled;
+      }
+      
+      mappedResponse = classification.response;
+      guestCount = classification.guestCount;
+    } else {
+      // Template buttons by their payload, other replies by the button text
+      // in the guest's language first
+      mappedResponse = mapRsvpPayload(payload)
+        || mapInvitationButtonResponse(replyText, messageType, false, contact.preferred_language);
+    }
     
     // If no mapped response, skip processing
     if (!mappedResponse) {
       await client.query('ROLLBACK');
-      return;
+      return handled;
     }
     
-    // Update the event_messages record with the response
-    await updateMessageResponse(eventMessageId, mappedResponse, responseTime);
+    // Update the event_messages record with the response (kept in the
+    // RSVP history; a changed answer notifies the owner)
+    const recorded = await recordRsvpResponse(eventMessageId, mappedResponse, responseTime, messageType);
+    handled = Boolean(recorded);
     
-    // For "maybe" responses, fetch event date and celebrator names before committing (within transaction)
-    let eventDate = null;
-    let celebrator1Name = null;
-    let celebrator2Name = null;
+    await client.query('COMMIT');
     
-    if (mappedResponse === 'לא בטוח') {
-      const eventInfoResult = await client.query(
-        'SELECT event_date, celebrator1_name, celebrator2_name FROM events WHERE id = $1',
-        [eventId]
-      );
-      
-      if (eventInfoResult.rows.length > 0) {
-        eventDate = eventInfoResult.rows[0].event_date;
-        celebrator1Name = eventInfoResult.rows[0].celebrator1_name;
-        celebrator2Name = eventInfoResult.rows[0].celebrator2_name;
-      }
+    // Same answer as before - nothing to continue
+    if (!recorded?.changed) {
+      return handled;
     }
     
-    await client.query('COMMIT');
-    
-    // Send appropriate follow-up message based on response type
-    if (mappedResponse === 'מגיע') {
-      // Attending - Set awaiting_guest_count flag and ask for guest count
-      await setAwaitingGuestCount(eventMessageId);
-      await sendGuestCountQuestion(phoneNumber);
-      
-    } else if (mappedResponse === 'לא מגיע') {
-      // Not attending - Send decline confirmation
-      await sendDeclineConfirmation(phoneNumber);
-      
-    } else if (mappedResponse === 'לא בטוח') {
-      // Maybe - Send maybe confirmation with dynamic buttons based on event proximity
-      await sendMaybeConfirmation(phoneNumber, eventDate, celebrator1Name, celebrator2Name);
+    if (recorded.notified) {
+      console.log(`🔄 RSVP changed: contact ${contactId}, event ${eventId}: ${recorded.previousResponse} → ${mappedResponse}`);
     }
     
+    // Continue with the event's RSVP flow for this response (guest count
+    // question, decline confirmation, follow-up buttons or a custom flow);
+    // a count given in the reply answers the count question
+    await startRsvpConversation(
+      eventMessageId,
+      eventId,
+      contactId,
+      mappedResponse,
+      phoneNumber,
+      guestCount ? { guests_coming: guestCount } : {}
+    );
+    
   } catch (error) {
     await client.query('ROLLBACK');
+    throw error;
   } finally {
     client.release();
   }
+  
+  return handled;
+}
+
+/**
+ * E.164 number of a phone on a shared contact card
+ * wa_id (set when the number is on WhatsApp) is already international.
+ * Unparseable numbers are kept as sent so the owner can fix them.
+ * 
+ * @param {Object} phone - { phone, wa_id, type }
+ * @param {string} senderCountry - Country of the sender's number
+ * @returns {string|null}
+ */
+function normalizeSharedContactPhone(phone, senderCountry) {
+  if (!phone) return null;
+  
+  if (phone.wa_id) {
+    return formatE164(`+${phone.wa_id}`) || phone.phone || null;
+  }
+  
+  return formatE164(phone.phone, senderCountry) || phone.phone || null;
 }
 
 /**
@@ -630,30 +658,27 @@ async function updateEventMessageResponse(phoneNumber, replyText, timestamp, pay
  */
 async function handleWhatsAppContactCards(contacts, senderNumber) {
   try {
-    // Check if there's an active token for this phone number
-    const token = phoneToToken.get(senderNumber);
+    // Check if there's an open upload session for this phone number
+    const session = await findActiveUploadSession(senderNumber);
     
-    if (!token) {
-      // No active token for this phone number, let it be processed as normal event response
+    if (!session) {
+      // No active session for this phone number, let it be processed as normal event response
       return { handled: false };
     }
     
-    // Get the user from the specific token
-    const activeUser = getUserFromValidatedToken(token);
-    
-    if (!activeUser) {
-      // Token expired or invalid, clean up
-      phoneToToken.delete(senderNumber);
+    if (!session.is_accepting) {
+      // Token window closed - contacts already received are saved by the sweeper
       await sendWhatsAppReply(senderNumber, '❌ הטוקן פג תוקף. אנא שלחו את הטוקן שוב כדי לשלוח אנשי קשר.');
       return { handled: true, result: { success: false, message: 'Token expired' } };
     }
     
-    // Parse vCard contacts
+    // Parse vCard contacts - local numbers on the cards are in the sender's country
+    const senderCountry = parsePhoneNumber(senderNumber)?.countryCode;
     const parsedContacts = [];
     for (const contact of contacts) {
       const contactData = {
         name: contact.name?.formatted_name || contact.name?.first_name || contact.name?.display_name || 'Unknown',
-        phone: contact.phones?.[0]?.phone || null,
+        phone: normalizeSharedContactPhone(contact.phones?.[0], senderCountry),
         email: contact.emails?.[0]?.email || null
       };
       
@@ -668,36 +693,21 @@ async function handleWhatsAppContactCards(contacts, senderNumber) {
       return { handled: true, result: { success: false, message: 'No valid contacts' } };
     }
     
-    // Check if we already have a buffer for this sender
-    const existingBuffer = contactBuffers.get(senderNumber);
+    // Add to the session and push back its finalization time
+    const totalContacts = await appendContactsToSession(session.id, parsedContacts, CONTACT_UPLOAD_IDLE_MINUTES);
     
-    if (existingBuffer) {
-      // Add to existing buffer
-      existingBuffer.contacts.push(...parsedContacts);
-      
-      // Reset the timeout
-      clearTimeout(existingBuffer.timeoutId);
-      existingBuffer.timeoutId = setTimeout(() => {
-        finalizeContactUpload(senderNumber);
-      }, CONTACT_UPLOAD_TIMEOUT);
-      
-      await sendWhatsAppReply(senderNumber, `✅ קיבלנו ${parsedContacts.length} אנשי קשר!\n\n${parsedContacts.length > 1 ? 'נוספו לרשימה' : 'נוסף לרשימה'}.\n\nסה"כ נשלחו: ${existingBuffer.contacts.length} אנשי קשר\n\nאפשר להמשיך לשלוח עוד או להשיב "סיימתי" אם סיימתם.`);
-      return { handled: true, result: { success: true, contacts: parsedContacts } };
+    if (totalContacts === null) {
+      // Session was finalized in the meantime (e.g. by the sweeper)
+      await sendWhatsAppReply(senderNumber, '❌ הטוקן פג תוקף. אנא שלחו את הטוקן שוב כדי לשלוח אנשי קשר.');
+      return { handled: true, result: { success: false, message: 'Session closed' } };
+    }
+    
+    if (totalContacts > parsedContacts.length) {
+      await sendWhatsAppReply(senderNumber, `✅ קיבלנו ${parsedContacts.length} אנשי קשר!\n\n${parsedContacts.length > 1 ? 'נוספו לרשימה' : 'נוסף לרשימה'}.\n\nסה"כ נשלחו: ${totalContacts} אנשי קשר\n\nאפשר להמשיך לשלוח עוד או להשיב "סיימתי" אם סיימתם.`);
     } else {
-      // Create new buffer
-      const timeoutId = setTimeout(() => {
-        finalizeContactUpload(senderNumber);
-      }, CONTACT_UPLOAD_TIMEOUT);
-      
-      contactBuffers.set(senderNumber, {
-        user: activeUser,
-        contacts: parsedContacts,
-        timeoutId: timeoutId
-      });
-      
       await sendWhatsAppReply(senderNumber, `✅ מעולה! קיבלנו ${parsedContacts.length} אנשי קשר!\n\nאפשר להמשיך לשלוח עוד אנשי קשר או להשיב "סיימתי" אם סיימתם.`);
-      return { handled: true, result: { success: true, contacts: parsedContacts } };
     }
+    return { handled: true, result: { success: true, contacts: parsedContacts } };
     
   } catch (error) {
     console.error('❌ Error handling WhatsApp contact cards:', error);
@@ -707,46 +717,54 @@ async function handleWhatsAppContactCards(contacts, senderNumber) {
 }
 
 /**
- * Finalize contact upload - save all buffered contacts to database
+ * Finalize contact upload - save all of the session's contacts to database
+ * Safe to call concurrently: only one caller saves the contacts.
  * 
- * @param {string} senderNumber - The sender's phone number
+ * @param {number} sessionId - Upload session ID
+ * @returns {Promise<Object|null>} Finalize result, or null if another caller finalized it
  */
-async function finalizeContactUpload(senderNumber) {
+async function finalizeContactUpload(sessionId) {
   try {
-    const buffer = contactBuffers.get(senderNumber);
-    
-    if (!buffer) {
-      return;
-    }
-    
-    const { user, contacts } = buffer;
-    
-    if (contacts.length === 0) {
-      contactBuffers.delete(senderNumber);
-      return;
-    }
-    
-    // Save contacts to database (using guest upload system)
-    console.log('🔍 EMAIL EXTRACTED FROM TOKEN FOR invited_by COLUMN:', user.email);
-    const result = await saveContactsToDatabase(user.id, contacts, user.email, senderNumber);
+    const result = await finalizeUploadSession(sessionId);
     
-    if (result.success) {
-      await sendWhatsAppReply(senderNumber, `✅ נשמרו ${contacts.length} אנשי קשר בהצלחה!\n\nהאנשי קשר יופיעו בהתראות של בעל הטוקן לבדיקה ואישור.`);
-    } else {
-      await sendWhatsAppReply(senderNumber, '❌ שגיאה בשמירת אנשי הקשר. אנא נסה שוב.');
+    if (!result || result.status !== 'completed') {
+      return result;
     }
     
-    // Clear the buffer and phone-to-token mapping
-    contactBuffers.delete(senderNumber);
-    phoneToToken.delete(senderNumber);
+    console.log('🔍 EMAIL EXTRACTED FROM TOKEN FOR invited_by COLUMN:', result.session.user_email);
+    await sendWhatsAppReply(result.session.sender_phone, `✅ נשמרו ${result.contactCount} אנשי קשר בהצלחה!\n\nהאנשי קשר יופיעו בהתראות של בעל הטוקן לבדיקה ואישור.`);
     
+    return result;
   } catch (error) {
     console.error('❌ Error finalizing contact upload:', error);
-    contactBuffers.delete(senderNumber);
-    phoneToToken.delete(senderNumber);
+    return null;
   }
 }
 
+/**
+ * Finalize every upload session that is due
+ * Called by the sweeper cron job - replaces the per-sender setTimeout
+ * 
+ * @returns {Promise<{ completed: number, expired: number }>}
+ */
+export async function sweepContactUploadSessions() {
+  const sessionIds = await findDueUploadSessionIds();
+  const summary = { completed: 0, expired: 0 };
+  
+  for (const sessionId of sessionIds) {
+    const result = await finalizeContactUpload(sessionId);
+    if (result) {
+      summary[result.status]++;
+    }
+  }
+  
+  if (sessionIds.length > 0) {
+    console.log(`🧹 Upload session sweep: ${summary.completed} saved, ${summary.expired} expired`);
+  }
+  
+  return summary;
+}
+
 /**
  * Handle WhatsApp contact upload messages
  * 
@@ -759,53 +777,59 @@ async function handleWhatsAppContactUpload(messageText, senderNumber) {
     // Check for WhatsApp contact upload
 
     // Check if message contains a token (works even if message is just the token)
-    // More specific regex to match valid token format: VIX_[hash]_[timestamp]_[random]
-    const tokenMatch = messageText.match(/VIX_[A-Z0-9]+_[A-Z0-9]+_[A-Z0-9]+/);
+    // Token format: VIX_[id]_[signature] - see uploadTokens.js
+    const tokenMatch = extractUploadToken(messageText);
     
-    if (tokenMatch) {
+    if (tokenMatch.found) {
       // Phase 1: Token validation
-      const token = tokenMatch[0];
-      const tokenData = parseToken(token);
-      
-      if (!tokenData || !tokenData.isValid) {
+      if (!tokenMatch.tokenId) {
         await sendWhatsAppReply(senderNumber, '❌ הטוקן לא תקין או פג תוקף. אנא נסה שוב.');
         return { handled: true, result: { success: false, message: 'Invalid token' } };
       }
-      const user = await findUserByHash(tokenData.userHash);
-      if (!user) {
-        await sendWhatsAppReply(senderNumber, '❌ משתמש לא נמצא. אנא בדוק את הטוקן.');
-        return { handled: true, result: { success: false, message: 'User not found' } };
+      
+      const uploadToken = await findUploadTokenById(tokenMatch.tokenId);
+      if (!uploadToken || !uploadToken.is_active) {
+        await sendWhatsAppReply(senderNumber, '❌ הטוקן לא תקין או פג תוקף. אנא נסה שוב.');
+        return { handled: true, result: { success: false, message: uploadToken ? 'Token expired or revoked' : 'Invalid token' } };
       }
       
-      // Store token in database for persistence
-      await storeTokenInDatabase(token, user.id, user.email, user.name);
+      const user = { id: uploadToken.user_id, email: uploadToken.user_email, name: uploadToken.user_name };
+      await recordUploadTokenUse(uploadToken.id);
+      
+      // A session for another user's token is saved before starting a new one
+      const openSession = await findActiveUploadSession(senderNumber);
+      if (openSession && openSession.user_id !== user.id) {
+        await finalizeContactUpload(openSession.id);
+      }
       
-      // Store the validated token in memory for contact processing
-      activeTokens.set(token, {
-        user: user,
-        validatedAt: Date.now()
+      // Open an upload session - or resume the sender's open session for the same user
+      const { session, resumed } = await openUploadSession({
+        senderPhone: senderNumber,
+        user,
+        tokenId: uploadToken.id,
+        acceptingMinutes: UPLOAD_SESSION_WINDOW_MINUTES
       });
       
-      // Track which phone number is using this token
-      phoneToToken.set(senderNumber, token);
+      if (resumed && session.contact_count > 0) {
+        await sendWhatsAppReply(senderNumber, `✅ הטוקן אומת בהצלחה!\n\nממשיכים מאיפה שעצרתם - כבר קיבלנו ${session.contact_count} אנשי קשר.\n\nאפשר להמשיך לשלוח כרטיסי קשר או להשיב "סיימתי" אם סיימתם.\n\n⏰ הטוקן פעיל למשך 10 דקות בלבד`);
+        return { handled: true, result: { success: true, message: 'Upload session resumed' } };
+      }
       
       await sendWhatsAppReply(senderNumber, `✅ הטוקן אומת בהצלחה!\n\nשלחו כעת את כרטיסי אנשי הקשר שלכם - פשוט לחצו על כפתור השיתוף של אנשי הקשר בתפריט ולחצו על כל אנשי הקשר שתרצו לשלוח.\n\n⏰ הטוקן פעיל למשך 10 דקות בלבד`);
       return { handled: true, result: { success: true, message: 'Token validated' } };
       
     } else {
+      const session = await findActiveUploadSession(senderNumber);
+      
       // Check if user is trying to finalize contact upload
       const trimmedText = messageText.trim().toLowerCase();
       if (trimmedText === 'סיימתי' || trimmedText === 'סיימתי!' || trimmedText === 'סיימתי?') {
-        // Check if there's an active buffer for this sender
-        const buffer = contactBuffers.get(senderNumber);
-        
-        if (buffer && buffer.contacts.length > 0) {
-          // Clear the timeout and finalize immediately
-          clearTimeout(buffer.timeoutId);
-          await finalizeContactUpload(senderNumber);
+        if (session && session.contact_count > 0) {
+          // Finalize immediately instead of waiting for the sweeper
+          await finalizeContactUpload(session.id);
           return { handled: true, result: { success: true, message: 'Contact upload finalized' } };
         } else {
-          // No buffer found, nothing to save
+          // No contacts in the session, nothing to save
           await sendWhatsAppReply(senderNumber, '❗ לא נמצאו אנשי קשר לשמירה. אנא שלחו כרטיסי קשר לפני הסיום.');
           return { handled: true, result: { success: false, message: 'No contacts to save' } };
         }
@@ -813,17 +837,14 @@ async function handleWhatsAppContactUpload(messageText, senderNumber) {
       
       // Phase 2: Manual contact upload not supported
       // Only contact cards are accepted. If user sends text, inform them to send contact cards.
-      const token = phoneToToken.get(senderNumber);
-      
-      if (token) {
-        const user = getUserFromValidatedToken(token);
-        if (user) {
+      if (session) {
+        if (session.is_accepting) {
           // User has an active token but sent text instead of contact cards
           await sendWhatsAppReply(senderNumber, '📇 אנא שלחו כרטיסי קשר בלבד.\n\nלחצו על כפתור השיתוף של אנשי הקשר וצרו קשר עם הכרטיסים שתרצו לשלוח.');
           return { handled: true, result: { success: false, message: 'Text contacts not accepted' } };
-        } else {
-          // Token expired, clean up and notify user
-          phoneToToken.delete(senderNumber);
+        } else if (session.contact_count === 0) {
+          // Token expired without contacts - close the session and notify user
+          await finalizeContactUpload(session.id);
           await sendWhatsAppReply(senderNumber, '❌ הטוקן פג תוקף. אנא שלחו את הטוקן שוב כדי לשלוח אנשי קשר.');
         }
       }
@@ -855,7 +876,7 @@ async function sendWhatsAppReply(phoneNumber, message) {
     }
 
     // Use Dialog360 v2 API to send message (same as other functions)
-    const response = await fetch('https://waba-v2.360dialog.io/messages', {
+    const response = await fetch(getDialog360MessagesUrl(), {
       method: 'POST',
       headers: {
         'D360-API-KEY': apiKey,
@@ -880,86 +901,14 @@ async function sendWhatsAppReply(phoneNumber, message) {
   }
 }
 
-/**
- * Store token in users table
- */
-async function storeTokenInDatabase(token, userId, userEmail, userName) {
-  try {
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      
-      // Add columns to users table if they don't exist
-      await client.query(`
-        ALTER TABLE users 
-        ADD COLUMN IF NOT EXISTS whatsapp_token VARCHAR(255),
-        ADD COLUMN IF NOT EXISTS whatsapp_token_expires_at TIMESTAMP
-      `);
-      
-      // Update user with token
-      // Store token with 10-day expiry
-      const result = await client.query(`
-        UPDATE users 
-        SET whatsapp_token = $1, 
-            whatsapp_token_expires_at = $2
-        WHERE id = $3
-      `, [
-        token,
-        new Date(Date.now() + (TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000)), // 10 days for token validity
-        userId
-      ]);
-      
-      await client.query('COMMIT');
-    } catch (error) {
-      await client.query('ROLLBACK');
-      console.error('❌ Error in transaction:', error);
-      throw error;
-    } finally {
-      client.release();
-    }
-  } catch (error) {
-    console.error('❌ Error storing token in users table:', error);
-  }
-}
-
-/**
- * Get user from a specific validated token
- * This is the correct way to verify which user a token belongs to
- */
-function getUserFromValidatedToken(token) {
-  const tokenData = activeTokens.get(token);
-  
-  if (!tokenData) {
-    return null;
-  }
-  
-  // Check if token is still valid (within 10 minutes)
-  const tenMinutesAgo = Date.now() - (10 * 60 * 1000);
-  if (tokenData.validatedAt < tenMinutesAgo) {
-    activeTokens.delete(token);
-    return null;
-  }
-  
-  console.log('🔍 EMAIL RETRIEVED FROM TOKEN FOR invited_by:', tokenData.user.email);
-  return tokenData.user;
-}
-
 /**
  * Generate and store a new token for a user
+ * The user's previous tokens are revoked.
  */
 async function generateAndStoreToken(userEmail, userName) {
   try {
-    // Generate token the same way as frontend
-    const timestamp = Date.now().toString(36);
-    const randomStr = Math.random().toString(36).substring(2, 8);
-    const userHash = Buffer.from(userEmail).toString('base64')
-      .replace(/[^a-zA-Z0-9]/g, '');
-    const token = `VIX_${userHash}_${timestamp}_${randomStr}`.toUpperCase();
-    
-    console.log('🔍 EMAIL INSERTED INTO TOKEN:', userEmail, '-> Token:', token);
-    
-    // Find user in database by email directly (more reliable than hash)
     const client = await pool.connect();
+    let user;
     try {
       const userResult = await client.query(
         `SELECT id, email, name FROM users WHERE email = $1`,
@@ -970,15 +919,16 @@ async function generateAndStoreToken(userEmail, userName) {
         throw new Error('User not found');
       }
       
-      const user = userResult.rows[0];
-      
-      // Store token in database
-      await storeTokenInDatabase(token, user.id, userEmail, userName);
+      user = userResult.rows[0];
     } finally {
       client.release();
     }
     
-    return token;
+    const tokenId = generateTokenId();
+    await createUploadToken(tokenId, user.id, TOKEN_EXPIRY_DAYS);
+    
+    console.log('🔑 Upload token created for:', userEmail, '-> Token ID:', tokenId);
+    return formatUploadToken(tokenId);
   } catch (error) {
     console.error('❌ Error generating and storing token:', error);
     throw error;
@@ -986,39 +936,41 @@ async function generateAndStoreToken(userEmail, userName) {
 }
 
 /**
- * Get active token for a user from users table
+ * Get active token for a user
  */
 async function getActiveTokenForUser(userEmail) {
   try {
-    const client = await pool.connect();
-    try {
-      // Get user with token from users table
-      const result = await client.query(`
-        SELECT whatsapp_token, whatsapp_token_expires_at
-        FROM users
-        WHERE email = $1 
-        AND whatsapp_token IS NOT NULL
-        AND whatsapp_token_expires_at > NOW()
-      `, [userEmail]);
-      
-      if (result.rows.length > 0) {
-        const row = result.rows[0];
-        return {
-          token: row.whatsapp_token,
-          createdAt: null, // We don't store creation time in users table
-          expiresAt: row.whatsapp_token_expires_at,
-          isValid: true
-        };
-      }
-      
+    const uploadToken = await findActiveUploadTokenForUser(userEmail);
+    
+    if (!uploadToken) {
       return null;
-    } finally {
-      client.release();
     }
+    
+    return {
+      token: formatUploadToken(uploadToken.id),
+      createdAt: uploadToken.created_at,
+      expiresAt: uploadToken.expires_at,
+      useCount: uploadToken.use_count,
+      contactsReceived: uploadToken.contacts_received,
+      lastUsedAt: uploadToken.last_used_at,
+      isValid: true
+    };
   } catch (error) {
     console.error('Error getting active token for user:', error);
     return null;
   }
 }
 
-export { handleWhatsAppContactUpload, generateAndStoreToken, getActiveTokenForUser };
\ No newline at end of file
+/**
+ * Revoke the user's active upload tokens
+ * Open upload sessions stop accepting contacts; contacts already received are still saved.
+ * 
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+async function revokeTokensForUser(userEmail) {
+  const revoked = await revokeUploadTokensForUser(userEmail);
+  console.log(`🔒 Revoked ${revoked} upload token(s) for:`, userEmail);
+  return revoked;
+}
+
+export { handleWhatsAppContactUpload, generateAndStoreToken, getActiveTokenForUser, revokeTokensForUser };
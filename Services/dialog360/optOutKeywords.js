@@ -0,0 +1,82 @@
+import { SUPPORTED_LANGUAGES, resolveLanguage } from '../utils/languages.js';
+
+/**
+ * Opt-out Keywords
+ *
+ * Recognizes a guest's request to stop (or restart) WhatsApp messages.
+ * Only a message that is nothing but the keyword counts ("STOP", "הסר
+ * אותי!") - a keyword inside a longer message is left to the RSVP handling.
+ */
+
+const KEYWORDS = {
+  he: {
+    stop: ['הסר', 'הסירו', 'הסר אותי', 'הסירו אותי', 'הסרה', 'עצור', 'הפסק', 'הפסיקו', 'תפסיקו', 'אל תשלחו'],
+    start: ['התחל', 'הצטרף', 'הרשמה', 'חידוש']
+  },
+  en: {
+    stop: ['stop', 'stop all', 'unsubscribe', 'opt out', 'optout', 'remove me', 'quit', 'end'],
+    start: ['start', 'unstop', 'subscribe', 'opt in', 'optin']
+  },
+  ru: {
+    stop: ['стоп', 'отписаться', 'отписка', 'хватит', 'не пишите'],
+    start: ['старт', 'подписаться']
+  },
+  ar: {
+    stop: ['توقف', 'إيقاف', 'الغاء الاشتراك', 'إلغاء الاشتراك', 'لا ترسلوا'],
+    start: ['ابدأ', 'اشتراك']
+  },
+  fr: {
+    stop: ['stop', 'arrêt', 'arrêter', 'désabonner', 'se désabonner', 'désinscrire', 'me désinscrire'],
+    start: ['start', 'commencer', 'réabonner', "s'abonner"]
+  }
+};
+
+/**
+ * A message (or keyword) lowercase, without accents, punctuation or emoji
+ */
+function normalizeKeywordText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[’‘`]/g, "'")
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const LOOKUP = Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [
+  language,
+  new Map(['stop', 'start'].flatMap(action =>
+    KEYWORDS[language][action].map(keyword => [normalizeKeywordText(keyword), action])
+  ))
+]));
+
+/**
+ * Read an opt-out / opt-in keyword message
+ *
+ * @param {string} text - Message text
+ * @param {string|null} language - Guest language, looked up first
+ * @returns {Object|null} { action: 'stop' | 'start', keyword, language } or null
+ */
+export function matchOptOutKeyword(text, language = null) {
+  const keyword = normalizeKeywordText(text);
+
+  if (!keyword) {
+    return null;
+  }
+
+  const preferred = language ? resolveLanguage(language) : null;
+  const languages = preferred
+    ? [preferred, ...SUPPORTED_LANGUAGES.filter(candidate => candidate !== preferred)]
+    : SUPPORTED_LANGUAGES;
+
+  for (const candidate of languages) {
+    const action = LOOKUP[candidate].get(keyword);
+    if (action) {
+      return { action, keyword, language: candidate };
+    }
+  }
+
+  return null;
+}
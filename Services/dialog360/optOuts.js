@@ -0,0 +1,65 @@
+import { findContactByPhoneNumber } from '../database/eventMessagesRepository.js';
+import { findActiveConversation, cancelConversation } from '../database/rsvpConversationsRepository.js';
+import { recordOptOut, liftGuestOptOuts } from '../database/optOutsRepository.js';
+import { matchOptOutKeyword } from './optOutKeywords.js';
+import { sendTextMessage } from './whatsappMessenger.js';
+import { guestText } from './guestMessages.js';
+
+/**
+ * Guest Opt-outs
+ *
+ * A guest who replies with an opt-out keyword (see optOutKeywords.js) is put
+ * on the do-not-contact list for every owner (see optOutsRepository.js) and
+ * gets a confirmation. A start keyword takes them off it again.
+ *
+ * Every send path checks the list: the auto-invite and followup crons,
+ * manual sends, the outbound worker, RSVP flow messages and inbox replies.
+ */
+
+/**
+ * Handle an opt-out / opt-in keyword message
+ * A start keyword from a guest who did not opt out is not handled.
+ *
+ * @param {string} text - Message text
+ * @param {string} phoneNumber - Number the message came from
+ * @returns {Promise<Object>} { handled, action }
+ */
+export async function handleOptOutMessage(text, phoneNumber) {
+  const contact = await findContactByPhoneNumber(phoneNumber);
+  const match = matchOptOutKeyword(text, contact?.preferred_language);
+
+  if (!match) {
+    return { handled: false, action: null };
+  }
+
+  // The confirmation follows the guest's language, else the keyword's
+  const language = contact?.preferred_language || match.language;
+
+  if (match.action === 'stop') {
+    const { created } = await recordOptOut({
+      phoneNumber,
+      source: 'keyword',
+      keyword: String(text).trim()
+    });
+
+    // Questions the guest has not answered yet are not asked again
+    const conversation = contact ? await findActiveConversation(contact.id) : null;
+    if (conversation) {
+      await cancelConversation(conversation.id);
+    }
+
+    console.log(`🚫 ${phoneNumber} opted out of WhatsApp messages ("${match.keyword}")${created ? '' : ' - already opted out'}`);
+    await sendTextMessage(phoneNumber, guestText(language, 'optedOut'));
+    return { handled: true, action: 'stop' };
+  }
+
+  const lifted = await liftGuestOptOuts(phoneNumber);
+
+  if (lifted === 0) {
+    return { handled: false, action: null };
+  }
+
+  console.log(`✅ ${phoneNumber} opted back in to WhatsApp messages ("${match.keyword}")`);
+  await sendTextMessage(phoneNumber, guestText(language, 'optedIn'));
+  return { handled: true, action: 'start' };
+}
@@ -0,0 +1,344 @@
+import { sendTemplateMessage } from '../dialog360SendTemplate.js';
+import {
+  insertOutboundMessage,
+  claimDueOutboundMessages,
+  markOutboundMessageSent,
+  scheduleOutboundRetry,
+  deferOutboundMessage,
+  releaseOutboundMessage,
+  markOutboundMessageFailed
+} from '../database/outboundMessagesRepository.js';
+import { findOutboundOptOut } from '../database/optOutsRepository.js';
+import { getOutboundSendWindow } from '../database/sendWindowsRepository.js';
+import { getSendWindowStatus, resolveSendWindow, resolveRecipientTimeZone } from './sendWindow.js';
+
+/**
+ * Outbound Message Queue
+ *
+ * Durable outbox for Dialog360 template sends. Callers queue messages inside
+ * their own database transaction; the worker drains due messages at a
+ * configurable rate, retries retryable Dialog360 errors with exponential
+ * backoff and records every attempt against the event_messages row.
+ * Messages to numbers that opted out after they were queued are failed
+ * without sending (error code OPTED_OUT). Messages due outside the
+ * recipient's send window (quiet hours, Shabbat, holidays - see
+ * sendWindow.js) are deferred to its next opening. A message that cannot be
+ * checked before sending (database error) is put back without counting the
+ * attempt.
+ *
+ * Configuration (environment):
+ * - OUTBOUND_RATE_PER_SECOND   - max sends per second (default 5)
+ * - OUTBOUND_POLL_INTERVAL_MS  - idle polling interval (default 2000)
+ * - OUTBOUND_BATCH_SIZE        - messages claimed per poll (default 20)
+ * - OUTBOUND_MAX_ATTEMPTS      - attempts before a message is marked failed (default 5)
+ * - OUTBOUND_RETRY_BASE_MS     - first retry delay, doubled per attempt (default 30000)
+ * - OUTBOUND_RETRY_MAX_MS      - retry delay cap (default 3600000)
+ */
+
+const STALE_LOCK_MS = 5 * 60 * 1000; // 'sending' rows older than this are reclaimed
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Read queue configuration from the environment
+ */
+export function getOutboundQueueConfig() {
+  return {
+    ratePerSecond: readNumber('OUTBOUND_RATE_PER_SECOND', 5),
+    pollIntervalMs: readNumber('OUTBOUND_POLL_INTERVAL_MS', 2000),
+    batchSize: readNumber('OUTBOUND_BATCH_SIZE', 20),
+    maxAttempts: readNumber('OUTBOUND_MAX_ATTEMPTS', 5),
+    retryBaseMs: readNumber('OUTBOUND_RETRY_BASE_MS', 30 * 1000),
+    retryMaxMs: readNumber('OUTBOUND_RETRY_MAX_MS', 60 * 60 * 1000)
+  };
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1), capped, with up to 20% jitter
+ *
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {Object} config - Queue configuration
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelayMs(attempts, config = getOutboundQueueConfig()) {
+  const exponential = config.retryBaseMs * Math.pow(2, Math.max(0, attempts - 1));
+  const capped = Math.min(exponential, config.retryMaxMs);
+  return Math.round(capped + capped * 0.2 * Math.random());
+}
+
+/**
+ * Queue a template message for sending
+ *
+ * @param {Object} client - Database client (the caller's transaction)
+ * @param {Object} params
+ * @param {string} params.idempotencyKey - Unique key for this logical send
+ * @param {Object} params.message - sendTemplateMessage parameters (phoneNumber, templateName, ...)
+ * @param {number|null} params.eventMessageId - event_messages row the send belongs to
+ * @param {string} params.purpose - 'event_message' (default), 'followup' or 'session_fallback'
+ * @param {number|null} params.sendWaveId - Scheduled send wave the message belongs to
+ * @returns {Promise<{ id: number, created: boolean }>}
+ */
+export async function queueTemplateMessage(client, { idempotencyKey, message, eventMessageId = null, purpose = 'event_message', sendWaveId = null }) {
+  if (!idempotencyKey) {
+    throw new Error('idempotencyKey is required');
+  }
+
+  if (!message?.phoneNumber || !message?.templateName) {
+    throw new Error('Queued message requires phoneNumber and templateName');
+  }
+
+  const queued = await insertOutboundMessage(client, {
+    idempotencyKey,
+    eventMessageId,
+    purpose,
+    sendWaveId,
+    phoneNumber: message.phoneNumber,
+    payload: message,
+    maxAttempts: getOutboundQueueConfig().maxAttempts
+  });
+
+  if (!queued.created) {
+    console.log(`ℹ️ Message already queued for key ${idempotencyKey} (outbound_message ${queued.id})`);
+  }
+
+  return queued;
+}
+
+/**
+ * Create an event_messages row and queue its template message in one step
+ * Reuses an existing row when eventMessageId is passed.
+ *
+ * @param {Object} client - Database client (the caller's transaction)
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {number} params.contactId - Contact ID
+ * @param {string} params.messageType - 'invitation' | 'reminder' | 'thank_you' | 'morning_reminder'
+ * @param {number} params.messageRound - Message round (1 = initial invitation)
+ * @param {string} params.idempotencyKey - Unique key for this logical send
+ * @param {Object} params.message - sendTemplateMessage parameters
+ * @param {number} [params.eventMessageId] - Existing event_messages row to attach the send to
+ * @param {number} [params.householdId] - Household the invitation is sent on behalf of
+ * @param {number} [params.sendWaveId] - Scheduled send wave the message belongs to
+ * @returns {Promise<{ eventMessageId: number, outboundMessageId: number, created: boolean }>}
+ */
+export async function queueEventTemplateMessage(client, {
+  eventId,
+  contactId,
+  messageType,
+  messageRound = 1,
+  idempotencyKey,
+  message,
+  eventMessageId = null,
+  householdId = null,
+  sendWaveId = null
+}) {
+  // Already queued - do not create a second event_messages row for the same send
+  const existing = await client.query(
+    'SELECT id, event_message_id FROM outbound_messages WHERE idempotency_key = $1',
+    [idempotencyKey]
+  );
+
+  if (existing.rows.length > 0) {
+    console.log(`ℹ️ Message already queued for key ${idempotencyKey} (outbound_message ${existing.rows[0].id})`);
+    return {
+      eventMessageId: existing.rows[0].event_message_id,
+      outboundMessageId: existing.rows[0].id,
+      created: false
+    };
+  }
+
+  let rowId = eventMessageId;
+
+  if (!rowId) {
+    const insertResult = await client.query(
+      `INSERT INTO event_messages (
+        event_id, contact_id, message_type, message_round, response, household_id
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id`,
+      [eventId, contactId, messageType, messageRound, 'ממתין לתגובה', householdId]
+    );
+    rowId = insertResult.rows[0].id;
+  } else if (householdId) {
+    // A household's invitation row follows its current recipient so the reply is matched to it
+    await client.query(
+      'UPDATE event_messages SET contact_id = $2, household_id = $3 WHERE id = $1',
+      [rowId, contactId, householdId]
+    );
+  }
+
+  const queued = await queueTemplateMessage(client, {
+    idempotencyKey,
+    message,
+    eventMessageId: rowId,
+    sendWaveId
+  });
+
+  return { eventMessageId: rowId, outboundMessageId: queued.id, created: queued.created };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function deliverOutboundMessage(message, config) {
+  let optedOut;
+  let sendWindow;
+
+  // Checks before sending - when they fail nothing was sent, so the message
+  // is put back without counting the attempt
+  try {
+    optedOut = await findOutboundOptOut(message.id);
+
+    if (!optedOut) {
+      const recipient = await getOutboundSendWindow(message.id);
+      sendWindow = getSendWindowStatus(
+        resolveSendWindow(recipient.ownerWindow, recipient.eventWindow),
+        resolveRecipientTimeZone(recipient.timezone, message.phone_number)
+      );
+    }
+  } catch (error) {
+    const delayMs = getRetryDelayMs(1, config);
+    await releaseOutboundMessage(message, new Date(Date.now() + delayMs), error);
+    console.error(`⚠️ Outbound message ${message.id} could not be checked before sending (${error.message}) - retrying in ${Math.round(delayMs / 1000)}s`);
+    return 'retried';
+  }
+
+  if (sendWindow && !sendWindow.open) {
+    await deferOutboundMessage(message, sendWindow.nextOpenAt, sendWindow.reason);
+    console.log(`🌙 Outbound message ${message.id} deferred (${sendWindow.reason}) until ${sendWindow.nextOpenAt.toISOString()}`);
+    return 'deferred';
+  }
+
+  let result;
+
+  try {
+    if (optedOut) {
+      const error = new Error('Recipient opted out of WhatsApp messages');
+      error.code = 'OPTED_OUT';
+      error.retryable = false;
+      throw error;
+    }
+
+    result = await sendTemplateMessage(message.payload);
+  } catch (error) {
+    if (error.retryable && message.attempts < message.max_attempts) {
+      const delayMs = getRetryDelayMs(message.attempts, config);
+      await scheduleOutboundRetry(message, error, new Date(Date.now() + delayMs));
+      console.log(`🔁 Outbound message ${message.id} attempt ${message.attempts} failed (${error.code ?? error.message}) - retrying in ${Math.round(delayMs / 1000)}s`);
+      return 'retried';
+    }
+
+    await markOutboundMessageFailed(message, error);
+    console.error(`❌ Outbound message ${message.id} failed after ${message.attempts} attempt(s): ${error.message}`);
+    return 'failed';
+  }
+
+  try {
+    await markOutboundMessageSent(message, result.messageId);
+  } catch (error) {
+    // The message went out - never retry it because bookkeeping failed
+    console.error(`❌ Outbound message ${message.id} was sent (${result.messageId}) but could not be marked sent:`, error);
+  }
+
+  console.log(`✅ Outbound message ${message.id} sent: ${result.messageId}`);
+  return 'sent';
+}
+
+let drainPromise = null;
+
+/**
+ * Send every message that is currently due (one pass)
+ * Concurrent calls share the pass that is already running.
+ *
+ * @returns {Promise<{ claimed: number, sent: number, retried: number, deferred: number, failed: number }>}
+ */
+export function drainOutboundQueue() {
+  if (drainPromise) {
+    return drainPromise;
+  }
+
+  drainPromise = (async () => {
+    const config = getOutboundQueueConfig();
+    const spacingMs = Math.ceil(1000 / config.ratePerSecond);
+    const stats = { claimed: 0, sent: 0, retried: 0, deferred: 0, failed: 0 };
+
+    const messages = await claimDueOutboundMessages(config.batchSize, STALE_LOCK_MS);
+    stats.claimed = messages.length;
+
+    for (let i = 0; i < messages.length; i++) {
+      const outcome = await deliverOutboundMessage(messages[i], config);
+      stats[outcome]++;
+
+      if (i < messages.length - 1) {
+        await sleep(spacingMs);
+      }
+    }
+
+    return stats;
+  })().finally(() => {
+    drainPromise = null;
+  });
+
+  return drainPromise;
+}
+
+let workerTimer = null;
+let workerRunning = false;
+
+function scheduleNextCycle(delayMs) {
+  clearTimeout(workerTimer);
+  workerTimer = setTimeout(runWorkerCycle, delayMs);
+}
+
+async function runWorkerCycle() {
+  const config = getOutboundQueueConfig();
+  let stats = { claimed: 0 };
+
+  try {
+    stats = await drainOutboundQueue();
+    if (stats.claimed > 0) {
+      console.log(`📮 Outbound queue pass: ${stats.sent} sent, ${stats.retried} retrying, ${stats.deferred} deferred, ${stats.failed} failed`);
+    }
+  } catch (error) {
+    console.error('❌ Outbound queue pass failed:', error);
+  }
+
+  if (workerRunning) {
+    // A full batch means more may be waiting - continue without idling
+    scheduleNextCycle(stats.claimed >= config.batchSize ? 0 : config.pollIntervalMs);
+  }
+}
+
+/**
+ * Start the background worker that drains the queue
+ */
+export function startOutboundWorker() {
+  if (workerRunning) {
+    return;
+  }
+
+  workerRunning = true;
+  const config = getOutboundQueueConfig();
+  console.log(`📮 Outbound queue worker started (${config.ratePerSecond} msg/s, poll every ${config.pollIntervalMs}ms)`);
+  scheduleNextCycle(0);
+}
+
+/**
+ * Stop the background worker
+ */
+export function stopOutboundWorker() {
+  workerRunning = false;
+  clearTimeout(workerTimer);
+  workerTimer = null;
+}
+
+/**
+ * Ask the worker to run now instead of waiting for the next poll
+ * (called after new messages are queued)
+ */
+export function wakeOutboundWorker() {
+  if (workerRunning && !drainPromise) {
+    scheduleNextCycle(0);
+  }
+}
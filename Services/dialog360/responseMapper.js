@@ -11,32 +11,137 @@
  * - "כן, אני אגיע!" / "כן" / "מגיע" / "אגיע" → מגיע (Attending)
  * - "לצערי, לא" / "לא מגיע" / "לא אגיע" → לא מגיע (Not Attending)
  * - "עדיין לא יודע\ת" / "אולי" / "לא בטוח" → לא בטוח (Maybe/Uncertain)
+ * 
+ * English, Russian, Arabic and French replies are matched with the phrase
+ * tables below; the guest's preferred language is tried first. Template
+ * buttons carry their answer in the payload (rsvp_yes/no/maybe_<eventId>),
+ * which works in every language.
  */
 
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, resolveLanguage } from '../utils/languages.js';
+
+const PAYLOAD_RESPONSES = {
+  yes: 'מגיע',
+  no: 'לא מגיע',
+  maybe: 'לא בטוח'
+};
+
 /**
- * Map WhatsApp invitation response to Hebrew response types
+ * Reply phrases per language
+ * exact: the whole reply; phrases: whole words anywhere in the reply.
+ * Checked in this order - negative answers often contain the positive words
+ * ("not coming"), uncertain ones the negative words ("don't know").
+ */
+const REPLY_PHRASES = {
+  en: [
+    {
+      response: 'לא מגיע',
+      exact: ['no', 'nope'],
+      phrases: ['not coming', 'not attending', "can't make it", 'cant make it', 'cannot make it', "can't come", 'cant come', 'cannot come',
+        "won't be able", 'wont be able', "won't make it", 'wont make it', "won't be there", 'wont be there', 'unfortunately', 'sorry', 'unable']
+    },
+    {
+      response: 'לא בטוח',
+      exact: [],
+      phrases: ['maybe', 'not sure', 'perhaps', 'possibly', 'depends', "don't know", 'dont know', 'not yet', 'might']
+    },
+    {
+      response: 'מגיע',
+      exact: ['yes', 'ok', 'okay', 'yep', 'yeah', 'sure'],
+      phrases: ['yes', 'will be there', "we'll be there", "i'll be there", 'will come', 'attending', 'coming', 'count me in', 'count us in',
+        'of course', 'definitely', 'absolutely', 'see you there']
+    }
+  ],
+  ru: [
+    {
+      response: 'לא מגיע',
+      exact: ['нет'],
+      phrases: ['нет', 'не приду', 'не придем', 'не придём', 'не смогу', 'не сможем', 'не буду', 'не будем', 'не получится', 'к сожалению']
+    },
+    {
+      response: 'לא בטוח',
+      exact: [],
+      phrases: ['может быть', 'возможно', 'не знаю', 'не знаем', 'не уверен', 'не уверена', 'не уверены', 'посмотрим', 'пока не']
+    },
+    {
+      response: 'מגיע',
+      exact: ['да', 'ок'],
+      phrases: ['да', 'приду', 'придем', 'придём', 'буду', 'будем', 'обязательно', 'конечно', 'с удовольствием']
+    }
+  ],
+  ar: [
+    {
+      response: 'לא מגיע',
+      exact: ['لا'],
+      phrases: ['لن أحضر', 'لن احضر', 'لن نحضر', 'لا أستطيع', 'لا استطيع', 'لا نستطيع', 'للأسف', 'للاسف', 'آسف', 'اسف', 'معتذر']
+    },
+    {
+      response: 'לא בטוח',
+      exact: [],
+      phrases: ['ربما', 'يمكن', 'لست متأكد', 'لست متأكدا', 'مش متأكد', 'لا أعرف', 'لا اعرف', 'مش عارف']
+    },
+    {
+      response: 'מגיע',
+      exact: ['نعم', 'أكيد', 'اكيد', 'تمام'],
+      phrases: ['نعم', 'سأحضر', 'سنحضر', 'سوف أحضر', 'سوف نحضر', 'حاضر', 'حاضرين', 'بالتأكيد', 'أكيد', 'اكيد', 'موجود', 'موجودين']
+    }
+  ],
+  fr: [
+    {
+      response: 'לא מגיע',
+      exact: ['non'],
+      phrases: ['non', 'ne pourrai pas', 'ne pourrons pas', 'ne viendrai pas', 'ne viendrons pas', 'ne serai pas', 'ne serons pas',
+        'pas venir', 'malheureusement', 'désolé', 'désolée', 'désolés']
+    },
+    {
+      response: 'לא בטוח',
+      exact: [],
+      phrases: ['peut-être', 'peut être', 'pas sûr', 'pas sûre', 'pas sur', 'sais pas', 'ça dépend', 'ca depend', 'on verra']
+    },
+    {
+      response: 'מגיע',
+      exact: ['oui', 'ok', "d'accord"],
+      phrases: ['oui', 'je viendrai', 'nous viendrons', 'on viendra', 'je viens', 'on vient', 'avec plaisir', 'présent', 'présente', 'présents',
+        'bien sûr', 'serai là', 'serons là', 'sera là']
+    }
+  ]
+};
+
+/**
+ * Response of an invitation template button payload
  * 
- * @param {string} responseText - The response text from WhatsApp (button or free text)
- * @param {string} messageType - Type of message ('text', 'button', 'interactive')
- * @param {boolean} allowTextFallback - If true, processes text messages for templates without buttons
- * @returns {string|null} - Hebrew response type ('מגיע', 'לא מגיע', 'לא בטוח') or null if not recognized
+ * @param {string|null} payload - Button payload ("rsvp_yes_<eventId>", ...)
+ * @returns {string|null} Hebrew response type, or null for other payloads
  */
-export function mapInvitationButtonResponse(responseText, messageType, allowTextFallback = false) {
-  // Skip text messages unless explicitly allowed (for templates without buttons)
-  if (messageType === 'text' && !allowTextFallback) {
-    return null;
-  }
+export function mapRsvpPayload(payload) {
+  const match = payload?.match(/^rsvp_(yes|no|maybe)_/);
+  return match ? PAYLOAD_RESPONSES[match[1]] : null;
+}
+
+/**
+ * Match a reply against one language's phrase table
+ * 
+ * @param {string} cleanText - Lowercase reply without punctuation
+ * @param {string} language - Language key (not Hebrew)
+ * @returns {string|null}
+ */
+function matchReplyPhrases(cleanText, language) {
+  // Spaces around the text so phrases match whole words only
+  const paddedText = ` ${cleanText.replace(/\s+/g, ' ')} `;
   
-  if (!responseText) {
-    return null;
+  for (const { response, exact, phrases } of REPLY_PHRASES[language]) {
+    if (exact.includes(cleanText) || phrases.some(phrase => paddedText.includes(` ${phrase} `))) {
+      return response;
+    }
   }
   
-  // Normalize the text - trim and convert to lowercase for matching
-  const normalizedText = responseText.trim().toLowerCase();
-  
-  // Remove common punctuation for flexible matching
-  const cleanText = normalizedText.replace(/[!.,?]/g, '').trim();
-  
+  return null;
+}
+
+/**
+ * Map a Hebrew reply (the original button and free-text patterns)
+ */
+function mapHebrewResponse(cleanText, messageType, allowTextFallback) {
   // Match Attending responses (check specific patterns first)
   if (cleanText.includes('כן') && cleanText.includes('אני') && (cleanText.includes('מגיע') || cleanText.includes('אגיע'))) {
     return 'מגיע';
@@ -77,3 +182,46 @@ export function mapInvitationButtonResponse(responseText, messageType, allowText
   return null;
 }
 
+/**
+ * Map WhatsApp invitation response to Hebrew response types
+ * Free-text replies from guests are read by classifyRsvpReply
+ * (rsvpIntentClassifier.js), which also handles negation and guest counts.
+ * 
+ * @param {string} responseText - The response text from WhatsApp (button or free text)
+ * @param {string} messageType - Type of message ('text', 'button', 'interactive')
+ * @param {boolean} allowTextFallback - If true, processes text messages for templates without buttons
+ * @param {string|null} language - Guest's preferred language, tried first (optional)
+ * @returns {string|null} - Hebrew response type ('מגיע', 'לא מגיע', 'לא בטוח') or null if not recognized
+ */
+export function mapInvitationButtonResponse(responseText, messageType, allowTextFallback = false, language = null) {
+  // Skip text messages unless explicitly allowed (for templates without buttons)
+  if (messageType === 'text' && !allowTextFallback) {
+    return null;
+  }
+  
+  if (!responseText) {
+    return null;
+  }
+  
+  // Normalize the text - trim and convert to lowercase for matching
+  const normalizedText = responseText.trim().toLowerCase().replace(/[’‘]/g, "'");
+  
+  // Remove common punctuation for flexible matching (including the Arabic question mark and comma)
+  const cleanText = normalizedText.replace(/[!.,?؟،;:]/g, '').trim();
+  
+  const preferred = resolveLanguage(language);
+  const languages = [preferred, ...SUPPORTED_LANGUAGES.filter(candidate => candidate !== preferred)];
+  
+  for (const candidate of languages) {
+    const response = candidate === DEFAULT_LANGUAGE
+      ? mapHebrewResponse(cleanText, messageType, allowTextFallback)
+      : matchReplyPhrases(cleanText, candidate);
+    
+    if (response) {
+      return response;
+    }
+  }
+  
+  return null;
+}
+
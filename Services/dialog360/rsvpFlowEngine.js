@@ -0,0 +1,137 @@
+import { getContactPhoneNumber } from '../database/eventMessagesRepository.js';
+import {
+  getRsvpFlowContext,
+  beginConversation,
+  advanceConversation,
+  cancelConversation
+} from '../database/rsvpConversationsRepository.js';
+import { sendFlowMessage, sendFlowQuestion, sendMaybeConfirmation } from './whatsappMessenger.js';
+import { sendSessionMessage } from './sessionMessages.js';
+import {
+  getStartStep,
+  isQuestionStep,
+  parseFlowAnswer,
+  applyFlowAnswer,
+  skipAnsweredSteps,
+  buildFlowQuestion,
+  buildFlowRetry,
+  renderFlowText
+} from './rsvpFlows.js';
+
+/**
+ * RSVP Flow Engine
+ *
+ * Runs an event's RSVP flow (see rsvpFlows.js) with a guest:
+ * 1. Starts the flow at the step for the guest's invitation answer
+ * 2. Asks questions and stores the answers in rsvp_conversations
+ * 3. Follows the flow's branches until a message / followup step or the end
+ *
+ * Steps are sent as session messages (see sessionMessages.js).
+ */
+
+/**
+ * Send a step and store where the conversation stands
+ * Question steps keep the conversation waiting; any other step ends it.
+ * recipient: { contactId, eventId, eventMessageId, phoneNumber }
+ */
+async function enterStep(conversation, flow, stepId, answers, context, recipient) {
+  const { phoneNumber } = recipient;
+  const step = stepId ? flow.steps[stepId] : null;
+  const currentStep = step && isQuestionStep(step) ? stepId : null;
+
+  if (conversation) {
+    await advanceConversation(conversation, answers, currentStep);
+  }
+
+  if (!step || !phoneNumber) {
+    return;
+  }
+
+  if (currentStep) {
+    await sendSessionMessage(recipient, () => sendFlowQuestion(phoneNumber, buildFlowQuestion(stepId, step, answers, context)));
+  } else if (step.type === 'message') {
+    await sendSessionMessage(recipient, () => sendFlowMessage(phoneNumber, renderFlowText(step.text, answers, context)));
+  } else if (step.type === 'followup') {
+    await sendSessionMessage(recipient, () => sendMaybeConfirmation(
+      phoneNumber, context.event_date, context.celebrator1_name, context.celebrator2_name, context.language
+    ));
+  }
+}
+
+/**
+ * Start the event's flow after a guest answered the invitation
+ *
+ * @param {number} eventMessageId - Answered invitation
+ * @param {string} eventId - Event ID
+ * @param {number} contactId - Contact ID
+ * @param {string} response - Hebrew response ('מגיע' / 'לא מגיע' / 'לא בטוח')
+ * @param {string} phoneNumber - Guest phone number
+ * @param {Object} knownAnswers - Answers the reply already gave ({ guests_coming: 4 }); their questions are skipped
+ */
+export async function startRsvpConversation(eventMessageId, eventId, contactId, response, phoneNumber, knownAnswers = {}) {
+  const { flow, context } = await getRsvpFlowContext(eventId, contactId);
+
+  // An attending guest counts as one until they answer otherwise
+  const { stepId, answers } = skipAnsweredSteps(
+    flow,
+    getStartStep(flow, response),
+    response === 'מגיע' ? { guests_coming: 1 } : {},
+    knownAnswers
+  );
+  const step = stepId ? flow.steps[stepId] : null;
+
+  const conversationId = await beginConversation(
+    eventMessageId,
+    contactId,
+    answers,
+    step && isQuestionStep(step) ? stepId : null
+  );
+
+  if (conversationId) {
+    console.log(`💬 RSVP conversation ${conversationId} started at "${stepId}" (event ${eventId}, contact ${contactId})`);
+  }
+
+  await enterStep(null, flow, stepId, answers, context, { contactId, eventId, eventMessageId, phoneNumber });
+}
+
+/**
+ * Handle a guest's reply to the current question of their conversation
+ *
+ * @param {Object} conversation - Active conversation (findActiveConversation)
+ * @param {number} contactId - Contact ID
+ * @param {string} replyText - The reply text
+ * @param {string} payload - Interactive reply ID (buttons / list rows)
+ */
+export async function handleRsvpConversationReply(conversation, contactId, replyText, payload = null) {
+  const { flow, context } = await getRsvpFlowContext(conversation.event_id, contactId);
+  const stepId = conversation.current_step;
+  const step = flow.steps[stepId];
+  const answers = conversation.answers || {};
+
+  // The owner changed the flow since the question was asked
+  if (!step || !isQuestionStep(step)) {
+    await cancelConversation(conversation.id);
+    console.log(`⚠️ RSVP conversation ${conversation.id} cancelled: step "${stepId}" is no longer in the flow`);
+    return;
+  }
+
+  const phoneNumber = await getContactPhoneNumber(contactId);
+  const recipient = {
+    contactId,
+    eventId: conversation.event_id,
+    eventMessageId: conversation.event_message_id,
+    phoneNumber
+  };
+  const answer = parseFlowAnswer(stepId, step, { text: replyText, payload }, answers);
+
+  if (!answer.valid) {
+    if (phoneNumber) {
+      await sendSessionMessage(recipient, () => sendFlowQuestion(phoneNumber, buildFlowRetry(stepId, step, answers, context)));
+    }
+    return;
+  }
+
+  const nextStep = answer.next && flow.steps[answer.next] ? answer.next : null;
+
+  await enterStep(conversation, flow, nextStep, applyFlowAnswer(step, answer, answers), context, recipient);
+}
@@ -0,0 +1,588 @@
+import { DIETARY_OPTIONS, QUESTIONNAIRE_ANSWER_COLUMNS, buildQuestionnaireSteps } from './rsvpQuestionnaire.js';
+import { guestText, dietaryText } from './guestMessages.js';
+
+/**
+ * RSVP Flows
+ *
+ * The conversation a guest has after answering an invitation, stored as
+ * data. Events without a custom flow (events.rsvp_flow is null) run the
+ * default flow: the guest count question or the event's questionnaire for
+ * "attending", a thank-you for "not attending" and the follow-up buttons
+ * for "maybe".
+ *
+ * Flow format:
+ * {
+ *   start: { attending: 'step', not_attending: 'step', maybe: 'step' },
+ *   steps: {
+ *     '<step>': {
+ *       type: 'number' | 'choice' | 'text' | 'message' | 'followup',
+ *       text: 'Question or message, may use {placeholders}',
+ *       saveAs: 'answer key',                     // number / choice / text
+ *       min: 1, max: 99 | 'answer key',           // number
+ *       showOptions: true,                        // number - send the numbers as buttons / list
+ *       branches: [{ min, max, next }],           // number - first matching range wins over next
+ *       options: [{ id, title, value, next, set: { key: value } }], // choice
+ *       buttonLabel: 'List button',
+ *       invalidText: 'Sent when the answer is not understood',
+ *       next: 'step' | null                       // null ends the conversation
+ *     }
+ *   }
+ * }
+ *
+ * number, choice and text steps wait for the guest's answer; message steps
+ * send their text and end the conversation, followup steps send the
+ * "when can we check again" buttons (see followUpButtonsHelper.js).
+ *
+ * Answers saved under an event_messages column (guests_coming, adults_count,
+ * ...) are written to the invitation as well; guests_coming follows
+ * adults_count + children_count once adults are counted.
+ *
+ * Placeholders: any answer key, {summary} (the counts recorded so far),
+ * {guest_name}, {event_name}, {celebrator1_name}, {celebrator2_name}.
+ *
+ * The default flow is built in the guest's language (contacts.preferred_language);
+ * the summary, list button and invalid-answer texts follow context.language.
+ *
+ * Interactive reply IDs are "rsvpq:<step>:<value>"; typed numbers and
+ * option titles are accepted as well.
+ */
+
+export const RSVP_FLOW_STARTS = {
+  attending: 'מגיע',
+  not_attending: 'לא מגיע',
+  maybe: 'לא בטוח'
+};
+
+export const FLOW_STEP_TYPES = ['number', 'choice', 'text', 'message', 'followup'];
+
+// Steps that wait for the guest's answer
+const QUESTION_STEP_TYPES = ['number', 'choice', 'text'];
+
+const MAX_STEPS = 50;
+const MAX_NUMBER = 999;
+const MAX_TEXT_LENGTH = 1024; // WhatsApp interactive message body limit
+const MAX_LIST_ROWS = 10; // WhatsApp list messages hold at most 10 rows
+const MAX_REPLY_BUTTONS = 3; // and reply-button messages at most 3 buttons
+const MAX_OPTION_TITLE_LENGTH = 20;
+const MAX_BUTTON_LABEL_LENGTH = 20;
+
+const STEP_ID_PATTERN = /^[a-z0-9_]{1,30}$/;
+const ANSWER_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const REPLY_ID_PREFIX = 'rsvpq';
+
+/**
+ * The flow of an event without a custom flow
+ *
+ * @param {Object|null} questionnaire - Normalized questionnaire (rsvpQuestionnaire.js)
+ * @param {string} language - Guest language
+ * @returns {Object} Flow
+ */
+export function buildDefaultRsvpFlow(questionnaire = null, language = 'he') {
+  const { firstStep, steps } = buildQuestionnaireSteps(questionnaire, 'confirmation', language);
+
+  return {
+    start: {
+      attending: firstStep,
+      not_attending: 'declined',
+      maybe: 'maybe_followup'
+    },
+    steps: {
+      ...steps,
+      confirmation: { type: 'message', text: guestText(language, 'confirmation') },
+      declined: { type: 'message', text: guestText(language, 'declined') },
+      maybe_followup: { type: 'followup' }
+    }
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidText(text) {
+  return typeof text === 'string' && text.trim().length > 0 && text.length <= MAX_TEXT_LENGTH;
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function validateNext(next, stepIds, where) {
+  if (next === undefined || next === null || stepIds.includes(next)) {
+    return null;
+  }
+  return `${where}: unknown next step "${next}"`;
+}
+
+function normalizeStep(stepId, raw, stepIds) {
+  const where = `steps.${stepId}`;
+
+  if (!isPlainObject(raw) || !FLOW_STEP_TYPES.includes(raw.type)) {
+    return { error: `${where}: type must be one of ${FLOW_STEP_TYPES.join(', ')}` };
+  }
+
+  const step = { type: raw.type };
+
+  if (raw.type !== 'followup') {
+    if (!isValidText(raw.text)) {
+      return { error: `${where}: text is required (up to ${MAX_TEXT_LENGTH} characters)` };
+    }
+    step.text = raw.text;
+  }
+
+  if (raw.type === 'message' || raw.type === 'followup') {
+    return { step };
+  }
+
+  if (raw.saveAs !== undefined) {
+    if (typeof raw.saveAs !== 'string' || !ANSWER_KEY_PATTERN.test(raw.saveAs)) {
+      return { error: `${where}: saveAs must be a lowercase answer key` };
+    }
+    if (raw.type === 'text' && QUESTIONNAIRE_ANSWER_COLUMNS.includes(raw.saveAs)) {
+      return { error: `${where}: ${raw.saveAs} holds a number and cannot be saved from a text step` };
+    }
+    step.saveAs = raw.saveAs;
+  }
+
+  for (const key of ['invalidText', 'buttonLabel']) {
+    if (raw[key] === undefined) continue;
+
+    const maxLength = key === 'buttonLabel' ? MAX_BUTTON_LABEL_LENGTH : MAX_TEXT_LENGTH;
+    if (typeof raw[key] !== 'string' || !raw[key].trim() || raw[key].length > maxLength) {
+      return { error: `${where}: ${key} must be a text of up to ${maxLength} characters` };
+    }
+    step[key] = raw[key];
+  }
+
+  if (raw.type === 'choice') {
+    if (!Array.isArray(raw.options) || raw.options.length === 0 || raw.options.length > MAX_LIST_ROWS) {
+      return { error: `${where}: options must list 1-${MAX_LIST_ROWS} answers` };
+    }
+
+    step.options = [];
+
+    for (const option of raw.options) {
+      if (!isPlainObject(option) || typeof option.id !== 'string' || !STEP_ID_PATTERN.test(option.id)) {
+        return { error: `${where}: every option needs a lowercase id` };
+      }
+      if (typeof option.title !== 'string' || !option.title.trim() || option.title.length > MAX_OPTION_TITLE_LENGTH) {
+        return { error: `${where}: option "${option.id}" needs a title of up to ${MAX_OPTION_TITLE_LENGTH} characters` };
+      }
+      if (step.options.some(existing => existing.id === option.id)) {
+        return { error: `${where}: duplicate option "${option.id}"` };
+      }
+      if (option.value !== undefined && !isScalar(option.value)) {
+        return { error: `${where}: option "${option.id}" value must be a number, text or boolean` };
+      }
+      if (step.saveAs && QUESTIONNAIRE_ANSWER_COLUMNS.includes(step.saveAs) && !Number.isInteger(option.value)) {
+        return { error: `${where}: option "${option.id}" needs a whole number value to save ${step.saveAs}` };
+      }
+      if (option.set !== undefined) {
+        if (!isPlainObject(option.set)) {
+          return { error: `${where}: option "${option.id}" set must be an object` };
+        }
+        for (const [key, value] of Object.entries(option.set)) {
+          if (!ANSWER_KEY_PATTERN.test(key) || !isScalar(value)) {
+            return { error: `${where}: option "${option.id}" sets an invalid answer "${key}"` };
+          }
+          if (QUESTIONNAIRE_ANSWER_COLUMNS.includes(key) && !Number.isInteger(value)) {
+            return { error: `${where}: option "${option.id}" must set ${key} to a whole number` };
+          }
+        }
+      }
+
+      const nextError = validateNext(option.next, stepIds, `${where}.options.${option.id}`);
+      if (nextError) {
+        return { error: nextError };
+      }
+
+      step.options.push({
+        id: option.id,
+        title: option.title,
+        ...(option.value !== undefined && { value: option.value }),
+        ...(option.next !== undefined && { next: option.next }),
+        ...(option.set !== undefined && { set: option.set })
+      });
+    }
+
+    return { step };
+  }
+
+  if (raw.type === 'number') {
+    const min = raw.min ?? 0;
+    const max = raw.max ?? MAX_NUMBER;
+
+    if (!Number.isInteger(min) || min < 0 || min > MAX_NUMBER) {
+      return { error: `${where}: min must be a whole number between 0 and ${MAX_NUMBER}` };
+    }
+    if (typeof max === 'string' ? !ANSWER_KEY_PATTERN.test(max) : !Number.isInteger(max) || max < min || max > MAX_NUMBER) {
+      return { error: `${where}: max must be a whole number between min and ${MAX_NUMBER}, or an answer key` };
+    }
+
+    step.min = min;
+    step.max = max;
+    step.showOptions = raw.showOptions === true;
+
+    if (raw.branches !== undefined) {
+      if (!Array.isArray(raw.branches)) {
+        return { error: `${where}: branches must be a list` };
+      }
+
+      step.branches = [];
+
+      for (const branch of raw.branches) {
+        if (!isPlainObject(branch)
+          || (branch.min !== undefined && !Number.isInteger(branch.min))
+          || (branch.max !== undefined && !Number.isInteger(branch.max))) {
+          return { error: `${where}: every branch needs whole number min / max` };
+        }
+
+        const nextError = validateNext(branch.next, stepIds, `${where}.branches`);
+        if (nextError) {
+          return { error: nextError };
+        }
+
+        step.branches.push({
+          ...(branch.min !== undefined && { min: branch.min }),
+          ...(branch.max !== undefined && { max: branch.max }),
+          next: branch.next ?? null
+        });
+      }
+    }
+  }
+
+  const nextError = validateNext(raw.next, stepIds, where);
+  if (nextError) {
+    return { error: nextError };
+  }
+  step.next = raw.next ?? null;
+
+  return { step };
+}
+
+/**
+ * Validate a custom flow (events.rsvp_flow)
+ *
+ * @param {Object|null} raw - Flow (see format above); null for the default flow
+ * @returns {{ flow: Object|null, error?: string }} Normalized flow
+ */
+export function validateRsvpFlow(raw) {
+  if (raw === null || raw === undefined) {
+    return { flow: null };
+  }
+
+  if (!isPlainObject(raw) || !isPlainObject(raw.steps) || !isPlainObject(raw.start)) {
+    return { flow: null, error: 'Flow must be an object with start and steps' };
+  }
+
+  const stepIds = Object.keys(raw.steps);
+
+  if (stepIds.length === 0 || stepIds.length > MAX_STEPS) {
+    return { flow: null, error: `Flow must have 1-${MAX_STEPS} steps` };
+  }
+
+  const invalidId = stepIds.find(stepId => !STEP_ID_PATTERN.test(stepId));
+  if (invalidId) {
+    return { flow: null, error: `Invalid step ID "${invalidId}" (lowercase letters, digits and _ only)` };
+  }
+
+  const start = {};
+
+  for (const [response, stepId] of Object.entries(raw.start)) {
+    if (!RSVP_FLOW_STARTS[response]) {
+      return { flow: null, error: `start may only contain: ${Object.keys(RSVP_FLOW_STARTS).join(', ')}` };
+    }
+
+    const nextError = validateNext(stepId, stepIds, `start.${response}`);
+    if (nextError) {
+      return { flow: null, error: nextError };
+    }
+    start[response] = stepId ?? null;
+  }
+
+  const steps = {};
+
+  for (const stepId of stepIds) {
+    const { step, error } = normalizeStep(stepId, raw.steps[stepId], stepIds);
+
+    if (error) {
+      return { flow: null, error };
+    }
+    steps[stepId] = step;
+  }
+
+  return { flow: { start, steps } };
+}
+
+/**
+ * First step for an invitation response
+ *
+ * @param {Object} flow - Normalized flow
+ * @param {string} response - Hebrew response ('מגיע' / 'לא מגיע' / 'לא בטוח')
+ * @returns {string|null} null when the flow sends nothing for this response
+ */
+export function getStartStep(flow, response) {
+  const key = Object.keys(RSVP_FLOW_STARTS).find(start => RSVP_FLOW_STARTS[start] === response);
+  return (key && flow.start[key]) || null;
+}
+
+/**
+ * Whether a step waits for the guest's answer
+ *
+ * @param {Object} step - Flow step
+ * @returns {boolean}
+ */
+export function isQuestionStep(step) {
+  return QUESTION_STEP_TYPES.includes(step.type);
+}
+
+function getNumberRange(step, answers) {
+  const max = typeof step.max === 'string'
+    ? Math.max(Number(answers[step.max]) || 1, step.min)
+    : step.max;
+
+  return { min: step.min, max };
+}
+
+/**
+ * Read a guest's answer to a step
+ *
+ * @param {string} stepId - Current step ID
+ * @param {Object} step - Current step
+ * @param {Object} reply - { text, payload } (payload = interactive reply ID)
+ * @param {Object} answers - Answers so far
+ * @returns {{ valid: boolean, value?: any, next?: string|null, set?: Object }}
+ */
+export function parseFlowAnswer(stepId, step, { text = '', payload = null } = {}, answers = {}) {
+  let raw = String(text ?? '').trim();
+
+  if (payload && payload.startsWith(`${REPLY_ID_PREFIX}:`)) {
+    const [, payloadStep, value] = payload.split(':');
+
+    // A button from an earlier question
+    if (payloadStep !== stepId) {
+      return { valid: false };
+    }
+    raw = value;
+  }
+
+  if (step.type === 'text') {
+    return raw ? { valid: true, value: raw, next: step.next } : { valid: false };
+  }
+
+  if (step.type === 'choice') {
+    const word = raw.toLowerCase();
+    const option = step.options.find(candidate =>
+      candidate.id === word || candidate.title.trim().toLowerCase() === word
+    );
+
+    if (!option) {
+      return { valid: false };
+    }
+    return { valid: true, value: option.value ?? option.id, next: option.next ?? null, set: option.set };
+  }
+
+  const value = parseInt(raw, 10);
+  const { min, max } = getNumberRange(step, answers);
+
+  if (isNaN(value) || value < min || value > max) {
+    return { valid: false };
+  }
+
+  const branch = (step.branches || []).find(candidate =>
+    (candidate.min === undefined || value >= candidate.min) &&
+    (candidate.max === undefined || value <= candidate.max)
+  );
+
+  return { valid: true, value, next: branch ? branch.next : step.next };
+}
+
+/**
+ * Answers after a parsed answer
+ *
+ * @param {Object} step - Answered step
+ * @param {Object} answer - parseFlowAnswer() result
+ * @param {Object} answers - Answers so far
+ * @returns {Object} Updated answers
+ */
+export function applyFlowAnswer(step, answer, answers = {}) {
+  const updated = { ...answers, ...(answer.set || {}) };
+
+  if (step.saveAs) {
+    updated[step.saveAs] = answer.value;
+  }
+
+  if (updated.adults_count !== undefined && updated.adults_count !== null) {
+    updated.guests_coming = updated.adults_count + (updated.children_count || 0);
+  }
+
+  return updated;
+}
+
+/**
+ * Skip the questions a guest already answered in their reply to the
+ * invitation ("נהיה 4" answers the guest count question)
+ *
+ * @param {Object} flow - Normalized flow
+ * @param {string|null} stepId - First step
+ * @param {Object} answers - Answers so far
+ * @param {Object} known - Answers from the reply, by answer key ({ guests_coming: 4 })
+ * @returns {{ stepId: string|null, answers: Object }} First unanswered step and the answers
+ */
+export function skipAnsweredSteps(flow, stepId, answers = {}, known = {}) {
+  let current = stepId;
+  let updated = answers;
+  const visited = new Set();
+
+  while (current && flow.steps[current] && !visited.has(current)) {
+    const step = flow.steps[current];
+
+    if (!isQuestionStep(step) || !step.saveAs || known[step.saveAs] === undefined || known[step.saveAs] === null) {
+      break;
+    }
+
+    const value = known[step.saveAs];
+    const option = step.type === 'choice'
+      ? step.options.find(candidate => String(candidate.value ?? candidate.id) === String(value))
+      : null;
+    const answer = parseFlowAnswer(current, step, { text: option ? option.id : String(value) }, updated);
+
+    if (!answer.valid) {
+      break;
+    }
+
+    visited.add(current);
+    updated = applyFlowAnswer(step, answer, updated);
+    current = answer.next && flow.steps[answer.next] ? answer.next : null;
+  }
+
+  return { stepId: current, answers: updated };
+}
+
+/**
+ * event_messages columns of the answers
+ *
+ * @param {Object} answers - Conversation answers
+ * @returns {Object} { column: value }
+ */
+export function getAnswerColumns(answers) {
+  return Object.fromEntries(
+    QUESTIONNAIRE_ANSWER_COLUMNS
+      .filter(column => answers[column] !== undefined)
+      .map(column => [column, answers[column]])
+  );
+}
+
+/**
+ * The counts recorded so far, e.g. "2 מבוגרים, 1 ילדים, 1 טבעוני"
+ *
+ * @param {Object} answers - Conversation answers
+ * @param {string} language - Guest language
+ * @returns {string}
+ */
+export function buildAnswerSummary(answers, language = 'he') {
+  const parts = answers.adults_count !== undefined && answers.adults_count !== null
+    ? [
+        guestText(language, 'summaryAdults', { count: answers.adults_count }),
+        guestText(language, 'summaryChildren', { count: answers.children_count ?? 0 })
+      ]
+    : [guestText(language, 'summaryGuests', { count: answers.guests_coming ?? 1 })];
+
+  for (const [key, option] of Object.entries(DIETARY_OPTIONS)) {
+    if (answers[option.column] > 0) {
+      parts.push(guestText(language, 'summaryDietary', {
+        count: answers[option.column],
+        label: dietaryText(language, key).label
+      }));
+    }
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Fill a step text's placeholders
+ *
+ * @param {string} text - Text with {placeholders}
+ * @param {Object} answers - Conversation answers
+ * @param {Object} context - { guest_name, event_name, celebrator1_name, celebrator2_name, language }
+ * @returns {string}
+ */
+export function renderFlowText(text, answers = {}, context = {}) {
+  const values = { ...context, ...answers, summary: buildAnswerSummary(answers, context.language) };
+
+  return text.replace(/\{([a-z0-9_]+)\}/g, (_, key) =>
+    values[key] === undefined || values[key] === null ? '' : String(values[key])
+  );
+}
+
+function numberOptions(stepId, min, max) {
+  const options = [];
+
+  for (let number = min; number <= max && options.length < MAX_LIST_ROWS; number++) {
+    options.push({ id: `${REPLY_ID_PREFIX}:${stepId}:${number}`, title: String(number) });
+  }
+
+  return options;
+}
+
+/**
+ * The message asking a step's question
+ * Plain text when the step offers no options.
+ *
+ * @param {string} stepId - Step ID
+ * @param {Object} step - Question step
+ * @param {Object} answers - Answers so far
+ * @param {Object} context - Placeholder values (see renderFlowText)
+ * @returns {{ text: string, options: Array<{ id, title }>, buttonLabel: string }}
+ */
+export function buildFlowQuestion(stepId, step, answers = {}, context = {}) {
+  let text = renderFlowText(step.text, answers, context);
+  let options = [];
+
+  if (step.type === 'choice') {
+    options = step.options.map(option => ({ id: `${REPLY_ID_PREFIX}:${stepId}:${option.id}`, title: option.title }));
+  } else if (step.type === 'number' && step.showOptions) {
+    const { min, max } = getNumberRange(step, answers);
+    options = numberOptions(stepId, min, max);
+
+    if (max + 1 - min > MAX_LIST_ROWS) {
+      text += `\n${guestText(context.language, 'largerNumberHint')}`;
+    }
+  }
+
+  return { text, options, buttonLabel: step.buttonLabel || guestText(context.language, 'choiceLabel') };
+}
+
+/**
+ * Reply to an answer that was not understood
+ * Questions with options are asked again under the step's invalid text;
+ * plain text questions get the invalid text alone.
+ *
+ * @param {string} stepId - Step ID
+ * @param {Object} step - Question step
+ * @param {Object} answers - Answers so far
+ * @param {Object} context - Placeholder values
+ * @returns {{ text: string, options: Array<{ id, title }>, buttonLabel: string }}
+ */
+export function buildFlowRetry(stepId, step, answers = {}, context = {}) {
+  const question = buildFlowQuestion(stepId, step, answers, context);
+  const invalidText = renderFlowText(step.invalidText || guestText(context.language, 'invalidAnswer'), answers, context);
+
+  if (question.options.length === 0) {
+    return { ...question, text: invalidText };
+  }
+
+  return { ...question, text: `${invalidText}\n\n${question.text}` };
+}
+
+/**
+ * Whether a question is sent as reply buttons (otherwise a list)
+ *
+ * @param {Object} question - buildFlowQuestion() result
+ * @returns {boolean}
+ */
+export function usesReplyButtons(question) {
+  return question.options.length <= MAX_REPLY_BUTTONS;
+}
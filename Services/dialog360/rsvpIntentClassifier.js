@@ -0,0 +1,310 @@
+import { SUPPORTED_LANGUAGES, resolveLanguage } from '../utils/languages.js';
+
+/**
+ * RSVP Intent Classifier
+ *
+ * Reads a guest's free-text reply to an invitation: the intent (attending /
+ * not attending / maybe), the guest count when the reply names one
+ * ("נהיה 4", "we are two") and how sure the reading is (0-1).
+ *
+ * Words and short phrases are looked up in a lexicon per language (the
+ * guest's language first):
+ * - attend: coming / yes words ("נגיע", "yes", "приду")
+ * - decline: refusal words ("מצטער", "sorry", "к сожалению")
+ * - maybe: doubt words ("אולי", "תלוי", "if")
+ * - certain: "sure" / "know" - yes on their own, doubt when negated ("לא בטוח")
+ * - negator: "לא", "not", "не" - turns the attend words after it into a
+ *   refusal; on its own ("לא", "בטוח שלא") it is a refusal
+ * - numbers: guest count words ("שניים", "two", "двое")
+ *
+ * Replies the classifier is not sure about (below RSVP_REVIEW_THRESHOLD) are
+ * left for the event owner to resolve (see rsvpReviewRepository.js).
+ */
+
+export const RSVP_REVIEW_THRESHOLD = 0.7;
+
+export const INTENT_RESPONSES = {
+  attending: 'מגיע',
+  not_attending: 'לא מגיע',
+  maybe: 'לא בטוח'
+};
+
+// Ties go to the more cautious answer
+const INTENT_PRIORITY = ['maybe', 'not_attending', 'attending'];
+
+// Words after a negator that it still applies to ("לא ממש נוכל להגיע")
+const NEGATION_WINDOW = 3;
+
+const MAX_PHRASE_WORDS = 3;
+const MAX_GUEST_COUNT = 99;
+const SHORT_REPLY_WORDS = 3;
+const LONG_REPLY_WORDS = 8;
+
+const LEXICONS = {
+  he: {
+    attend: ['כן', 'מגיע', 'מגיעה', 'מגיעים', 'מגיעות', 'אגיע', 'נגיע', 'יגיע', 'תגיע', 'יגיעו', 'להגיע',
+      'בא', 'באה', 'באים', 'באות', 'אבוא', 'נבוא', 'יבואו', 'לבוא', 'נהיה', 'אהיה', 'נשתתף', 'אשתתף',
+      'מאשר', 'מאשרת', 'מאשרים', 'מאשרות', 'בשמחה', 'בהחלט', 'ברור', 'בטח', 'בוודאי', 'סגור', 'אוקיי',
+      'נוכל', 'אוכל', 'יכול', 'יכולה', 'יכולים', 'יכולות', 'אין בעיה'],
+    decline: ['לצערי', 'לצערנו', 'מצטער', 'מצטערת', 'מצטערים', 'מצטערות', 'נבצר', 'מה פתאום'],
+    maybe: ['אולי', 'תלוי', 'מתלבט', 'מתלבטת', 'מתלבטים', 'ננסה', 'אנסה', 'נשתדל', 'אשתדל', 'אם', 'עדיין',
+      'כנראה', 'יכול להיות'],
+    certain: ['בטוח', 'בטוחה', 'בטוחים', 'בטוחות', 'יודע', 'יודעת', 'יודעים', 'יודעות', 'ודאי'],
+    negator: ['לא', 'אין'],
+    numbers: {
+      'אחד': 1, 'אחת': 1, 'לבד': 1, 'רק אני': 1,
+      'שניים': 2, 'שתיים': 2, 'שנינו': 2, 'זוג': 2, 'אני ואשתי': 2, 'אני ובעלי': 2, 'אני ובן זוגי': 2, 'אני ובת זוגי': 2,
+      'שלושה': 3, 'שלוש': 3, 'שלושתנו': 3, 'ארבעה': 4, 'ארבע': 4, 'ארבעתנו': 4, 'חמישה': 5, 'חמש': 5, 'חמשתנו': 5,
+      'שישה': 6, 'שש': 6, 'שבעה': 7, 'שבע': 7, 'שמונה': 8, 'תשעה': 9, 'תשע': 9, 'עשרה': 10, 'עשר': 10
+    },
+    // "ו" (and) / "ש" (that) written as part of the word: "שנגיע", "ולא"
+    prefixes: ['וש', 'כש', 'ו', 'ש']
+  },
+  en: {
+    attend: ['yes', 'yeah', 'yep', 'yup', 'ok', 'okay', 'coming', 'come', 'attending', 'attend', 'be there', 'make it',
+      'count me in', 'count us in', 'see you', 'of course', 'absolutely', 'definitely', 'gladly', 'join', 'joining',
+      'confirm', 'confirmed', 'can', 'no problem'],
+    decline: ['sorry', 'unfortunately', 'regret', 'regrets', 'unable', 'decline'],
+    maybe: ['maybe', 'perhaps', 'possibly', 'probably', 'depends', 'if', 'might', 'tbd', 'unsure', 'not yet'],
+    certain: ['sure', 'certain', 'know'],
+    negator: ['not', 'no', 'nope', "don't", 'dont', "can't", 'cant', 'cannot', "won't", 'wont', 'never'],
+    numbers: {
+      'one': 1, 'alone': 1, 'just me': 1, 'only me': 1,
+      'two': 2, 'couple': 2, 'both of us': 2, 'the two of us': 2,
+      'three': 3, 'four': 4, 'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10
+    },
+    prefixes: []
+  },
+  ru: {
+    attend: ['да', 'ок', 'приду', 'придём', 'придем', 'придёт', 'придет', 'придут', 'буду', 'будем', 'будет',
+      'конечно', 'обязательно', 'смогу', 'сможем', 'получится', 'с удовольствием', 'идём', 'идем',
+      'согласен', 'согласна', 'подтверждаю'],
+    decline: ['сожалению', 'увы', 'извините', 'простите'],
+    maybe: ['может', 'возможно', 'наверное', 'посмотрим', 'если', 'постараемся', 'постараюсь', 'попробуем', 'пока'],
+    certain: ['уверен', 'уверена', 'уверены', 'знаю', 'знаем', 'точно'],
+    negator: ['не', 'нет', 'ни'],
+    numbers: {
+      'один': 1, 'одна': 1,
+      'два': 2, 'две': 2, 'двое': 2, 'вдвоём': 2, 'вдвоем': 2,
+      'три': 3, 'трое': 3, 'втроём': 3, 'втроем': 3, 'четыре': 4, 'четверо': 4, 'вчетвером': 4,
+      'пять': 5, 'пятеро': 5, 'шесть': 6, 'семь': 7, 'восемь': 8, 'девять': 9, 'десять': 10
+    },
+    prefixes: []
+  },
+  ar: {
+    attend: ['نعم', 'أكيد', 'اكيد', 'تمام', 'سأحضر', 'سنحضر', 'أحضر', 'احضر', 'نحضر', 'حاضر', 'حاضرين',
+      'موجود', 'موجودين', 'بالتأكيد', 'أستطيع', 'استطيع', 'نستطيع', 'سآتي', 'سنأتي', 'آتي', 'نأتي', 'بكل سرور'],
+    decline: ['للأسف', 'للاسف', 'آسف', 'اسف', 'آسفين', 'معتذر', 'معتذرين', 'أعتذر', 'اعتذر', 'عذرا'],
+    maybe: ['ربما', 'يمكن', 'ممكن', 'إذا', 'اذا', 'لو', 'سنحاول', 'سأحاول', 'نحاول'],
+    certain: ['متأكد', 'متأكدة', 'متأكدين', 'متاكد', 'أعرف', 'اعرف', 'عارف', 'أدري', 'ادري'],
+    negator: ['لا', 'لن', 'لم', 'مش', 'ليس', 'لست'],
+    numbers: {
+      'واحد': 1, 'وحدي': 1,
+      'اثنان': 2, 'اثنين': 2, 'ثلاثة': 3, 'ثلاث': 3, 'أربعة': 4, 'اربعة': 4, 'خمسة': 5,
+      'ستة': 6, 'سبعة': 7, 'ثمانية': 8, 'تسعة': 9, 'عشرة': 10
+    },
+    // "و" (and) written as part of the word: "وسنحضر"
+    prefixes: ['و']
+  },
+  fr: {
+    attend: ['oui', 'ok', 'viendrai', 'viendrons', 'viendra', 'viens', 'venons', 'venir', 'présent', 'présente',
+      'présents', 'présentes', 'serai', 'serons', 'sera', 'avec plaisir', 'volontiers', 'pourrai', 'pourrons',
+      'confirme', 'confirmons', 'd accord', 'comptez sur nous'],
+    decline: ['malheureusement', 'désolé', 'désolée', 'désolés', 'désolées', 'impossible', 'empêché', 'empêchés'],
+    maybe: ['peut-être', 'peut être', 'probablement', 'dépend', 'verra', 'si', 'essaierai', 'essaierons', 'essayer'],
+    certain: ['sûr', 'sûre', 'sûrs', 'certain', 'certaine', 'certains', 'sais', 'savons'],
+    negator: ['ne', 'n', 'pas', 'non', 'jamais'],
+    numbers: {
+      'seul': 1, 'seule': 1,
+      'deux': 2, 'à deux': 2, 'trois': 3, 'quatre': 4, 'cinq': 5, 'six': 6, 'sept': 7, 'huit': 8, 'neuf': 9, 'dix': 10
+    },
+    prefixes: []
+  }
+};
+
+const WORD_TYPES = ['attend', 'decline', 'maybe', 'certain', 'negator'];
+
+// phrase -> { type, value } per language
+const LOOKUP = Object.fromEntries(Object.entries(LEXICONS).map(([language, lexicon]) => {
+  const entries = new Map();
+
+  for (const type of WORD_TYPES) {
+    for (const phrase of lexicon[type]) {
+      entries.set(phrase, { type });
+    }
+  }
+  for (const [phrase, value] of Object.entries(lexicon.numbers)) {
+    entries.set(phrase, { type: 'number', value });
+  }
+
+  return [language, entries];
+}));
+
+/**
+ * Words of a reply, lowercase without punctuation or emoji
+ * French elisions are split ("n'y" -> "n y").
+ */
+function tokenize(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[’‘`]/g, "'")
+    .replace(/(^|[^\p{L}])([a-z])'/gu, '$1$2 ')
+    .replace(/[^\p{L}\p{N}'\-\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function lookupPhrase(phrase, languages) {
+  for (const language of languages) {
+    const entry = LOOKUP[language].get(phrase);
+    if (entry) return entry;
+  }
+
+  for (const language of languages) {
+    for (const prefix of LEXICONS[language].prefixes) {
+      if (phrase.startsWith(prefix) && phrase.length > prefix.length && !phrase.includes(' ')) {
+        const entry = LOOKUP[language].get(phrase.slice(prefix.length));
+        if (entry) return entry;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lexicon entries of the words, longest phrase first; null for unknown words
+ */
+function readWords(tokens, languages) {
+  const items = [];
+
+  for (let i = 0; i < tokens.length;) {
+    let matched = null;
+    let length = 1;
+
+    for (let words = Math.min(MAX_PHRASE_WORDS, tokens.length - i); words >= 1 && !matched; words--) {
+      matched = lookupPhrase(tokens.slice(i, i + words).join(' '), languages);
+      length = words;
+    }
+
+    if (!matched && /^\d{1,2}$/.test(tokens[i])) {
+      matched = { type: 'number', value: Number(tokens[i]) };
+    }
+
+    items.push(matched);
+    i += matched ? length : 1;
+  }
+
+  return items;
+}
+
+// The word a negator applies to: the next attend / certain / maybe word within the window
+function findNegatedWord(items, start) {
+  for (let j = start; j < Math.min(items.length, start + NEGATION_WINDOW); j++) {
+    const type = items[j]?.type;
+
+    if (type === 'attend' || type === 'certain' || type === 'maybe') return j;
+    if (type === 'decline' || type === 'number') return -1;
+  }
+  return -1;
+}
+
+// Skip the verbs and negation particles that belong to the negated word ("לא נוכל להגיע", "ne sais pas")
+function skipNegatedChain(items, start) {
+  let i = start;
+  while (i < items.length && (items[i]?.type === 'attend' || items[i]?.type === 'negator')) {
+    i++;
+  }
+  return i;
+}
+
+function countSignals(items) {
+  const signals = { attending: 0, not_attending: 0, maybe: 0 };
+  let guestCount = null;
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (!item) continue;
+
+    if (item.type === 'number') {
+      if (guestCount === null && item.value >= 1 && item.value <= MAX_GUEST_COUNT) {
+        guestCount = item.value;
+      }
+    } else if (item.type === 'attend') {
+      signals.attending++;
+    } else if (item.type === 'decline') {
+      signals.not_attending++;
+    } else if (item.type === 'maybe') {
+      signals.maybe++;
+    } else if (item.type === 'certain') {
+      // "בטוח שלא" / "sure not" - sure of a refusal
+      if (items[i + 1]?.type === 'negator' && findNegatedWord(items, i + 2) === -1) {
+        signals.not_attending++;
+        i++;
+      } else {
+        signals.attending++;
+      }
+    } else if (item.type === 'negator') {
+      const j = findNegatedWord(items, i + 1);
+
+      if (j === -1) {
+        signals.not_attending++; // "לא", "no", "ממש לא"
+        continue;
+      }
+
+      // "לא מגיע" is a refusal, "לא בטוח" / "לא יודע" is doubt
+      signals[items[j].type === 'attend' ? 'not_attending' : 'maybe']++;
+      i = skipNegatedChain(items, j + 1) - 1;
+    }
+  }
+
+  return { signals, guestCount };
+}
+
+/**
+ * Classify a free-text reply to an invitation
+ *
+ * Confidence: 0.95 for short replies with one clear intent, 0.9 for longer
+ * ones, lower when the reply mixes intents, asks a question or is long.
+ * A bare number ("4") reads as attending with that many guests at 0.6.
+ *
+ * @param {string} text - Reply text
+ * @param {string|null} language - Guest's preferred language (tried first)
+ * @returns {{ intent: string|null, response: string|null, guestCount: number|null, confidence: number }}
+ *   intent: 'attending' | 'not_attending' | 'maybe'; response: the Hebrew response type;
+ *   guestCount only for attending replies
+ */
+export function classifyRsvpReply(text, language = null) {
+  const preferred = resolveLanguage(language);
+  const languages = [preferred, ...SUPPORTED_LANGUAGES.filter(candidate => candidate !== preferred)];
+  const tokens = tokenize(text);
+  const { signals, guestCount } = countSignals(readWords(tokens, languages));
+  const total = signals.attending + signals.not_attending + signals.maybe;
+
+  if (total === 0) {
+    return guestCount
+      ? { intent: 'attending', response: INTENT_RESPONSES.attending, guestCount, confidence: 0.6 }
+      : { intent: null, response: null, guestCount: null, confidence: 0 };
+  }
+
+  const intent = INTENT_PRIORITY.reduce((best, candidate) =>
+    signals[candidate] > signals[best] ? candidate : best
+  );
+  const agreement = signals[intent] / total;
+
+  let confidence = agreement === 1 ? (tokens.length <= SHORT_REPLY_WORDS ? 0.95 : 0.9) : 0.9 * agreement;
+
+  if (String(text).includes('?') || String(text).includes('؟')) {
+    confidence -= 0.3; // Probably a question about the event rather than an answer
+  }
+  if (tokens.length > LONG_REPLY_WORDS) {
+    confidence -= 0.25;
+  }
+
+  return {
+    intent,
+    response: INTENT_RESPONSES[intent],
+    guestCount: intent === 'attending' ? guestCount : null,
+    confidence: Math.max(0, Math.round(confidence * 100) / 100)
+  };
+}
@@ -0,0 +1,171 @@
+import { guestText, dietaryText } from './guestMessages.js';
+
+/**
+ * RSVP Questionnaire
+ *
+ * The questions asked after a guest answers "attending" in an event's
+ * default RSVP flow (see rsvpFlows.js). Events without a questionnaire
+ * (events.rsvp_questionnaire is null) keep the single guest count question.
+ * A questionnaire can split the count into adults and children and ask how
+ * many guests need each dietary option.
+ *
+ * Steps:
+ * - guest_count: total number of guests (1-99)
+ * - adults / children: adults (1-99) and children (0-99), total = adults + children
+ * - dietary: yes / no - does anyone need a dietary option
+ * - diet_<option>: how many of the party need it (0 - party size)
+ *
+ * Questions are asked in the guest's language (see guestMessages.js);
+ * DIETARY_OPTIONS labels are the owner-facing (Hebrew) names.
+ */
+
+export const DIETARY_OPTIONS = {
+  vegetarian: { label: 'צמחוני', column: 'vegetarian_count' },
+  vegan: { label: 'טבעוני', column: 'vegan_count' },
+  gluten_free: { label: 'ללא גלוטן', column: 'gluten_free_count' }
+};
+
+export const QUESTIONNAIRE_ANSWER_COLUMNS = [
+  'guests_coming',
+  'adults_count',
+  'children_count',
+  ...Object.values(DIETARY_OPTIONS).map(option => option.column)
+];
+
+const MAX_GUESTS = 99;
+
+/**
+ * Validate a questionnaire configuration (events.rsvp_questionnaire)
+ *
+ * @param {Object|null} raw - { adultsChildren: boolean, dietaryOptions: ['vegetarian', ...] }
+ * @returns {{ config: Object|null, error?: string }} config is null when no questions beyond the guest count are asked
+ */
+export function normalizeQuestionnaireConfig(raw) {
+  if (raw === null || raw === undefined) {
+    return { config: null };
+  }
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { config: null, error: 'Questionnaire must be an object' };
+  }
+
+  const dietaryOptions = raw.dietaryOptions ?? [];
+
+  if (!Array.isArray(dietaryOptions) || dietaryOptions.some(option => !DIETARY_OPTIONS[option])) {
+    return { config: null, error: `dietaryOptions may only contain: ${Object.keys(DIETARY_OPTIONS).join(', ')}` };
+  }
+
+  const config = {
+    adultsChildren: raw.adultsChildren === true,
+    dietaryOptions: Object.keys(DIETARY_OPTIONS).filter(option => dietaryOptions.includes(option))
+  };
+
+  if (!config.adultsChildren && config.dietaryOptions.length === 0) {
+    return { config: null };
+  }
+
+  return { config };
+}
+
+/**
+ * Flow steps asking a questionnaire's questions
+ * The last question continues to `next` (the confirmation message).
+ *
+ * @param {Object|null} config - Normalized configuration
+ * @param {string} next - Step after the last question
+ * @param {string} language - Guest language
+ * @returns {{ firstStep: string, steps: Object }} Steps keyed by step ID (rsvpFlows.js format)
+ */
+export function buildQuestionnaireSteps(config, next, language = 'he') {
+  const dietaryOptions = config?.dietaryOptions || [];
+  const afterCount = dietaryOptions.length > 0 ? 'dietary' : next;
+  const steps = {};
+
+  if (!config) {
+    // The original plain text question
+    steps.guest_count = {
+      type: 'number',
+      text: guestText(language, 'guestCountQuestion'),
+      min: 1,
+      max: MAX_GUESTS,
+      saveAs: 'guests_coming',
+      invalidText: guestText(language, 'guestCountInvalid'),
+      next
+    };
+    return { firstStep: 'guest_count', steps };
+  }
+
+  if (config.adultsChildren) {
+    steps.adults = {
+      type: 'number',
+      text: guestText(language, 'adultsQuestion'),
+      buttonLabel: guestText(language, 'adultsLabel'),
+      showOptions: true,
+      min: 1,
+      max: MAX_GUESTS,
+      saveAs: 'adults_count',
+      next: 'children'
+    };
+    steps.children = {
+      type: 'number',
+      text: guestText(language, 'childrenQuestion'),
+      buttonLabel: guestText(language, 'childrenLabel'),
+      showOptions: true,
+      min: 0,
+      max: MAX_GUESTS,
+      saveAs: 'children_count',
+      next: afterCount
+    };
+  } else {
+    steps.guest_count = {
+      type: 'number',
+      text: guestText(language, 'guestCountOptionsQuestion'),
+      buttonLabel: guestText(language, 'guestCountLabel'),
+      showOptions: true,
+      min: 1,
+      max: MAX_GUESTS,
+      saveAs: 'guests_coming',
+      next: afterCount
+    };
+  }
+
+  if (dietaryOptions.length > 0) {
+    const dietSteps = dietaryOptions.map(option => `diet_${option}`);
+
+    steps.dietary = {
+      type: 'choice',
+      text: guestText(language, 'dietaryQuestion', {
+        options: dietaryOptions.map(option => dietaryText(language, option).label).join(', ')
+      }),
+      buttonLabel: guestText(language, 'choiceLabel'),
+      options: [
+        { id: 'yes', title: guestText(language, 'yes'), next: dietSteps[0] },
+        // "No" means nobody in the party needs a dietary option
+        {
+          id: 'no',
+          title: guestText(language, 'no'),
+          next,
+          set: Object.fromEntries(Object.values(DIETARY_OPTIONS).map(option => [option.column, 0]))
+        }
+      ]
+    };
+
+    dietaryOptions.forEach((optionKey, index) => {
+      const option = DIETARY_OPTIONS[optionKey];
+      const { label, question } = dietaryText(language, optionKey);
+
+      steps[dietSteps[index]] = {
+        type: 'number',
+        text: question,
+        buttonLabel: label,
+        showOptions: true,
+        min: 0,
+        max: 'guests_coming',
+        saveAs: option.column,
+        next: dietSteps[index + 1] ?? next
+      };
+    });
+  }
+
+  return { firstStep: config.adultsChildren ? 'adults' : 'guest_count', steps };
+}
@@ -0,0 +1,266 @@
+import { Location, isAssurBemlacha } from '@hebcal/core';
+import { findCountryByDialCode } from '../utils/phoneCountries.js';
+
+/**
+ * Send Windows
+ *
+ * When queued WhatsApp messages (invitations, reminders, followups, session
+ * fallbacks) may be delivered. A policy allows sending between startHour
+ * and endHour in the guest's time zone and, with observeShabbat, blacks out
+ * Shabbat and Jewish holidays (yom tov) from sunset before them until
+ * nightfall (tzeit) - computed locally with the Hebrew calendar of
+ * @hebcal/core, with the Israel or diaspora holiday schedule of the guest's
+ * location.
+ *
+ * The platform defaults are overridden by the owner (users.send_window) and
+ * then by the event (events.send_window). The outbound worker defers
+ * messages outside the window to its next opening (see outboundQueue.js).
+ *
+ * Replies to a guest who is writing to us (RSVP flow questions, inbox
+ * replies) are not held back.
+ *
+ * Policy:
+ * - startHour: first hour messages may be sent (0-23)
+ * - endHour: hour sending stops (1-24, after startHour)
+ * - observeShabbat: no messages on Shabbat and yom tov
+ */
+
+export const DEFAULT_SEND_WINDOW = {
+  startHour: 9,
+  endHour: 21,
+  observeShabbat: true
+};
+
+export const DEFAULT_TIME_ZONE = 'Asia/Jerusalem';
+
+// Time zone of guests whose contact has none, by phone number country
+const COUNTRY_TIME_ZONES = {
+  IL: 'Asia/Jerusalem',
+  US: 'America/New_York',
+  CA: 'America/Toronto',
+  GB: 'Europe/London',
+  FR: 'Europe/Paris',
+  DE: 'Europe/Berlin',
+  ES: 'Europe/Madrid',
+  RU: 'Europe/Moscow',
+  KZ: 'Asia/Almaty',
+  AU: 'Australia/Sydney'
+};
+
+// Where sunset and nightfall are calculated for a time zone (@hebcal/core city names)
+const TIME_ZONE_CITIES = {
+  'Asia/Jerusalem': 'Jerusalem',
+  'America/New_York': 'New York',
+  'America/Chicago': 'Chicago',
+  'America/Denver': 'Denver',
+  'America/Phoenix': 'Phoenix',
+  'America/Los_Angeles': 'Los Angeles',
+  'America/Toronto': 'Toronto',
+  'America/Vancouver': 'Vancouver',
+  'America/Mexico_City': 'Mexico City',
+  'America/Sao_Paulo': 'Sao Paulo',
+  'America/Argentina/Buenos_Aires': 'Buenos Aires',
+  'Europe/London': 'London',
+  'Europe/Paris': 'Paris',
+  'Europe/Berlin': 'Berlin',
+  'Europe/Budapest': 'Budapest',
+  'Europe/Kiev': 'Kiev',
+  'Europe/Kyiv': 'Kiev',
+  'Europe/Moscow': 'Moscow',
+  'Africa/Johannesburg': 'Johannesburg',
+  'Australia/Sydney': 'Sydney',
+  'Australia/Melbourne': 'Melbourne'
+};
+
+const EXTRA_LOCATIONS = {
+  'Europe/Madrid': () => new Location(40.4165, -3.70256, false, 'Europe/Madrid', 'Madrid', 'ES'),
+  'Asia/Almaty': () => new Location(43.25654, 76.92848, false, 'Asia/Almaty', 'Almaty', 'KZ')
+};
+
+const STEP_MS = 15 * 60 * 1000; // openings are found on quarter hours
+const MAX_SCAN_MS = 10 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is an IANA time zone name
+ *
+ * @param {string} timeZone - e.g. "Europe/London"
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a send-window policy (users.send_window / events.send_window)
+ * Fields that are left out keep the value of the level below.
+ *
+ * @param {Object|null} raw - { startHour, endHour, observeShabbat }
+ * @returns {{ config: Object|null, error?: string }} config is null when nothing is overridden
+ */
+export function normalizeSendWindow(raw) {
+  if (raw === null || raw === undefined) {
+    return { config: null };
+  }
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { config: null, error: 'Send window must be an object' };
+  }
+
+  const config = {};
+  const hasStart = raw.startHour !== undefined && raw.startHour !== null;
+  const hasEnd = raw.endHour !== undefined && raw.endHour !== null;
+
+  if (hasStart !== hasEnd) {
+    return { config: null, error: 'startHour and endHour must be set together' };
+  }
+
+  if (hasStart) {
+    const { startHour, endHour } = raw;
+
+    if (!Number.isInteger(startHour) || startHour < 0 || startHour > 23) {
+      return { config: null, error: 'startHour must be a whole hour between 0 and 23' };
+    }
+
+    if (!Number.isInteger(endHour) || endHour <= startHour || endHour > 24) {
+      return { config: null, error: 'endHour must be a whole hour after startHour, up to 24' };
+    }
+
+    config.startHour = startHour;
+    config.endHour = endHour;
+  }
+
+  if (raw.observeShabbat !== undefined && raw.observeShabbat !== null) {
+    if (typeof raw.observeShabbat !== 'boolean') {
+      return { config: null, error: 'observeShabbat must be true or false' };
+    }
+    config.observeShabbat = raw.observeShabbat;
+  }
+
+  return { config: Object.keys(config).length > 0 ? config : null };
+}
+
+/**
+ * The policy in effect: platform defaults, then the owner's, then the event's
+ *
+ * @param {Object|null} ownerWindow - users.send_window
+ * @param {Object|null} eventWindow - events.send_window
+ * @returns {Object} Complete policy
+ */
+export function resolveSendWindow(ownerWindow = null, eventWindow = null) {
+  return {
+    ...DEFAULT_SEND_WINDOW,
+    ...normalizeSendWindow(ownerWindow).config,
+    ...normalizeSendWindow(eventWindow).config
+  };
+}
+
+/**
+ * Time zone of a guest: the contact's, else that of their number's country
+ *
+ * @param {string|null} contactTimeZone - contacts.timezone
+ * @param {string|null} phoneNumber - International number digits (Dialog360 format)
+ * @returns {string} IANA time zone
+ */
+export function resolveRecipientTimeZone(contactTimeZone, phoneNumber = null) {
+  if (isValidTimeZone(contactTimeZone)) {
+    return contactTimeZone;
+  }
+
+  const country = phoneNumber ? findCountryByDialCode(String(phoneNumber).replace(/\D/g, '')) : null;
+  return COUNTRY_TIME_ZONES[country] || DEFAULT_TIME_ZONE;
+}
+
+const locations = new Map();
+
+/**
+ * Location Shabbat times are calculated for
+ * Time zones we have no city for observe Shabbat as it is in Jerusalem.
+ */
+function getTimeZoneLocation(timeZone) {
+  if (!locations.has(timeZone)) {
+    const location = EXTRA_LOCATIONS[timeZone]?.()
+      || (TIME_ZONE_CITIES[timeZone] && Location.lookup(TIME_ZONE_CITIES[timeZone]))
+      || Location.lookup('Jerusalem');
+    locations.set(timeZone, location);
+  }
+  return locations.get(timeZone);
+}
+
+const formatters = new Map();
+
+/**
+ * Weekday (0 = Sunday) and time of day of a moment in a time zone
+ */
+function getLocalTime(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+}
+
+/**
+ * Why messages may not be sent at a moment, or null when they may
+ */
+function getClosedReason(policy, timeZone, date) {
+  const local = getLocalTime(date, timeZone);
+
+  if (policy.observeShabbat && isAssurBemlacha(date, getTimeZoneLocation(timeZone), false)) {
+    // Friday evening and Saturday are Shabbat, other blackouts are holidays
+    return local.weekday === 5 || local.weekday === 6 ? 'shabbat' : 'holiday';
+  }
+
+  const minutes = local.hour * 60 + local.minute;
+  if (minutes < policy.startHour * 60 || minutes >= policy.endHour * 60) {
+    return 'quiet_hours';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a message may be sent now, and if not when it may
+ *
+ * @param {Object} policy - Complete policy (see resolveSendWindow)
+ * @param {string} timeZone - Guest time zone
+ * @param {Date} now - Current time
+ * @returns {{ open: boolean, reason: string|null, nextOpenAt: Date }} reason: 'quiet_hours' | 'shabbat' | 'holiday'
+ */
+export function getSendWindowStatus(policy, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const reason = getClosedReason(policy, timeZone, now);
+
+  if (!reason) {
+    return { open: true, reason: null, nextOpenAt: now };
+  }
+
+  let candidate = new Date(Math.ceil((now.getTime() + 1) / STEP_MS) * STEP_MS);
+
+  while (candidate - now <= MAX_SCAN_MS && getClosedReason(policy, timeZone, candidate)) {
+    candidate = new Date(candidate.getTime() + STEP_MS);
+  }
+
+  return { open: false, reason, nextOpenAt: candidate };
+}
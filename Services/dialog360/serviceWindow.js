@@ -0,0 +1,34 @@
+/**
+ * WhatsApp Customer Service Window
+ *
+ * Free-form (non-template) messages are only delivered within 24 hours of
+ * the guest's last message to the business. Outside the window WhatsApp
+ * only delivers approved templates.
+ */
+
+export const CUSTOMER_SERVICE_WINDOW_HOURS = 24;
+
+/**
+ * When the customer service window after a guest message closes
+ *
+ * @param {Date|string|null} lastInboundAt - Time of the guest's last message
+ * @returns {Date|null} null if the guest never wrote
+ */
+export function getServiceWindowEnd(lastInboundAt) {
+  if (!lastInboundAt) {
+    return null;
+  }
+  return new Date(new Date(lastInboundAt).getTime() + CUSTOMER_SERVICE_WINDOW_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Whether free-form messages can be sent to a guest
+ *
+ * @param {Date|string|null} lastInboundAt - Time of the guest's last message
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isServiceWindowOpen(lastInboundAt, now = new Date()) {
+  const windowEnd = getServiceWindowEnd(lastInboundAt);
+  return Boolean(windowEnd) && windowEnd > now;
+}
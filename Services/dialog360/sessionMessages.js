@@ -0,0 +1,110 @@
+import pool from '../../db/db.js';
+import { getContactLastInboundAt, getTemplateRecipient } from '../database/eventMessagesRepository.js';
+import { findContactOptOut } from '../database/optOutsRepository.js';
+import { queueTemplateMessage, wakeOutboundWorker } from './outboundQueue.js';
+import { isServiceWindowOpen } from './serviceWindow.js';
+import { generateRSVPButtons } from '../dialog360SendTemplate.js';
+import { getTemplateConfiguration } from '../templates/templateConfigurations.js';
+import { TEMPLATE_NAMES } from '../templates/templateNames.js';
+import { resolveContactPhone } from '../utils/phoneNormalization.js';
+
+/**
+ * Session Messages
+ *
+ * Free-form and interactive messages (RSVP flow questions, confirmations,
+ * maybe buttons) are only delivered within the customer service window
+ * (see serviceWindow.js). Outside it the guest is sent the approved
+ * invitation_followup template with the RSVP buttons instead - their answer
+ * reopens the window and restarts the RSVP flow.
+ *
+ * Nothing is sent to guests on the do-not-contact list (see optOuts.js).
+ */
+
+const FALLBACK_TEMPLATE = TEMPLATE_NAMES.FOLLOWUP;
+
+/**
+ * Queue the fallback template for a guest whose window is closed
+ * At most one per invitation per day.
+ *
+ * @returns {Promise<Object>} { queued, outboundMessageId, error }
+ */
+async function queueSessionFallback({ eventId, contactId, eventMessageId }) {
+  const recipient = await getTemplateRecipient(eventId, contactId);
+
+  if (!recipient) {
+    return { queued: false, outboundMessageId: null, error: 'Event or contact not found' };
+  }
+
+  const phoneNumber = resolveContactPhone(recipient.contact, recipient.defaultCountry || undefined);
+
+  if (!phoneNumber) {
+    return { queued: false, outboundMessageId: null, error: 'Invalid phone number' };
+  }
+
+  const templateConfig = getTemplateConfiguration(FALLBACK_TEMPLATE, recipient.event, recipient.contact);
+  const dateKey = new Date().toISOString().slice(0, 10);
+
+  const client = await pool.connect();
+  try {
+    const queued = await queueTemplateMessage(client, {
+      idempotencyKey: `session_fallback:${eventMessageId || `${eventId}:${contactId}`}:${dateKey}`,
+      eventMessageId,
+      purpose: 'session_fallback',
+      message: {
+        phoneNumber,
+        templateName: FALLBACK_TEMPLATE,
+        languageCode: templateConfig.languageCode,
+        templateData: templateConfig,
+        imageUrl: recipient.event.image_url,
+        buttons: generateRSVPButtons(eventId)
+      }
+    });
+
+    if (queued.created) {
+      wakeOutboundWorker();
+    }
+
+    return { queued: queued.created, outboundMessageId: queued.id, error: null };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Send a session message, or the fallback template when the window is closed
+ *
+ * @param {Object} recipient
+ * @param {number} recipient.contactId - Contact ID
+ * @param {string} recipient.eventId - Event the message is about
+ * @param {number|null} recipient.eventMessageId - Invitation the message is about
+ * @param {Function} send - Sends the session message (called only within the window)
+ * @returns {Promise<Object>} { sent, optedOut, windowOpen, fallbackQueued, outboundMessageId }
+ */
+export async function sendSessionMessage({ contactId, eventId, eventMessageId = null }, send) {
+  if (await findContactOptOut(contactId)) {
+    console.log(`🚫 Session message to contact ${contactId} not sent: opted out`);
+    return { sent: false, optedOut: true, windowOpen: null, fallbackQueued: false, outboundMessageId: null };
+  }
+
+  const lastInboundAt = await getContactLastInboundAt(contactId);
+
+  if (isServiceWindowOpen(lastInboundAt)) {
+    await send();
+    return { sent: true, optedOut: false, windowOpen: true, fallbackQueued: false, outboundMessageId: null };
+  }
+
+  try {
+    const fallback = await queueSessionFallback({ eventId, contactId, eventMessageId });
+
+    if (fallback.error) {
+      console.error(`❌ Session message to contact ${contactId} not sent (window closed): ${fallback.error}`);
+    } else {
+      console.log(`⏳ Window closed for contact ${contactId} - ${FALLBACK_TEMPLATE} template ${fallback.queued ? 'queued' : 'already queued today'} (outbound_message ${fallback.outboundMessageId})`);
+    }
+
+    return { sent: false, optedOut: false, windowOpen: false, fallbackQueued: fallback.queued, outboundMessageId: fallback.outboundMessageId };
+  } catch (error) {
+    console.error(`❌ Session fallback for contact ${contactId} failed:`, error.message);
+    return { sent: false, optedOut: false, windowOpen: false, fallbackQueued: false, outboundMessageId: null };
+  }
+}
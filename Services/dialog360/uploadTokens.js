@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+
+/**
+ * WhatsApp Upload Token Format
+ *
+ * Token format: VIX_[id]_[signature]
+ * - id: 20 random hex characters (primary key of whatsapp_upload_tokens)
+ * - signature: first 12 hex characters of HMAC-SHA256(id)
+ *
+ * The token carries no user information. The signature lets the webhook reject
+ * made-up tokens before touching the database; the owner is found by looking
+ * the ID up in whatsapp_upload_tokens.
+ *
+ * Secret: WHATSAPP_TOKEN_SECRET (falls back to JWT_SECRET)
+ */
+
+export const TOKEN_PREFIX = 'VIX_';
+const ID_BYTES = 10; // 20 hex characters
+const SIGNATURE_LENGTH = 12;
+
+// Matches a token anywhere in a message (guests may paste it with other text)
+export const UPLOAD_TOKEN_PATTERN = /VIX_([0-9A-F]{20})_([0-9A-F]{12})/i;
+
+function getTokenSecret() {
+  const secret = process.env.WHATSAPP_TOKEN_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('WHATSAPP_TOKEN_SECRET (or JWT_SECRET) not configured');
+  }
+  return secret;
+}
+
+function signTokenId(tokenId) {
+  return crypto
+    .createHmac('sha256', getTokenSecret())
+    .update(tokenId)
+    .digest('hex')
+    .substring(0, SIGNATURE_LENGTH)
+    .toUpperCase();
+}
+
+/**
+ * Generate a new random token ID
+ *
+ * @returns {string} 20 uppercase hex characters
+ */
+export function generateTokenId() {
+  return crypto.randomBytes(ID_BYTES).toString('hex').toUpperCase();
+}
+
+/**
+ * Build the token string for a token ID
+ *
+ * @param {string} tokenId - Token ID
+ * @returns {string} VIX_[id]_[signature]
+ */
+export function formatUploadToken(tokenId) {
+  return `${TOKEN_PREFIX}${tokenId}_${signTokenId(tokenId)}`;
+}
+
+/**
+ * Find an upload token in message text and verify its signature
+ *
+ * @param {string} text - Message text
+ * @returns {{ found: boolean, tokenId?: string, token?: string }}
+ *   found=false when there is no token; tokenId is only set when the signature is valid
+ */
+export function extractUploadToken(text) {
+  const match = (text || '').match(UPLOAD_TOKEN_PATTERN);
+
+  if (!match) {
+    return { found: false };
+  }
+
+  const tokenId = match[1].toUpperCase();
+  const signature = Buffer.from(match[2].toUpperCase());
+  const expected = Buffer.from(signTokenId(tokenId));
+
+  if (!crypto.timingSafeEqual(signature, expected)) {
+    return { found: true };
+  }
+
+  return { found: true, tokenId, token: formatUploadToken(tokenId) };
+}
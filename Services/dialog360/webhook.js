@@ -1,8 +1,10 @@
 import {
   processDialog360Message,
   processDialog360Status,
-  processDialog360Error
+  processDialog360Error,
+  processDialog360AccountUpdate
 } from './messageProcessor.js';
+import { verifyWebhookRequest, logWebhookRejection } from './webhookAuth.js';
 
 /**
  * Dialog 360 Webhook Handler
@@ -17,7 +19,17 @@ import {
  * ✅ Handles all 3 webhook objects:
  * - messages: New incoming messages from users
  * - statuses: Status updates for messages you sent (sent/delivered/read/failed)
- * - errors: Out-of-band errors from Dialog 360
+ * - errors: Out-of-band errors from Dialog 360 (stored in dialog360_errors)
+ * 
+ * ✅ Account notifications (change.field):
+ * - message_template_status_update: template paused/disabled pauses auto-invite for it
+ * - phone_number_quality_update: quality rating / messaging limit changes
+ * 
+ * ✅ Security & Idempotency:
+ * - Requests are authenticated with a shared secret header and/or HMAC signature (webhookAuth.js)
+ * - Rejected requests are logged to webhook_rejections
+ * - Messages and statuses are recorded in the webhook_events ledger, so
+ *   redelivered webhooks are not processed twice
  * 
  * ✅ Database Integration:
  * - Updates event_messages table with responses
@@ -28,9 +40,18 @@ import {
  * Requirements:
  * - HTTPS with valid SSL certificate (deployment)
  * - D360_API_KEY environment variable
+ * - D360_WEBHOOK_SECRET and/or D360_WEBHOOK_HMAC_SECRET (see webhookAuth.js)
  */
 export async function handleDialog360Webhook(req, res) {
   try {
+    // Reject requests that do not come from Dialog360
+    const auth = verifyWebhookRequest(req);
+    if (!auth.ok) {
+      res.status(401).json({ success: false, error: 'Unauthorized' });
+      logWebhookRejection(req, auth.reason);
+      return;
+    }
+
     const { entry } = req.body;
 
     // Debug logging
@@ -49,6 +70,7 @@ export async function handleDialog360Webhook(req, res) {
 
     // Validate payload after responding
     if (!entry || !Array.isArray(entry)) {
+      logWebhookRejection(req, 'invalid_payload');
       return;
     }
 
@@ -83,6 +105,12 @@ async function processEntriesAsync(entry) {
           changes.map(async (change) => {
             const value = change.value;
 
+            // Account notifications carry no messages / statuses
+            if (change.field && change.field !== 'messages') {
+              await processDialog360AccountUpdate(change.field, value || {});
+              return;
+            }
+
             // Process messages in parallel
             if (value?.messages && Array.isArray(value.messages)) {
               await Promise.all(
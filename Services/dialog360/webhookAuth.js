@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import { insertWebhookRejection } from '../database/webhookEventsRepository.js';
+
+/**
+ * Dialog360 Webhook Authentication
+ *
+ * Two mechanisms, enabled by configuring their secret (both must pass when both are set):
+ *
+ * - Shared secret header
+ *   D360_WEBHOOK_SECRET         - expected header value
+ *   D360_WEBHOOK_SECRET_HEADER  - header name (default: x-webhook-secret)
+ *   Configure the same header on the Dialog360 webhook URL.
+ *
+ * - HMAC signature of the raw request body
+ *   D360_WEBHOOK_HMAC_SECRET       - HMAC-SHA256 key
+ *   D360_WEBHOOK_SIGNATURE_HEADER  - header name (default: x-hub-signature-256)
+ *   Header value: "sha256=<hex digest>" (the "sha256=" prefix is optional)
+ *
+ * When neither secret is configured requests are accepted and a warning is
+ * logged once, unless D360_WEBHOOK_AUTH_REQUIRED=true.
+ */
+
+const DEFAULT_SECRET_HEADER = 'x-webhook-secret';
+const DEFAULT_SIGNATURE_HEADER = 'x-hub-signature-256';
+// Rejected requests are unauthenticated - keep only enough to recognize them
+const MAX_LOGGED_BODY_LENGTH = 2 * 1024;
+const MAX_LOGGED_HEADERS = 50;
+const MAX_LOGGED_HEADER_LENGTH = 256;
+
+let warnedUnauthenticated = false;
+
+function getWebhookAuthConfig() {
+  return {
+    secret: process.env.D360_WEBHOOK_SECRET || null,
+    secretHeader: (process.env.D360_WEBHOOK_SECRET_HEADER || DEFAULT_SECRET_HEADER).toLowerCase(),
+    hmacSecret: process.env.D360_WEBHOOK_HMAC_SECRET || null,
+    signatureHeader: (process.env.D360_WEBHOOK_SIGNATURE_HEADER || DEFAULT_SIGNATURE_HEADER).toLowerCase(),
+    required: process.env.D360_WEBHOOK_AUTH_REQUIRED === 'true'
+  };
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verify that a webhook request comes from Dialog360
+ * Requires req.rawBody (set by the express.json verify hook) for HMAC checks.
+ *
+ * @param {Object} req - Express request
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export function verifyWebhookRequest(req) {
+  const config = getWebhookAuthConfig();
+
+  if (!config.secret && !config.hmacSecret) {
+    if (config.required) {
+      return { ok: false, reason: 'auth_not_configured' };
+    }
+
+    if (!warnedUnauthenticated) {
+      console.warn('⚠️ Dialog360 webhook authentication is not configured - set D360_WEBHOOK_SECRET or D360_WEBHOOK_HMAC_SECRET');
+      warnedUnauthenticated = true;
+    }
+    return { ok: true };
+  }
+
+  if (config.secret) {
+    const provided = req.get(config.secretHeader);
+
+    if (!provided) {
+      return { ok: false, reason: 'missing_secret_header' };
+    }
+
+    if (!safeEqual(provided, config.secret)) {
+      return { ok: false, reason: 'invalid_secret' };
+    }
+  }
+
+  if (config.hmacSecret) {
+    const signature = req.get(config.signatureHeader);
+
+    if (!signature) {
+      return { ok: false, reason: 'missing_signature' };
+    }
+
+    if (!req.rawBody) {
+      return { ok: false, reason: 'missing_raw_body' };
+    }
+
+    const expected = crypto
+      .createHmac('sha256', config.hmacSecret)
+      .update(req.rawBody)
+      .digest('hex');
+
+    const provided = signature.replace(/^sha256=/i, '').toLowerCase();
+
+    if (!safeEqual(provided, expected)) {
+      return { ok: false, reason: 'invalid_signature' };
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Log a rejected webhook request to webhook_rejections
+ * Secret-bearing headers are masked; headers and the body are truncated, with
+ * the length and SHA-256 digest of the whole body kept. Never throws - logging
+ * must not affect the response.
+ *
+ * @param {Object} req - Express request
+ * @param {string} reason - Rejection reason
+ */
+export async function logWebhookRejection(req, reason) {
+  try {
+    const config = getWebhookAuthConfig();
+    const maskedHeaders = new Set([config.secretHeader, 'authorization', 'cookie']);
+
+    const headers = {};
+    for (const [name, value] of Object.entries(req.headers || {}).slice(0, MAX_LOGGED_HEADERS)) {
+      headers[name] = maskedHeaders.has(name.toLowerCase())
+        ? '[masked]'
+        : String(value).substring(0, MAX_LOGGED_HEADER_LENGTH);
+    }
+
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body ?? null));
+
+    await insertWebhookRejection({
+      reason,
+      remoteIp: req.ip,
+      headers,
+      body: rawBody.subarray(0, MAX_LOGGED_BODY_LENGTH).toString('utf8'),
+      bodyLength: rawBody.length,
+      bodySha256: crypto.createHash('sha256').update(rawBody).digest('hex')
+    });
+
+    console.warn(`🚫 Dialog360 webhook rejected (${reason}) from ${req.ip}`);
+  } catch (error) {
+    console.error('❌ Failed to log webhook rejection:', error);
+  }
+}
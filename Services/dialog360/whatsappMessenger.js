@@ -2,13 +2,20 @@
  * WhatsApp Messenger
  * 
  * Handles all outgoing WhatsApp messages via Dialog 360 API
- * - Guest count questions
- * - Confirmation messages
- * - Error messages
+ * - RSVP flow questions (interactive buttons / lists) and messages
+ * - Maybe confirmation with follow-up buttons
+ * - Owner replies from the inbox
  * - Message read receipts
+ * 
+ * Free-form and interactive messages are only delivered within the
+ * customer service window - RSVP flow messages are sent through
+ * sendSessionMessage() (sessionMessages.js).
  */
 
 import { getFollowUpButtons, getEventTooCloseMessage } from './followUpButtonsHelper.js';
+import { getDialog360MessagesUrl } from './dialog360Config.js';
+import { usesReplyButtons } from './rsvpFlows.js';
+import { guestText } from './guestMessages.js';
 
 /**
  * Mark message as read (shows colored ticks to sender)
@@ -24,7 +31,7 @@ export async function markMessageAsRead(messageId, phoneNumber) {
       return;
     }
 
-    const response = await fetch('https://waba-v2.360dialog.io/messages', {
+    const response = await fetch(getDialog360MessagesUrl(), {
       method: 'POST',
       headers: {
         'D360-API-KEY': apiKey,
@@ -47,11 +54,12 @@ export async function markMessageAsRead(messageId, phoneNumber) {
 }
 
 /**
- * Send a follow-up message asking for guest count
+ * Send an RSVP flow message (confirmations, plain text questions)
  * 
  * @param {string} phoneNumber - Phone number to send to
+ * @param {string} messageText - Rendered step text
  */
-export async function sendGuestCountQuestion(phoneNumber) {
+export async function sendFlowMessage(phoneNumber, messageText) {
   try {
     const apiKey = process.env.D360_API_KEY;
     
@@ -59,9 +67,7 @@ export async function sendGuestCountQuestion(phoneNumber) {
       return;
     }
     
-    const messageText = 'מעולה! 🎉\n\nכמה אורחים יגיעו?\nאנא השב עם מספר בלבד (לדוגמה: 2)';
-    
-    const response = await fetch('https://waba-v2.360dialog.io/messages', {
+    const response = await fetch(getDialog360MessagesUrl(), {
       method: 'POST',
       headers: {
         'D360-API-KEY': apiKey,
@@ -79,33 +85,35 @@ export async function sendGuestCountQuestion(phoneNumber) {
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.error(`❌ Guest count question failed (${response.status}): ${errorText}`);
+      console.error(`❌ RSVP flow message failed (${response.status}): ${errorText}`);
     } else {
       const successData = await response.json();
-      console.log(`✅ Guest count question sent: ${successData.messages?.[0]?.id || 'no-id'}`);
+      console.log(`✅ RSVP flow message sent: ${successData.messages?.[0]?.id || 'no-id'}`);
     }
     
   } catch (error) {
-    console.error('❌ Guest count question error:', error.message);
+    console.error('❌ RSVP flow message error:', error.message);
   }
 }
 
 /**
- * Send invalid guest count message
+ * Send a free-form text message (owner replies)
+ * Only delivered within 24 hours of the guest's last message (the
+ * customer service window) - the caller checks the window.
  * 
  * @param {string} phoneNumber - Phone number to send to
+ * @param {string} messageText - Message text
+ * @returns {Promise<Object>} { success, messageId, error, code }
  */
-export async function sendInvalidGuestCountMessage(phoneNumber) {
+export async function sendTextMessage(phoneNumber, messageText) {
   try {
     const apiKey = process.env.D360_API_KEY;
     
     if (!apiKey) {
-      return;
+      return { success: false, messageId: null, error: 'D360_API_KEY not configured', code: 'CONFIG_MISSING' };
     }
     
-    const messageText = 'אנא השב עם מספר תקין (לדוגמה: 2, 3, 4...)';
-    
-    const response = await fetch('https://waba-v2.360dialog.io/messages', {
+    const response = await fetch(getDialog360MessagesUrl(), {
       method: 'POST',
       headers: {
         'D360-API-KEY': apiKey,
@@ -113,6 +121,7 @@ export async function sendInvalidGuestCountMessage(phoneNumber) {
       },
       body: JSON.stringify({
         messaging_product: 'whatsapp',
+        recipient_type: 'individual',
         to: phoneNumber,
         type: 'text',
         text: {
@@ -121,67 +130,43 @@ export async function sendInvalidGuestCountMessage(phoneNumber) {
       }),
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`❌ Invalid guest count message failed (${response.status}): ${errorText}`);
-    }
-    
-  } catch (error) {
-    console.error('❌ Invalid guest count message error:', error.message);
-  }
-}
-
-/**
- * Send guest count confirmation message
- * 
- * @param {string} phoneNumber - Phone number to send to
- * @param {number} guestCount - Number of guests
- */
-export async function sendGuestCountConfirmation(phoneNumber, guestCount) {
-  try {
-    const apiKey = process.env.D360_API_KEY;
-    
-    if (!apiKey) {
-      return;
-    }
-    
-    const messageText = `תודה! רשמנו ${guestCount} אורחים. נתראה באירוע! 🎊`;
-    
-    const response = await fetch('https://waba-v2.360dialog.io/messages', {
-      method: 'POST',
-      headers: {
-        'D360-API-KEY': apiKey,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        messaging_product: 'whatsapp',
-        to: phoneNumber,
-        type: 'text',
-        text: {
-          body: messageText
-        }
-      }),
-    });
+    const data = await response.json().catch(() => ({}));
 
     if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`❌ Guest count confirmation failed (${response.status}): ${errorText}`);
-    } else {
-      const successData = await response.json();
-      console.log(`✅ Guest count confirmation sent: ${successData.messages?.[0]?.id || 'no-id'}`);
+      const error = data.error || {};
+      console.error(`❌ Text message failed (${response.status}): ${JSON.stringify(data)}`);
+      return {
+        success: false,
+        messageId: null,
+        error: error.error_data?.details || error.message || `Dialog360 returned ${response.status}`,
+        code: error.code ?? null
+      };
     }
+
+    const messageId = data.messages?.[0]?.id || null;
+    console.log(`✅ Text message sent: ${messageId || 'no-id'}`);
+    return { success: true, messageId, error: null, code: null };
     
   } catch (error) {
-    console.error('❌ Guest count confirmation error:', error.message);
+    console.error('❌ Text message error:', error.message);
+    return { success: false, messageId: null, error: error.message, code: null };
   }
 }
 
 /**
- * Send decline confirmation message
+ * Send an RSVP flow question
+ * Up to 3 options are sent as reply buttons, more as a list and
+ * questions without options as plain text.
  * 
  * @param {string} phoneNumber - Phone number to send to
+ * @param {Object} question - { text, options: [{ id, title }], buttonLabel } from buildFlowQuestion() / buildFlowRetry()
  */
-export async function sendDeclineConfirmation(phoneNumber) {
+export async function sendFlowQuestion(phoneNumber, question) {
+  if (question.options.length === 0) {
+    await sendFlowMessage(phoneNumber, question.text);
+    return;
+  }
+  
   try {
     const apiKey = process.env.D360_API_KEY;
     
@@ -189,9 +174,22 @@ export async function sendDeclineConfirmation(phoneNumber) {
       return;
     }
     
-    const messageText = 'תודה על עדכון! נשמח לראותך באירועים הבאים 💙';
+    const action = usesReplyButtons(question)
+      ? {
+          buttons: question.options.map(option => ({
+            type: 'reply',
+            reply: { id: option.id, title: option.title }
+          }))
+        }
+      : {
+          button: question.buttonLabel,
+          sections: [{
+            title: question.buttonLabel,
+            rows: question.options.map(option => ({ id: option.id, title: option.title }))
+          }]
+        };
     
-    const response = await fetch('https://waba-v2.360dialog.io/messages', {
+    const response = await fetch(getDialog360MessagesUrl(), {
       method: 'POST',
       headers: {
         'D360-API-KEY': apiKey,
@@ -199,24 +197,27 @@ export async function sendDeclineConfirmation(phoneNumber) {
       },
       body: JSON.stringify({
         messaging_product: 'whatsapp',
+        recipient_type: 'individual',
         to: phoneNumber,
-        type: 'text',
-        text: {
-          body: messageText
+        type: 'interactive',
+        interactive: {
+          type: usesReplyButtons(question) ? 'button' : 'list',
+          body: { text: question.text },
+          action
         }
       }),
     });
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.error(`❌ Decline confirmation failed (${response.status}): ${errorText}`);
+      console.error(`❌ RSVP flow question failed (${response.status}): ${errorText}`);
     } else {
       const successData = await response.json();
-      console.log(`✅ Decline confirmation sent: ${successData.messages?.[0]?.id || 'no-id'}`);
+      console.log(`✅ RSVP flow question sent: ${successData.messages?.[0]?.id || 'no-id'}`);
     }
     
   } catch (error) {
-    console.error('❌ Decline confirmation error:', error.message);
+    console.error('❌ RSVP flow question error:', error.message);
   }
 }
 
@@ -237,8 +238,9 @@ export async function sendDeclineConfirmation(phoneNumber) {
  * @param {string|Date} eventDate - Event date to calculate proximity
  * @param {string|null} celebrator1Name - First celebrator name
  * @param {string|null} celebrator2Name - Second celebrator name (optional)
+ * @param {string} language - Guest language
  */
-export async function sendMaybeConfirmation(phoneNumber, eventDate = null, celebrator1Name = null, celebrator2Name = null) {
+export async function sendMaybeConfirmation(phoneNumber, eventDate = null, celebrator1Name = null, celebrator2Name = null, language = 'he') {
   try {
     const apiKey = process.env.D360_API_KEY;
     
@@ -247,11 +249,11 @@ export async function sendMaybeConfirmation(phoneNumber, eventDate = null, celeb
     }
     
     // Get dynamic buttons based on event proximity
-    const buttons = getFollowUpButtons(eventDate);
+    const buttons = getFollowUpButtons(eventDate, language);
     
     // Check if event is too close (< 2 days) - send text message only
     if (buttons === 'too_close') {
-      const messageText = getEventTooCloseMessage(celebrator1Name, celebrator2Name);
+      const messageText = getEventTooCloseMessage(celebrator1Name, celebrator2Name, language);
       
       const payload = {
         messaging_product: 'whatsapp',
@@ -260,7 +262,7 @@ export async function sendMaybeConfirmation(phoneNumber, eventDate = null, celeb
         text: { body: messageText }
       };
       
-      const response = await fetch('https://waba-v2.360dialog.io/messages', {
+      const response = await fetch(getDialog360MessagesUrl(), {
         method: 'POST',
         headers: {
           'D360-API-KEY': apiKey,
@@ -289,7 +291,7 @@ export async function sendMaybeConfirmation(phoneNumber, eventDate = null, celeb
       interactive: {
         type: 'button',
         body: {
-          text: 'בסדר גמור! 😊\n\nמתי נוכל לבדוק איתך שוב?'
+          text: guestText(language, 'maybeQuestion')
         },
         action: {
           buttons: buttons
@@ -297,7 +299,7 @@ export async function sendMaybeConfirmation(phoneNumber, eventDate = null, celeb
       }
     };
     
-    const response = await fetch('https://waba-v2.360dialog.io/messages', {
+    const response = await fetch(getDialog360MessagesUrl(), {
       method: 'POST',
       headers: {
         'D360-API-KEY': apiKey,
@@ -1,12 +1,19 @@
+import { randomUUID } from 'crypto';
 import pool from '../db/db.js';
+import { queueEventTemplateMessage, wakeOutboundWorker } from './dialog360/outboundQueue.js';
 import { getTemplateConfiguration } from './templates/templateConfigurations.js';
-import { normalizePhoneForDialog360 } from './utils/phoneNormalization.js';
+import { TEMPLATE_NAMES } from './templates/templateNames.js';
+import { resolveContactPhone } from './utils/phoneNormalization.js';
+import { getUserDefaultCountry } from './database/usersRepository.js';
+import { getDialog360MessagesUrl } from './dialog360/dialog360Config.js';
+import { selectHouseholdRecipients } from './contacts/households.js';
+import { getOptedOutNumbers } from './database/optOutsRepository.js';
 
 /**
  * Dialog 360 Template Message Sender (v2 API)
  * 
  * Sends WhatsApp template messages with event invitation images
- * Uses Dialog 360 v2 API (waba-v2.360dialog.io) to send pre-approved templates
+ * Uses Dialog 360 v2 API (waba-v2.360dialog.io, or D360_BASE_URL) to send pre-approved templates
  * 
  * IMPORTANT: This service uses the v2 API which requires parameter_name field for named variables
  * 
@@ -29,27 +36,31 @@ import { normalizePhoneForDialog360 } from './utils/phoneNormalization.js';
  * Contact Structure (from database):
  * - id: integer
  * - display_name: string (contact's display name)
- * - canonical_form: string (contact's full name - NOT the phone number)
+ * - canonical_form: string (+international number(s) from imports, or the contact's full name)
+ * - preferred_language: 'he' | 'en' | 'ru' | 'ar' | 'fr' | null (null = Hebrew)
  * - phone_number: string (local or international format, e.g., "0544349661" or "972544349661")
  * - contact_owner: string (email of the user who owns this contact)
  * - contact_source: string
  * - tags: array
  * 
- * NOTE: phone_number will be auto-normalized to international format for Dialog360
+ * NOTE: the contact's number is auto-normalized to international format for Dialog360
+ * (local numbers are read in the owner's default country, see resolveContactPhone)
  * 
  * Request Body Format:
  * {
  *   eventId: "uuid-string",
  *   contactIds: [1, 2, 3],  // Array of contact IDs
- *   userEmail: "user@example.com",  // REQUIRED - For authentication and validation
  *   templateName: "event_invitation" (optional, default),
- *   languageCode: "he" (optional, default),
+ *   languageCode: "en" (optional - default: each contact's preferred language when the template has a variant in it, else "he"),
  *   buttons: [  // Optional - only for templates that support interactive buttons
  *     { id: "attending_yes", payload: "attending_yes_{eventId}" },
  *     { id: "attending_no", payload: "attending_no_{eventId}" }
  *   ]
  * }
  * 
+ * The sender is the authenticated user (req.user.email) - event and contact
+ * ownership are validated against it.
+ * 
  * NOTE: Not all templates require buttons. Only include buttons parameter
  * if the specific WhatsApp template is configured to use interactive buttons.
  * 
@@ -63,84 +74,105 @@ import { normalizePhoneForDialog360 } from './utils/phoneNormalization.js';
  * - If event.image_url is null/empty, template will be sent without header image
  */
 
+// Dialog360/WhatsApp error codes that are worth retrying later
+// (rate limits and temporary service problems)
+const RETRYABLE_ERROR_CODES = new Set([
+  4,      // API call volume rate limit
+  80007,  // WABA rate limit
+  130429, // Cloud API throughput reached
+  131000, // Generic temporary error
+  131016, // Service unavailable
+  131048, // Spam rate limit
+  131056, // Pair rate limit (too many messages to the same number)
+  133004  // Server temporarily unavailable
+]);
+
 /**
- * Send a WhatsApp template message
+ * Decide whether a failed Dialog360 send should be retried
  * 
- * @param {Object} params - Template message parameters
- * @param {string} params.phoneNumber - Recipient phone number (with country code, no +)
- * @param {string} params.templateName - Name of the approved template in Dialog 360
- * @param {string} params.languageCode - Template language code (e.g., 'he', 'en')
- * @param {Object} params.templateData - Data to fill template variables
- * @param {string} params.templateData.guestName - Guest name
- * @param {string} params.templateData.eventName - Event name
- * @param {string} params.templateData.eventDate - Event date
- * @param {string} params.templateData.eventLocation - Event location
- * @param {string} params.imageUrl - Event invitation image URL (from Cloudinary/DB)
- * @param {Array} params.buttons - Optional interactive buttons (for RSVP)
- * @returns {Promise<Object>} Response from Dialog 360 API
+ * @param {number} httpStatus - HTTP status of the Dialog360 response
+ * @param {number|string} errorCode - error.code from the Dialog360 response body
+ * @returns {boolean} True for rate limits, server errors and temporary failures
  */
-export async function sendTemplateMessage(params) {
-  try {
-    const {
-      phoneNumber,
-      templateName,
-      languageCode = 'he',
-      templateData,
-      imageUrl,
-      buttons = []
-    } = params;
-
-    // Validate required parameters
-    if (!phoneNumber) {
-      throw new Error('Phone number is required');
-    }
+export function isRetryableDialog360Error(httpStatus, errorCode) {
+  if (errorCode !== undefined && errorCode !== null && RETRYABLE_ERROR_CODES.has(Number(errorCode))) {
+    return true;
+  }
 
-    if (!templateName) {
-      throw new Error('Template name is required');
-    }
+  // 555 is returned for unknown / unapproved templates - retrying will not help
+  if (httpStatus === 555) {
+    return false;
+  }
 
-    const apiKey = process.env.D360_API_KEY;
-    if (!apiKey) {
-      throw new Error('D360_API_KEY not configured');
-    }
+  return httpStatus === 429 || httpStatus >= 500;
+}
 
-    // Construct template message payload
-    const payload = {
-      messaging_product: 'whatsapp',
-      recipient_type: 'individual',
-      to: phoneNumber,
-      type: 'template',
-      template: {
-        name: templateName,
-        language: {
-          code: languageCode
-        },
-        components: []
-      }
-    };
+function createSendError(message, { code = null, httpStatus = null, retryable = false } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.httpStatus = httpStatus;
+  error.retryable = retryable;
+  return error;
+}
 
-    // Add header component with image for templates that support it (e.g., "event_invitation")
-    // Note: Dialog360 v2 API requires exact match between template structure and payload
-    if (imageUrl) {
-      payload.template.components.push({
-        type: 'header',
-        parameters: [
-          {
-            type: 'image',
-            image: {
-              link: imageUrl
-            }
-          }
-        ]
-      });
+/**
+ * Dialog360 payload of a template message
+ * Used to send, and to preview what a guest would receive (templatePreview.js).
+ *
+ * @param {Object} params - Same as sendTemplateMessage
+ * @returns {Object} Template message payload
+ */
+export function buildTemplatePayload({
+  phoneNumber,
+  templateName,
+  languageCode = 'he',
+  templateData,
+  imageUrl,
+  buttons = []
+}) {
+  // Construct template message payload
+  const payload = {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: phoneNumber,
+    type: 'template',
+    template: {
+      name: templateName,
+      language: {
+        code: languageCode
+      },
+      components: []
     }
+  };
+
+  // Add header component with image for templates that support it (e.g., "event_invitation")
+  // Note: Dialog360 v2 API requires exact match between template structure and payload
+  if (imageUrl) {
+    payload.template.components.push({
+      type: 'header',
+      parameters: [
+        {
+          type: 'image',
+          image: {
+            link: imageUrl
+          }
+        }
+      ]
+    });
+  }
 
-    // Add body component with template variables
-    if (templateData) {
-      console.log('🔍 TEMPLATE DATA RECEIVED:', templateData);
-      
-      const bodyParameters = [];
+  // Add body component with template variables
+  if (templateData) {
+    console.log('🔍 TEMPLATE DATA RECEIVED:', templateData);
+    
+    const bodyParameters = [];
 
+    if (Array.isArray(templateData.parameters)) {
+      // Registry templates: parameters filled by the template's variable mapping
+      templateData.parameters.forEach(({ name, text }) => {
+        bodyParameters.push({ type: 'text', text, parameter_name: name });
+      });
+    } else {
       // Add template variables in order with parameter names for Dialog360 v2 API
       console.log('🔍 TRUTHY CHECKS:', {
         'guestName truthy?': !!templateData.guestName,
@@ -205,50 +237,110 @@ export async function sendTemplateMessage(params) {
           console.log(`✅ Added customParams[${index}] as variable_${index + 4}: "${param}"`);
         });
       }
+    }
 
-      console.log('🔍 FINAL BODY PARAMETERS COUNT:', bodyParameters.length);
-      console.log('🔍 FINAL BODY PARAMETERS:', JSON.stringify(bodyParameters, null, 2));
+    console.log('🔍 FINAL BODY PARAMETERS COUNT:', bodyParameters.length);
+    console.log('🔍 FINAL BODY PARAMETERS:', JSON.stringify(bodyParameters, null, 2));
 
-      if (bodyParameters.length > 0) {
-        payload.template.components.push({
-          type: 'body',
-          parameters: bodyParameters
-        });
-      }
+    if (bodyParameters.length > 0) {
+      payload.template.components.push({
+        type: 'body',
+        parameters: bodyParameters
+      });
     }
+  }
 
-    // Add interactive buttons if provided (for RSVP)
-    if (buttons && buttons.length > 0) {
-      const buttonComponents = buttons.map((button, index) => ({
-        type: 'button',
-        sub_type: 'quick_reply',
-        index: index,
-        parameters: [
-          {
-            type: 'payload',
-            payload: button.payload || button.id
-          }
-        ]
-      }));
+  // Add interactive buttons if provided (for RSVP)
+  if (buttons && buttons.length > 0) {
+    const buttonComponents = buttons.map((button, index) => ({
+      type: 'button',
+      sub_type: 'quick_reply',
+      index: index,
+      parameters: [
+        {
+          type: 'payload',
+          payload: button.payload || button.id
+        }
+      ]
+    }));
+
+    payload.template.components.push(...buttonComponents);
+  }
 
-      payload.template.components.push(...buttonComponents);
+  return payload;
+}
+
+/**
+ * Send a WhatsApp template message
+ * 
+ * Errors thrown carry `code` (Dialog360 error code), `httpStatus` and `retryable`
+ * so the outbound queue can decide whether to retry.
+ * 
+ * @param {Object} params - Template message parameters
+ * @param {string} params.phoneNumber - Recipient phone number (with country code, no +)
+ * @param {string} params.templateName - Name of the approved template in Dialog 360
+ * @param {string} params.languageCode - Template language code (e.g., 'he', 'en')
+ * @param {Object} params.templateData - Data to fill template variables
+ * @param {string} params.templateData.guestName - Guest name
+ * @param {string} params.templateData.eventName - Event name
+ * @param {string} params.templateData.eventDate - Event date
+ * @param {string} params.templateData.eventLocation - Event location
+ * @param {Array} params.templateData.parameters - [{ name, text }] body parameters of a registry template (replace the fields above)
+ * @param {string} params.imageUrl - Event invitation image URL (from Cloudinary/DB)
+ * @param {Array} params.buttons - Optional interactive buttons (for RSVP)
+ * @returns {Promise<Object>} Response from Dialog 360 API
+ */
+export async function sendTemplateMessage(params) {
+  try {
+    const {
+      phoneNumber,
+      templateName,
+      languageCode = 'he',
+      templateData,
+      imageUrl,
+      buttons = []
+    } = params;
+
+    // Validate required parameters
+    if (!phoneNumber) {
+      throw createSendError('Phone number is required', { code: 'INVALID_PARAMS' });
+    }
+
+    if (!templateName) {
+      throw createSendError('Template name is required', { code: 'INVALID_PARAMS' });
+    }
+
+    const apiKey = process.env.D360_API_KEY;
+    if (!apiKey) {
+      // Retryable - queued messages go out once the key is configured
+      throw createSendError('D360_API_KEY not configured', { code: 'CONFIG_MISSING', retryable: true });
     }
 
+    const payload = buildTemplatePayload({ phoneNumber, templateName, languageCode, templateData, imageUrl, buttons });
+
     console.log('Sending template message to:', phoneNumber);
     console.log('Template:', templateName);
     console.log('Payload:', JSON.stringify(payload, null, 2));
 
     // Send message via Dialog 360 API
-    const response = await fetch('https://waba-v2.360dialog.io/messages', {
-      method: 'POST',
-      headers: {
-        'D360-API-KEY': apiKey,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
+    let response;
+    try {
+      response = await fetch(getDialog360MessagesUrl(), {
+        method: 'POST',
+        headers: {
+          'D360-API-KEY': apiKey,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload),
+      });
+    } catch (networkError) {
+      throw createSendError(`Network error sending template: ${networkError.message}`, {
+        code: 'NETWORK_ERROR',
+        retryable: true
+      });
+    }
 
-    const result = await response.json();
+    const result = await response.json().catch(() => ({}));
     
     // Log the complete response for debugging
     console.log('📡 Dialog360 API Response Status:', response.status);
@@ -306,7 +398,12 @@ export async function sendTemplateMessage(params) {
       
       console.error('📝 Final error message:', userFriendlyMessage);
       
-      throw new Error(userFriendlyMessage);
+      const httpStatus = result.meta?.http_code || response.status;
+      throw createSendError(userFriendlyMessage, {
+        code: result.error?.code ?? null,
+        httpStatus,
+        retryable: isRetryableDialog360Error(httpStatus, result.error?.code)
+      });
     }
 
     console.log('Template message sent successfully:', result);
@@ -328,7 +425,7 @@ export async function sendTemplateMessage(params) {
  * @param {string} eventId - Event ID to encode in button payload
  * @returns {Array} Array of button configurations
  */
-function generateRSVPButtons(eventId) {
+export function generateRSVPButtons(eventId) {
   return [
     {
       id: 'rsvp_yes',
@@ -346,84 +443,175 @@ function generateRSVPButtons(eventId) {
 }
 
 /**
- * Send template messages to multiple recipients (batch sending)
- * 
- * @param {Array} recipients - Array of recipient objects
+ * Buttons a template is sent with
+ * RSVP buttons, except for the thank you note and the morning reminder.
+ *
  * @param {string} templateName - Template name
- * @param {string} languageCode - Language code
- * @param {string} imageUrl - Event image URL
- * @param {string} eventId - Event ID to encode in button payloads
- * @returns {Promise<Object>} Batch send results
+ * @param {string} eventId - Event ID to encode in button payload
+ * @returns {Array} Array of button configurations
  */
-export async function sendBatchTemplateMessages(recipients, templateName, languageCode, imageUrl, eventId) {
+export function getTemplateButtons(templateName, eventId) {
+  const withoutButtons = [TEMPLATE_NAMES.THANK_YOU, TEMPLATE_NAMES.MORNING_REMINDER];
+  return withoutButtons.includes(templateName) ? [] : generateRSVPButtons(eventId);
+}
+
+/**
+ * Queue the invitation template to an event's contacts
+ *
+ * Each recipient gets an event_messages row (the round-1 invitation is
+ * reused) and a queued outbound message. Contacts that are not the owner's
+ * are ignored; invalid numbers and opted-out contacts are skipped (failedList).
+ * Selected contacts of the same household get one invitation, sent to the
+ * household's recipient for this event.
+ *
+ * @param {Object} params
+ * @param {Object} params.event - events row
+ * @param {Array<number>} params.contactIds - Contacts to invite
+ * @param {string} params.ownerEmail - Event owner
+ * @param {string} params.templateName - Template to send
+ * @param {string} [params.languageCode] - Overrides the contacts' preferred languages
+ * @param {string} params.source - Idempotency key prefix ('manual', 'wave')
+ * @param {string} params.requestKey - Key of this send - the same key does not queue twice
+ * @param {number} [params.sendWaveId] - Scheduled send wave the messages belong to
+ * @returns {Promise<Object>} { contacts, queuedList, failedList, covered }
+ */
+export async function queueEventInvitations({
+  event,
+  contactIds,
+  ownerEmail,
+  templateName,
+  languageCode,
+  source,
+  requestKey,
+  sendWaveId = null
+}) {
+  // Only the owner's contacts
+  const contactsResult = await pool.query(
+    `SELECT c.*,
+       h.primary_contact_id AS household_primary_contact_id,
+       r.contact_id AS household_recipient_id
+     FROM contacts c
+     LEFT JOIN households h ON h.id = c.household_id
+     LEFT JOIN household_event_recipients r ON r.household_id = c.household_id AND r.event_id = $3
+     WHERE c.id = ANY($1) AND c.contact_owner = $2`,
+    [contactIds, ownerEmail, event.id]
+  );
+
+  const contacts = contactsResult.rows;
+  const { recipients, covered } = selectHouseholdRecipients(contacts);
+  const defaultCountry = await getUserDefaultCountry(ownerEmail);
+  const optedOutNumbers = await getOptedOutNumbers(ownerEmail);
+  const rsvpButtons = generateRSVPButtons(event.id);
+  const queuedList = [];
+  const failedList = [];
+
+  const client = await pool.connect();
   try {
-    const results = {
-      success: [],
-      failed: [],
-      total: recipients.length
-    };
+    await client.query('BEGIN');
+
+    for (const contact of recipients) {
+      // Local numbers are read in the event owner's default country
+      const normalizedPhone = resolveContactPhone(contact, defaultCountry);
+      const name = contact.display_name || contact.canonical_form || 'אורח';
 
-    // Generate RSVP buttons with event_id in payload (same for all recipients)
-    const rsvpButtons = generateRSVPButtons(eventId);
+      console.log('📞 Phone normalization:', {
+        contactId: contact.id,
+        displayName: contact.display_name,
+        phoneNumber: contact.phone_number,
+        normalizedPhone: normalizedPhone
+      });
 
-    // Send messages with delay to avoid rate limiting
-    for (const recipient of recipients) {
-      try {
-        const result = await sendTemplateMessage({
-          phoneNumber: recipient.phoneNumber,
+      if (!normalizedPhone) {
+        failedList.push({ contactId: contact.id, phoneNumber: contact.phone_number, name, error: 'Invalid phone number' });
+        continue;
+      }
+
+      if (optedOutNumbers.has(normalizedPhone)) {
+        failedList.push({ contactId: contact.id, phoneNumber: normalizedPhone, name, error: 'Opted out of WhatsApp messages' });
+        continue;
+      }
+
+      // Get template-specific configuration (eventName, eventDate, eventLocation, customParams)
+      const templateConfig = getTemplateConfiguration(templateName, event, contact, languageCode);
+
+      // Reuse the round-1 invitation row if this contact (or its household) was invited before
+      const existing = await client.query(
+        `SELECT id FROM event_messages
+         WHERE event_id = $1 AND message_type = $3 AND message_round = $4
+           AND (contact_id = $2 OR household_id = $5)
+         ORDER BY (contact_id = $2) DESC, id DESC
+         LIMIT 1`,
+        [event.id, contact.id, 'invitation', 1, contact.household_id]
+      );
+
+      const queued = await queueEventTemplateMessage(client, {
+        eventId: event.id,
+        contactId: contact.id,
+        messageType: 'invitation',
+        messageRound: 1,
+        householdId: contact.household_id,
+        eventMessageId: existing.rows[0]?.id || null,
+        idempotencyKey: `${source}:${event.id}:${contact.id}:${requestKey}`,
+        sendWaveId,
+        message: {
+          phoneNumber: normalizedPhone,
           templateName,
-          languageCode,
+          languageCode: languageCode || templateConfig.languageCode,
           templateData: {
-            // guestName: recipient.name,  // Not needed for this template
-            eventName: recipient.eventName,        // Variable 1: Event type
-            eventDate: recipient.eventDate,        // Variable 2: Celebrators
-            eventLocation: recipient.eventLocation, // Variable 3: Day of week
-            customParams: recipient.customParams   // Variables 4-6: Date, Location, Time
+            eventName: templateConfig.eventName,         // Variable 1: Event type
+            eventDate: templateConfig.eventDate,         // Variable 2: Celebrators
+            eventLocation: templateConfig.eventLocation, // Variable 3: Day of week
+            customParams: templateConfig.customParams,   // Variables 4-6: Date, Location, Time
+            parameters: templateConfig.parameters        // Registry variable mapping (replaces the above)
           },
-          imageUrl,
+          imageUrl: event.image_url, // Cloudinary URL from database
           buttons: rsvpButtons // All recipients get same buttons with event_id
-        });
-
-        results.success.push({
-          phoneNumber: recipient.phoneNumber,
-          name: recipient.name,
-          messageId: result.messageId
-        });
-
-        // Add small delay between messages (Dialog 360 rate limits)
-        await new Promise(resolve => setTimeout(resolve, 100));
+        }
+      });
 
-      } catch (error) {
-        results.failed.push({
-          phoneNumber: recipient.phoneNumber,
-          name: recipient.name,
-          error: error.message
-        });
-      }
+      queuedList.push({
+        contactId: contact.id,
+        phoneNumber: normalizedPhone,
+        name,
+        householdId: contact.household_id,
+        eventMessageId: queued.eventMessageId,
+        outboundMessageId: queued.outboundMessageId
+      });
     }
 
-    console.log(`Batch send complete: ${results.success.length} sent, ${results.failed.length} failed`);
-    return results;
-
-  } catch (error) {
-    console.error('Error in batch send:', error);
-    throw error;
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
   }
+
+  return { contacts, queuedList, failedList, covered };
 }
 
 /**
  * Express route handler for sending template messages with event data
+ * 
+ * Messages are not sent inline - each recipient gets an event_messages row and a
+ * queued outbound message, and the outbound worker delivers them. The response
+ * keeps the fields of the former inline send (sent, successList, details) as
+ * aliases of the queued ones for existing clients.
+ * Contacts on the owner's do-not-contact list are skipped (failedList).
+ * Selected contacts of the same household get one invitation, sent to the
+ * household's recipient for this event.
+ * Send an Idempotency-Key header to make client retries safe.
  */
 export async function handleSendTemplate(req, res) {
   try {
     const {
       eventId,
       contactIds, // Array of contact IDs to send to
-      userEmail, // User email for validation
       templateName = 'event_invitation', // Default to existing approved template
-      languageCode = 'he',
+      languageCode, // Optional - overrides the contacts' preferred languages
       buttons
     } = req.body;
+    const userEmail = req.user.email;
 
     // Validate request
     if (!eventId) {
@@ -433,13 +621,6 @@ export async function handleSendTemplate(req, res) {
       });
     }
 
-    if (!userEmail) {
-      return res.status(400).json({
-        success: false,
-        message: 'User email is required'
-      });
-    }
-
     if (!contactIds || !Array.isArray(contactIds) || contactIds.length === 0) {
       return res.status(400).json({
         success: false,
@@ -471,13 +652,16 @@ export async function handleSendTemplate(req, res) {
     }
 
 
-    // Fetch contacts data - validate ownership
-    const contactsResult = await pool.query(
-      'SELECT * FROM contacts WHERE id = ANY($1) AND contact_owner = $2',
-      [contactIds, userEmail]
-    );
-
-    const contacts = contactsResult.rows;
+    // Idempotency: a retried request with the same Idempotency-Key header does not queue twice
+    const { contacts, queuedList, failedList, covered } = await queueEventInvitations({
+      event,
+      contactIds,
+      ownerEmail: userEmail,
+      templateName,
+      languageCode,
+      source: 'manual',
+      requestKey: req.get('Idempotency-Key') || randomUUID()
+    });
 
     if (contacts.length === 0) {
       return res.status(404).json({
@@ -486,108 +670,35 @@ export async function handleSendTemplate(req, res) {
       });
     }
 
+    console.log(`📊 Invitations queued: ${queuedList.length} out of ${contacts.length} contacts (${covered.length} covered by a household invitation)`);
 
-    // Prepare recipients with personalized event data
-    const recipients = contacts.map(contact => {
-      // Use phone_number directly (canonical_form is the contact name, not phone)
-      const rawPhone = contact.phone_number;
-      const normalizedPhone = normalizePhoneForDialog360(rawPhone);
-      
-      console.log('📞 Phone normalization:', {
-        contactId: contact.id,
-        displayName: contact.display_name,
-        phoneNumber: contact.phone_number,
-        normalizedPhone: normalizedPhone
-      });
-      
-      // Get template-specific configuration
-      const templateConfig = getTemplateConfiguration(templateName, event, contact);
-      
-      return {
-        phoneNumber: normalizedPhone,
-        name: contact.display_name || contact.canonical_form || 'אורח',
-        ...templateConfig // Spread template configuration (eventName, eventDate, eventLocation, customParams)
-      };
-    }).filter(r => r.phoneNumber); // Filter out contacts without valid phone numbers
-
-    console.log(`📊 Recipients prepared: ${recipients.length} out of ${contacts.length} contacts`);
-    
-    // Validate we have recipients
-    if (recipients.length === 0) {
+    // Validate we had recipients
+    if (queuedList.length === 0) {
       console.error('❌ No valid recipients after phone normalization');
       return res.status(400).json({
         success: false,
-        message: 'No valid phone numbers found for selected contacts'
+        message: 'No valid phone numbers found for selected contacts (or all of them opted out)',
+        failedList
       });
     }
 
-    // Send batch messages with event_id in button payloads
-    const results = await sendBatchTemplateMessages(
-      recipients,
-      templateName,
-      languageCode,
-      event.image_url, // Cloudinary URL from database
-      eventId // Pass event_id for button payloads
-    );
-
-    // Log successful sends to database
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      
-      for (const success of results.success) {
-        const contact = contacts.find(c => {
-          const normalized = normalizePhoneForDialog360(c.phone_number);
-          return normalized === success.phoneNumber;
-        });
-        
-        if (contact) {
-          // Check if already logged
-          const existing = await client.query(
-            'SELECT id FROM event_messages WHERE event_id = $1 AND contact_id = $2 AND message_type = $3 AND message_round = $4',
-            [eventId, contact.id, 'invitation', 1]
-          );
-
-          if (existing.rows.length === 0) {
-            // Save invitation with WhatsApp message_id for tracking seen status
-            await client.query(
-              `INSERT INTO event_messages (
-                event_id, contact_id, message_type, message_round, response, message_id
-              ) VALUES ($1, $2, $3, $4, $5, $6)`,
-              [eventId, contact.id, 'invitation', 1, 'ממתין לתגובה', success.messageId]
-            );
-            console.log(`✅ Invitation logged with message_id: ${success.messageId}`);
-          } else {
-            // Update existing record with WhatsApp message_id
-            await client.query(
-              `UPDATE event_messages 
-               SET message_id = $1 
-               WHERE id = $2`,
-              [success.messageId, existing.rows[0].id]
-            );
-            console.log(`✅ Updated invitation with message_id: ${success.messageId}`);
-          }
-        }
-      }
-
-      await client.query('COMMIT');
-    } catch (err) {
-      await client.query('ROLLBACK');
-      console.error('Error logging sent messages:', err);
-    } finally {
-      client.release();
-    }
+    wakeOutboundWorker();
 
     return res.status(200).json({
       success: true,
-      message: 'Template messages sent',
+      message: 'Template messages queued',
       results: {
-        sent: results.success.length,
-        failed: results.failed.length,
-        total: results.total,
-        successList: results.success, // Array of successful sends with details
-        failedList: results.failed,   // Array of failed sends with error details
-        details: results
+        queued: queuedList.length,
+        failed: failedList.length,
+        covered: covered.length,
+        total: contacts.length,
+        queuedList, // Queued sends - delivery is tracked on event_messages
+        failedList, // Contacts skipped before queueing (invalid phone, opted out)
+        coveredList: covered, // Household members invited through another member
+        // Former inline-send fields - entries have no messageId until the worker sends them
+        sent: queuedList.length,
+        successList: queuedList,
+        details: { success: queuedList, failed: failedList, total: contacts.length }
       },
       event: {
         id: event.id,
@@ -1,4 +1,6 @@
 import xlsx from "xlsx";
+import { parsePhoneNumber, getPhoneComparisonKey, splitPhoneNumbers } from "./utils/phoneNormalization.js";
+import { resolveImportCountry } from "./contacts/contactPhones.js";
 
 // Column name mappings for detection
 const NAME_COLUMNS = [
@@ -81,21 +83,30 @@ function detectColumns(headers, selectedColumns = null) {
   };
 }
 
-function normalizePhoneNumbers(rawPhone) {
-  if (!rawPhone) return { canonicalNumbers: [], regularNumbers: [] };
+function normalizePhoneNumbers(rawPhone, defaultCountry) {
+  if (!rawPhone) return { canonicalNumbers: [], regularNumbers: [], e164: null, phoneType: 'unknown', invalidNumbers: [] };
   
-  const numbers = String(rawPhone)
-    .split(/[,;\n]/)
-    .map(num => num.replace(/[-\s()]/g, "").trim())
+  const numbers = splitPhoneNumbers(rawPhone)
+    .map(num => num.replace(/[-\s()]/g, ""))
     .filter(Boolean);
   
   const seen = new Set();
   const canonicalNumbers = [];
   const regularNumbers = [];
+  const invalidNumbers = [];
+  let primary = null;
   
   for (let raw of numbers) {
-    if (seen.has(raw)) continue;
-    seen.add(raw);
+    const key = getPhoneComparisonKey(raw, defaultCountry);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    
+    const parsed = parsePhoneNumber(raw, defaultCountry);
+    if (!parsed?.isValid) {
+      invalidNumbers.push(raw);
+    } else if (!primary) {
+      primary = parsed;
+    }
     
     if (raw.startsWith("+")) {
       canonicalNumbers.push(raw);
@@ -104,7 +115,13 @@ function normalizePhoneNumbers(rawPhone) {
     }
   }
   
-  return { canonicalNumbers, regularNumbers };
+  return {
+    canonicalNumbers,
+    regularNumbers,
+    e164: primary?.e164 || null,
+    phoneType: primary?.type || 'unknown',
+    invalidNumbers
+  };
 }
 
 export async function extractExcelData(req, res) {
@@ -139,8 +156,10 @@ export async function extractExcelData(req, res) {
       });
     }
     
-    const email = req.body.email;
+    const email = req.user.email;
+    const defaultCountry = await resolveImportCountry(req);
     const contacts = [];
+    let invalidPhoneNumbers = 0;
     
     // Skip header row
     for (let i = 1; i < rawContacts.length; i++) {
@@ -148,12 +167,16 @@ export async function extractExcelData(req, res) {
       const displayName = row[nameColumn] || "Unknown";
       const rawPhone = row[phoneColumn] || "";
       
-      const { canonicalNumbers, regularNumbers } = normalizePhoneNumbers(rawPhone);
+      const { canonicalNumbers, regularNumbers, e164, phoneType, invalidNumbers } = normalizePhoneNumbers(rawPhone, defaultCountry);
+      invalidPhoneNumbers += invalidNumbers.length;
       
       contacts.push({
         displayName,
         canonicalForm: canonicalNumbers.join(", ") || "No canonical number",
         phoneNumber: regularNumbers.join(", ") || "No local number",
+        e164,
+        phoneType,
+        invalidNumbers,
         uploadedByEmail: email,
         contactSource: "EXCEL"
       });
@@ -167,6 +190,7 @@ export async function extractExcelData(req, res) {
         columnInfo,
         stats: {
           totalContacts: contacts.length,
+          invalidPhoneNumbers,
           processedRows: rawContacts.length - 1 // Excluding header row
         }
       }
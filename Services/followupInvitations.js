@@ -1,14 +1,18 @@
 import pool from '../db/db.js';
-import { sendTemplateMessage } from './dialog360SendTemplate.js';
+import { generateRSVPButtons } from './dialog360SendTemplate.js';
+import { queueTemplateMessage, wakeOutboundWorker } from './dialog360/outboundQueue.js';
 import { getTemplateConfiguration } from './templates/templateConfigurations.js';
 import { TEMPLATE_NAMES } from './templates/templateNames.js';
-import { normalizePhoneForDialog360 } from './utils/phoneNormalization.js';
+import { resolveContactPhone } from './utils/phoneNormalization.js';
+import { isPhoneOptedOut } from './database/optOutsRepository.js';
 
 /**
  * Followup Invitation Service
  * 
  * Handles sending followup WhatsApp invitations to contacts who responded "maybe"
  * and have a followup_date set. Runs via cron job to ensure timely delivery.
+ * Messages are queued in the outbound queue and delivered by the outbound worker,
+ * which records followup_invitation_sent_at once Dialog360 accepts the message.
  */
 
 
@@ -32,9 +36,11 @@ async function getContactsNeedingFollowup() {
         em.event_id,
         em.contact_id,
         em.followup_date,
+        em.followup_date::text as followup_date_key,
         em.created_at,
         c.display_name as contact_name,
         c.canonical_form,
+        c.preferred_language,
         c.phone_number,
         c.contact_owner,
         e.event_name,
@@ -46,10 +52,12 @@ async function getContactsNeedingFollowup() {
         e.image_url,
         e.owner_email,
         e.celebrator1_name,
-        e.celebrator2_name
+        e.celebrator2_name,
+        u.default_country
       FROM event_messages em
       JOIN contacts c ON em.contact_id = c.id
       JOIN events e ON em.event_id = e.id
+      LEFT JOIN users u ON u.email = e.owner_email
       WHERE em.response = 'לא בטוח'
         AND em.followup_date IS NOT NULL
         AND em.followup_date <= $1
@@ -67,16 +75,21 @@ async function getContactsNeedingFollowup() {
 }
 
 /**
- * Send followup invitation to a single contact
+ * Queue followup invitation for a single contact
+ * Marks the notification as dismissed in the same transaction so the contact
+ * is not picked up again by the next run. Contacts on the do-not-contact list
+ * are not sent the followup (their notification is dismissed as well).
  */
-async function sendFollowupInvitation(contactData) {
+async function queueFollowupInvitation(contactData) {
   try {
     const {
       message_id,
       event_id,
       contact_id,
+      followup_date_key,
       contact_name,
       canonical_form,
+      preferred_language,
       phone_number,
       contact_owner,
       event_name,
@@ -92,13 +105,22 @@ async function sendFollowupInvitation(contactData) {
     } = contactData;
 
     // Normalize phone number
-    const normalizedPhone = normalizePhoneForDialog360(phone_number);
+    const normalizedPhone = resolveContactPhone(contactData, contactData.default_country);
     
     if (!normalizedPhone) {
       console.error(`❌ Invalid phone number for contact ${contact_id}: ${phone_number}`);
       return { success: false, error: 'Invalid phone number' };
     }
 
+    if (await isPhoneOptedOut(normalizedPhone, owner_email)) {
+      await pool.query(
+        'UPDATE event_messages SET followup_notification_dismissed = TRUE WHERE id = $1',
+        [message_id]
+      );
+      console.log(`🚫 Not queueing followup invitation to ${contact_name}: opted out`);
+      return { success: false, skipped: true, error: 'Contact opted out' };
+    }
+
     // Prepare event object for template configuration
     const event = {
       id: event_id,
@@ -119,6 +141,7 @@ async function sendFollowupInvitation(contactData) {
       id: contact_id,
       display_name: contact_name,
       canonical_form,
+      preferred_language,
       phone_number: normalizedPhone,
       contact_owner
     };
@@ -127,62 +150,46 @@ async function sendFollowupInvitation(contactData) {
     // Using 'invitation_followup' template for followup invitations (for "maybe" responses)
     const templateConfig = getTemplateConfiguration(TEMPLATE_NAMES.FOLLOWUP, event, contact);
 
-    console.log(`📱 Sending followup invitation to ${contact_name} (${normalizedPhone}) for event: ${event_name}`);
+    console.log(`📱 Queueing followup invitation to ${contact_name} (${normalizedPhone}) for event: ${event_name}`);
+
+    const client = await pool.connect();
+    let queued;
+    try {
+      await client.query('BEGIN');
 
-    // Send WhatsApp template message
-    const result = await sendTemplateMessage({
-      phoneNumber: normalizedPhone,
-      templateName: TEMPLATE_NAMES.FOLLOWUP, // Use followup template for "maybe" responses
-      languageCode: 'he',
-      templateData: templateConfig,
-      imageUrl: image_url, // Include event image if available
-      buttons: [
-        {
-          id: 'rsvp_yes',
-          payload: `rsvp_yes_${event_id}`
-        },
-        {
-          id: 'rsvp_no', 
-          payload: `rsvp_no_${event_id}`
-        },
-        {
-          id: 'rsvp_maybe',
-          payload: `rsvp_maybe_${event_id}`
+      queued = await queueTemplateMessage(client, {
+        idempotencyKey: `followup:${message_id}:${followup_date_key}`,
+        eventMessageId: message_id,
+        purpose: 'followup',
+        message: {
+          phoneNumber: normalizedPhone,
+          templateName: TEMPLATE_NAMES.FOLLOWUP, // Use followup template for "maybe" responses
+          languageCode: templateConfig.languageCode, // Contact's language when the template has a variant in it
+          templateData: templateConfig,
+          imageUrl: image_url, // Include event image if available
+          buttons: generateRSVPButtons(event_id)
         }
-      ]
-    });
+      });
 
-    console.log(`✅ Followup invitation sent successfully to ${contact_name}:`, result.messageId);
-    return { success: true, messageId: result.messageId };
+      await client.query(
+        'UPDATE event_messages SET followup_notification_dismissed = TRUE WHERE id = $1',
+        [message_id]
+      );
 
-  } catch (error) {
-    console.error(`❌ Failed to send followup invitation to contact ${contactData.contact_id}:`, error.message);
-    return { success: false, error: error.message };
-  }
-}
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-/**
- * Mark followup invitation as sent in database
- * Sets followup_notification_dismissed = TRUE to prevent duplicate sends
- */
-async function markFollowupInvitationSent(messageId, messageIdFromDialog360 = null) {
-  const client = await pool.connect();
-  
-  try {
-    await client.query(`
-      UPDATE event_messages 
-      SET 
-        followup_notification_dismissed = TRUE,
-        followup_invitation_sent_at = NOW(),
-        followup_dialog360_message_id = $2
-      WHERE id = $1
-    `, [messageId, messageIdFromDialog360]);
+    console.log(`✅ Followup invitation queued for ${contact_name} (outbound_message ${queued.id})`);
+    return { success: true, outboundMessageId: queued.id };
 
-    console.log(`📝 Marked followup invitation as sent and dismissed for message_id: ${messageId}`);
   } catch (error) {
-    console.error(`❌ Failed to mark followup invitation as sent for message_id ${messageId}:`, error);
-  } finally {
-    client.release();
+    console.error(`❌ Failed to queue followup invitation for contact ${contactData.contact_id}:`, error.message);
+    return { success: false, error: error.message };
   }
 }
 
@@ -199,46 +206,46 @@ export async function processFollowupInvitations() {
     
     if (contactsNeedingFollowup.length === 0) {
       console.log('✅ No contacts need followup invitations today');
-      return { success: true, processed: 0, sent: 0, failed: 0 };
+      return { success: true, processed: 0, queued: 0, failed: 0, skipped: 0 };
     }
 
-    let sentCount = 0;
+    let queuedCount = 0;
     let failedCount = 0;
+    let skippedCount = 0;
     const results = [];
 
     // Process each contact
     for (const contactData of contactsNeedingFollowup) {
       try {
-        // Send followup invitation
-        const result = await sendFollowupInvitation(contactData);
+        // Queue followup invitation
+        const result = await queueFollowupInvitation(contactData);
         
         if (result.success) {
-          // Mark as sent in database
-          await markFollowupInvitationSent(contactData.message_id, result.messageId);
-          sentCount++;
+          queuedCount++;
           results.push({
             contactId: contactData.contact_id,
             contactName: contactData.contact_name,
             phoneNumber: contactData.phone_number,
             eventName: contactData.event_name,
-            status: 'sent',
-            messageId: result.messageId
+            status: 'queued',
+            outboundMessageId: result.outboundMessageId
           });
         } else {
-          failedCount++;
+          if (result.skipped) {
+            skippedCount++;
+          } else {
+            failedCount++;
+          }
           results.push({
             contactId: contactData.contact_id,
             contactName: contactData.contact_name,
             phoneNumber: contactData.phone_number,
             eventName: contactData.event_name,
-            status: 'failed',
+            status: result.skipped ? 'skipped' : 'failed',
             error: result.error
           });
         }
 
-        // Add delay between messages to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 200));
-
       } catch (error) {
         console.error(`❌ Error processing followup for contact ${contactData.contact_id}:`, error);
         failedCount++;
@@ -253,16 +260,20 @@ export async function processFollowupInvitations() {
       }
     }
 
+    wakeOutboundWorker();
+
     console.log(`📊 Followup invitations processing complete:`);
-    console.log(`   📤 Sent: ${sentCount}`);
+    console.log(`   📤 Queued: ${queuedCount}`);
     console.log(`   ❌ Failed: ${failedCount}`);
+    console.log(`   🚫 Skipped (opted out): ${skippedCount}`);
     console.log(`   📋 Total processed: ${contactsNeedingFollowup.length}`);
 
     return {
       success: true,
       processed: contactsNeedingFollowup.length,
-      sent: sentCount,
+      queued: queuedCount,
       failed: failedCount,
+      skipped: skippedCount,
       results
     };
 
@@ -272,14 +283,15 @@ export async function processFollowupInvitations() {
       success: false,
       error: error.message,
       processed: 0,
-      sent: 0,
-      failed: 0
+      queued: 0,
+      failed: 0,
+      skipped: 0
     };
   }
 }
 
 /**
- * Manual trigger function for testing
+ * Manual trigger function for testing (admins only)
  * Can be called via API endpoint for testing purposes
  */
 export async function triggerFollowupInvitations(req, res) {
@@ -0,0 +1,94 @@
+import pool from '../db/db.js';
+import { queueEventInvitations } from './dialog360SendTemplate.js';
+import { wakeOutboundWorker } from './dialog360/outboundQueue.js';
+import {
+  claimDueSendWaves,
+  getWaveContactIds,
+  completeSendWave,
+  failSendWave
+} from './database/sendWavesRepository.js';
+
+/**
+ * Scheduled Send Waves
+ *
+ * A send wave queues an event's invitation template to a selection of
+ * contacts at a chosen time, the same way a manual send does (see
+ * queueEventInvitations) - event_messages rows, the outbound queue, opt-out
+ * and household handling. Until it fires the owner can edit or cancel it.
+ *
+ * Runs via cron job every minute. Queued messages still wait for each
+ * guest's send window (see dialog360/sendWindow.js).
+ */
+
+const WAVES_PER_RUN = 10;
+const STALE_WAVE_MS = 15 * 60 * 1000; // 'sending' waves older than this are claimed again
+
+async function sendWave(wave) {
+  const eventResult = await pool.query('SELECT * FROM events WHERE id = $1', [wave.event_id]);
+  const event = eventResult.rows[0];
+
+  if (!event) {
+    await failSendWave(wave.id, 'Event not found');
+    return 'failed';
+  }
+
+  const contactIds = await getWaveContactIds(wave);
+
+  if (contactIds.length === 0) {
+    await failSendWave(wave.id, 'No contacts match the wave selection');
+    console.log(`⚠️ Send wave ${wave.id} ("${wave.name}") has no contacts`);
+    return 'failed';
+  }
+
+  const { queuedList, failedList, covered } = await queueEventInvitations({
+    event,
+    contactIds,
+    ownerEmail: wave.owner_email,
+    templateName: wave.template_name,
+    languageCode: wave.language_code || undefined,
+    source: 'wave',
+    requestKey: String(wave.id),
+    sendWaveId: wave.id
+  });
+
+  await completeSendWave(wave.id, {
+    queued: queuedList.length,
+    skipped: failedList,
+    covered: covered.length
+  });
+
+  console.log(`🌊 Send wave ${wave.id} ("${wave.name}") for event ${wave.event_id}: ${queuedList.length} queued, ${failedList.length} skipped, ${covered.length} covered by a household`);
+  return 'completed';
+}
+
+/**
+ * Send every wave that is due
+ *
+ * @returns {Promise<{ processed: number, completed: number, failed: number }>}
+ */
+export async function processDueSendWaves() {
+  const stats = { processed: 0, completed: 0, failed: 0 };
+  let waves;
+
+  do {
+    waves = await claimDueSendWaves(WAVES_PER_RUN, STALE_WAVE_MS);
+
+    for (const wave of waves) {
+      stats.processed++;
+
+      try {
+        stats[await sendWave(wave)]++;
+      } catch (error) {
+        console.error(`❌ Send wave ${wave.id} failed:`, error);
+        await failSendWave(wave.id, error.message);
+        stats.failed++;
+      }
+    }
+  } while (waves.length === WAVES_PER_RUN);
+
+  if (stats.completed > 0) {
+    wakeOutboundWorker();
+  }
+
+  return stats;
+}
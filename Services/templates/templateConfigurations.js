@@ -3,68 +3,300 @@
  * 
  * Each template has its own variable mapping configuration
  * This centralizes all template logic in one place
+ * 
+ * Templates are sent in the contact's preferred language when the template
+ * has a variant in it (TEMPLATE_LANGUAGES), otherwise in Hebrew. The
+ * variables (dates, day names, event types) follow the selected language.
+ *
+ * Once the template registry is loaded (whatsapp_templates, see
+ * templateRegistry.js) its approved variants decide the languages, and a
+ * variant with a variable mapping is filled by it instead of the built-in
+ * configuration below.
+ */
+
+import { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage, resolveLanguage } from '../utils/languages.js';
+import { joinCelebrators } from '../dialog360/guestMessages.js';
+import { getRegisteredTemplate, getRegisteredLanguages } from './templateRegistry.js';
+
+const ALL_LANGUAGES = Object.keys(LANGUAGES);
+
+/**
+ * Languages each template has an approved variant in (same name, same variables)
+ * Used for templates the registry does not list.
+ */
+const TEMPLATE_LANGUAGES = {
+  'event_invitation': ALL_LANGUAGES,
+  'invitation_followup': ALL_LANGUAGES,
+  'reminder_1': ALL_LANGUAGES,
+  'reminder_2': ALL_LANGUAGES,
+  'reminder_3': ALL_LANGUAGES
+};
+
+/**
+ * Template variable words per language
+ * obligation: reminder_3 verb agreeing with the number of celebrators
  */
+const TEMPLATE_WORDS = {
+  he: {
+    days: ['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת'],
+    eventTypes: {
+      'wedding': 'חתונה',
+      'bar_mitzvah': 'בר מצווה',
+      'bat_mitzvah': 'בת מצווה',
+      'brit_milah': 'ברית מילה',
+      'engagement': 'אירוסין',
+      'birthday': 'יום הולדת'
+    },
+    event: 'אירוע',
+    guest: 'אורח',
+    obligation: { singular: 'חייב', plural: 'חייבים' }
+  },
+  en: {
+    days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    eventTypes: {
+      'wedding': 'wedding',
+      'bar_mitzvah': 'Bar Mitzvah',
+      'bat_mitzvah': 'Bat Mitzvah',
+      'brit_milah': 'Brit Milah',
+      'engagement': 'engagement party',
+      'birthday': 'birthday'
+    },
+    event: 'event',
+    guest: 'Guest',
+    obligation: { singular: 'wants', plural: 'want' }
+  },
+  ru: {
+    days: ['воскресенье', 'понедельник', 'вторник', 'среда', 'четверг', 'пятница', 'суббота'],
+    eventTypes: {
+      'wedding': 'свадьба',
+      'bar_mitzvah': 'бар-мицва',
+      'bat_mitzvah': 'бат-мицва',
+      'brit_milah': 'брит-мила',
+      'engagement': 'помолвка',
+      'birthday': 'день рождения'
+    },
+    event: 'праздник',
+    guest: 'Гость',
+    obligation: { singular: 'хочет', plural: 'хотят' }
+  },
+  ar: {
+    days: ['الأحد', 'الاثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'],
+    eventTypes: {
+      'wedding': 'حفل زفاف',
+      'bar_mitzvah': 'بار متسفا',
+      'bat_mitzvah': 'بات متسفا',
+      'brit_milah': 'بريت ميلا',
+      'engagement': 'حفل خطوبة',
+      'birthday': 'عيد ميلاد'
+    },
+    event: 'مناسبة',
+    guest: 'ضيف',
+    obligation: { singular: 'يريد', plural: 'يريدان' }
+  },
+  fr: {
+    days: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+    eventTypes: {
+      'wedding': 'mariage',
+      'bar_mitzvah': 'bar-mitsvah',
+      'bat_mitzvah': 'bat-mitsvah',
+      'brit_milah': 'brit-mila',
+      'engagement': 'fiançailles',
+      'birthday': 'anniversaire'
+    },
+    event: 'événement',
+    guest: 'Invité',
+    obligation: { singular: 'veut', plural: 'veulent' }
+  }
+};
 
 /**
- * Format event date for display (DD.MM.YYYY)
+ * Format event date for display (DD.MM.YYYY in Hebrew, the language's order otherwise)
  */
-function formatEventDate(dateString) {
+function formatEventDate(dateString, language = DEFAULT_LANGUAGE) {
   if (!dateString) return '';
   const date = new Date(dateString);
-  return date.toLocaleDateString('he-IL', { 
+  return date.toLocaleDateString(LANGUAGES[language].locale, { 
     day: '2-digit', 
     month: '2-digit', 
-    year: 'numeric' 
+    year: 'numeric',
+    numberingSystem: 'latn'
   });
 }
 
 /**
- * Get day of week in Hebrew
+ * Get day of week name
  */
-function getDayOfWeek(dateString) {
+function getDayOfWeek(dateString, language = DEFAULT_LANGUAGE) {
   if (!dateString) return '';
   const date = new Date(dateString);
-  const days = ['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת'];
-  return days[date.getDay()];
+  return TEMPLATE_WORDS[language].days[date.getDay()];
 }
 
 /**
- * Map event type to Hebrew
+ * Map event type to its name
  */
-function getEventTypeHebrew(eventType) {
-  const types = {
-    'wedding': 'חתונה',
-    'bar_mitzvah': 'בר מצווה',
-    'bat_mitzvah': 'בת מצווה',
-    'brit_milah': 'ברית מילה',
-    'engagement': 'אירוסין',
-    'birthday': 'יום הולדת'
-  };
-  return types[eventType] || eventType || 'אירוע';
+function getEventTypeName(eventType, language = DEFAULT_LANGUAGE) {
+  const words = TEMPLATE_WORDS[language];
+  return words.eventTypes[eventType] || eventType || words.event;
 }
 
 /**
  * Get celebrators names
  */
-function getCelebratorsNames(event) {
-  if (event.celebrator1_name && event.celebrator2_name) {
-    return `${event.celebrator1_name} ו${event.celebrator2_name}`;
-  }
-  return event.celebrator1_name || event.celebrator2_name || event.event_name;
+function getCelebratorsNames(event, language = DEFAULT_LANGUAGE) {
+  return joinCelebrators(language, event.celebrator1_name, event.celebrator2_name) || event.event_name;
 }
 
 /**
  * Get celebrator obligation word (חייב/חייבים) based on number of celebrators
  */
-function getCelebratorObligation(event) {
+function getCelebratorObligation(event, language = DEFAULT_LANGUAGE) {
+  const { obligation } = TEMPLATE_WORDS[language];
+
   // Check if there are multiple celebrators
   const hasMultipleCelebrators = event.celebrator1_name && event.celebrator2_name;
   
   if (hasMultipleCelebrators) {
-    return 'חייבים'; // plural - "must" for multiple celebrators
+    return obligation.plural; // plural - multiple celebrators
   }
   
-  return 'חייב'; // singular - "must" for single celebrator
+  return obligation.singular; // singular - single celebrator
+}
+
+/**
+ * Guest name for the greeting
+ */
+function getGuestName(contact, language = DEFAULT_LANGUAGE) {
+  return contact.display_name || contact.canonical_form || TEMPLATE_WORDS[language].guest;
+}
+
+/**
+ * Values a template variable mapping can use
+ * Empty when the event has no value, so the next alternative applies.
+ */
+const TEMPLATE_FIELDS = {
+  'guest.name': (event, contact, language) => getGuestName(contact || {}, language),
+  'event.name': (event) => event.event_name || '',
+  'event.type': (event, contact, language) => getEventTypeName(event.event_type, language),
+  'event.celebrators': (event, contact, language) => getCelebratorsNames(event, language) || '',
+  'event.obligation': (event, contact, language) => getCelebratorObligation(event, language),
+  'event.day': (event, contact, language) => getDayOfWeek(event.event_date, language),
+  'event.date': (event, contact, language) => formatEventDate(event.event_date, language),
+  'event.venue': (event) => event.venue_name || '',
+  'event.location': (event) => event.location || '',
+  'event.time': (event) => event.event_time || ''
+};
+
+export const TEMPLATE_FIELD_NAMES = Object.keys(TEMPLATE_FIELDS);
+
+/**
+ * Parse the value of a mapped parameter
+ * One or more alternatives separated by `||`: a field of TEMPLATE_FIELDS or a
+ * "quoted" literal.
+ *
+ * @returns {{ alternatives: Array, error?: string }}
+ */
+function parseMappingValue(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { alternatives: [], error: 'value is required' };
+  }
+
+  const alternatives = [];
+
+  for (const part of value.split('||').map(alternative => alternative.trim())) {
+    if (TEMPLATE_FIELDS[part]) {
+      alternatives.push({ field: part });
+      continue;
+    }
+
+    if (/^".*"$/.test(part)) {
+      try {
+        alternatives.push({ literal: JSON.parse(part) });
+        continue;
+      } catch {
+        // Reported below
+      }
+    }
+
+    return { alternatives, error: `Unknown value "${part}" (use ${TEMPLATE_FIELD_NAMES.join(', ')} or a "quoted" text)` };
+  }
+
+  return { alternatives };
+}
+
+/**
+ * Validate a template variable mapping
+ *
+ * A mapping lists the template's body parameters, each with the value that
+ * fills it:
+ *   [{ "parameter": "guest_name", "value": "guest.name" },
+ *    { "parameter": "variable_5", "value": "event.venue || event.location || \"TBA\"" }]
+ *
+ * @param {*} raw - Mapping from the request body
+ * @returns {{ mapping: Array|null, error?: string }}
+ */
+export function normalizeVariableMapping(raw) {
+  if (!Array.isArray(raw)) {
+    return { mapping: null, error: 'variableMapping must be an array of { parameter, value }' };
+  }
+
+  const mapping = [];
+  const parameters = new Set();
+
+  for (const item of raw) {
+    const parameter = typeof item?.parameter === 'string' ? item.parameter.trim() : '';
+
+    if (!/^[a-z0-9_]+$/.test(parameter)) {
+      return { mapping: null, error: `Invalid parameter name: "${item?.parameter ?? ''}"` };
+    }
+
+    if (parameters.has(parameter)) {
+      return { mapping: null, error: `Parameter ${parameter} is mapped twice` };
+    }
+
+    const { error } = parseMappingValue(item.value);
+    if (error) {
+      return { mapping: null, error: `${parameter}: ${error}` };
+    }
+
+    parameters.add(parameter);
+    mapping.push({ parameter, value: item.value.trim() });
+  }
+
+  return { mapping };
+}
+
+/**
+ * Fill a template's body parameters from its variable mapping
+ * The first non-empty alternative is used; a parameter with no value is left
+ * out, like the built-in configurations do.
+ *
+ * @param {Array} mapping - Variable mapping (see normalizeVariableMapping)
+ * @param {Object} event - Event data from database
+ * @param {Object} contact - Contact data from database
+ * @param {string} language - Language key of the variant
+ * @returns {Array<{ name: string, text: string }>}
+ */
+export function applyVariableMapping(mapping, event, contact, language = DEFAULT_LANGUAGE) {
+  const parameters = [];
+
+  for (const { parameter, value } of mapping) {
+    const { alternatives } = parseMappingValue(value);
+    let text = '';
+
+    for (const alternative of alternatives) {
+      text = alternative.field
+        ? String(TEMPLATE_FIELDS[alternative.field](event, contact, language) ?? '')
+        : alternative.literal;
+      if (text) break;
+    }
+
+    if (text) {
+      parameters.push({ name: parameter, text });
+    }
+  }
+
+  return parameters;
 }
 
 /**
@@ -84,7 +316,7 @@ function getCelebratorObligation(event) {
  * 5. Location/Venue
  * 6. Time
  */
-function configureFirstEventInvitation(event, contact) {
+function configureFirstEventInvitation(event, contact, language) {
   // Debug logging - check what data we receive from DB
   console.log('🔍 EVENT DATA FROM DB:', {
     event_type: event.event_type,
@@ -96,13 +328,13 @@ function configureFirstEventInvitation(event, contact) {
     event_time: event.event_time
   });
 
-  const eventType = getEventTypeHebrew(event.event_type);              // Variable 1
-  const celebratorsNames = getCelebratorsNames(event);                 // Variable 2
-  const dayOfWeek = getDayOfWeek(event.event_date);                   // Variable 3
+  const eventType = getEventTypeName(event.event_type, language);  // Variable 1
+  const celebratorsNames = getCelebratorsNames(event, language);   // Variable 2
+  const dayOfWeek = getDayOfWeek(event.event_date, language);      // Variable 3
   const customParamsRaw = [
-    formatEventDate(event.event_date) || '',                          // Variable 4
-    event.venue_name || event.location || '',                         // Variable 5
-    event.event_time || ''                                            // Variable 6
+    formatEventDate(event.event_date, language) || '',             // Variable 4
+    event.venue_name || event.location || '',                      // Variable 5
+    event.event_time || ''                                         // Variable 6
   ];
   const customParamsFiltered = customParamsRaw.filter(Boolean);
 
@@ -142,16 +374,16 @@ function configureFirstEventInvitation(event, contact) {
  * 5. Location/Venue
  * 6. Time
  */
-function configureInvitationFollowup(event, contact) {
+function configureInvitationFollowup(event, contact, language) {
   return {
-    guestName: contact.display_name || contact.canonical_form || 'אורח',
-    eventName: getEventTypeHebrew(event.event_type),              // Variable 1: Event type
-    eventDate: getCelebratorsNames(event),                        // Variable 2: Celebrators names
-    eventLocation: getDayOfWeek(event.event_date),                // Variable 3: Day of week
+    guestName: getGuestName(contact, language),
+    eventName: getEventTypeName(event.event_type, language),  // Variable 1: Event type
+    eventDate: getCelebratorsNames(event, language),          // Variable 2: Celebrators names
+    eventLocation: getDayOfWeek(event.event_date, language),  // Variable 3: Day of week
     customParams: [
-      formatEventDate(event.event_date) || '',                   // Variable 4: Date
-      event.venue_name || event.location || '',                  // Variable 5: Location
-      event.event_time || ''                                     // Variable 6: Time
+      formatEventDate(event.event_date, language) || '',      // Variable 4: Date
+      event.venue_name || event.location || '',               // Variable 5: Location
+      event.event_time || ''                                  // Variable 6: Time
     ].filter(Boolean)
   };
 }
@@ -174,16 +406,16 @@ function configureInvitationFollowup(event, contact) {
  * 5. Location/Venue
  * 6. Time
  */
-function configureReminder1(event, contact) {
+function configureReminder1(event, contact, language) {
   return {
-    guestName: contact.display_name || contact.canonical_form || 'אורח',
-    eventName: getEventTypeHebrew(event.event_type),              // Variable 1: Event type
-    eventDate: getCelebratorsNames(event),                        // Variable 2: Celebrators names
-    eventLocation: getDayOfWeek(event.event_date),                // Variable 3: Day of week
+    guestName: getGuestName(contact, language),
+    eventName: getEventTypeName(event.event_type, language),  // Variable 1: Event type
+    eventDate: getCelebratorsNames(event, language),          // Variable 2: Celebrators names
+    eventLocation: getDayOfWeek(event.event_date, language),  // Variable 3: Day of week
     customParams: [
-      formatEventDate(event.event_date) || '',                   // Variable 4: Date
-      event.venue_name || event.location || '',                  // Variable 5: Location
-      event.event_time || ''                                     // Variable 6: Time
+      formatEventDate(event.event_date, language) || '',      // Variable 4: Date
+      event.venue_name || event.location || '',               // Variable 5: Location
+      event.event_time || ''                                  // Variable 6: Time
     ].filter(Boolean)
   };
 }
@@ -206,16 +438,16 @@ function configureReminder1(event, contact) {
  * 5. Location/Venue
  * 6. Time
  */
-function configureReminder2(event, contact) {
+function configureReminder2(event, contact, language) {
   return {
-    guestName: contact.display_name || contact.canonical_form || 'אורח',
-    eventName: getEventTypeHebrew(event.event_type),              // Variable 1: Event type
-    eventDate: getCelebratorsNames(event),                        // Variable 2: Celebrators names
-    eventLocation: getDayOfWeek(event.event_date),                // Variable 3: Day of week
+    guestName: getGuestName(contact, language),
+    eventName: getEventTypeName(event.event_type, language),  // Variable 1: Event type
+    eventDate: getCelebratorsNames(event, language),          // Variable 2: Celebrators names
+    eventLocation: getDayOfWeek(event.event_date, language),  // Variable 3: Day of week
     customParams: [
-      formatEventDate(event.event_date) || '',                   // Variable 4: Date
-      event.venue_name || event.location || '',                  // Variable 5: Location
-      event.event_time || ''                                     // Variable 6: Time
+      formatEventDate(event.event_date, language) || '',      // Variable 4: Date
+      event.venue_name || event.location || '',               // Variable 5: Location
+      event.event_time || ''                                  // Variable 6: Time
     ].filter(Boolean)
   };
 }
@@ -238,17 +470,17 @@ function configureReminder2(event, contact) {
  * 6. Location/Venue
  * 7. Time
  */
-function configureReminder3(event, contact) {
+function configureReminder3(event, contact, language) {
   return {
-    guestName: contact.display_name || contact.canonical_form || 'אורח',
-    eventName: getCelebratorsNames(event),                        // Variable 1: Celebrators names
-    eventDate: getCelebratorObligation(event),                    // Variable 2: Obligation word (חייב/חייבים)
-    eventLocation: getEventTypeHebrew(event.event_type),          // Variable 3: Event type
+    guestName: getGuestName(contact, language),
+    eventName: getCelebratorsNames(event, language),              // Variable 1: Celebrators names
+    eventDate: getCelebratorObligation(event, language),          // Variable 2: Obligation word (חייב/חייבים, or the language's verb)
+    eventLocation: getEventTypeName(event.event_type, language),  // Variable 3: Event type
     customParams: [
-      getDayOfWeek(event.event_date) || '',                      // Variable 4: Day of week
-      formatEventDate(event.event_date) || '',                   // Variable 5: Date
-      event.venue_name || event.location || '',                  // Variable 6: Location
-      event.event_time || ''                                     // Variable 7: Time
+      getDayOfWeek(event.event_date, language) || '',             // Variable 4: Day of week
+      formatEventDate(event.event_date, language) || '',          // Variable 5: Date
+      event.venue_name || event.location || '',                   // Variable 6: Location
+      event.event_time || ''                                      // Variable 7: Time
     ].filter(Boolean)
   };
 }
@@ -256,18 +488,18 @@ function configureReminder3(event, contact) {
 /**
  * Template: second_reminder (Legacy - kept for backward compatibility)
  */
-function configureSecondReminder(event, contact) {
-  return configureInvitationFollowup(event, contact); // Reuse same config
+function configureSecondReminder(event, contact, language) {
+  return configureInvitationFollowup(event, contact, language); // Reuse same config
 }
 
 /**
  * Template: thank_you_note
  * Add configuration when you create this template
  */
-function configureThankYouNote(event, contact) {
+function configureThankYouNote(event, contact, language) {
   // TODO: Configure when template is ready
   return {
-    guestName: contact.display_name || contact.canonical_form || 'אורח',
+    guestName: getGuestName(contact, language),
     eventName: event.event_name,
     customParams: []
   };
@@ -279,10 +511,11 @@ function configureThankYouNote(event, contact) {
  * 
  * @param {string} templateName - Name of the WhatsApp template
  * @param {Object} event - Event data from database
- * @param {Object} contact - Contact data from database
- * @returns {Object} Template data configuration
+ * @param {Object} contact - Contact data from database (preferred_language selects the variant)
+ * @param {string|null} languageOverride - Send in this language instead of the contact's (optional)
+ * @returns {Object} Template data configuration, with the variant's language and WhatsApp languageCode
  */
-export function getTemplateConfiguration(templateName, event, contact) {
+export function getTemplateConfiguration(templateName, event, contact, languageOverride = null) {
   const configurations = {
     'event_invitation': configureFirstEventInvitation,
     'reminder_1': configureReminder1, // First reminder
@@ -295,25 +528,58 @@ export function getTemplateConfiguration(templateName, event, contact) {
   };
 
   const configFunction = configurations[templateName];
+  const language = normalizeLanguage(languageOverride) || selectTemplateLanguage(templateName, contact?.preferred_language);
+  const registered = getRegisteredTemplate(templateName, language);
+  const variant = { language, languageCode: registered?.languageCode || LANGUAGES[language].templateLanguage };
+
+  if (registered?.variableMapping) {
+    return { parameters: applyVariableMapping(registered.variableMapping, event, contact, language), ...variant };
+  }
   
   if (!configFunction) {
     console.warn(`⚠️  No configuration found for template: ${templateName}. Using default.`);
     // Default configuration
     return {
       eventName: event.event_name,
-      eventDate: formatEventDate(event.event_date),
+      eventDate: formatEventDate(event.event_date, language),
       eventLocation: event.location || event.venue_name || '',
-      customParams: []
+      customParams: [],
+      ...variant
     };
   }
 
-  return configFunction(event, contact);
+  return { ...configFunction(event, contact, language), ...variant };
+}
+
+/**
+ * Language to send a template in for a contact's preferred language
+ * Hebrew when the template has no variant in that language (registry
+ * variants, else TEMPLATE_LANGUAGES).
+ * 
+ * @param {string} templateName - Name of the WhatsApp template
+ * @param {string|null} preferredLanguage - contacts.preferred_language
+ * @returns {string} Language key
+ */
+export function selectTemplateLanguage(templateName, preferredLanguage) {
+  const language = resolveLanguage(preferredLanguage);
+  const available = getRegisteredLanguages(templateName) || TEMPLATE_LANGUAGES[templateName] || [DEFAULT_LANGUAGE];
+  
+  return available.includes(language) ? language : DEFAULT_LANGUAGE;
 }
 
 /**
  * Check if a template requires an image header
+ * Registry variants tell from their components.
  */
-export function templateRequiresImage(templateName) {
+export function templateRequiresImage(templateName, language = DEFAULT_LANGUAGE) {
+  const registered = getRegisteredTemplate(templateName, language);
+
+  if (registered) {
+    return registered.components.some(component =>
+      component.type?.toUpperCase() === 'HEADER' && component.format?.toUpperCase() === 'IMAGE'
+    );
+  }
+
   const templatesWithImages = [
     'event_invitation',
     'invitation_followup',
@@ -0,0 +1,108 @@
+import { buildTemplatePayload, getTemplateButtons } from '../dialog360SendTemplate.js';
+import { getTemplateConfiguration, templateRequiresImage } from './templateConfigurations.js';
+import { getRegisteredTemplate, isTemplateRegistryLoaded } from './templateRegistry.js';
+
+/**
+ * WhatsApp Template Preview
+ *
+ * Renders what a guest would receive for a template - the same configuration
+ * and Dialog360 payload the senders use, without sending anything. The body
+ * text comes from the template's components in the registry (synced from
+ * Dialog360); templates the registry has no text for are previewed by their
+ * parameters only.
+ */
+
+function findComponent(components, type) {
+  return components.find(component => component.type?.toUpperCase() === type) || null;
+}
+
+/**
+ * Fill {{name}} (and positional {{1}}) placeholders with the body parameters
+ */
+function renderText(text, parameters) {
+  const values = new Map();
+
+  parameters.forEach((parameter, index) => {
+    values.set(parameter.name, parameter.text);
+    values.set(String(index + 1), parameter.text);
+  });
+
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => values.get(name) ?? placeholder);
+}
+
+/**
+ * Render a template for a contact
+ *
+ * @param {Object} params
+ * @param {string} params.templateName - Template to render
+ * @param {Object} params.event - Event data from database
+ * @param {Object} params.contact - Contact data from database (empty for a sample guest)
+ * @param {string|null} params.languageCode - Render in this language instead of the contact's (optional)
+ * @param {string|null} params.phoneNumber - Recipient number, for the payload (optional)
+ * @returns {Object} { templateName, language, languageCode, registered, header, body, buttons, payload, warnings }
+ */
+export function renderTemplatePreview({ templateName, event, contact = {}, languageCode = null, phoneNumber = null }) {
+  const templateConfig = getTemplateConfiguration(templateName, event, contact, languageCode);
+  const variant = getRegisteredTemplate(templateName, templateConfig.language);
+  const components = variant?.components || [];
+  const warnings = [];
+
+  const payload = buildTemplatePayload({
+    phoneNumber,
+    templateName,
+    languageCode: templateConfig.languageCode,
+    templateData: templateConfig,
+    imageUrl: event.image_url,
+    buttons: getTemplateButtons(templateName, event.id)
+  });
+
+  const sentComponents = payload.template.components;
+  const parameters = (sentComponents.find(component => component.type === 'body')?.parameters || [])
+    .map((parameter, index) => ({ name: parameter.parameter_name || String(index + 1), text: parameter.text }));
+
+  const bodyComponent = findComponent(components, 'BODY');
+  const text = bodyComponent?.text ? renderText(bodyComponent.text, parameters) : null;
+
+  if (isTemplateRegistryLoaded() && !variant) {
+    warnings.push(`Template ${templateName} has no approved ${templateConfig.language} variant`);
+  }
+
+  if (text && /\{\{\s*\w+\s*\}\}/.test(text)) {
+    warnings.push('Some template variables have no value');
+  }
+
+  let header = null;
+  const headerImage = sentComponents.find(component => component.type === 'header')?.parameters[0]?.image;
+  const headerComponent = findComponent(components, 'HEADER');
+
+  if (headerImage) {
+    header = { type: 'image', url: headerImage.link };
+  } else if (headerComponent?.format?.toUpperCase() === 'TEXT') {
+    header = { type: 'text', text: renderText(headerComponent.text || '', parameters) };
+  }
+
+  if (!headerImage && templateRequiresImage(templateName, templateConfig.language)) {
+    warnings.push('The template has an image header but the event has no image');
+  }
+
+  // Button labels are part of the approved template
+  const labels = findComponent(components, 'BUTTONS')?.buttons || [];
+  const buttons = sentComponents
+    .filter(component => component.type === 'button')
+    .map(component => ({
+      payload: component.parameters[0].payload,
+      text: labels[component.index]?.text || null
+    }));
+
+  return {
+    templateName,
+    language: templateConfig.language,
+    languageCode: templateConfig.languageCode,
+    registered: Boolean(variant),
+    header,
+    body: { text, parameters },
+    buttons,
+    payload,
+    warnings
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * WhatsApp Template Registry
+ *
+ * In-memory snapshot of the approved template variants in whatsapp_templates,
+ * so template configuration stays synchronous for the senders. It is loaded
+ * at startup and after each sync with Dialog360 (see templateSync.js).
+ *
+ * While the registry is empty (before the first load, or in unit tests)
+ * templates use their built-in configurations and languages
+ * (templateConfigurations.js).
+ */
+
+import { normalizeLanguage } from '../utils/languages.js';
+import { TEMPLATE_NAMES } from './templateNames.js';
+
+const APPROVED = 'approved';
+
+// name -> Map(language key -> variant)
+let templates = new Map();
+
+/**
+ * Replace the registry with whatsapp_templates rows
+ * Only approved variants in a supported language are kept.
+ *
+ * @param {Array<Object>} rows - whatsapp_templates rows
+ */
+export function loadTemplateRegistry(rows) {
+  const registry = new Map();
+
+  for (const row of rows) {
+    const language = normalizeLanguage(row.language);
+
+    if (row.status !== APPROVED || !language) {
+      continue;
+    }
+
+    if (!registry.has(row.name)) {
+      registry.set(row.name, new Map());
+    }
+
+    registry.get(row.name).set(language, {
+      name: row.name,
+      language,
+      languageCode: row.language,
+      category: row.category,
+      components: row.components || [],
+      variableMapping: row.variable_mapping || null
+    });
+  }
+
+  templates = registry;
+}
+
+/**
+ * @returns {boolean} Whether the registry has been loaded with any template
+ */
+export function isTemplateRegistryLoaded() {
+  return templates.size > 0;
+}
+
+/**
+ * Approved variant of a template
+ *
+ * @param {string} templateName - Template name
+ * @param {string} language - Language key
+ * @returns {Object|null} { name, language, languageCode, category, components, variableMapping }
+ */
+export function getRegisteredTemplate(templateName, language) {
+  return templates.get(templateName)?.get(language) || null;
+}
+
+/**
+ * Languages a template has an approved variant in
+ *
+ * @param {string} templateName - Template name
+ * @returns {Array<string>|null} Language keys, or null when the template is not registered
+ */
+export function getRegisteredLanguages(templateName) {
+  const variants = templates.get(templateName);
+  return variants ? [...variants.keys()] : null;
+}
+
+/**
+ * @returns {Array<string>} Names of the templates with an approved variant
+ */
+export function getRegisteredTemplateNames() {
+  return [...templates.keys()];
+}
+
+/**
+ * Templates that can be sent: the registry's approved templates once it is
+ * loaded, the built-in template names until then
+ *
+ * @returns {Array<string>}
+ */
+export function getAvailableTemplateNames() {
+  return isTemplateRegistryLoaded() ? getRegisteredTemplateNames() : Object.values(TEMPLATE_NAMES);
+}
@@ -0,0 +1,102 @@
+import { getDialog360TemplatesUrl } from '../dialog360/dialog360Config.js';
+import { getApprovedTemplateRows, saveSyncedTemplates } from '../database/whatsappTemplatesRepository.js';
+import { loadTemplateRegistry } from './templateRegistry.js';
+
+/**
+ * WhatsApp Template Sync
+ *
+ * Imports the templates of the WhatsApp Business account from Dialog360
+ * (GET /v1/configs/templates) into the template registry, so a new template
+ * or language variant only needs approving in WhatsApp Manager - and a
+ * variable mapping when the built-in configurations do not cover it.
+ *
+ * Runs via cron job daily, and from POST /api/admin/templates/sync. Point
+ * D360_BASE_URL at the mock server (mock/dialog360MockServer.js) to sync
+ * offline.
+ */
+
+const PAGE_SIZE = 100;
+
+/**
+ * Fetch every template of the account, page by page
+ *
+ * @returns {Promise<Array<Object>>} Dialog360 waba_templates entries
+ */
+async function fetchDialog360Templates() {
+  const apiKey = process.env.D360_API_KEY;
+  if (!apiKey) {
+    throw new Error('D360_API_KEY not configured');
+  }
+
+  const templates = [];
+  let total = Infinity;
+
+  while (templates.length < total) {
+    const url = `${getDialog360TemplatesUrl()}?limit=${PAGE_SIZE}&offset=${templates.length}`;
+    const response = await fetch(url, { headers: { 'D360-API-KEY': apiKey } });
+
+    if (!response.ok) {
+      throw new Error(`Dialog360 templates request failed with HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const page = data.waba_templates || [];
+
+    templates.push(...page);
+    total = data.total ?? templates.length;
+
+    if (page.length === 0) {
+      break;
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Dialog360 template entry as a registry variant
+ */
+function toRegistryTemplate(template) {
+  return {
+    name: template.name,
+    language: template.language,
+    category: template.category || null,
+    status: String(template.status || 'unknown').toLowerCase(),
+    components: template.components || [],
+    externalId: template.id || template.external_id || null,
+    rejectedReason: template.rejected_reason && template.rejected_reason !== 'NONE' ? template.rejected_reason : null
+  };
+}
+
+/**
+ * Reload the in-memory registry from whatsapp_templates
+ *
+ * @returns {Promise<number>} Number of approved variants loaded
+ */
+export async function refreshTemplateRegistry() {
+  const rows = await getApprovedTemplateRows();
+  loadTemplateRegistry(rows);
+  return rows.length;
+}
+
+/**
+ * Import the account's templates from Dialog360 and reload the registry
+ *
+ * @returns {Promise<Object>} { fetched, created, updated, deleted, approved }
+ */
+export async function syncTemplatesFromDialog360() {
+  const templates = (await fetchDialog360Templates())
+    .filter(template => template.name && template.language)
+    .map(toRegistryTemplate);
+
+  // An empty listing is more likely a misconfigured account than no templates
+  if (templates.length === 0) {
+    throw new Error('Dialog360 returned no templates - registry left unchanged');
+  }
+
+  const stats = await saveSyncedTemplates(templates);
+  const approved = await refreshTemplateRegistry();
+
+  console.log(`🔄 Synced ${templates.length} WhatsApp templates: ${stats.created} new, ${stats.updated} updated, ${stats.deleted} deleted, ${approved} approved variants`);
+  return { fetched: templates.length, ...stats, approved };
+}
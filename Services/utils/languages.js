@@ -0,0 +1,48 @@
+/**
+ * Guest Language Table
+ *
+ * Languages guests receive invitations and RSVP messages in
+ * (contacts.preferred_language). Contacts without a language get Hebrew.
+ *
+ * - name: language name in the language itself (for the owner's UI)
+ * - locale: Intl locale used to format dates
+ * - templateLanguage: WhatsApp language code of the localized template variants
+ */
+
+export const DEFAULT_LANGUAGE = 'he';
+
+export const LANGUAGES = {
+  he: { name: 'עברית', locale: 'he-IL', templateLanguage: 'he' },
+  en: { name: 'English', locale: 'en-GB', templateLanguage: 'en' },
+  ru: { name: 'Русский', locale: 'ru-RU', templateLanguage: 'ru' },
+  ar: { name: 'العربية', locale: 'ar', templateLanguage: 'ar' },
+  fr: { name: 'Français', locale: 'fr-FR', templateLanguage: 'fr' }
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+/**
+ * Supported language of a language code
+ * Region suffixes are ignored ('en-US', 'en_US' -> 'en').
+ *
+ * @param {string} code - Language code
+ * @returns {string|null} Language key, or null if the language is not supported
+ */
+export function normalizeLanguage(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+
+  const language = code.trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[language] ? language : null;
+}
+
+/**
+ * Language to talk to a contact in
+ *
+ * @param {string|null} code - contacts.preferred_language
+ * @returns {string} Language key (Hebrew when not set or not supported)
+ */
+export function resolveLanguage(code) {
+  return normalizeLanguage(code) || DEFAULT_LANGUAGE;
+}
@@ -0,0 +1,132 @@
+/**
+ * Phone Number Country Table
+ *
+ * Dialing rules for the countries our guests call from. Patterns match the
+ * national significant number (NSN) - the number without the country code
+ * and without the domestic trunk prefix.
+ *
+ * - dialCode: international country code
+ * - trunkPrefix: domestic prefix dropped in international format (0544349661 -> 972544349661)
+ * - pattern: valid NSN
+ * - mobile / landline: NSN patterns used to classify the line type (null = cannot be told apart)
+ */
+
+export const DEFAULT_PHONE_COUNTRY = 'IL';
+
+export const PHONE_COUNTRIES = {
+  IL: {
+    name: 'Israel',
+    dialCode: '972',
+    trunkPrefix: '0',
+    pattern: /^(?:5\d{8}|7\d{8}|[2-489]\d{7})$/,
+    mobile: /^5\d{8}$/,
+    landline: /^(?:7\d{8}|[2-489]\d{7})$/
+  },
+  // US and CA share +1 - international numbers resolve to US (first in table order)
+  US: {
+    name: 'United States',
+    dialCode: '1',
+    trunkPrefix: null,
+    pattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+    mobile: null,
+    landline: null
+  },
+  CA: {
+    name: 'Canada',
+    dialCode: '1',
+    trunkPrefix: null,
+    pattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+    mobile: null,
+    landline: null
+  },
+  GB: {
+    name: 'United Kingdom',
+    dialCode: '44',
+    trunkPrefix: '0',
+    pattern: /^(?:7\d{9}|[1-35689]\d{8,9})$/,
+    mobile: /^7[4-9]\d{8}$/,
+    landline: /^[12]\d{8,9}$/
+  },
+  FR: {
+    name: 'France',
+    dialCode: '33',
+    trunkPrefix: '0',
+    pattern: /^[1-9]\d{8}$/,
+    mobile: /^[67]\d{8}$/,
+    landline: /^[1-5]\d{8}$/
+  },
+  DE: {
+    name: 'Germany',
+    dialCode: '49',
+    trunkPrefix: '0',
+    pattern: /^[1-9]\d{5,10}$/,
+    mobile: /^1[5-7]\d{8,9}$/,
+    landline: /^[2-9]\d{5,10}$/
+  },
+  ES: {
+    name: 'Spain',
+    dialCode: '34',
+    trunkPrefix: null,
+    pattern: /^[5-9]\d{8}$/,
+    mobile: /^[67]\d{8}$/,
+    landline: /^[89]\d{8}$/
+  },
+  RU: {
+    name: 'Russia',
+    dialCode: '7',
+    trunkPrefix: '8',
+    pattern: /^[3489]\d{9}$/,
+    mobile: /^9\d{9}$/,
+    landline: /^[348]\d{9}$/
+  },
+  KZ: {
+    name: 'Kazakhstan',
+    dialCode: '7',
+    trunkPrefix: '8',
+    pattern: /^7\d{9}$/,
+    mobile: /^7[0-8]\d{8}$/,
+    landline: null
+  },
+  AU: {
+    name: 'Australia',
+    dialCode: '61',
+    trunkPrefix: '0',
+    pattern: /^[2-478]\d{8}$/,
+    mobile: /^4\d{8}$/,
+    landline: /^[2378]\d{8}$/
+  }
+};
+
+/**
+ * Check whether a country code is in the table
+ *
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code (e.g. "IL")
+ * @returns {boolean}
+ */
+export function isSupportedPhoneCountry(countryCode) {
+  return typeof countryCode === 'string' && Object.hasOwn(PHONE_COUNTRIES, countryCode.toUpperCase());
+}
+
+/**
+ * Find the countries an international number may belong to (digits only, no +)
+ * Longer dial codes first; countries sharing a dial code keep table order.
+ *
+ * @param {string} digits - International number digits (e.g. "447911123456")
+ * @returns {Array<string>} Country codes
+ */
+export function findCountriesByDialCode(digits) {
+  return Object.entries(PHONE_COUNTRIES)
+    .filter(([, country]) => digits.startsWith(country.dialCode))
+    .sort(([, a], [, b]) => b.dialCode.length - a.dialCode.length)
+    .map(([countryCode]) => countryCode);
+}
+
+/**
+ * Find the country of an international number (digits only, no +)
+ *
+ * @param {string} digits - International number digits
+ * @returns {string|null} Country code or null if unknown
+ */
+export function findCountryByDialCode(digits) {
+  return findCountriesByDialCode(digits)[0] || null;
+}
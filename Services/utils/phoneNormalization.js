@@ -1,58 +1,287 @@
 /**
  * Phone Number Normalization Utilities
- * 
- * Provides functions to normalize phone numbers for different services
+ *
+ * Single place for parsing, validating and formatting phone numbers.
+ * Numbers are parsed against the country table in phoneCountries.js; local
+ * numbers (without +) are read in the user's default country.
  */
 
+import {
+  PHONE_COUNTRIES,
+  DEFAULT_PHONE_COUNTRY,
+  isSupportedPhoneCountry,
+  findCountriesByDialCode
+} from './phoneCountries.js';
+
+// E.164 allows at most 15 digits; shorter than 8 is never a reachable number
+const MIN_INTERNATIONAL_DIGITS = 8;
+const MAX_INTERNATIONAL_DIGITS = 15;
+
+function resolveCountryCode(countryCode) {
+  return isSupportedPhoneCountry(countryCode) ? countryCode.toUpperCase() : DEFAULT_PHONE_COUNTRY;
+}
+
+function classifyNumber(country, nationalNumber) {
+  if (country.mobile?.test(nationalNumber)) return 'mobile';
+  if (country.landline?.test(nationalNumber)) return 'landline';
+  return 'unknown';
+}
+
+function buildParsedNumber(countryCode, nationalNumber) {
+  const country = PHONE_COUNTRIES[countryCode];
+  const international = country.dialCode + nationalNumber;
+
+  return {
+    isValid: true,
+    countryCode,
+    dialCode: country.dialCode,
+    nationalNumber,
+    national: (country.trunkPrefix || '') + nationalNumber,
+    international,
+    e164: '+' + international,
+    type: classifyNumber(country, nationalNumber)
+  };
+}
+
+function buildInvalidNumber(input, reason) {
+  return {
+    isValid: false,
+    reason,
+    input,
+    countryCode: null,
+    dialCode: null,
+    nationalNumber: null,
+    national: null,
+    international: null,
+    e164: null,
+    type: 'unknown'
+  };
+}
+
 /**
- * Normalize phone number to international format for Dialog360
- * 
- * Converts Israeli local format (0544349661) to international format (972544349661)
- * Handles various input formats and edge cases
- * 
+ * Parse an international number given as digits (country code first)
+ * Countries sharing a dial code (+1, +7) are tried in table order. Numbers
+ * from countries missing from the table are accepted on E.164 length alone
+ * when allowUnknownCountry is set (explicit + / 00 prefix).
+ */
+function parseInternationalDigits(input, digits, allowUnknownCountry) {
+  const candidates = findCountriesByDialCode(digits);
+
+  for (const countryCode of candidates) {
+    const nationalNumber = digits.substring(PHONE_COUNTRIES[countryCode].dialCode.length);
+
+    if (PHONE_COUNTRIES[countryCode].pattern.test(nationalNumber)) {
+      return buildParsedNumber(countryCode, nationalNumber);
+    }
+  }
+
+  if (candidates.length > 0) {
+    return buildInvalidNumber(input, 'Invalid number length for country');
+  }
+
+  if (allowUnknownCountry && digits.length >= MIN_INTERNATIONAL_DIGITS && digits.length <= MAX_INTERNATIONAL_DIGITS) {
+    return {
+      isValid: true,
+      countryCode: null,
+      dialCode: null,
+      nationalNumber: null,
+      national: null,
+      international: digits,
+      e164: '+' + digits,
+      type: 'unknown'
+    };
+  }
+
+  return buildInvalidNumber(input, 'Unknown country code');
+}
+
+/**
+ * Parse a phone number in any format
+ *
+ * Accepts E.164 (+972544349661), 00-prefixed international (00972544349661),
+ * international without + (972544349661, as WhatsApp sends it) and local
+ * numbers of the default country (0544349661, 054-434-9661).
+ *
  * @param {string} phoneNumber - Phone number in any format
- * @returns {string|null} Normalized phone number or null if invalid
+ * @param {string} defaultCountry - Country for local numbers (ISO code, default IL)
+ * @returns {Object|null} Parsed number ({ isValid, e164, international, national, countryCode, type, ... }) or null if empty
  */
-export function normalizePhoneForDialog360(phoneNumber) {
-  if (!phoneNumber) return null;
-  
-  // Remove all non-digit characters
-  let cleaned = phoneNumber.replace(/\D/g, '');
-  
-  // If starts with 0 and is 9-10 digits (Israeli local format)
-  if (cleaned.startsWith('0') && (cleaned.length === 9 || cleaned.length === 10)) {
-    // Convert to international format: 972XXXXXXXXX
-    cleaned = '972' + cleaned.substring(1);
+export function parsePhoneNumber(phoneNumber, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  if (phoneNumber === null || phoneNumber === undefined) return null;
+
+  const input = String(phoneNumber).trim();
+  const digits = input.replace(/\D/g, '');
+
+  if (!digits) return null;
+
+  if (input.startsWith('+')) {
+    return parseInternationalDigits(input, digits, true);
+  }
+
+  if (digits.startsWith('00')) {
+    return parseInternationalDigits(input, digits.substring(2), true);
+  }
+
+  const countryCode = resolveCountryCode(defaultCountry);
+  const country = PHONE_COUNTRIES[countryCode];
+
+  // Local format with trunk prefix: 0544349661
+  if (country.trunkPrefix && digits.startsWith(country.trunkPrefix)) {
+    const nationalNumber = digits.substring(country.trunkPrefix.length);
+
+    if (country.pattern.test(nationalNumber)) {
+      return buildParsedNumber(countryCode, nationalNumber);
+    }
   }
-  
-  // If starts with +, remove it
-  if (phoneNumber.startsWith('+')) {
-    cleaned = phoneNumber.substring(1).replace(/\D/g, '');
+
+  // Local format without trunk prefix: 2125550100 (US), 612345678 (ES)
+  if (country.pattern.test(digits)) {
+    return buildParsedNumber(countryCode, digits);
   }
-  
-  return cleaned;
+
+  // International format without +: 972544349661
+  return parseInternationalDigits(input, digits, false);
+}
+
+/**
+ * Format a phone number as E.164 (+972544349661)
+ *
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {string} defaultCountry - Country for local numbers
+ * @returns {string|null} E.164 number or null if invalid
+ */
+export function formatE164(phoneNumber, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const parsed = parsePhoneNumber(phoneNumber, defaultCountry);
+  return parsed?.isValid ? parsed.e164 : null;
 }
 
 /**
- * Normalize phone number between international and local formats
- * For Israel: 972544349661 <-> 0544349661
- * 
+ * Check if a phone number is valid for its country
+ *
  * @param {string} phoneNumber - Phone number in any format
+ * @param {string} defaultCountry - Country for local numbers
+ * @returns {boolean}
+ */
+export function isValidPhoneNumber(phoneNumber, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  return parsePhoneNumber(phoneNumber, defaultCountry)?.isValid === true;
+}
+
+/**
+ * Classify a phone number as mobile or landline
+ *
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {string} defaultCountry - Country for local numbers
+ * @returns {'mobile'|'landline'|'unknown'}
+ */
+export function getPhoneNumberType(phoneNumber, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const parsed = parsePhoneNumber(phoneNumber, defaultCountry);
+  return parsed?.isValid ? parsed.type : 'unknown';
+}
+
+/**
+ * Key for comparing two spellings of the same number
+ * E.164 when the number parses, otherwise its digits.
+ *
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {string} defaultCountry - Country for local numbers
+ * @returns {string}
+ */
+export function getPhoneComparisonKey(phoneNumber, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  return formatE164(phoneNumber, defaultCountry) || String(phoneNumber ?? '').replace(/\D/g, '');
+}
+
+/**
+ * Split a field holding several numbers ("054-1234567, 03-1234567; +44...")
+ *
+ * @param {string} value - Raw field value
+ * @returns {Array<string>} Trimmed, non-empty numbers
+ */
+export function splitPhoneNumbers(value) {
+  if (!value) return [];
+
+  return String(value)
+    .split(/[,;\n]/)
+    .map(number => number.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize phone number to international format for Dialog360
+ *
+ * Dialog360 expects the international number without + (972544349661).
+ *
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {string} defaultCountry - Country for local numbers
+ * @returns {string|null} Normalized phone number or null if invalid
+ */
+export function normalizePhoneForDialog360(phoneNumber, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const parsed = parsePhoneNumber(phoneNumber, defaultCountry);
+  return parsed?.isValid ? parsed.international : null;
+}
+
+/**
+ * Pick the WhatsApp number of a stored contact
+ *
+ * Contacts keep local numbers in phone_number and +international numbers in
+ * canonical_form (either may hold several comma-separated numbers, or a
+ * placeholder like "No local number"). Mobile numbers are preferred.
+ *
+ * @param {Object} contact - { phone_number, canonical_form }
+ * @param {string} defaultCountry - Country of the contact owner
+ * @returns {string|null} Dialog360 number or null if the contact has no valid number
+ */
+export function resolveContactPhone(contact, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const candidates = [
+    ...splitPhoneNumbers(contact.phone_number),
+    ...splitPhoneNumbers(contact.canonical_form)
+  ]
+    .map(number => parsePhoneNumber(number, defaultCountry))
+    .filter(parsed => parsed?.isValid);
+
+  const best = candidates.find(parsed => parsed.type === 'mobile') || candidates[0];
+  return best ? best.international : null;
+}
+
+/**
+ * Every number stored on a contact, as inbound messages are matched against it
+ * phone_number and canonical_form may each hold several numbers. Valid numbers
+ * are in Dialog360 format (972544349661); others are kept as their digits.
+ *
+ * @param {Object} contact - { phone_number, canonical_form }
+ * @param {string} defaultCountry - Country of the contact owner
+ * @returns {Array<string>} Distinct numbers
+ */
+export function getContactPhoneNumbers(contact, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const numbers = [
+    ...splitPhoneNumbers(contact.phone_number),
+    ...splitPhoneNumbers(contact.canonical_form)
+  ].map(number => {
+    const parsed = parsePhoneNumber(number, defaultCountry);
+    return parsed?.isValid ? parsed.international : number.replace(/\D/g, '');
+  });
+
+  return [...new Set(numbers.filter(Boolean))];
+}
+
+/**
+ * Get every stored spelling of a phone number (digits only)
+ * For Israel: 972544349661 -> 972544349661, 0544349661, 544349661
+ *
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {string} defaultCountry - Country for local numbers
  * @returns {Array<string>} Array of possible phone number formats to check
  */
-export function normalizePhoneNumberFormats(phoneNumber) {
-  const formats = [phoneNumber]; // Always include original format
-  
-  // Handle Israeli phone numbers
-  if (phoneNumber.startsWith('972')) {
-    // Convert international to local: 972544349661 -> 0544349661
-    const localFormat = '0' + phoneNumber.substring(3);
-    formats.push(localFormat);
-  } else if (phoneNumber.startsWith('0')) {
-    // Convert local to international: 0544349661 -> 972544349661
-    const internationalFormat = '972' + phoneNumber.substring(1);
-    formats.push(internationalFormat);
-  }
-  
-  return formats;
+export function normalizePhoneNumberFormats(phoneNumber, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const formats = [String(phoneNumber ?? '').replace(/\D/g, '')]; // Always include original format
+  const parsed = parsePhoneNumber(phoneNumber, defaultCountry);
+
+  if (parsed?.isValid) {
+    formats.push(parsed.international);
+
+    if (parsed.nationalNumber) {
+      formats.push(parsed.national, parsed.nationalNumber);
+    }
+  }
+
+  return [...new Set(formats.filter(Boolean))];
 }
@@ -0,0 +1,225 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import pool from './db.js';
+
+/**
+ * Database Migrations
+ *
+ * Versioned schema migrations live in db/migrations as NNN_description.js files.
+ * Each migration exports `up(client)` and `down(client)`; both run inside a
+ * transaction together with the schema_migrations bookkeeping, so a failing
+ * migration leaves the schema untouched.
+ *
+ * Usage:
+ *   npm run migrate           - apply all pending migrations
+ *   npm run migrate:down      - roll back the latest migration (pass a number to roll back more)
+ *   npm run migrate:status    - list applied and pending migrations
+ *
+ * Request handlers assume the schema produced by these migrations and must not
+ * inspect information_schema or run DDL at runtime.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+// Arbitrary key so two deploys cannot migrate the same database concurrently
+const MIGRATION_LOCK_KEY = 4823901;
+
+/**
+ * Load migration modules from db/migrations, ordered by version
+ *
+ * @returns {Promise<Array<{ version: string, name: string, up: Function, down: Function }>>}
+ */
+export async function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  const migrations = [];
+
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+
+    migrations.push({ version, name, up: module.up, down: module.down });
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+}
+
+/**
+ * Run a callback while holding the migration advisory lock
+ */
+async function withMigrationLock(callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Apply all pending migrations in version order
+ *
+ * @returns {Promise<string[]>} Versions that were applied
+ */
+export async function migrateUp() {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set(await getAppliedVersions(client));
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    if (pending.length === 0) {
+      console.log('✅ Database schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${migration.version}_${migration.name}...`);
+
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Migration ${migration.version}_${migration.name} failed:`, error.message);
+        throw error;
+      }
+    }
+
+    console.log(`✅ Applied ${pending.length} migration(s)`);
+    return pending.map(migration => migration.version);
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations
+ *
+ * @param {number} steps - How many migrations to roll back (default 1)
+ * @returns {Promise<string[]>} Versions that were rolled back
+ */
+export async function migrateDown(steps = 1) {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRollBack = applied.slice(-steps).reverse();
+
+    if (toRollBack.length === 0) {
+      console.log('ℹ️ No migrations to roll back');
+      return [];
+    }
+
+    for (const version of toRollBack) {
+      const migration = byVersion.get(version);
+
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} not found`);
+      }
+
+      console.log(`⬇️  Rolling back ${migration.version}_${migration.name}...`);
+
+      try {
+        await client.query('BEGIN');
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Rollback of ${migration.version}_${migration.name} failed:`, error.message);
+        throw error;
+      }
+    }
+
+    console.log(`✅ Rolled back ${toRollBack.length} migration(s)`);
+    return toRollBack;
+  });
+}
+
+/**
+ * List every known migration with its applied state
+ *
+ * @returns {Promise<Array<{ version: string, name: string, appliedAt: Date|null }>>}
+ */
+export async function getMigrationStatus() {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: appliedAt.get(migration.version) || null
+    }));
+  });
+}
+
+async function runCli() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  try {
+    if (command === 'up') {
+      await migrateUp();
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of steps: ${arg}`);
+      }
+      await migrateDown(steps);
+    } else if (command === 'status') {
+      const status = await getMigrationStatus();
+      for (const migration of status) {
+        const state = migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+        console.log(`${migration.version}_${migration.name}: ${state}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+    }
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Migration command failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  runCli();
+}
@@ -0,0 +1,177 @@
+/**
+ * Baseline schema
+ *
+ * Captures the tables the server relied on before versioned migrations existed.
+ * Written with IF NOT EXISTS so it can be applied to the existing production
+ * database (recording it as migrated) as well as to an empty one. Columns that
+ * used to be added at runtime or by one-off scripts are added separately so
+ * older databases are brought up to the same shape.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      name TEXT,
+      email TEXT NOT NULL UNIQUE,
+      password TEXT,
+      source TEXT,
+      google_id TEXT,
+      email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS events (
+      id TEXT PRIMARY KEY,
+      event_name TEXT,
+      owner_email TEXT NOT NULL,
+      event_type TEXT,
+      image_url TEXT,
+      celebrator1_name TEXT,
+      celebrator2_name TEXT,
+      location TEXT,
+      event_date DATE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS contacts (
+      id SERIAL PRIMARY KEY,
+      google_id TEXT,
+      display_name TEXT,
+      canonical_form TEXT,
+      phone_number TEXT,
+      contact_source TEXT,
+      contact_owner TEXT NOT NULL
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS event_contacts (
+      event_id TEXT NOT NULL,
+      contact_id INTEGER NOT NULL,
+      UNIQUE (event_id, contact_id)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS event_messages (
+      id SERIAL PRIMARY KEY,
+      event_id TEXT NOT NULL,
+      contact_id INTEGER NOT NULL,
+      message_type TEXT,
+      message_round INTEGER NOT NULL DEFAULT 1,
+      response TEXT,
+      guests_coming INTEGER DEFAULT 0,
+      response_time TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS guest_contact_uploads (
+      upload_id SERIAL PRIMARY KEY,
+      invited_by_email TEXT NOT NULL,
+      guest_name TEXT,
+      guest_notes TEXT,
+      token TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS guest_contacts (
+      id SERIAL PRIMARY KEY,
+      upload_id INTEGER NOT NULL REFERENCES guest_contact_uploads(upload_id) ON DELETE CASCADE,
+      display_name TEXT,
+      phone_number TEXT,
+      email TEXT,
+      invited_by TEXT,
+      contact_source TEXT,
+      canonical_form TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  // Legacy table written by sendInvitationResponse
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS invitation_responses (
+      id SERIAL PRIMARY KEY,
+      display_name TEXT,
+      phone_number TEXT,
+      response TEXT,
+      owner TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  // Columns that were previously added at runtime or by one-off scripts
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS whatsapp_token VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS whatsapp_token_expires_at TIMESTAMP
+  `);
+
+  await client.query(`
+    ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS venue_name TEXT,
+      ADD COLUMN IF NOT EXISTS event_time TEXT,
+      ADD COLUMN IF NOT EXISTS auto_invite_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS auto_invite_started_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS auto_invite_reminder_count INTEGER DEFAULT 2,
+      ADD COLUMN IF NOT EXISTS auto_invite_message_interval INTEGER DEFAULT 7,
+      ADD COLUMN IF NOT EXISTS auto_invite_send_thank_you BOOLEAN DEFAULT TRUE,
+      ADD COLUMN IF NOT EXISTS auto_invite_send_morning_reminder BOOLEAN DEFAULT TRUE
+  `);
+
+  await client.query(`
+    ALTER TABLE contacts
+      ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}'
+  `);
+
+  await client.query(`
+    ALTER TABLE event_contacts
+      ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}'
+  `);
+
+  await client.query(`
+    ALTER TABLE event_messages
+      ADD COLUMN IF NOT EXISTS message_id TEXT,
+      ADD COLUMN IF NOT EXISTS seen_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS failure_reason TEXT,
+      ADD COLUMN IF NOT EXISTS error_message TEXT,
+      ADD COLUMN IF NOT EXISTS awaiting_guest_count BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS followup_date DATE,
+      ADD COLUMN IF NOT EXISTS followup_notification_dismissed BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS followup_invitation_sent_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS followup_dialog360_message_id TEXT
+  `);
+
+  await client.query(`
+    ALTER TABLE guest_contact_uploads
+      ADD COLUMN IF NOT EXISTS sender_phone TEXT
+  `);
+
+  // Indexes for the lookups the webhook and dashboards run most often
+  await client.query('CREATE INDEX IF NOT EXISTS idx_events_owner_email ON events (owner_email)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_contacts_owner ON contacts (contact_owner)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_contacts_phone_number ON contacts (phone_number)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_event_messages_event_contact ON event_messages (event_id, contact_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_event_messages_message_id ON event_messages (message_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_guest_contact_uploads_invited_by ON guest_contact_uploads (invited_by_email)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS invitation_responses');
+  await client.query('DROP TABLE IF EXISTS guest_contacts');
+  await client.query('DROP TABLE IF EXISTS guest_contact_uploads');
+  await client.query('DROP TABLE IF EXISTS event_messages');
+  await client.query('DROP TABLE IF EXISTS event_contacts');
+  await client.query('DROP TABLE IF EXISTS contacts');
+  await client.query('DROP TABLE IF EXISTS events');
+  await client.query('DROP TABLE IF EXISTS users');
+}
@@ -0,0 +1,64 @@
+/**
+ * Outbound message queue (outbox)
+ *
+ * Dialog360 sends are queued in outbound_messages and drained by the outbound
+ * worker. Every send attempt is recorded in outbound_message_attempts against
+ * the event_messages row it belongs to.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE outbound_messages (
+      id SERIAL PRIMARY KEY,
+      idempotency_key TEXT NOT NULL UNIQUE,
+      event_message_id INTEGER REFERENCES event_messages(id) ON DELETE CASCADE,
+      purpose TEXT NOT NULL DEFAULT 'event_message',
+      phone_number TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      locked_at TIMESTAMP,
+      last_error TEXT,
+      dialog360_message_id TEXT,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      CONSTRAINT outbound_messages_status_check
+        CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+      CONSTRAINT outbound_messages_purpose_check
+        CHECK (purpose IN ('event_message', 'followup'))
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX idx_outbound_messages_due
+      ON outbound_messages (next_attempt_at)
+      WHERE status IN ('pending', 'sending')
+  `);
+  await client.query('CREATE INDEX idx_outbound_messages_event_message ON outbound_messages (event_message_id)');
+
+  await client.query(`
+    CREATE TABLE outbound_message_attempts (
+      id SERIAL PRIMARY KEY,
+      outbound_message_id INTEGER NOT NULL REFERENCES outbound_messages(id) ON DELETE CASCADE,
+      event_message_id INTEGER REFERENCES event_messages(id) ON DELETE CASCADE,
+      attempt_number INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      error_code TEXT,
+      http_status INTEGER,
+      error_message TEXT,
+      retryable BOOLEAN,
+      dialog360_message_id TEXT,
+      attempted_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_outbound_attempts_event_message ON outbound_message_attempts (event_message_id)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS outbound_message_attempts');
+  await client.query('DROP TABLE IF EXISTS outbound_messages');
+}
@@ -0,0 +1,42 @@
+/**
+ * WhatsApp contact-upload sessions
+ *
+ * Replaces the in-memory contactBuffers / activeTokens / phoneToToken Maps in
+ * messageProcessor.js. A session is opened when a guest sends a valid upload
+ * token, collects contact cards in `contacts`, and is finalized into
+ * guest_contact_uploads / guest_contacts either on "סיימתי" or by the sweeper
+ * once `finalize_after` has passed.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE whatsapp_upload_sessions (
+      id SERIAL PRIMARY KEY,
+      sender_phone TEXT NOT NULL,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      user_email TEXT NOT NULL,
+      token TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      contacts JSONB NOT NULL DEFAULT '[]'::jsonb,
+      accepting_until TIMESTAMP NOT NULL,
+      finalize_after TIMESTAMP,
+      upload_id INTEGER REFERENCES guest_contact_uploads(upload_id) ON DELETE SET NULL,
+      finalized_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      CONSTRAINT whatsapp_upload_sessions_status_check
+        CHECK (status IN ('active', 'completed', 'expired'))
+    )
+  `);
+
+  // At most one open session per sender phone
+  await client.query(`
+    CREATE UNIQUE INDEX idx_whatsapp_upload_sessions_active_phone
+      ON whatsapp_upload_sessions (sender_phone)
+      WHERE status = 'active'
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS whatsapp_upload_sessions');
+}
@@ -0,0 +1,54 @@
+/**
+ * WhatsApp upload tokens
+ *
+ * Upload tokens get their own table keyed by a random opaque ID (the token is
+ * VIX_<id>_<signature>), replacing users.whatsapp_token and the email-derived
+ * token format. Old tokens are not carried over - they embed the owner's email
+ * and are guessable.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE whatsapp_upload_tokens (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      use_count INTEGER NOT NULL DEFAULT 0,
+      contacts_received INTEGER NOT NULL DEFAULT 0,
+      last_used_at TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_whatsapp_upload_tokens_user ON whatsapp_upload_tokens (user_id)');
+
+  // Sessions reference the token they were opened with (used for revocation and counters)
+  await client.query(`
+    ALTER TABLE whatsapp_upload_sessions
+      DROP COLUMN token,
+      ADD COLUMN upload_token_id TEXT REFERENCES whatsapp_upload_tokens(id) ON DELETE SET NULL
+  `);
+
+  await client.query(`
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS whatsapp_token,
+      DROP COLUMN IF EXISTS whatsapp_token_expires_at
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS whatsapp_token VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS whatsapp_token_expires_at TIMESTAMP
+  `);
+
+  await client.query(`
+    ALTER TABLE whatsapp_upload_sessions
+      DROP COLUMN upload_token_id,
+      ADD COLUMN token TEXT NOT NULL DEFAULT ''
+  `);
+
+  await client.query('DROP TABLE IF EXISTS whatsapp_upload_tokens');
+}
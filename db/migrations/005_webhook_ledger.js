@@ -0,0 +1,43 @@
+/**
+ * Dialog360 webhook ledger and rejections
+ *
+ * webhook_events records every WhatsApp message / status the webhook has
+ * processed (keyed by WhatsApp ID) so redelivered webhooks are skipped.
+ * webhook_rejections keeps requests that failed authentication or carried an
+ * unusable payload, for inspection.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE webhook_events (
+      event_key TEXT PRIMARY KEY,
+      event_type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'processing',
+      attempts INTEGER NOT NULL DEFAULT 1,
+      claimed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      processed_at TIMESTAMP,
+      CONSTRAINT webhook_events_status_check
+        CHECK (status IN ('processing', 'processed'))
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_webhook_events_claimed_at ON webhook_events (claimed_at)');
+
+  await client.query(`
+    CREATE TABLE webhook_rejections (
+      id SERIAL PRIMARY KEY,
+      reason TEXT NOT NULL,
+      remote_ip TEXT,
+      headers JSONB,
+      body TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_webhook_rejections_created_at ON webhook_rejections (created_at)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS webhook_rejections');
+  await client.query('DROP TABLE IF EXISTS webhook_events');
+}
@@ -0,0 +1,48 @@
+/**
+ * Message delivery timeline
+ *
+ * message_status_events keeps every Dialog360 status webhook (sent, delivered,
+ * read, failed) for an event_messages row, with the conversation / pricing
+ * metadata WhatsApp attaches. event_messages gets sent_at and delivered_at next
+ * to the existing seen_at / failed_at so the current stage is one row away.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE message_status_events (
+      id SERIAL PRIMARY KEY,
+      event_message_id INTEGER NOT NULL REFERENCES event_messages(id) ON DELETE CASCADE,
+      dialog360_message_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      status_at TIMESTAMP NOT NULL,
+      recipient_id TEXT,
+      conversation_id TEXT,
+      conversation_origin TEXT,
+      conversation_expires_at TIMESTAMP,
+      pricing_model TEXT,
+      pricing_category TEXT,
+      billable BOOLEAN,
+      error_code INTEGER,
+      error_title TEXT,
+      error_details TEXT,
+      payload JSONB,
+      received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      CONSTRAINT message_status_events_unique UNIQUE (dialog360_message_id, status)
+    )
+  `);
+
+  await client.query(
+    'CREATE INDEX idx_message_status_events_event_message ON message_status_events (event_message_id, status_at)'
+  );
+
+  await client.query(`
+    ALTER TABLE event_messages
+      ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP
+  `);
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE event_messages DROP COLUMN IF EXISTS delivered_at, DROP COLUMN IF EXISTS sent_at');
+  await client.query('DROP TABLE IF EXISTS message_status_events');
+}
@@ -0,0 +1,57 @@
+/**
+ * Dialog360 errors and template pauses
+ *
+ * dialog360_errors stores out-of-band errors and account notifications from the
+ * webhook (template paused / disabled, quality rating drops, rate limits, and
+ * message-level errors with known codes), linked to the affected message when
+ * one can be identified. template_pauses records templates that auto-invite
+ * must not send until an admin resumes them (resumed_at IS NULL = paused).
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE dialog360_errors (
+      id SERIAL PRIMARY KEY,
+      source TEXT NOT NULL,
+      code INTEGER,
+      title TEXT,
+      message TEXT,
+      details TEXT,
+      severity TEXT NOT NULL,
+      category TEXT,
+      template_name TEXT,
+      event_message_id INTEGER REFERENCES event_messages(id) ON DELETE SET NULL,
+      dialog360_message_id TEXT,
+      phone_number_id TEXT,
+      payload JSONB,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      CONSTRAINT dialog360_errors_severity_check
+        CHECK (severity IN ('critical', 'warning', 'error', 'info'))
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_dialog360_errors_created_at ON dialog360_errors (created_at)');
+  await client.query('CREATE INDEX idx_dialog360_errors_code ON dialog360_errors (code)');
+
+  await client.query(`
+    CREATE TABLE template_pauses (
+      id SERIAL PRIMARY KEY,
+      template_name TEXT NOT NULL,
+      reason TEXT,
+      dialog360_error_id INTEGER REFERENCES dialog360_errors(id) ON DELETE SET NULL,
+      paused_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      resumed_at TIMESTAMP,
+      resumed_by TEXT
+    )
+  `);
+
+  // At most one active pause per template
+  await client.query(
+    'CREATE UNIQUE INDEX idx_template_pauses_active ON template_pauses (template_name) WHERE resumed_at IS NULL'
+  );
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS template_pauses');
+  await client.query('DROP TABLE IF EXISTS dialog360_errors');
+}
@@ -0,0 +1,17 @@
+/**
+ * Default phone country per user
+ *
+ * Local phone numbers (without +) in imports and sends are read in the
+ * owner's default country. Existing users are Israeli.
+ */
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN default_country TEXT NOT NULL DEFAULT 'IL'
+  `);
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS default_country');
+}
@@ -0,0 +1,31 @@
+/**
+ * Contact emails and merge history
+ *
+ * contacts.email is filled by the importers that provide one (Google, VCF,
+ * guest uploads) and is used for duplicate detection. contact_merges keeps a
+ * snapshot of every contact merged into another one.
+ */
+
+export async function up(client) {
+  await client.query('ALTER TABLE contacts ADD COLUMN email TEXT');
+
+  await client.query(`
+    CREATE TABLE contact_merges (
+      id SERIAL PRIMARY KEY,
+      contact_owner TEXT NOT NULL,
+      surviving_contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      merged_contact_id INTEGER NOT NULL,
+      merged_contact JSONB NOT NULL,
+      event_contacts_moved INTEGER NOT NULL DEFAULT 0,
+      event_messages_moved INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_contact_merges_surviving ON contact_merges (surviving_contact_id)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS contact_merges');
+  await client.query('ALTER TABLE contacts DROP COLUMN IF EXISTS email');
+}
@@ -0,0 +1,46 @@
+/**
+ * Households (parties)
+ *
+ * Contacts can be grouped into a household that receives one invitation per
+ * event. households.primary_contact_id is the default recipient;
+ * household_event_recipients overrides it for a single event.
+ * event_messages.household_id marks invitations sent on behalf of a household
+ * so the RSVP is counted once for all of its members.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE households (
+      id SERIAL PRIMARY KEY,
+      owner_email TEXT NOT NULL,
+      name TEXT NOT NULL,
+      primary_contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_households_owner ON households (owner_email)');
+
+  await client.query('ALTER TABLE contacts ADD COLUMN household_id INTEGER REFERENCES households(id) ON DELETE SET NULL');
+  await client.query('CREATE INDEX idx_contacts_household ON contacts (household_id)');
+
+  await client.query(`
+    CREATE TABLE household_event_recipients (
+      household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+      event_id TEXT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      PRIMARY KEY (household_id, event_id)
+    )
+  `);
+
+  await client.query('ALTER TABLE event_messages ADD COLUMN household_id INTEGER REFERENCES households(id) ON DELETE SET NULL');
+  await client.query('CREATE INDEX idx_event_messages_household ON event_messages (event_id, household_id)');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE event_messages DROP COLUMN IF EXISTS household_id');
+  await client.query('DROP TABLE IF EXISTS household_event_recipients');
+  await client.query('ALTER TABLE contacts DROP COLUMN IF EXISTS household_id');
+  await client.query('DROP TABLE IF EXISTS households');
+}
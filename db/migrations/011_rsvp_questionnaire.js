@@ -0,0 +1,36 @@
+/**
+ * RSVP questionnaire
+ *
+ * events.rsvp_questionnaire configures the questions asked after "attending"
+ * (see Services/dialog360/rsvpQuestionnaire.js); null keeps the single guest
+ * count question. The answers are stored on the invitation's event_messages
+ * row, and questionnaire_step is the question the guest still has to answer.
+ */
+
+export async function up(client) {
+  await client.query('ALTER TABLE events ADD COLUMN rsvp_questionnaire JSONB');
+
+  await client.query(`
+    ALTER TABLE event_messages
+      ADD COLUMN questionnaire_step TEXT,
+      ADD COLUMN adults_count INTEGER,
+      ADD COLUMN children_count INTEGER,
+      ADD COLUMN vegetarian_count INTEGER,
+      ADD COLUMN vegan_count INTEGER,
+      ADD COLUMN gluten_free_count INTEGER
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE event_messages
+      DROP COLUMN IF EXISTS questionnaire_step,
+      DROP COLUMN IF EXISTS adults_count,
+      DROP COLUMN IF EXISTS children_count,
+      DROP COLUMN IF EXISTS vegetarian_count,
+      DROP COLUMN IF EXISTS vegan_count,
+      DROP COLUMN IF EXISTS gluten_free_count
+  `);
+
+  await client.query('ALTER TABLE events DROP COLUMN IF EXISTS rsvp_questionnaire');
+}
@@ -0,0 +1,84 @@
+/**
+ * RSVP flows and conversations
+ *
+ * events.rsvp_flow holds an owner-defined conversation flow (see
+ * Services/dialog360/rsvpFlows.js); null runs the default flow built from
+ * rsvp_questionnaire. rsvp_conversations replaces the awaiting_guest_count
+ * flag and questionnaire_step: it keeps the step a guest still has to answer
+ * and the answers given so far. Guests waiting for a question are carried
+ * over (the default flow uses the same step IDs).
+ */
+
+export async function up(client) {
+  await client.query('ALTER TABLE events ADD COLUMN rsvp_flow JSONB');
+
+  await client.query(`
+    CREATE TABLE rsvp_conversations (
+      id SERIAL PRIMARY KEY,
+      event_message_id INTEGER NOT NULL REFERENCES event_messages(id) ON DELETE CASCADE,
+      current_step TEXT,
+      answers JSONB NOT NULL DEFAULT '{}'::jsonb,
+      status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+      started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      completed_at TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_rsvp_conversations_event_message ON rsvp_conversations (event_message_id)');
+  await client.query(`
+    CREATE UNIQUE INDEX idx_rsvp_conversations_active
+    ON rsvp_conversations (event_message_id) WHERE status = 'active'
+  `);
+
+  await client.query(`
+    INSERT INTO rsvp_conversations (event_message_id, current_step, answers)
+    SELECT id,
+           COALESCE(questionnaire_step, 'guest_count'),
+           jsonb_strip_nulls(jsonb_build_object(
+             'guests_coming', guests_coming,
+             'adults_count', adults_count,
+             'children_count', children_count,
+             'vegetarian_count', vegetarian_count,
+             'vegan_count', vegan_count,
+             'gluten_free_count', gluten_free_count
+           ))
+    FROM event_messages
+    WHERE awaiting_guest_count = true
+    AND message_type = 'invitation'
+    AND response = 'מגיע'
+  `);
+
+  await client.query(`
+    ALTER TABLE event_messages
+      DROP COLUMN awaiting_guest_count,
+      DROP COLUMN questionnaire_step
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE event_messages
+      ADD COLUMN awaiting_guest_count BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN questionnaire_step TEXT
+  `);
+
+  // Only default flow steps can be carried back; the plain guest count
+  // question had no questionnaire_step
+  await client.query(`
+    UPDATE event_messages em
+    SET awaiting_guest_count = true,
+        questionnaire_step = CASE
+          WHEN rc.current_step = 'guest_count' AND e.rsvp_questionnaire IS NULL THEN NULL
+          ELSE rc.current_step
+        END
+    FROM rsvp_conversations rc, events e
+    WHERE rc.event_message_id = em.id
+    AND e.id = em.event_id
+    AND rc.status = 'active'
+    AND e.rsvp_flow IS NULL
+  `);
+
+  await client.query('DROP TABLE IF EXISTS rsvp_conversations');
+  await client.query('ALTER TABLE events DROP COLUMN IF EXISTS rsvp_flow');
+}
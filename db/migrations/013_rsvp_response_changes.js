@@ -0,0 +1,62 @@
+/**
+ * RSVP response history and owner notifications
+ *
+ * rsvp_response_changes records every answer a guest gives to an invitation,
+ * including later changes (previous_response is the answer it replaced).
+ * Existing answers are copied in as the first entry of each history.
+ * owner_notifications is the owner's in-app feed; an RSVP change adds an
+ * 'rsvp_changed' notification.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE rsvp_response_changes (
+      id SERIAL PRIMARY KEY,
+      event_message_id INTEGER NOT NULL REFERENCES event_messages(id) ON DELETE CASCADE,
+      event_id TEXT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      previous_response TEXT,
+      new_response TEXT NOT NULL,
+      previous_guests_coming INTEGER,
+      source TEXT,
+      changed_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_rsvp_response_changes_contact ON rsvp_response_changes (contact_id, changed_at)');
+  await client.query('CREATE INDEX idx_rsvp_response_changes_event ON rsvp_response_changes (event_id, changed_at)');
+
+  await client.query(`
+    INSERT INTO rsvp_response_changes (event_message_id, event_id, contact_id, new_response, changed_at)
+    SELECT em.id, em.event_id, em.contact_id, em.response, COALESCE(em.response_time, em.created_at, NOW())
+    FROM event_messages em
+    INNER JOIN events e ON e.id = em.event_id
+    INNER JOIN contacts c ON c.id = em.contact_id
+    WHERE em.message_type = 'invitation'
+    AND em.response IN ('מגיע', 'לא מגיע', 'לא בטוח')
+  `);
+
+  await client.query(`
+    CREATE TABLE owner_notifications (
+      id SERIAL PRIMARY KEY,
+      owner_email TEXT NOT NULL,
+      type TEXT NOT NULL,
+      event_id TEXT REFERENCES events(id) ON DELETE CASCADE,
+      contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+      event_message_id INTEGER REFERENCES event_messages(id) ON DELETE SET NULL,
+      details JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      dismissed_at TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX idx_owner_notifications_open
+    ON owner_notifications (owner_email, created_at) WHERE dismissed_at IS NULL
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS owner_notifications');
+  await client.query('DROP TABLE IF EXISTS rsvp_response_changes');
+}
@@ -0,0 +1,19 @@
+/**
+ * Contact preferred language
+ *
+ * contacts.preferred_language selects the language of the contact's
+ * invitations and RSVP messages (see Services/utils/languages.js);
+ * null means Hebrew.
+ */
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE contacts
+      ADD COLUMN preferred_language TEXT
+      CHECK (preferred_language IN ('he', 'en', 'ru', 'ar', 'fr'))
+  `);
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE contacts DROP COLUMN IF EXISTS preferred_language');
+}
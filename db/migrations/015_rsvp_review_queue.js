@@ -0,0 +1,37 @@
+/**
+ * RSVP review queue
+ *
+ * rsvp_review_items holds free-text replies to invitations the intent
+ * classifier could not read with confidence (see
+ * Services/dialog360/rsvpIntentClassifier.js). The event owner resolves
+ * an item with the guest's answer or dismisses it.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE rsvp_review_items (
+      id SERIAL PRIMARY KEY,
+      event_message_id INTEGER NOT NULL REFERENCES event_messages(id) ON DELETE CASCADE,
+      event_id TEXT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      message_text TEXT NOT NULL,
+      suggested_response TEXT,
+      suggested_guest_count INTEGER,
+      confidence NUMERIC(3, 2) NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+      resolved_response TEXT,
+      resolved_guest_count INTEGER,
+      received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      resolved_at TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX idx_rsvp_review_items_open
+    ON rsvp_review_items (event_id, received_at) WHERE status = 'open'
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS rsvp_review_items');
+}
@@ -0,0 +1,46 @@
+/**
+ * Owner inbox
+ *
+ * inbox_messages keeps the WhatsApp conversation between the business and
+ * each contact: every inbound message from a known contact (RSVP answers are
+ * marked rsvp_handled) and the owner's replies. event_id is the event the
+ * message is about - the invitation it replies to, else the contact's latest
+ * invitation. phone_number is the WhatsApp number the message came from /
+ * went to.
+ *
+ * Media (image / audio / video / document / sticker) is downloaded from the
+ * Dialog360 media API and stored in Cloudinary (media_url).
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE inbox_messages (
+      id SERIAL PRIMARY KEY,
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      event_id TEXT REFERENCES events(id) ON DELETE SET NULL,
+      direction TEXT NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+      phone_number TEXT NOT NULL,
+      message_type TEXT NOT NULL,
+      body TEXT,
+      whatsapp_message_id TEXT UNIQUE,
+      rsvp_handled BOOLEAN NOT NULL DEFAULT FALSE,
+      media_id TEXT,
+      media_mime_type TEXT,
+      media_filename TEXT,
+      media_sha256 TEXT,
+      media_url TEXT,
+      media_status TEXT CHECK (media_status IN ('pending', 'stored', 'failed')),
+      media_error TEXT,
+      sent_by TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      read_at TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_inbox_messages_contact ON inbox_messages (contact_id, created_at)');
+  await client.query('CREATE INDEX idx_inbox_messages_event ON inbox_messages (event_id, created_at)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS inbox_messages');
+}
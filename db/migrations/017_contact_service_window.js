@@ -0,0 +1,48 @@
+/**
+ * Contact customer service window
+ *
+ * contacts.last_inbound_at is when the contact last wrote to the business
+ * on WhatsApp; free-form messages can be sent for 24 hours after it (see
+ * Services/dialog360/serviceWindow.js). Existing contacts are backfilled
+ * from their inbox messages and RSVP answers.
+ *
+ * Session messages that cannot be sent because the window closed are
+ * replaced by an approved template, queued with purpose 'session_fallback'.
+ */
+
+export async function up(client) {
+  await client.query('ALTER TABLE contacts ADD COLUMN last_inbound_at TIMESTAMP');
+
+  await client.query(`
+    UPDATE contacts c
+    SET last_inbound_at = inbound.last_inbound_at
+    FROM (
+      SELECT contact_id, MAX(inbound_at) AS last_inbound_at
+      FROM (
+        SELECT contact_id, created_at AS inbound_at FROM inbox_messages WHERE direction = 'inbound'
+        UNION ALL
+        SELECT contact_id, response_time FROM event_messages WHERE response_time IS NOT NULL
+      ) messages
+      GROUP BY contact_id
+    ) inbound
+    WHERE inbound.contact_id = c.id
+  `);
+
+  await client.query(`
+    ALTER TABLE outbound_messages
+      DROP CONSTRAINT outbound_messages_purpose_check,
+      ADD CONSTRAINT outbound_messages_purpose_check
+        CHECK (purpose IN ('event_message', 'followup', 'session_fallback'))
+  `);
+}
+
+export async function down(client) {
+  await client.query("DELETE FROM outbound_messages WHERE purpose = 'session_fallback'");
+  await client.query(`
+    ALTER TABLE outbound_messages
+      DROP CONSTRAINT outbound_messages_purpose_check,
+      ADD CONSTRAINT outbound_messages_purpose_check
+        CHECK (purpose IN ('event_message', 'followup'))
+  `);
+  await client.query('ALTER TABLE contacts DROP COLUMN IF EXISTS last_inbound_at');
+}
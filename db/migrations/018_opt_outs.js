@@ -0,0 +1,41 @@
+/**
+ * WhatsApp opt-outs (do-not-contact list)
+ *
+ * A guest who replies with an opt-out keyword ("STOP", "הסר") is not sent
+ * WhatsApp messages by any owner (owner_email NULL) until they reply with a
+ * start keyword or an owner lifts the opt-out. Owners can also add their own
+ * contacts to their do-not-contact list (owner_email set).
+ *
+ * phone_number is the Dialog360 number (972544349661); phone_formats holds
+ * every stored spelling of it for matching contacts (see
+ * normalizePhoneNumberFormats).
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE opt_outs (
+      id SERIAL PRIMARY KEY,
+      phone_number TEXT NOT NULL,
+      phone_formats TEXT[] NOT NULL,
+      owner_email TEXT,
+      source TEXT NOT NULL CHECK (source IN ('keyword', 'owner')),
+      keyword TEXT,
+      created_by TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      lifted_at TIMESTAMP,
+      lifted_by TEXT
+    )
+  `);
+
+  // One active opt-out per number and scope
+  await client.query(`
+    CREATE UNIQUE INDEX idx_opt_outs_active
+      ON opt_outs (phone_number, COALESCE(owner_email, ''))
+      WHERE lifted_at IS NULL
+  `);
+  await client.query('CREATE INDEX idx_opt_outs_owner ON opt_outs (owner_email)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS opt_outs');
+}
@@ -0,0 +1,27 @@
+/**
+ * Send windows
+ *
+ * users.send_window is the owner's default send-window policy and
+ * events.send_window overrides it per event (see
+ * Services/dialog360/sendWindow.js); null keeps the defaults.
+ * contacts.timezone is the guest's IANA time zone (null = the time zone of
+ * the phone number's country).
+ *
+ * Queued messages outside the window are deferred to its next opening;
+ * outbound_messages.deferred_reason records why ('quiet_hours', 'shabbat',
+ * 'holiday').
+ */
+
+export async function up(client) {
+  await client.query('ALTER TABLE users ADD COLUMN send_window JSONB');
+  await client.query('ALTER TABLE events ADD COLUMN send_window JSONB');
+  await client.query('ALTER TABLE contacts ADD COLUMN timezone TEXT');
+  await client.query('ALTER TABLE outbound_messages ADD COLUMN deferred_reason TEXT');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE outbound_messages DROP COLUMN IF EXISTS deferred_reason');
+  await client.query('ALTER TABLE contacts DROP COLUMN IF EXISTS timezone');
+  await client.query('ALTER TABLE events DROP COLUMN IF EXISTS send_window');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS send_window');
+}
@@ -0,0 +1,50 @@
+/**
+ * Scheduled send waves
+ *
+ * A send wave queues an event's invitation template to a selection of
+ * contacts (contact_ids, or the event's contacts with any of tag_filter) at
+ * send_at (see Services/sendWaves.js). It can be edited or cancelled while
+ * 'scheduled'. outbound_messages.send_wave_id links the queued messages to
+ * their wave for progress reporting.
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE send_waves (
+      id SERIAL PRIMARY KEY,
+      event_id TEXT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+      owner_email TEXT NOT NULL,
+      name TEXT NOT NULL,
+      template_name TEXT NOT NULL,
+      language_code TEXT,
+      contact_ids INTEGER[],
+      tag_filter TEXT[],
+      send_at TIMESTAMP NOT NULL,
+      status TEXT NOT NULL DEFAULT 'scheduled'
+        CHECK (status IN ('scheduled', 'sending', 'completed', 'failed', 'cancelled')),
+      queued_count INTEGER NOT NULL DEFAULT 0,
+      skipped JSONB NOT NULL DEFAULT '[]',
+      covered_count INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      created_by TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      started_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      cancelled_at TIMESTAMP,
+      CONSTRAINT send_waves_selection_check
+        CHECK (contact_ids IS NOT NULL OR tag_filter IS NOT NULL)
+    )
+  `);
+
+  await client.query(`CREATE INDEX idx_send_waves_due ON send_waves (send_at) WHERE status = 'scheduled'`);
+  await client.query('CREATE INDEX idx_send_waves_event ON send_waves (event_id)');
+
+  await client.query('ALTER TABLE outbound_messages ADD COLUMN send_wave_id INTEGER REFERENCES send_waves(id) ON DELETE SET NULL');
+  await client.query('CREATE INDEX idx_outbound_messages_send_wave ON outbound_messages (send_wave_id) WHERE send_wave_id IS NOT NULL');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE outbound_messages DROP COLUMN IF EXISTS send_wave_id');
+  await client.query('DROP TABLE IF EXISTS send_waves');
+}
@@ -0,0 +1,98 @@
+/**
+ * WhatsApp template registry
+ *
+ * whatsapp_templates holds one row per template language variant, synced
+ * from the WhatsApp Business account through Dialog360 (see
+ * Services/templates/templateSync.js). variable_mapping says how each body
+ * parameter is filled from the event and the guest (see
+ * normalizeVariableMapping in templateConfigurations.js); null falls back to
+ * the built-in configuration of the template.
+ *
+ * The templates that were hard-coded so far are seeded as approved, with
+ * mappings matching their built-in configurations; the first sync corrects
+ * their status and components.
+ */
+
+const LANGUAGES = ['he', 'en', 'ru', 'ar', 'fr'];
+const IMAGE_HEADER = [{ type: 'HEADER', format: 'IMAGE' }];
+
+const EVENT_DETAILS = [
+  { parameter: 'variable_1', value: 'event.type' },
+  { parameter: 'variable_2', value: 'event.celebrators' },
+  { parameter: 'variable_3', value: 'event.day' },
+  { parameter: 'variable_4', value: 'event.date' },
+  { parameter: 'variable_5', value: 'event.venue || event.location' },
+  { parameter: 'variable_6', value: 'event.time' }
+];
+
+const GUEST_NAME = { parameter: 'guest_name', value: 'guest.name' };
+
+const SEED_TEMPLATES = [
+  { name: 'event_invitation', languages: LANGUAGES, category: 'MARKETING', mapping: EVENT_DETAILS },
+  { name: 'invitation_followup', languages: LANGUAGES, category: 'MARKETING', mapping: [GUEST_NAME, ...EVENT_DETAILS] },
+  { name: 'reminder_1', languages: LANGUAGES, category: 'MARKETING', mapping: [GUEST_NAME, ...EVENT_DETAILS] },
+  { name: 'reminder_2', languages: LANGUAGES, category: 'MARKETING', mapping: [GUEST_NAME, ...EVENT_DETAILS] },
+  {
+    name: 'reminder_3',
+    languages: LANGUAGES,
+    category: 'MARKETING',
+    mapping: [
+      GUEST_NAME,
+      { parameter: 'variable_1', value: 'event.celebrators' },
+      { parameter: 'variable_2', value: 'event.obligation' },
+      { parameter: 'variable_3', value: 'event.type' },
+      { parameter: 'variable_4', value: 'event.day' },
+      { parameter: 'variable_5', value: 'event.date' },
+      { parameter: 'variable_6', value: 'event.venue || event.location' },
+      { parameter: 'variable_7', value: 'event.time' }
+    ]
+  },
+  { name: 'event_directions', languages: ['he'], category: 'UTILITY', mapping: [GUEST_NAME, ...EVENT_DETAILS] },
+  {
+    name: 'thank_you_note',
+    languages: ['he'],
+    category: 'MARKETING',
+    components: [],
+    mapping: [GUEST_NAME, { parameter: 'variable_1', value: 'event.name' }]
+  }
+];
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE whatsapp_templates (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      language TEXT NOT NULL,
+      category TEXT,
+      status TEXT NOT NULL,
+      components JSONB NOT NULL DEFAULT '[]',
+      variable_mapping JSONB,
+      external_id TEXT,
+      rejected_reason TEXT,
+      synced_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (name, language)
+    )
+  `);
+
+  for (const template of SEED_TEMPLATES) {
+    for (const language of template.languages) {
+      await client.query(
+        `INSERT INTO whatsapp_templates (name, language, category, status, components, variable_mapping)
+         VALUES ($1, $2, $3, 'approved', $4, $5)`,
+        [
+          template.name,
+          language,
+          template.category,
+          JSON.stringify(template.components ?? IMAGE_HEADER),
+          JSON.stringify(template.mapping)
+        ]
+      );
+    }
+  }
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS whatsapp_templates');
+}
@@ -0,0 +1,65 @@
+import { getContactPhoneNumbers } from '../../Services/utils/phoneNormalization.js';
+
+/**
+ * Normalized contact phone numbers
+ *
+ * contact_phones holds each number stored on a contact in Dialog360 format
+ * (972544349661), read in the owner's default country, so inbound webhooks
+ * find their contact through an index instead of normalizing every stored
+ * number (see Services/database/contactPhonesRepository.js). Existing
+ * contacts are backfilled.
+ */
+
+const BATCH_SIZE = 1000;
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE contact_phones (
+      contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+      phone_number TEXT NOT NULL,
+      PRIMARY KEY (contact_id, phone_number)
+    )
+  `);
+  await client.query('CREATE INDEX idx_contact_phones_phone_number ON contact_phones (phone_number)');
+
+  let lastId = 0;
+
+  for (;;) {
+    const result = await client.query(
+      `SELECT c.id, c.phone_number, c.canonical_form, COALESCE(u.default_country, 'IL') AS default_country
+       FROM contacts c
+       LEFT JOIN users u ON u.email = c.contact_owner
+       WHERE c.id > $1
+       ORDER BY c.id
+       LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+
+    if (result.rows.length === 0) {
+      break;
+    }
+
+    const contactIds = [];
+    const phoneNumbers = [];
+
+    for (const contact of result.rows) {
+      for (const phoneNumber of getContactPhoneNumbers(contact, contact.default_country)) {
+        contactIds.push(contact.id);
+        phoneNumbers.push(phoneNumber);
+      }
+    }
+
+    await client.query(
+      `INSERT INTO contact_phones (contact_id, phone_number)
+       SELECT * FROM unnest($1::integer[], $2::text[])
+       ON CONFLICT DO NOTHING`,
+      [contactIds, phoneNumbers]
+    );
+
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS contact_phones');
+}
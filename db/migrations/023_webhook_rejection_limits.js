@@ -0,0 +1,35 @@
+/**
+ * Webhook rejection limits
+ *
+ * Rejected webhook requests are unauthenticated, so webhook_rejections only
+ * keeps the start of each body (see Services/dialog360/webhookAuth.js) with
+ * its length and SHA-256 digest, and is pruned nightly. Stored bodies are
+ * cut to the same length.
+ */
+
+const MAX_BODY_LENGTH = 2 * 1024;
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE webhook_rejections
+      ADD COLUMN body_length INTEGER,
+      ADD COLUMN body_sha256 TEXT
+  `);
+
+  await client.query(
+    `UPDATE webhook_rejections
+     SET body_length = octet_length(body),
+         body_sha256 = encode(sha256(convert_to(body, 'UTF8')), 'hex'),
+         body = left(body, $1)
+     WHERE body IS NOT NULL`,
+    [MAX_BODY_LENGTH]
+  );
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE webhook_rejections
+      DROP COLUMN IF EXISTS body_length,
+      DROP COLUMN IF EXISTS body_sha256
+  `);
+}
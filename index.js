@@ -36,6 +36,28 @@ import { handleDialog360Webhook } from "./Services/dialog360/webhook.js";
 import { handleSendTemplate } from "./Services/dialog360SendTemplate.js";
 import { processFollowupInvitations, triggerFollowupInvitations } from "./Services/followupInvitations.js";
 import { processAutoInvitations, triggerAutoInvitations } from "./Services/autoInvitations.js";
+import { processDueSendWaves } from "./Services/sendWaves.js";
+import { startOutboundWorker } from "./Services/dialog360/outboundQueue.js";
+import { sweepContactUploadSessions } from "./Services/dialog360/messageProcessor.js";
+import { pruneWebhookEvents, pruneWebhookRejections } from "./Services/database/webhookEventsRepository.js";
+import { getMessageTimeline, getEventDeliveryTimeline } from "./Services/database/getMessageTimeline.js";
+import { getDialog360Errors, getTemplatePauses, pauseTemplateEndpoint, resumeTemplateEndpoint } from "./Services/database/getDialog360Errors.js";
+import { getDefaultCountry, updateDefaultCountry } from "./Services/database/userPhoneSettings.js";
+import { getSendWaves, getSendWaveEndpoint, createSendWaveEndpoint, updateSendWaveEndpoint, cancelSendWaveEndpoint } from "./Services/database/sendWaves.js";
+import { getUserSendWindow, updateUserSendWindow, getEventSendWindowEndpoint, updateEventSendWindowEndpoint } from "./Services/database/sendWindows.js";
+import { getContactDuplicates, mergeContactsEndpoint } from "./Services/database/mergeContacts.js";
+import { getWhatsAppTemplates, syncWhatsAppTemplatesEndpoint, updateTemplateVariableMapping } from "./Services/database/whatsappTemplates.js";
+import { previewTemplate } from "./Services/database/previewTemplate.js";
+import { syncTemplatesFromDialog360, refreshTemplateRegistry } from "./Services/templates/templateSync.js";
+import { getRsvpQuestionnaire, updateRsvpQuestionnaire } from "./Services/database/eventRsvpQuestionnaire.js";
+import { getRsvpFlow, updateRsvpFlow } from "./Services/database/eventRsvpFlow.js";
+import { getEventRsvpHistory } from "./Services/database/rsvpHistory.js";
+import { getNotifications, dismissNotification } from "./Services/database/ownerNotifications.js";
+import { getRsvpReviewQueue, resolveRsvpReviewItem, dismissRsvpReviewItem } from "./Services/database/rsvpReviews.js";
+import { getInbox, getInboxThread, markInboxRead, replyToInboxThread, getInboxMessageMedia } from "./Services/database/inbox.js";
+import { getOptOuts, addOptOut, liftOptOutEndpoint } from "./Services/database/optOuts.js";
+import { exportEventRsvps } from "./Services/database/exportEventRsvps.js";
+import { getHouseholds, createHouseholdEndpoint, updateHouseholdEndpoint, deleteHouseholdEndpoint, getEventHouseholds, setEventHouseholdRecipient } from "./Services/database/households.js";
 
 // Import extracted endpoint functions
 import { verifyJwt } from "./Services/auth/verifyJwt.js";
@@ -49,7 +71,10 @@ import { googleContactsFetch } from "./Services/contacts/googleContactsFetch.js"
 import { excelContacts } from "./Services/contacts/excelContacts.js";
 import { appleContacts } from "./Services/contacts/appleContacts.js";
 import { healthCheck } from "./Services/health.js";
-import { updateContactTags, getUserTags, getContactsByTag, addTagsColumnToContacts, updateTagName, removeTag } from "./Services/database/addTagsToContacts.js";
+import { updateContactTags, getUserTags, getContactsByTag, updateTagName, removeTag } from "./Services/database/addTagsToContacts.js";
+import { authMiddleware } from "./middleware/authMiddleware.js";
+import { requireEventOwnership, requireContactOwnership } from "./middleware/ownershipMiddleware.js";
+import { requireAdmin } from "./middleware/adminMiddleware.js";
 
 const port = 4000
 const app = express();
@@ -91,7 +116,15 @@ app.use((req, res, next) => {
     exposedHeaders: ['Set-Cookie']
   })(req, res, next);
 });
-app.use(express.json({ limit: "10mb" }));  // Increase JSON payload size
+app.use(express.json({
+  limit: "10mb", // Increase JSON payload size
+  verify: (req, res, buf) => {
+    // Keep the raw body for Dialog360 webhook signature verification
+    if (req.originalUrl.startsWith('/api/dialog360/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ limit: "10mb", extended: true })); 
 app.use(cookieParser()); // Add cookie-parser middleware
 
@@ -135,79 +168,146 @@ app.post('/api/create-invitation', createInvitation);
 app.get('/api/google-contacts', googleContacts);
 
 // Google contacts fetch endpoint
-app.post('/api/google-contacts/fetch', googleContactsFetch);
+app.post('/api/google-contacts/fetch', authMiddleware, googleContactsFetch);
 
 // Excel contacts endpoint
 app.post('/api/excel-contacts', upload.single('file'), excelContacts);
 
 // Apple contacts endpoint
-app.post('/api/apple-contacts', upload.single('file'), appleContacts);
+app.post('/api/apple-contacts', authMiddleware, upload.single('file'), appleContacts);
 
 // Logout endpoint
 app.get('/api/logout', logout);
 
-app.get('/api/user-events', getUserEvents)
+// Ownership checks for owner-scoped routes (run after authMiddleware)
+const ownsBodyEvent = requireEventOwnership(req => req.body.eventId);
+const ownsQueryEvent = requireEventOwnership(req => req.query.eventId);
+const ownsParamEvent = requireEventOwnership(req => req.params.eventId);
+const ownsBodyContacts = requireContactOwnership(req => req.body.contactIds);
+const ownsBodyContact = requireContactOwnership(req => req.body.contactId);
+const ownsParamContact = requireContactOwnership(req => req.params.id);
+const ownsMergeContacts = requireContactOwnership(req => [req.body.survivorId, ...(Array.isArray(req.body.mergedIds) ? req.body.mergedIds : [])]);
+
+app.get('/api/user-events', authMiddleware, getUserEvents)
+
+app.get('/api/user/default-country', authMiddleware, getDefaultCountry);
+app.put('/api/user/default-country', authMiddleware, updateDefaultCountry);
+app.get('/api/user/send-window', authMiddleware, getUserSendWindow);
+app.put('/api/user/send-window', authMiddleware, updateUserSendWindow);
 
-app.get('/api/event-response-stats', getEventResponseStats)
+app.get('/api/event-response-stats', authMiddleware, ownsQueryEvent, getEventResponseStats)
 
-app.get('/api/event-details/:eventId', getEventDetails);
+app.get('/api/event-details/:eventId', authMiddleware, ownsParamEvent, getEventDetails);
 
-app.get('/api/fetch-event/:eventId', getEventById);
+app.get('/api/fetch-event/:eventId', authMiddleware, ownsParamEvent, getEventById);
 
-app.post("/api/extract-excel", upload.single("file"), extractExcelData);
+// Delivery timeline endpoints (sent / delivered / read / failed per message)
+app.get('/api/event-delivery-timeline/:eventId', authMiddleware, ownsParamEvent, getEventDeliveryTimeline);
+
+app.get('/api/events/:eventId/rsvp-questionnaire', authMiddleware, ownsParamEvent, getRsvpQuestionnaire);
+app.put('/api/events/:eventId/rsvp-questionnaire', authMiddleware, ownsParamEvent, updateRsvpQuestionnaire);
+app.get('/api/events/:eventId/rsvp-flow', authMiddleware, ownsParamEvent, getRsvpFlow);
+app.put('/api/events/:eventId/rsvp-flow', authMiddleware, ownsParamEvent, updateRsvpFlow);
+app.get('/api/events/:eventId/send-window', authMiddleware, ownsParamEvent, getEventSendWindowEndpoint);
+app.put('/api/events/:eventId/send-window', authMiddleware, ownsParamEvent, updateEventSendWindowEndpoint);
+app.get('/api/events/:eventId/send-waves', authMiddleware, ownsParamEvent, getSendWaves);
+app.post('/api/events/:eventId/send-waves', authMiddleware, ownsParamEvent, ownsBodyContacts, createSendWaveEndpoint);
+app.get('/api/events/:eventId/send-waves/:waveId', authMiddleware, ownsParamEvent, getSendWaveEndpoint);
+app.put('/api/events/:eventId/send-waves/:waveId', authMiddleware, ownsParamEvent, ownsBodyContacts, updateSendWaveEndpoint);
+app.delete('/api/events/:eventId/send-waves/:waveId', authMiddleware, ownsParamEvent, cancelSendWaveEndpoint);
+app.get('/api/events/:eventId/rsvp-history', authMiddleware, ownsParamEvent, getEventRsvpHistory);
+app.get('/api/events/:eventId/rsvp-export', authMiddleware, ownsParamEvent, exportEventRsvps);
+app.get('/api/message-timeline/:messageId', authMiddleware, getMessageTimeline);
+
+app.post("/api/extract-excel", authMiddleware, upload.single("file"), extractExcelData);
 
 app.post("/api/auth/google", googleAuth)
 
-app.post("/api/contacts", sendContactsToDatabase)
+app.post("/api/contacts", authMiddleware, sendContactsToDatabase)
 
-app.post("/contacts/by-owner", getContactsByOwner)
-app.post("/contacts/by-event-with-tags", getContactsByEventWithTags)
+app.post("/contacts/by-owner", authMiddleware, getContactsByOwner)
+app.post("/contacts/by-event-with-tags", authMiddleware, ownsBodyEvent, getContactsByEventWithTags)
 
 app.post("/signup", signup)
 app.post("/verify-email", verifyEmail)
 
 app.post("/login", login)
 
-app.post('/sendEmail', sendEmail)
+app.post('/sendEmail', authMiddleware, sendEmail)
+
+app.post('/invitations/contacts', authMiddleware, sendInvitationResponse) // delete soon dummy code
 
-app.post('/invitations/contacts', sendInvitationResponse) // delete soon dummy code
+app.post('/api/event-invitation', authMiddleware, ownsBodyEvent, requireContactOwnership(req => req.body.contacts?.map(c => c.id)), sendEventMessages)
 
-app.post('/api/event-invitation', sendEventMessages)
+app.post('/api/create-event', authMiddleware, createEvent)
 
-app.post('/api/create-event', createEvent)
+app.put('/api/update-event', authMiddleware, ownsBodyEvent, updateEvent);
 
-app.put('/api/update-event', updateEvent);
+app.post('/api/auto-invite/enable', authMiddleware, ownsBodyEvent, enableAutoInvite);
 
-app.post('/api/auto-invite/enable', enableAutoInvite);
+app.post('/event-contacts', authMiddleware, ownsBodyEvent, ownsBodyContact, addContactToEvent);
 
-app.post('/event-contacts', addContactToEvent);
+app.post('/api/move-contacts', authMiddleware, requireEventOwnership(req => req.body.targetEventId), ownsBodyContacts, moveContactsEndpoint);
 
-app.post('/api/move-contacts', moveContactsEndpoint);
+app.get('/api/contacts/duplicates', authMiddleware, getContactDuplicates);
+app.post('/api/contacts/merge', authMiddleware, ownsMergeContacts, mergeContactsEndpoint);
 
-app.patch('/api/contacts/:id', updateContact);
+app.get('/api/households', authMiddleware, getHouseholds);
+app.post('/api/households', authMiddleware, ownsBodyContacts, createHouseholdEndpoint);
+app.put('/api/households/:householdId', authMiddleware, ownsBodyContacts, updateHouseholdEndpoint);
+app.delete('/api/households/:householdId', authMiddleware, deleteHouseholdEndpoint);
+app.get('/api/events/:eventId/households', authMiddleware, ownsParamEvent, getEventHouseholds);
+app.put('/api/events/:eventId/households/:householdId/recipient', authMiddleware, ownsParamEvent, setEventHouseholdRecipient);
 
-app.delete('/api/delete-event', deleteEvent);
-app.delete('/api/contacts/:id', deleteContact);
-app.delete('/api/event-contacts', deleteEventContact);
-app.delete('/api/guest-uploads/:uploadId', deleteGuestUpload);
+app.patch('/api/contacts/:id', authMiddleware, ownsParamContact, updateContact);
 
-// Guest contacts upload endpoint
+app.delete('/api/delete-event', authMiddleware, ownsBodyEvent, deleteEvent);
+app.delete('/api/contacts/:id', authMiddleware, ownsParamContact, deleteContact);
+app.delete('/api/event-contacts', authMiddleware, ownsBodyEvent, ownsBodyContact, deleteEventContact);
+app.delete('/api/guest-uploads/:uploadId', authMiddleware, deleteGuestUpload);
+
+// Guest contacts upload endpoint (public - authorized by the guest invitation token)
 app.post('/upload-guest-contacts', uploadGuestContacts);
 
 // Guest uploads fetch endpoint
-app.get('/api/guest-uploads', getGuestUploads);
-app.get('/api/guest-uploads/:uploadId/contacts', getGuestUploadContacts);
+app.get('/api/guest-uploads', authMiddleware, getGuestUploads);
+app.get('/api/guest-uploads/:uploadId/contacts', authMiddleware, getGuestUploadContacts);
 
 // Followup notifications endpoints
-app.get('/api/followup-notifications', getFollowupNotifications);
-app.delete('/api/followup-notifications/:notificationId', dismissFollowupNotification);
+app.get('/api/followup-notifications', authMiddleware, getFollowupNotifications);
+app.delete('/api/followup-notifications/:notificationId', authMiddleware, dismissFollowupNotification);
+
+// Owner notifications (RSVP changes)
+app.get('/api/notifications', authMiddleware, getNotifications);
+app.delete('/api/notifications/:notificationId', authMiddleware, dismissNotification);
+
+// RSVP review queue (free-text replies the classifier was not sure about)
+app.get('/api/rsvp-reviews', authMiddleware, getRsvpReviewQueue);
+app.post('/api/rsvp-reviews/:reviewId/resolve', authMiddleware, resolveRsvpReviewItem);
+app.delete('/api/rsvp-reviews/:reviewId', authMiddleware, dismissRsvpReviewItem);
+
+// Owner inbox (guest WhatsApp conversations)
+app.get('/api/inbox', authMiddleware, getInbox);
+app.get('/api/inbox/messages/:messageId/media', authMiddleware, getInboxMessageMedia);
+app.get('/api/inbox/:contactId', authMiddleware, getInboxThread);
+app.post('/api/inbox/:contactId/read', authMiddleware, markInboxRead);
+app.post('/api/inbox/:contactId/reply', authMiddleware, replyToInboxThread);
+
+// Do-not-contact list (WhatsApp opt-outs)
+app.get('/api/opt-outs', authMiddleware, getOptOuts);
+app.post('/api/opt-outs', authMiddleware, addOptOut);
+app.delete('/api/opt-outs/:optOutId', authMiddleware, liftOptOutEndpoint);
 
 // WhatsApp token management endpoints
-app.get('/api/whatsapp/token-status/:userEmail', async (req, res) => {
+// The :userEmail segment is kept for older clients but must match the authenticated user
+app.get(['/api/whatsapp/token-status', '/api/whatsapp/token-status/:userEmail'], authMiddleware, async (req, res) => {
   try {
-    const { userEmail } = req.params;
+    if (req.params.userEmail && req.params.userEmail !== req.user.email) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
     const { getActiveTokenForUser } = await import('./Services/dialog360/messageProcessor.js');
-    const tokenData = await getActiveTokenForUser(userEmail);
+    const tokenData = await getActiveTokenForUser(req.user.email);
     
     res.json({ success: true, token: tokenData });
   } catch (error) {
@@ -216,9 +316,9 @@ app.get('/api/whatsapp/token-status/:userEmail', async (req, res) => {
   }
 });
 
-app.post('/api/whatsapp/generate-token', async (req, res) => {
+app.post('/api/whatsapp/generate-token', authMiddleware, async (req, res) => {
   try {
-    const { userEmail, userName } = req.body;
+    const { email: userEmail, name: userName } = req.user;
     console.log('🔑 Generate token request - Email:', userEmail, 'Name:', userName);
     const { generateAndStoreToken } = await import('./Services/dialog360/messageProcessor.js');
     const token = await generateAndStoreToken(userEmail, userName);
@@ -231,12 +331,24 @@ app.post('/api/whatsapp/generate-token', async (req, res) => {
     }
 });
 
+app.post('/api/whatsapp/revoke-token', authMiddleware, async (req, res) => {
+  try {
+    const { revokeTokensForUser } = await import('./Services/dialog360/messageProcessor.js');
+    const revoked = await revokeTokensForUser(req.user.email);
+
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('❌ Token revocation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Tag management endpoints
-app.post('/api/contacts/update-tags', updateContactTags);
-app.post('/api/contacts/update-tag-name', updateTagName);
-app.post('/api/contacts/remove-tag', removeTag);
-app.post('/api/contacts/tags', getUserTags);
-app.post('/api/contacts/by-tag', getContactsByTag);
+app.post('/api/contacts/update-tags', authMiddleware, ownsBodyEvent, updateContactTags);
+app.post('/api/contacts/update-tag-name', authMiddleware, ownsBodyEvent, updateTagName);
+app.post('/api/contacts/remove-tag', authMiddleware, removeTag);
+app.post('/api/contacts/tags', authMiddleware, getUserTags);
+app.post('/api/contacts/by-tag', authMiddleware, getContactsByTag);
 
 // Contact form endpoint
 app.options('/api/contact-form', (req, res) => {
@@ -255,16 +367,31 @@ app.post('/api/contact-form', (req, res, next) => {
 app.post('/api/dialog360/webhook', handleDialog360Webhook);
 
 // Dialog 360 send template message endpoint
-app.post('/api/dialog360/send-template', handleSendTemplate);
+app.post('/api/dialog360/send-template', authMiddleware, ownsBodyEvent, ownsBodyContacts, handleSendTemplate);
+
+// Template preview - what a guest would receive, nothing is sent
+app.post('/api/events/:eventId/template-preview', authMiddleware, ownsParamEvent, ownsBodyContact, previewTemplate);
+
+// Dialog360 error and template pause admin endpoints (ADMIN_EMAILS)
+app.get('/api/admin/dialog360-errors', authMiddleware, requireAdmin, getDialog360Errors);
+app.get('/api/admin/template-pauses', authMiddleware, requireAdmin, getTemplatePauses);
+app.post('/api/admin/template-pauses/:templateName/pause', authMiddleware, requireAdmin, pauseTemplateEndpoint);
+app.post('/api/admin/template-pauses/:templateName/resume', authMiddleware, requireAdmin, resumeTemplateEndpoint);
+
+// WhatsApp template registry admin endpoints (ADMIN_EMAILS)
+app.get('/api/admin/templates', authMiddleware, requireAdmin, getWhatsAppTemplates);
+app.post('/api/admin/templates/sync', authMiddleware, requireAdmin, syncWhatsAppTemplatesEndpoint);
+app.put('/api/admin/templates/:templateId/variable-mapping', authMiddleware, requireAdmin, updateTemplateVariableMapping);
 
 // Followup invitations endpoint (for manual testing)
-app.post('/api/followup-invitations/trigger', triggerFollowupInvitations);
+app.post('/api/followup-invitations/trigger', authMiddleware, requireAdmin, triggerFollowupInvitations);
 
-// Auto-invite endpoint (for manual testing)
-app.post('/api/auto-invite/trigger', triggerAutoInvitations);
+// Auto-invite endpoint (for manual testing; ?dryRun=true lists what would be sent without sending)
+app.post('/api/auto-invite/trigger', authMiddleware, requireAdmin, triggerAutoInvitations);
 
 // Setup cron job for followup invitations
 // Runs daily at 10:00 AM to send followup invitations
+// (queued messages wait for each guest's send window - see Services/dialog360/sendWindow.js)
 cron.schedule('0 10 * * *', async () => {
   console.log('🕙 Cron job triggered: Processing followup invitations...');
   try {
@@ -280,6 +407,7 @@ cron.schedule('0 10 * * *', async () => {
 
 // Setup cron job for auto-invitations
 // Runs daily at 10:00 AM to process auto-invite events
+// (queued messages wait for each guest's send window - see Services/dialog360/sendWindow.js)
 cron.schedule('0 10 * * *', async () => {
   console.log('🕙 Cron job triggered: Processing auto-invitations...');
   try {
@@ -293,4 +421,69 @@ cron.schedule('0 10 * * *', async () => {
   timezone: "Asia/Jerusalem" // Israeli timezone
 });
 
+// Setup cron job for scheduled send waves
+// Runs every minute to queue the waves that are due
+cron.schedule('* * * * *', async () => {
+  try {
+    const result = await processDueSendWaves();
+    if (result.processed > 0) {
+      console.log('✅ Send waves processed:', result);
+    }
+  } catch (error) {
+    console.error('❌ Send wave processing failed:', error);
+  }
+}, {
+  scheduled: true,
+  timezone: "Asia/Jerusalem" // Israeli timezone
+});
+
+// Setup cron job for WhatsApp contact-upload sessions
+// Runs every minute to save contacts from sessions that went idle
+cron.schedule('* * * * *', async () => {
+  try {
+    await sweepContactUploadSessions();
+  } catch (error) {
+    console.error('❌ Upload session sweep failed:', error);
+  }
+}, {
+  scheduled: true,
+  timezone: "Asia/Jerusalem" // Israeli timezone
+});
+
+// Setup cron job for the Dialog360 webhook ledger
+// Runs daily at 03:00 AM to drop processed-event keys and rejected requests older than 30 days
+cron.schedule('0 3 * * *', async () => {
+  try {
+    const deleted = await pruneWebhookEvents(30);
+    const rejections = await pruneWebhookRejections(30);
+    console.log(`🧹 Pruned ${deleted} webhook ledger entries and ${rejections} webhook rejections`);
+  } catch (error) {
+    console.error('❌ Webhook ledger prune failed:', error);
+  }
+}, {
+  scheduled: true,
+  timezone: "Asia/Jerusalem" // Israeli timezone
+});
+
+// Setup cron job for the WhatsApp template registry
+// Runs daily at 04:00 AM to import new, changed and removed templates from Dialog360
+cron.schedule('0 4 * * *', async () => {
+  try {
+    await syncTemplatesFromDialog360();
+  } catch (error) {
+    console.error('❌ WhatsApp template sync failed:', error);
+  }
+}, {
+  scheduled: true,
+  timezone: "Asia/Jerusalem" // Israeli timezone
+});
+
+// Load the template registry; templates use their built-in configurations until it is loaded
+refreshTemplateRegistry()
+  .then(count => console.log(`🧩 Template registry loaded with ${count} approved variants`))
+  .catch(error => console.error('❌ Template registry load failed:', error));
+
+// Drain the outbound WhatsApp message queue in the background
+startOutboundWorker();
+
 app.listen(port, () => console.log(`Server running on port ${port}`));
\ No newline at end of file
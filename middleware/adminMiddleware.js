@@ -0,0 +1,34 @@
+/**
+ * Admin Middleware
+ *
+ * Restricts operator routes to the emails listed in ADMIN_EMAILS
+ * (comma separated, case insensitive). Must run after authMiddleware.
+ *
+ * Responds with 403 when the user is not an admin (or no admins are configured).
+ */
+
+function getAdminEmails() {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Check whether an email belongs to an admin
+ *
+ * @param {string} email - User email
+ * @returns {boolean}
+ */
+export function isAdminEmail(email) {
+  return !!email && getAdminEmails().includes(email.toLowerCase());
+}
+
+export function requireAdmin(req, res, next) {
+  if (!isAdminEmail(req.user?.email)) {
+    console.log(`❌ Admin access denied for ${req.user?.email}`);
+    return res.status(403).json({ error: "Forbidden: Admin access required" });
+  }
+
+  next();
+}
@@ -1,43 +1,101 @@
 import jwt from 'jsonwebtoken';
 
+/**
+ * Extract the JWT from the request
+ * Supports the same token locations as /api/verify-jwt:
+ * - jwtToken cookie (Desktop/Android, Google Auth)
+ * - accessToken cookie
+ * - Authorization: Bearer header (iOS - token kept in localStorage)
+ *
+ * @param {Object} req - Express request object
+ * @returns {{ token: string|null, fromCookie: boolean }}
+ */
+function extractToken(req) {
+  const cookieToken = req.cookies?.jwtToken || req.cookies?.accessToken;
+
+  if (cookieToken) {
+    return { token: cookieToken, fromCookie: true };
+  }
+
+  const authHeader = req.get('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return { token: authHeader.substring(7), fromCookie: false };
+  }
+
+  return { token: null, fromCookie: false };
+}
+
+/**
+ * Authentication middleware
+ *
+ * Verifies the JWT and exposes the authenticated identity as req.user
+ * ({ name, email, email_verified, googleId }). Owner-scoped handlers must read
+ * the owner from req.user.email and never from the request body or query.
+ *
+ * Responds with 401 when the token is missing, expired or invalid.
+ */
 export function authMiddleware(req, res, next) {
   console.log('🔍 Auth Middleware - Starting...');
-  
-  const token = req.cookies?.jwtToken;
-  
+
+  const { token, fromCookie } = extractToken(req);
+
   if (!token) {
-    console.log('❌ No JWT token found in cookies');
+    console.log('❌ No JWT token found in cookies or Authorization header');
     return res.status(401).json({ error: "Access denied. No token provided." });
   }
-  
+
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.email) {
+      console.log('❌ Token has no email claim');
+      return res.status(401).json({ error: "Invalid token" });
+    }
+
     console.log('✅ Token verified for user:', decoded.email);
-    
+
     // Add user info to request
-    req.user = decoded;
-    
-    // Reset token expiration on every authenticated request
-    const newToken = jwt.sign(
-      { name: decoded.name, email: decoded.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
-    
-    // Set new cookie with fresh expiration
-    res.cookie("jwtToken", newToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax",
-      path: "/",
-      maxAge: 60 * 60 * 24 * 7 * 1000, // 7 days
-    });
-    
-    console.log('✅ New token set, proceeding to route handler');
+    req.user = {
+      name: decoded.name,
+      email: decoded.email,
+      email_verified: decoded.email_verified !== undefined ? decoded.email_verified : true,
+      googleId: decoded.googleId
+    };
+
+    // Reset token expiration on every authenticated cookie request
+    // (iOS keeps its token in localStorage, so there is no cookie to refresh)
+    if (fromCookie) {
+      const newToken = jwt.sign(
+        {
+          name: decoded.name,
+          email: decoded.email,
+          ...(decoded.email_verified !== undefined && { email_verified: decoded.email_verified }),
+          ...(decoded.googleId && { googleId: decoded.googleId })
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: "7d" }
+      );
+
+      // Set new cookie with fresh expiration
+      res.cookie("jwtToken", newToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax",
+        path: "/",
+        maxAge: 60 * 60 * 24 * 7 * 1000, // 7 days
+      });
+    }
+
+    console.log('✅ Proceeding to route handler');
     next();
-    
+
   } catch (error) {
     console.log('❌ Token verification failed:', error.message);
+
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: "Token expired" });
+    }
+
     res.status(401).json({ error: "Invalid token" });
   }
-} 
\ No newline at end of file
+}
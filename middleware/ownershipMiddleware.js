@@ -0,0 +1,97 @@
+import pool from '../db/db.js';
+
+/**
+ * Ownership Middleware
+ *
+ * Route-level ownership checks for owner-scoped resources.
+ * Must run after authMiddleware (relies on req.user.email).
+ *
+ * Response contract:
+ * - 401: not authenticated (returned by authMiddleware)
+ * - 403: resource exists but belongs to another user
+ * - 404: event does not exist
+ *
+ * When the ID getter returns nothing the check is skipped and the handler's own
+ * required-field validation decides (so a missing eventId is still a 400).
+ */
+
+/**
+ * Require that the event referenced by the request belongs to the current user
+ *
+ * @param {Function} getEventId - (req) => eventId
+ * @returns {Function} Express middleware
+ */
+export function requireEventOwnership(getEventId) {
+  return async function eventOwnershipMiddleware(req, res, next) {
+    const eventId = getEventId(req);
+
+    if (!eventId) {
+      return next();
+    }
+
+    try {
+      const result = await pool.query(
+        'SELECT owner_email FROM events WHERE id = $1',
+        [eventId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      if (result.rows[0].owner_email !== req.user.email) {
+        console.log(`❌ Event ${eventId} does not belong to ${req.user.email}`);
+        return res.status(403).json({ error: "Forbidden: Event does not belong to this user" });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Event ownership check failed:', error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
+/**
+ * Require that every contact referenced by the request belongs to the current user
+ *
+ * @param {Function} getContactIds - (req) => contactId | contactId[]
+ * @returns {Function} Express middleware
+ */
+export function requireContactOwnership(getContactIds) {
+  return async function contactOwnershipMiddleware(req, res, next) {
+    const rawIds = getContactIds(req);
+
+    if (rawIds === undefined || rawIds === null || rawIds === '') {
+      return next();
+    }
+
+    const ids = [...new Set((Array.isArray(rawIds) ? rawIds : [rawIds]).map(String))];
+
+    if (ids.length === 0) {
+      return next();
+    }
+
+    // Contact IDs are integers - anything else cannot belong to the user
+    if (ids.some(id => !/^\d+$/.test(id))) {
+      return res.status(400).json({ error: "Invalid contact ID" });
+    }
+
+    try {
+      const result = await pool.query(
+        'SELECT id FROM contacts WHERE id = ANY($1::integer[]) AND contact_owner = $2',
+        [ids, req.user.email]
+      );
+
+      if (result.rows.length !== ids.length) {
+        console.log(`❌ ${ids.length - result.rows.length} contact(s) do not belong to ${req.user.email}`);
+        return res.status(403).json({ error: "Forbidden: Contacts do not belong to this user" });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Contact ownership check failed:', error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
@@ -0,0 +1,420 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import express from 'express';
+import { pathToFileURL } from 'url';
+import {
+  generateMessageId,
+  buildButtonReply,
+  buildInteractiveReply,
+  buildListReply,
+  buildTextMessage,
+  buildContactsMessage,
+  buildMediaMessage,
+  buildStatusUpdate
+} from './webhookPayloads.js';
+
+/**
+ * Dialog360 Mock Server
+ *
+ * Stands in for waba-v2.360dialog.io so WhatsApp flows can run offline:
+ * - POST /messages records outbound templates / interactive / text messages and
+ *   read receipts, and answers like Dialog360 (wamid message IDs)
+ * - Inbound webhooks (button replies, text, contacts, media, statuses) are built and
+ *   POSTed to the server's webhook, signed with the same secrets the server checks
+ * - GET /<mediaId> and the attachment download serve media registered with addMedia
+ * - GET /v1/configs/templates lists the account's templates (DEFAULT_TEMPLATES,
+ *   or those set with setTemplates)
+ *
+ * Point the server at it with D360_BASE_URL=http://localhost:<port>.
+ *
+ * Control API (for manual runs - tests can use the returned object directly):
+ *   GET    /__mock/messages               recorded outbound messages (?to=<phone>)
+ *   DELETE /__mock/messages               clear recorded messages
+ *   POST   /__mock/fail-next              { httpStatus, code, title, details, count } next sends fail
+ *   POST   /__mock/media                  { id, mimeType, base64 } media guests "send" (served by the media API)
+ *   PUT    /__mock/templates              { templates: [{ name, language, status, category, components }] }
+ *   POST   /__mock/inbound/button         { from, payload, text, contextId }
+ *   POST   /__mock/inbound/interactive    { from, id, title, contextId }
+ *   POST   /__mock/inbound/list           { from, id, title, contextId }
+ *   POST   /__mock/inbound/text           { from, text }
+ *   POST   /__mock/inbound/contacts       { from, contacts: [{ name, phone, email }] }
+ *   POST   /__mock/inbound/media          { from, type, mediaId, mimeType, caption, filename }
+ *   POST   /__mock/inbound/status         { id, status, recipientId, errors }
+ *
+ * CLI: npm run mock:dialog360
+ *   MOCK_D360_PORT         - port (default 4360)
+ *   MOCK_D360_WEBHOOK_URL  - webhook to deliver to (default http://localhost:4000/api/dialog360/webhook)
+ *   MOCK_D360_AUTO_STATUS  - 'false' to stop sending sent/delivered statuses for each message
+ */
+
+const DEFAULT_PORT = 4360;
+const DEFAULT_WEBHOOK_URL = 'http://localhost:4000/api/dialog360/webhook';
+const AUTO_STATUS_DELAY_MS = 200;
+
+/**
+ * Templates of the mock account: the app's templates, approved
+ */
+const DEFAULT_TEMPLATES = [
+  ...['event_invitation', 'invitation_followup', 'reminder_1', 'reminder_2', 'reminder_3'].flatMap(name =>
+    ['he', 'en', 'ru', 'ar', 'fr'].map(language => ({ name, language, category: 'MARKETING', withImage: true }))
+  ),
+  { name: 'event_directions', language: 'he', category: 'UTILITY', withImage: true },
+  { name: 'thank_you_note', language: 'he', category: 'MARKETING', withImage: false }
+].map(({ name, language, category, withImage }) => ({
+  name,
+  language,
+  category,
+  status: 'approved',
+  components: [
+    ...(withImage ? [{ type: 'HEADER', format: 'IMAGE' }] : []),
+    { type: 'BODY', text: `${name} ({{guest_name}})` }
+  ]
+}));
+
+/**
+ * A template as Dialog360 lists it
+ */
+function buildTemplateEntry(template, index) {
+  return {
+    id: template.id || `mock-template-${index + 1}`,
+    name: template.name,
+    language: template.language,
+    category: template.category || 'MARKETING',
+    status: template.status || 'approved',
+    components: template.components || [],
+    namespace: 'mock_namespace',
+    rejected_reason: template.rejected_reason || 'NONE'
+  };
+}
+
+/**
+ * Sign a webhook body the way webhookAuth.js verifies it
+ */
+function getWebhookHeaders(rawBody) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (process.env.D360_WEBHOOK_SECRET) {
+    headers[process.env.D360_WEBHOOK_SECRET_HEADER || 'x-webhook-secret'] = process.env.D360_WEBHOOK_SECRET;
+  }
+
+  if (process.env.D360_WEBHOOK_HMAC_SECRET) {
+    const signature = crypto
+      .createHmac('sha256', process.env.D360_WEBHOOK_HMAC_SECRET)
+      .update(rawBody)
+      .digest('hex');
+    headers[process.env.D360_WEBHOOK_SIGNATURE_HEADER || 'x-hub-signature-256'] = `sha256=${signature}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Create a Dialog360 mock server
+ *
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 = random free port)
+ * @param {string} options.webhookUrl - Webhook URL inbound events are delivered to
+ * @param {string} options.apiKey - Expected D360-API-KEY (any key is accepted when omitted)
+ * @param {boolean} options.autoStatuses - Deliver 'sent' and 'delivered' statuses for each outbound message
+ * @returns {Object} Mock server handle
+ */
+export function createDialog360MockServer({
+  port = DEFAULT_PORT,
+  webhookUrl = DEFAULT_WEBHOOK_URL,
+  apiKey = null,
+  autoStatuses = false
+} = {}) {
+  const app = express();
+  const sentMessages = [];
+  const media = new Map();
+  let failures = [];
+  let templates = DEFAULT_TEMPLATES;
+  let server = null;
+
+  app.use(express.json({ limit: '10mb' }));
+
+  /**
+   * Deliver a webhook body to the server under test
+   *
+   * @param {Object} body - Webhook body
+   * @returns {Promise<{ status: number, body: Object }>}
+   */
+  async function sendWebhook(body) {
+    const rawBody = JSON.stringify(body);
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: getWebhookHeaders(rawBody),
+      body: rawBody
+    });
+    return { status: response.status, body };
+  }
+
+  function scheduleAutoStatuses(messageId, to) {
+    setTimeout(async () => {
+      try {
+        await sendWebhook(buildStatusUpdate({ id: messageId, status: 'sent', recipientId: to }));
+        await sendWebhook(buildStatusUpdate({ id: messageId, status: 'delivered', recipientId: to }));
+      } catch (error) {
+        console.error(`❌ Mock Dialog360 could not deliver statuses for ${messageId}:`, error.message);
+      }
+    }, AUTO_STATUS_DELAY_MS);
+  }
+
+  app.post('/messages', (req, res) => {
+    if (apiKey && req.get('D360-API-KEY') !== apiKey) {
+      return res.status(401).json({
+        meta: { api_status: 'stable', version: '2.0', http_code: 401, developer_message: 'Invalid api key' }
+      });
+    }
+
+    const body = req.body || {};
+
+    // Read receipts
+    if (body.status === 'read') {
+      sentMessages.push({ kind: 'read_receipt', messageId: body.message_id, body, receivedAt: new Date() });
+      return res.json({ success: true });
+    }
+
+    if (!body.to || !body.type) {
+      return res.status(400).json({
+        error: { code: 100, title: 'Invalid parameter', message: 'Invalid parameter', error_data: { details: 'Missing to or type' } }
+      });
+    }
+
+    if (failures.length > 0) {
+      const failure = failures[0];
+      failure.remaining--;
+      if (failure.remaining <= 0) failures.shift();
+
+      sentMessages.push({ kind: 'rejected', to: body.to, type: body.type, body, error: failure, receivedAt: new Date() });
+
+      return res.status(failure.httpStatus || 400).json({
+        error: {
+          code: failure.code ?? 131000,
+          title: failure.title || 'Something went wrong',
+          message: failure.title || 'Something went wrong',
+          error_data: { details: failure.details || 'Injected by mock server' }
+        }
+      });
+    }
+
+    const messageId = generateMessageId(body.to);
+    sentMessages.push({
+      kind: 'message',
+      id: messageId,
+      to: body.to,
+      type: body.type,
+      templateName: body.template?.name || null,
+      body,
+      receivedAt: new Date()
+    });
+
+    console.log(`📨 Mock Dialog360: ${body.type}${body.template?.name ? ` (${body.template.name})` : ''} to ${body.to} -> ${messageId}`);
+
+    if (autoStatuses) {
+      scheduleAutoStatuses(messageId, body.to);
+    }
+
+    res.json({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: body.to, wa_id: String(body.to).replace(/\D/g, '') }],
+      messages: [{ id: messageId, ...(body.type === 'template' && { message_status: 'accepted' }) }]
+    });
+  });
+
+  // Template API: paged like Dialog360 (limit, offset)
+  app.get('/v1/configs/templates', (req, res) => {
+    if (apiKey && req.get('D360-API-KEY') !== apiKey) {
+      return res.status(401).json({ meta: { http_code: 401, developer_message: 'Invalid api key' } });
+    }
+
+    const limit = parseInt(req.query.limit) || 1000;
+    const offset = parseInt(req.query.offset) || 0;
+    const entries = templates.map(buildTemplateEntry);
+
+    res.json({
+      count: Math.max(Math.min(limit, entries.length - offset), 0),
+      limit,
+      offset,
+      total: entries.length,
+      waba_templates: entries.slice(offset, offset + limit)
+    });
+  });
+
+  app.get('/__mock/messages', (req, res) => {
+    const messages = req.query.to
+      ? sentMessages.filter(message => message.to === req.query.to)
+      : sentMessages;
+    res.json({ success: true, messages });
+  });
+
+  app.delete('/__mock/messages', (req, res) => {
+    sentMessages.length = 0;
+    res.json({ success: true });
+  });
+
+  app.post('/__mock/fail-next', (req, res) => {
+    failNext(req.body || {});
+    res.json({ success: true, pending: failures.length });
+  });
+
+  app.put('/__mock/templates', (req, res) => {
+    setTemplates(req.body?.templates || []);
+    res.json({ success: true, count: templates.length });
+  });
+
+  app.post('/__mock/media', (req, res) => {
+    const { id, mimeType, base64 = '' } = req.body || {};
+    const mediaId = addMedia({ id, mimeType, data: Buffer.from(base64, 'base64') });
+    res.json({ success: true, id: mediaId });
+  });
+
+  const inboundBuilders = {
+    button: buildButtonReply,
+    interactive: buildInteractiveReply,
+    list: buildListReply,
+    text: buildTextMessage,
+    contacts: buildContactsMessage,
+    media: buildMediaMessage,
+    status: buildStatusUpdate
+  };
+
+  app.post('/__mock/inbound/:kind', async (req, res) => {
+    const builder = inboundBuilders[req.params.kind];
+
+    if (!builder) {
+      return res.status(404).json({ success: false, error: `Unknown inbound kind: ${req.params.kind}` });
+    }
+
+    try {
+      const result = await sendWebhook(builder(req.body || {}));
+      res.json({ success: true, webhookStatus: result.status, body: result.body });
+    } catch (error) {
+      res.status(502).json({ success: false, error: `Webhook delivery failed: ${error.message}` });
+    }
+  });
+
+  // Media API: the file's details, with a WhatsApp CDN URL Dialog360 serves under its own host
+  app.get('/whatsapp_business/attachments', (req, res) => {
+    const file = media.get(req.query.mid);
+
+    if (!file) {
+      return res.status(404).json({ error: { code: 100, title: 'Media not found' } });
+    }
+
+    res.type(file.mimeType).send(file.data);
+  });
+
+  app.get('/:mediaId', (req, res) => {
+    if (apiKey && req.get('D360-API-KEY') !== apiKey) {
+      return res.status(401).json({ error: { code: 0, title: 'Invalid api key' } });
+    }
+
+    const file = media.get(req.params.mediaId);
+
+    if (!file) {
+      return res.status(404).json({ error: { code: 100, title: 'Media not found' } });
+    }
+
+    res.json({
+      messaging_product: 'whatsapp',
+      id: req.params.mediaId,
+      url: `https://lookaside.fbsbx.com/whatsapp_business/attachments/?mid=${encodeURIComponent(req.params.mediaId)}`,
+      mime_type: file.mimeType,
+      sha256: crypto.createHash('sha256').update(file.data).digest('hex'),
+      file_size: file.data.length
+    });
+  });
+
+  /**
+   * Register a media file guests "send" (see buildMediaMessage)
+   *
+   * @param {Object} file - { id, mimeType, data }
+   * @returns {string} Media ID
+   */
+  function addMedia({ id = null, mimeType = 'image/jpeg', data = Buffer.alloc(0) } = {}) {
+    const mediaId = id || crypto.randomBytes(8).toString('hex');
+    media.set(mediaId, { mimeType, data: Buffer.isBuffer(data) ? data : Buffer.from(data) });
+    return mediaId;
+  }
+
+  /**
+   * Make the next sends fail with a Dialog360 error
+   *
+   * @param {Object} failure - { httpStatus, code, title, details, count }
+   */
+  function failNext({ httpStatus = 400, code = 131000, title, details, count = 1 } = {}) {
+    failures.push({ httpStatus, code, title, details, remaining: count });
+  }
+
+  /**
+   * Replace the account's templates
+   *
+   * @param {Array<Object>} list - [{ name, language, status, category, components, rejected_reason }]
+   */
+  function setTemplates(list) {
+    templates = list;
+  }
+
+  return {
+    app,
+    sentMessages,
+    sendWebhook,
+    failNext,
+    addMedia,
+    setTemplates,
+
+    get url() {
+      return server ? `http://localhost:${server.address().port}` : null;
+    },
+
+    /** Outbound messages (excluding read receipts and rejected sends) */
+    getMessages(to = null) {
+      return sentMessages.filter(message => message.kind === 'message' && (!to || message.to === to));
+    },
+
+    clear() {
+      sentMessages.length = 0;
+      media.clear();
+      failures = [];
+      templates = DEFAULT_TEMPLATES;
+    },
+
+    injectButtonReply: (params) => sendWebhook(buildButtonReply(params)),
+    injectInteractiveReply: (params) => sendWebhook(buildInteractiveReply(params)),
+    injectText: (params) => sendWebhook(buildTextMessage(params)),
+    injectContacts: (params) => sendWebhook(buildContactsMessage(params)),
+    injectMedia: (params) => sendWebhook(buildMediaMessage(params)),
+    injectStatus: (params) => sendWebhook(buildStatusUpdate(params)),
+
+    start() {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, () => resolve(this));
+        server.on('error', reject);
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) return resolve();
+        server.close(() => resolve());
+        server = null;
+      });
+    }
+  };
+}
+
+// CLI entry point
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = createDialog360MockServer({
+    port: parseInt(process.env.MOCK_D360_PORT) || DEFAULT_PORT,
+    webhookUrl: process.env.MOCK_D360_WEBHOOK_URL || DEFAULT_WEBHOOK_URL,
+    autoStatuses: process.env.MOCK_D360_AUTO_STATUS !== 'false'
+  });
+
+  mock.start().then(() => {
+    console.log(`🧪 Dialog360 mock server running on ${mock.url}`);
+    console.log(`   Set D360_BASE_URL=${mock.url} on the server (any D360_API_KEY works)`);
+    console.log(`   Webhooks are delivered to ${process.env.MOCK_D360_WEBHOOK_URL || DEFAULT_WEBHOOK_URL}`);
+  });
+}
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+
+/**
+ * Dialog360 Webhook Payload Builders
+ *
+ * Build webhook bodies in the shape Dialog360 (WhatsApp Cloud API) delivers to
+ * /api/dialog360/webhook, for the mock server and tests.
+ */
+
+const DEFAULT_PHONE_NUMBER_ID = 'mock-phone-number-id';
+const DEFAULT_BUSINESS_NUMBER = '972500000000';
+
+// Button texts of the approved invitation templates (see responseMapper.js)
+const RSVP_BUTTON_TEXTS = {
+  yes: 'כן, אני אגיע!',
+  no: 'לצערי, לא',
+  maybe: 'עדיין לא יודע\\ת'
+};
+
+/**
+ * Generate a WhatsApp-style message ID (wamid.<base64>)
+ *
+ * @param {string} phoneNumber - Phone number the message is to / from
+ * @returns {string}
+ */
+export function generateMessageId(phoneNumber = '') {
+  const raw = `${phoneNumber}${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
+  return `wamid.${Buffer.from(raw).toString('base64').replace(/=+$/, '')}`;
+}
+
+function nowTimestamp() {
+  return String(Math.floor(Date.now() / 1000));
+}
+
+/**
+ * Wrap messages / statuses / errors in a webhook envelope
+ *
+ * @param {Object} value - { messages?, statuses?, errors?, contacts? }
+ * @param {string} field - Change field (default 'messages')
+ * @returns {Object} Webhook body
+ */
+export function buildWebhookBody(value, field = 'messages') {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'mock-waba-id',
+      changes: [{
+        field,
+        value: field === 'messages'
+          ? {
+              messaging_product: 'whatsapp',
+              metadata: {
+                display_phone_number: DEFAULT_BUSINESS_NUMBER,
+                phone_number_id: DEFAULT_PHONE_NUMBER_ID
+              },
+              ...value
+            }
+          : value
+      }]
+    }]
+  };
+}
+
+function inboundEnvelope(from, message, name = 'Mock Guest') {
+  return buildWebhookBody({
+    contacts: [{ profile: { name }, wa_id: from }],
+    messages: [{
+      from,
+      id: generateMessageId(from),
+      timestamp: nowTimestamp(),
+      ...message
+    }]
+  });
+}
+
+/**
+ * Template quick-reply button press (type 'button')
+ *
+ * @param {Object} params
+ * @param {string} params.from - Guest phone number
+ * @param {string} params.payload - Button payload (e.g. rsvp_yes_<eventId>)
+ * @param {string} params.text - Button text (defaults to the template's text for rsvp_* payloads)
+ * @param {string} params.contextId - ID of the message the button belongs to (optional)
+ */
+export function buildButtonReply({ from, payload, text, contextId }) {
+  const rsvpMatch = String(payload).match(/^rsvp_(yes|no|maybe)_/);
+
+  return inboundEnvelope(from, {
+    type: 'button',
+    ...(contextId && { context: { from: DEFAULT_BUSINESS_NUMBER, id: contextId } }),
+    button: { payload, text: text ?? (rsvpMatch ? RSVP_BUTTON_TEXTS[rsvpMatch[1]] : payload) }
+  });
+}
+
+/**
+ * Interactive reply button press (type 'interactive' / button_reply)
+ *
+ * @param {Object} params
+ * @param {string} params.from - Guest phone number
+ * @param {string} params.id - Button ID
+ * @param {string} params.title - Button title
+ * @param {string} params.contextId - ID of the interactive message (optional)
+ */
+export function buildInteractiveReply({ from, id, title, contextId }) {
+  return inboundEnvelope(from, {
+    type: 'interactive',
+    ...(contextId && { context: { from: DEFAULT_BUSINESS_NUMBER, id: contextId } }),
+    interactive: { type: 'button_reply', button_reply: { id, title: title ?? id } }
+  });
+}
+
+/**
+ * Interactive list row selection (type 'interactive' / list_reply)
+ *
+ * @param {Object} params
+ * @param {string} params.from - Guest phone number
+ * @param {string} params.id - Row ID
+ * @param {string} params.title - Row title
+ * @param {string} params.contextId - ID of the list message (optional)
+ */
+export function buildListReply({ from, id, title, contextId }) {
+  return inboundEnvelope(from, {
+    type: 'interactive',
+    ...(contextId && { context: { from: DEFAULT_BUSINESS_NUMBER, id: contextId } }),
+    interactive: { type: 'list_reply', list_reply: { id, title: title ?? id } }
+  });
+}
+
+/**
+ * Free text message
+ *
+ * @param {Object} params
+ * @param {string} params.from - Sender phone number
+ * @param {string} params.text - Message body
+ */
+export function buildTextMessage({ from, text }) {
+  return inboundEnvelope(from, {
+    type: 'text',
+    text: { body: text }
+  });
+}
+
+/**
+ * Media message (image / audio / video / document / sticker)
+ * Register the file with the mock server (addMedia) so it can be downloaded.
+ *
+ * @param {Object} params
+ * @param {string} params.from - Sender phone number
+ * @param {string} params.type - 'image' | 'audio' | 'video' | 'document' | 'sticker'
+ * @param {string} params.mediaId - WhatsApp media ID
+ * @param {string} params.mimeType - MIME type
+ * @param {string} params.caption - Caption (image / video / document)
+ * @param {string} params.filename - File name (document)
+ */
+export function buildMediaMessage({ from, type = 'image', mediaId, mimeType = 'image/jpeg', caption, filename }) {
+  return inboundEnvelope(from, {
+    type,
+    [type]: {
+      id: mediaId,
+      mime_type: mimeType,
+      sha256: crypto.createHash('sha256').update(String(mediaId)).digest('base64'),
+      ...(caption && { caption }),
+      ...(filename && { filename })
+    }
+  });
+}
+
+/**
+ * Shared contact cards
+ *
+ * @param {Object} params
+ * @param {string} params.from - Sender phone number
+ * @param {Array<{ name: string, phone: string, email?: string }>} params.contacts - Contacts to share
+ */
+export function buildContactsMessage({ from, contacts }) {
+  return inboundEnvelope(from, {
+    type: 'contacts',
+    contacts: contacts.map(contact => ({
+      name: { formatted_name: contact.name, first_name: contact.name },
+      phones: [{ phone: contact.phone, type: 'CELL', wa_id: String(contact.phone).replace(/\D/g, '') }],
+      ...(contact.email && { emails: [{ email: contact.email, type: 'HOME' }] })
+    }))
+  });
+}
+
+/**
+ * Status update for a message the business sent
+ *
+ * @param {Object} params
+ * @param {string} params.id - WhatsApp message ID
+ * @param {string} params.status - 'sent' | 'delivered' | 'read' | 'failed'
+ * @param {string} params.recipientId - Recipient phone number
+ * @param {Array} params.errors - Errors (failed only)
+ */
+export function buildStatusUpdate({ id, status, recipientId, errors }) {
+  const statusObject = {
+    id,
+    status,
+    timestamp: nowTimestamp(),
+    recipient_id: recipientId
+  };
+
+  if (status === 'sent' || status === 'delivered') {
+    statusObject.conversation = {
+      id: crypto.randomBytes(16).toString('hex'),
+      origin: { type: 'marketing' },
+      ...(status === 'sent' && { expiration_timestamp: String(Math.floor(Date.now() / 1000) + 86400) })
+    };
+    statusObject.pricing = { billable: true, pricing_model: 'CBP', category: 'marketing' };
+  }
+
+  if (status === 'failed') {
+    statusObject.errors = errors || [{
+      code: 131026,
+      title: 'Message undeliverable',
+      message: 'Message undeliverable',
+      error_data: { details: 'Message Undeliverable.' }
+    }];
+  }
+
+  return buildWebhookBody({ statuses: [statusObject] });
+}
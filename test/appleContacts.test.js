@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { appleContacts } from '../Services/contacts/appleContacts.js';
+import { createMockRequest, createMockResponse } from './helpers/httpMocks.js';
+
+async function parseVcf(vcf, defaultCountry = 'IL') {
+  const req = createMockRequest({ body: { defaultCountry }, file: { buffer: Buffer.from(vcf, 'utf-8') } });
+  const res = createMockResponse();
+  await appleContacts(req, res);
+  return res;
+}
+
+const VCF = [
+  'BEGIN:VCARD',
+  'VERSION:3.0',
+  'FN:Dana Levi',
+  'TEL;type=HOME:03-1234567',
+  'TEL;type=CELL:054-434-9661',
+  'END:VCARD',
+  'BEGIN:VCARD',
+  'VERSION:3.0',
+  'FN:יוסי כהן',
+  'TEL;type=CELL:+972 52 123 4567',
+  'TEL;type=WORK:0521234567',
+  'END:VCARD',
+  'BEGIN:VCARD',
+  'VERSION:3.0',
+  'TEL:0501111111',
+  'END:VCARD',
+  ''
+].join('\r\n');
+
+describe('appleContacts', () => {
+  it('parses every vCard in the file', async () => {
+    const res = await parseVcf(VCF);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.contacts.length, 3);
+    assert.deepEqual(res.body.contacts.map(contact => contact.displayName), ['Dana Levi', 'יוסי כהן', 'Unknown']);
+    for (const contact of res.body.contacts) {
+      assert.equal(contact.contactSource, 'VCF');
+      assert.equal(contact.uploadedByEmail, 'owner@example.com');
+      assert.deepEqual(contact.tags, []);
+    }
+  });
+
+  it('puts mobile numbers before landlines', async () => {
+    const [dana] = (await parseVcf(VCF)).body.contacts;
+
+    assert.equal(dana.phoneNumber, '0544349661, 031234567');
+    assert.equal(dana.canonicalForm, 'No canonical number');
+  });
+
+  it('de-duplicates the same number in local and international format', async () => {
+    const [, yossi] = (await parseVcf(VCF)).body.contacts;
+
+    assert.equal(yossi.canonicalForm, '+972521234567');
+    assert.equal(yossi.phoneNumber, 'No local number');
+    assert.equal(yossi.phoneNumbers.length, 1);
+    assert.equal(yossi.phoneNumbers[0].isCanonical, true);
+    assert.equal(yossi.phoneNumbers[0].priority, 1);
+  });
+
+  it('keeps the type of each phone number', async () => {
+    const [dana] = (await parseVcf(VCF)).body.contacts;
+    const byNumber = Object.fromEntries(dana.phoneNumbers.map(phone => [phone.number, phone]));
+
+    assert.equal(byNumber['0544349661'].priority, 1);
+    assert.equal(byNumber['031234567'].priority, 4);
+  });
+
+  it('adds the E.164 form and line type of each number', async () => {
+    const [dana] = (await parseVcf(VCF)).body.contacts;
+    const byNumber = Object.fromEntries(dana.phoneNumbers.map(phone => [phone.number, phone]));
+
+    assert.equal(byNumber['0544349661'].e164, '+972544349661');
+    assert.equal(byNumber['0544349661'].phoneType, 'mobile');
+    assert.equal(byNumber['031234567'].phoneType, 'landline');
+  });
+
+  it('reads local numbers in the requested country', async () => {
+    const vcf = ['BEGIN:VCARD', 'VERSION:3.0', 'FN:Emma', 'TEL;type=HOME:020 7946 0958', 'TEL:07911 123456', 'END:VCARD', ''].join('\r\n');
+    const [emma] = (await parseVcf(vcf, 'GB')).body.contacts;
+
+    assert.equal(emma.phoneNumber, '07911123456, 02079460958');
+    assert.deepEqual(emma.phoneNumbers.map(phone => phone.e164), ['+442079460958', '+447911123456']);
+  });
+
+  it('rejects requests without a file', async () => {
+    const res = createMockResponse();
+    await appleContacts(createMockRequest(), res);
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeContactName,
+  getNameSkeletons,
+  nameSimilarity,
+  getContactPhoneKeys,
+  findDuplicateGroups,
+  buildMergedContactFields
+} from '../Services/contacts/contactDuplicates.js';
+
+describe('normalizeContactName', () => {
+  it('ignores case, punctuation, niqqud and word order', () => {
+    assert.equal(normalizeContactName('Levi, Dana'), normalizeContactName('dana  LEVI'));
+    assert.equal(normalizeContactName('דָּנָה לֵוִי'), 'דנה לוי');
+  });
+
+  it('treats importer placeholders as no name', () => {
+    assert.equal(normalizeContactName('Unknown'), '');
+    assert.equal(normalizeContactName('אורח'), '');
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('matches Hebrew and Latin spellings of the same name', () => {
+    assert.equal(nameSimilarity('דנה לוי', 'Dana Levi'), 1);
+    assert.equal(nameSimilarity('מיכאל כהן', 'Michael Cohen'), 1);
+    assert.equal(nameSimilarity('יוסי כץ', 'Yossi Katz'), 1);
+    assert.deepEqual(getNameSkeletons('אברהם'), getNameSkeletons('Avraham'));
+  });
+
+  it('keeps different names of the same script apart', () => {
+    assert.ok(nameSimilarity('Dana Levi', 'Dina Levi') < 0.9);
+    assert.ok(nameSimilarity('דנה לוי', 'דנה כהן') < 0.9);
+  });
+
+  it('does not match short names across scripts', () => {
+    assert.equal(nameSimilarity('שרה', 'Sarah'), 0);
+  });
+});
+
+describe('getContactPhoneKeys', () => {
+  it('reads local and international numbers from both phone fields', () => {
+    assert.deepEqual(
+      getContactPhoneKeys({ phone_number: '054-434-9661, 03-1234567', canonical_form: '+972544349661' }),
+      ['+972544349661', '+97231234567']
+    );
+    assert.deepEqual(getContactPhoneKeys({ phone_number: 'No local number', canonical_form: 'Dana Levi' }), []);
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  const contacts = [
+    { id: 1, display_name: 'Dana Levi', phone_number: '0544349661', event_count: 0 },
+    { id: 2, display_name: 'דנה', phone_number: 'No local number', canonical_form: '+972544349661', event_count: 2 },
+    { id: 3, display_name: 'Michael Cohen', email: 'Michael@example.com' },
+    { id: 4, display_name: 'Mike', email: 'michael@example.com' },
+    { id: 5, display_name: 'מיכאל כהן', phone_number: '0521111111' },
+    { id: 6, display_name: 'Yossi Katz', phone_number: '0522222222' }
+  ];
+
+  it('groups contacts sharing a phone number with high confidence', () => {
+    const group = findDuplicateGroups(contacts).find(candidate => candidate.contactIds.includes(1));
+
+    assert.deepEqual(group.contactIds, [1, 2]);
+    assert.equal(group.confidence, 'high');
+    assert.deepEqual(group.reasons, ['phone']);
+    assert.equal(group.suggestedSurvivorId, 2);
+  });
+
+  it('links by email and name, with low confidence when only the name matches', () => {
+    const group = findDuplicateGroups(contacts).find(candidate => candidate.contactIds.includes(3));
+
+    assert.deepEqual([...group.contactIds].sort(), [3, 4, 5]);
+    assert.equal(group.confidence, 'low');
+    assert.deepEqual([...group.reasons].sort(), ['email', 'name']);
+  });
+
+  it('leaves unique contacts out', () => {
+    const groups = findDuplicateGroups(contacts);
+    assert.ok(groups.every(group => !group.contactIds.includes(6)));
+    assert.equal(groups[0].confidence, 'high');
+  });
+
+  it('reads local numbers in the owner country', () => {
+    const groups = findDuplicateGroups([
+      { id: 1, display_name: 'Emma', phone_number: '07911 123456' },
+      { id: 2, display_name: 'Emma Jones', canonical_form: '+447911123456' }
+    ], { defaultCountry: 'GB' });
+
+    assert.equal(groups.length, 1);
+  });
+});
+
+describe('buildMergedContactFields', () => {
+  it('combines numbers and tags and fills a missing email', () => {
+    const fields = buildMergedContactFields(
+      { id: 1, phone_number: '0544349661', canonical_form: 'Dana Levi', email: null, tags: ['family'] },
+      [
+        { id: 2, phone_number: '054-434-9661, 031234567', canonical_form: '+447911123456', email: 'dana@example.com', tags: ['family', 'work'] }
+      ]
+    );
+
+    assert.deepEqual(fields, {
+      phone_number: '0544349661, 031234567',
+      canonical_form: '+447911123456',
+      email: 'dana@example.com',
+      tags: ['family', 'work']
+    });
+  });
+
+  it('keeps placeholders when no contact has a number', () => {
+    const fields = buildMergedContactFields(
+      { id: 1, phone_number: 'No local number', canonical_form: 'No canonical number', email: 'a@example.com', tags: null },
+      [{ id: 2, phone_number: 'No local number', canonical_form: 'No canonical number', email: 'b@example.com' }]
+    );
+
+    assert.equal(fields.phone_number, 'No local number');
+    assert.equal(fields.canonical_form, 'No canonical number');
+    assert.equal(fields.email, 'a@example.com');
+    assert.deepEqual(fields.tags, []);
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasTestDatabase, createTestDatabase } from './helpers/testDatabase.js';
+
+/**
+ * mergeContacts against a real database (requires TEST_DATABASE_URL)
+ */
+
+const OWNER = 'owner@example.com';
+
+describe('mergeContacts', { skip: !hasTestDatabase && 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let pool;
+  let mergeContacts;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+    ({ mergeContacts } = await import('../Services/database/contactMergeRepository.js'));
+
+    await pool.query(
+      `INSERT INTO events (id, event_name, owner_email) VALUES ('merge-a', 'A', $1), ('merge-b', 'B', $1)`,
+      [OWNER]
+    );
+  });
+
+  after(async () => {
+    await database?.drop();
+  });
+
+  async function insertContact(displayName, phoneNumber, { owner = OWNER, email = null, tags = [] } = {}) {
+    const result = await pool.query(
+      `INSERT INTO contacts (display_name, phone_number, contact_owner, email, tags)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      [displayName, phoneNumber, owner, email, tags]
+    );
+    return result.rows[0].id;
+  }
+
+  it('moves event links, messages and tags to the surviving contact', async () => {
+    const survivorId = await insertContact('Dana Levi', '0544349661', { tags: ['family'] });
+    const mergedId = await insertContact('דנה', '054-434-9661, 031234567', { email: 'dana@example.com', tags: ['work'] });
+
+    await pool.query(
+      `INSERT INTO event_contacts (event_id, contact_id, tags) VALUES
+       ('merge-a', $1, '{table-1}'), ('merge-a', $2, '{vip}'), ('merge-b', $2, '{}')`,
+      [survivorId, mergedId]
+    );
+    await pool.query(
+      `INSERT INTO event_messages (event_id, contact_id, message_type, response) VALUES ('merge-b', $1, 'invitation', 'מגיע')`,
+      [mergedId]
+    );
+
+    const result = await mergeContacts(OWNER, survivorId, [mergedId], 'IL');
+
+    assert.deepEqual(result.merged, [{ contactId: mergedId, eventContactsMoved: 1, eventMessagesMoved: 1 }]);
+    assert.equal(result.contact.phone_number, '0544349661, 031234567');
+    assert.equal(result.contact.email, 'dana@example.com');
+    assert.deepEqual(result.contact.tags.sort(), ['family', 'work']);
+
+    const links = await pool.query(
+      'SELECT event_id, tags FROM event_contacts WHERE contact_id = $1 ORDER BY event_id',
+      [survivorId]
+    );
+    assert.deepEqual(links.rows.map(row => row.event_id), ['merge-a', 'merge-b']);
+    assert.deepEqual(links.rows[0].tags.sort(), ['table-1', 'vip']);
+
+    const messages = await pool.query('SELECT contact_id FROM event_messages WHERE event_id = $1', ['merge-b']);
+    assert.equal(messages.rows[0].contact_id, survivorId);
+
+    const gone = await pool.query('SELECT id FROM contacts WHERE id = $1', [mergedId]);
+    assert.equal(gone.rows.length, 0);
+
+    const history = await pool.query('SELECT * FROM contact_merges WHERE surviving_contact_id = $1', [survivorId]);
+    assert.equal(history.rows.length, 1);
+    assert.equal(history.rows[0].merged_contact.display_name, 'דנה');
+  });
+
+  it('keeps the merged contact\'s inbox thread', async () => {
+    const survivorId = await insertContact('Noa', '0527777777');
+    const mergedId = await insertContact('Noa K', '052-777-7777');
+
+    await pool.query(
+      `INSERT INTO inbox_messages (contact_id, event_id, direction, phone_number, message_type, body, media_id, media_status)
+       VALUES ($1, 'merge-a', 'inbound', '972527777777', 'image', 'See you there', 'media-1', 'stored')`,
+      [mergedId]
+    );
+
+    await mergeContacts(OWNER, survivorId, [mergedId], 'IL');
+
+    const thread = await pool.query('SELECT contact_id, body, media_id FROM inbox_messages WHERE media_id = $1', ['media-1']);
+    assert.deepEqual(thread.rows, [{ contact_id: survivorId, body: 'See you there', media_id: 'media-1' }]);
+  });
+
+  it('keeps open RSVP review items with the moved invitation', async () => {
+    const survivorId = await insertContact('Eli', '0528888888');
+    const mergedId = await insertContact('Eli B', '052-888-8888');
+
+    const invitation = await pool.query(
+      `INSERT INTO event_messages (event_id, contact_id, message_type) VALUES ('merge-a', $1, 'invitation') RETURNING id`,
+      [mergedId]
+    );
+    await pool.query(
+      `INSERT INTO rsvp_review_items (event_message_id, event_id, contact_id, message_text)
+       VALUES ($1, 'merge-a', $2, 'maybe with my wife')`,
+      [invitation.rows[0].id, mergedId]
+    );
+
+    await mergeContacts(OWNER, survivorId, [mergedId], 'IL');
+
+    const items = await pool.query('SELECT contact_id, status FROM rsvp_review_items WHERE event_message_id = $1', [invitation.rows[0].id]);
+    assert.deepEqual(items.rows, [{ contact_id: survivorId, status: 'open' }]);
+  });
+
+  it('hands the merged contact\'s household role to the survivor', async () => {
+    const survivorId = await insertContact('Rina', '0529999999');
+    const mergedId = await insertContact('Rina S', '052-999-9999');
+
+    const household = await pool.query(
+      `INSERT INTO households (owner_email, name, primary_contact_id) VALUES ($1, 'Shapiro', $2) RETURNING id`,
+      [OWNER, mergedId]
+    );
+    const householdId = household.rows[0].id;
+    await pool.query('UPDATE contacts SET household_id = $1 WHERE id = $2', [householdId, mergedId]);
+    await pool.query(
+      `INSERT INTO household_event_recipients (household_id, event_id, contact_id) VALUES ($1, 'merge-b', $2)`,
+      [householdId, mergedId]
+    );
+
+    const result = await mergeContacts(OWNER, survivorId, [mergedId], 'IL');
+    assert.equal(result.contact.household_id, householdId);
+
+    const primary = await pool.query('SELECT primary_contact_id FROM households WHERE id = $1', [householdId]);
+    assert.equal(primary.rows[0].primary_contact_id, survivorId);
+
+    const recipients = await pool.query('SELECT event_id, contact_id FROM household_event_recipients WHERE household_id = $1', [householdId]);
+    assert.deepEqual(recipients.rows, [{ event_id: 'merge-b', contact_id: survivorId }]);
+  });
+
+  it('clears the merged contact\'s household roles when the survivor is in another household', async () => {
+    const survivorId = await insertContact('Avi', '0527777777');
+    const mergedId = await insertContact('Avi K', '052-777-7777');
+    const spouseId = await insertContact('Noa', '0527777778');
+
+    const households = await pool.query(
+      `INSERT INTO households (owner_email, name, primary_contact_id)
+       VALUES ($1, 'Cohen', $2), ($1, 'Katz', $3) RETURNING id`,
+      [OWNER, survivorId, mergedId]
+    );
+    const [survivorHousehold, mergedHousehold] = households.rows.map(row => row.id);
+    await pool.query('UPDATE contacts SET household_id = $1 WHERE id = $2', [survivorHousehold, survivorId]);
+    await pool.query('UPDATE contacts SET household_id = $1 WHERE id = ANY($2::integer[])', [mergedHousehold, [mergedId, spouseId]]);
+    await pool.query(
+      `INSERT INTO household_event_recipients (household_id, event_id, contact_id) VALUES ($1, 'merge-a', $2)`,
+      [mergedHousehold, mergedId]
+    );
+
+    const result = await mergeContacts(OWNER, survivorId, [mergedId], 'IL');
+    assert.equal(result.contact.household_id, survivorHousehold);
+
+    const primaries = await pool.query(
+      'SELECT id, primary_contact_id FROM households WHERE id = ANY($1::integer[]) ORDER BY id',
+      [[survivorHousehold, mergedHousehold]]
+    );
+    assert.deepEqual(primaries.rows, [
+      { id: survivorHousehold, primary_contact_id: survivorId },
+      { id: mergedHousehold, primary_contact_id: null }
+    ]);
+
+    const recipients = await pool.query('SELECT contact_id FROM household_event_recipients WHERE household_id = $1', [mergedHousehold]);
+    assert.deepEqual(recipients.rows, []);
+  });
+
+  it('refuses to merge contacts of another owner', async () => {
+    const survivorId = await insertContact('Yossi', '0521111111');
+    const foreignId = await insertContact('Yossi', '0521111111', { owner: 'other@example.com' });
+
+    assert.equal(await mergeContacts(OWNER, survivorId, [foreignId], 'IL'), null);
+
+    const stillThere = await pool.query('SELECT id FROM contacts WHERE id = $1', [foreignId]);
+    assert.equal(stillThere.rows.length, 1);
+  });
+});
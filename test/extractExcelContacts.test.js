@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import xlsx from 'xlsx';
+import { extractExcelData } from '../Services/extractExcelContacts.js';
+import { createMockRequest, createMockResponse } from './helpers/httpMocks.js';
+
+function workbookBuffer(rows) {
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(rows), 'Guests');
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+async function extract(rows, body = {}) {
+  const req = createMockRequest({ body: { defaultCountry: 'IL', ...body }, file: { buffer: workbookBuffer(rows) } });
+  const res = createMockResponse();
+  await extractExcelData(req, res);
+  return res;
+}
+
+describe('extractExcelData', () => {
+  it('detects English name / phone headers', async () => {
+    const res = await extract([
+      ['Name', 'Phone'],
+      ['Dana', '054-434-9661'],
+      ['Yossi', '+972521234567']
+    ]);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.data.stats.totalContacts, 2);
+
+    const [dana, yossi] = res.body.data.contacts;
+    assert.equal(dana.displayName, 'Dana');
+    assert.equal(dana.phoneNumber, '0544349661');
+    assert.equal(dana.canonicalForm, 'No canonical number');
+    assert.equal(dana.uploadedByEmail, 'owner@example.com');
+    assert.equal(dana.contactSource, 'EXCEL');
+    assert.equal(yossi.canonicalForm, '+972521234567');
+    assert.equal(yossi.phoneNumber, 'No local number');
+  });
+
+  it('detects Hebrew headers, ignoring colons and niqqud', async () => {
+    const res = await extract([
+      ['שֵׁם:', 'טלפון'],
+      ['דנה', '0544349661']
+    ]);
+
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.data.contacts[0].displayName, 'דנה');
+  });
+
+  it('splits and de-duplicates several numbers in one cell', async () => {
+    const res = await extract([
+      ['שם מלא', 'נייד'],
+      ['דנה', '054-434-9661; 0544349661, +972521234567']
+    ]);
+
+    const [dana] = res.body.data.contacts;
+    assert.equal(dana.phoneNumber, '0544349661');
+    assert.equal(dana.canonicalForm, '+972521234567');
+  });
+
+  it('adds the E.164 form of the first number and counts invalid numbers', async () => {
+    const res = await extract([
+      ['Name', 'Phone'],
+      ['Dana', '12345, 054-434-9661'],
+      ['Emma', '+44 7911 123456']
+    ]);
+
+    const [dana, emma] = res.body.data.contacts;
+    assert.equal(dana.e164, '+972544349661');
+    assert.equal(dana.phoneType, 'mobile');
+    assert.deepEqual(dana.invalidNumbers, ['12345']);
+    assert.equal(emma.e164, '+447911123456');
+    assert.equal(res.body.data.stats.invalidPhoneNumbers, 1);
+  });
+
+  it('reads local numbers in the requested country', async () => {
+    const res = await extract([
+      ['Name', 'Phone'],
+      ['Jane', '(212) 555-0100']
+    ], { defaultCountry: 'US' });
+
+    assert.equal(res.body.data.contacts[0].e164, '+12125550100');
+  });
+
+  it('reports undetected columns instead of guessing', async () => {
+    const res = await extract([
+      ['Guest', 'Whatsapp'],
+      ['Dana', '0544349661']
+    ]);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.error, 'Could not detect required columns');
+    assert.deepEqual(res.body.data.columnInfo.undetectedColumns, ['Guest', 'Whatsapp']);
+    assert.deepEqual(res.body.data.contacts, []);
+  });
+
+  it('uses manually selected columns', async () => {
+    const res = await extract(
+      [
+        ['Notes', 'Whatsapp', 'Guest'],
+        ['vegan', '0544349661', 'Dana']
+      ],
+      { selectedColumns: JSON.stringify({ name: 'Guest', phone: 'Whatsapp' }) }
+    );
+
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.data.contacts[0].displayName, 'Dana');
+    assert.equal(res.body.data.contacts[0].phoneNumber, '0544349661');
+  });
+
+  it('rejects requests without a file', async () => {
+    const res = createMockResponse();
+    await extractExcelData(createMockRequest(), res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'No file uploaded');
+  });
+});
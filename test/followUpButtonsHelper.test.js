@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getFollowUpButtons,
+  calculateFollowupDate,
+  getFollowupDisplayText
+} from '../Services/dialog360/followUpButtonsHelper.js';
+
+// Local date N days from today, an hour before midnight so DST shifts cannot change the day count
+function daysFromToday(days) {
+  const today = new Date();
+  return new Date(today.getFullYear(), today.getMonth(), today.getDate() + days, -1);
+}
+
+function buttonIds(buttons) {
+  return buttons.map(button => button.reply.id);
+}
+
+function isoDateInDays(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+describe('getFollowUpButtons', () => {
+  it('offers 3 days / week / 2 weeks when the event is far away', () => {
+    assert.deepEqual(buttonIds(getFollowUpButtons(daysFromToday(30))), ['followup_3days', 'followup_week', 'followup_2weeks']);
+    assert.deepEqual(buttonIds(getFollowUpButtons(daysFromToday(18))), ['followup_3days', 'followup_week', 'followup_2weeks']);
+  });
+
+  it('titles the buttons in the guest language', () => {
+    const titles = buttons => buttons.map(button => button.reply.title);
+
+    assert.deepEqual(titles(getFollowUpButtons(daysFromToday(30))), ['בעוד 3 ימים', 'בעוד שבוע', 'בעוד שבועיים']);
+    assert.deepEqual(titles(getFollowUpButtons(daysFromToday(30), 'en')), ['In 3 days', 'In a week', 'In 2 weeks']);
+    assert.deepEqual(titles(getFollowUpButtons(null, 'ar')), ['بعد 3 أيام', 'بعد أسبوع', 'بعد أسبوعين']);
+  });
+
+  it('drops the 2 weeks button 10-17 days before the event', () => {
+    assert.deepEqual(buttonIds(getFollowUpButtons(daysFromToday(17))), ['followup_3days', 'followup_week']);
+    assert.deepEqual(buttonIds(getFollowUpButtons(daysFromToday(10))), ['followup_3days', 'followup_week']);
+  });
+
+  it('offers 3 / 5 days 7-9 days before the event', () => {
+    assert.deepEqual(buttonIds(getFollowUpButtons(daysFromToday(9))), ['followup_3days', 'followup_5days']);
+    assert.deepEqual(buttonIds(getFollowUpButtons(daysFromToday(7))), ['followup_3days', 'followup_5days']);
+  });
+
+  it('narrows the options as the event gets close', () => {
+    assert.deepEqual(buttonIds(getFollowUpButtons(daysFromToday(6))), ['followup_3days']);
+    assert.deepEqual(buttonIds(getFollowUpButtons(daysFromToday(5))), ['followup_3days']);
+    assert.deepEqual(buttonIds(getFollowUpButtons(daysFromToday(4))), ['followup_2days']);
+    assert.deepEqual(buttonIds(getFollowUpButtons(daysFromToday(3))), ['followup_2days', 'followup_tomorrow']);
+    assert.deepEqual(buttonIds(getFollowUpButtons(daysFromToday(2))), ['followup_tomorrow']);
+  });
+
+  it('returns too_close for tomorrow, today and past events', () => {
+    assert.equal(getFollowUpButtons(daysFromToday(1)), 'too_close');
+    assert.equal(getFollowUpButtons(daysFromToday(0)), 'too_close');
+    assert.equal(getFollowUpButtons(daysFromToday(-3)), 'too_close');
+  });
+
+  it('falls back to the default buttons without an event date', () => {
+    assert.deepEqual(buttonIds(getFollowUpButtons(null)), ['followup_3days', 'followup_week', 'followup_2weeks']);
+  });
+
+  it('never offers more than 3 buttons (WhatsApp reply button limit)', () => {
+    for (let days = 2; days <= 40; days++) {
+      const buttons = getFollowUpButtons(daysFromToday(days));
+      assert.ok(buttons.length >= 1 && buttons.length <= 3, `${days} days: ${buttons.length} buttons`);
+    }
+  });
+});
+
+describe('calculateFollowupDate', () => {
+  it('adds the button offset to today', () => {
+    assert.equal(calculateFollowupDate('followup_tomorrow'), isoDateInDays(1));
+    assert.equal(calculateFollowupDate('followup_2days'), isoDateInDays(2));
+    assert.equal(calculateFollowupDate('followup_3days'), isoDateInDays(3));
+    assert.equal(calculateFollowupDate('followup_5days'), isoDateInDays(5));
+    assert.equal(calculateFollowupDate('followup_week'), isoDateInDays(7));
+    assert.equal(calculateFollowupDate('followup_2weeks'), isoDateInDays(14));
+  });
+
+  it('returns today for unknown payloads', () => {
+    assert.equal(calculateFollowupDate('followup_unknown'), isoDateInDays(0));
+  });
+});
+
+describe('getFollowupDisplayText', () => {
+  it('returns the Hebrew text of each button', () => {
+    assert.equal(getFollowupDisplayText('followup_week'), 'בעוד שבוע');
+    assert.equal(getFollowupDisplayText('followup_tomorrow'), 'מחר');
+    assert.equal(getFollowupDisplayText('something_else'), 'בעוד מספר ימים');
+  });
+  it('uses the guest language', () => {
+    assert.equal(getFollowupDisplayText('followup_week', 'en'), 'in a week');
+    assert.equal(getFollowupDisplayText('followup_2days', 'ru'), 'через 2 дня');
+    assert.equal(getFollowupDisplayText('something_else', 'fr'), 'dans quelques jours');
+  });
+});
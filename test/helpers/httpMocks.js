@@ -0,0 +1,33 @@
+/**
+ * Minimal Express request / response doubles for calling route handlers directly
+ */
+
+export function createMockRequest({ body = {}, query = {}, params = {}, user = { email: 'owner@example.com' }, file = null } = {}) {
+  return { body, query, params, user, file, headers: {}, get: () => undefined };
+}
+
+export function createMockResponse() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      res.body = payload;
+      return res;
+    },
+    cookie() {
+      return res;
+    }
+  };
+  return res;
+}
+
+// Calls a route handler with a mock request built from `request`; returns the response
+export async function callHandler(handler, request) {
+  const res = createMockResponse();
+  await handler(createMockRequest(request), res);
+  return res;
+}
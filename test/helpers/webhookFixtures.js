@@ -0,0 +1,45 @@
+/**
+ * Invited guests and inbound webhook delivery for the Dialog360 flow suites
+ *
+ * Application modules are imported on first use, so call these after
+ * createTestDatabase() (see testDatabase.js).
+ */
+
+export function createWebhookFixtures({ pool, ownerEmail, eventId }) {
+  let nextPhone = 1000;
+
+  // A contact with a pending invitation; returns its IDs, local and international phone numbers
+  async function seedInvitation({ eventId: invitedTo = eventId, language = null } = {}) {
+    const { saveContactPhones } = await import('../../Services/database/contactPhonesRepository.js');
+    const localPhone = `054000${nextPhone++}`;
+
+    const contact = await pool.query(
+      `INSERT INTO contacts (display_name, phone_number, contact_owner, preferred_language)
+       VALUES ('Guest', $1, $2, $3) RETURNING id`,
+      [localPhone, ownerEmail, language]
+    );
+    const contactId = contact.rows[0].id;
+    await saveContactPhones(pool, [contactId]);
+
+    await pool.query('INSERT INTO event_contacts (event_id, contact_id) VALUES ($1, $2)', [invitedTo, contactId]);
+
+    const message = await pool.query(
+      `INSERT INTO event_messages (event_id, contact_id, message_type, message_round, response)
+       VALUES ($1, $2, 'invitation', 1, 'ממתין לתגובה') RETURNING id`,
+      [invitedTo, contactId]
+    );
+
+    return { contactId, eventMessageId: message.rows[0].id, localPhone, phone: `972${localPhone.substring(1)}` };
+  }
+
+  // Runs every message of a webhook body through the message processor
+  async function deliver(body) {
+    const { processDialog360Message } = await import('../../Services/dialog360/messageProcessor.js');
+    const value = body.entry[0].changes[0].value;
+    for (const message of value.messages) {
+      await processDialog360Message(message, value);
+    }
+  }
+
+  return { seedInvitation, deliver };
+}
@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasTestDatabase, createTestDatabase } from './helpers/testDatabase.js';
+import { createMockRequest, createMockResponse } from './helpers/httpMocks.js';
+
+/**
+ * One invitation per household and household RSVP roll-up (requires TEST_DATABASE_URL)
+ */
+
+const OWNER = 'owner@example.com';
+const EVENT_ID = 'household-event';
+
+describe('household invitations', { skip: !hasTestDatabase && 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let pool;
+  let handleSendTemplate;
+  let getEventResponseStats;
+  let createHousehold;
+  let setHouseholdEventRecipient;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+
+    ({ handleSendTemplate } = await import('../Services/dialog360SendTemplate.js'));
+    ({ getEventResponseStats } = await import('../Services/database/getEventResponseStats.js'));
+    ({ createHousehold, setHouseholdEventRecipient } = await import('../Services/database/householdsRepository.js'));
+
+    await pool.query(
+      `INSERT INTO events (id, event_name, owner_email, event_type, event_date, celebrator1_name)
+       VALUES ($1, 'Family Party', $2, 'wedding', '2030-01-01', 'Dana')`,
+      [EVENT_ID, OWNER]
+    );
+  });
+
+  after(async () => {
+    await database?.drop();
+  });
+
+  async function insertContact(displayName, phoneNumber) {
+    const result = await pool.query(
+      `INSERT INTO contacts (display_name, phone_number, contact_owner) VALUES ($1, $2, $3) RETURNING id`,
+      [displayName, phoneNumber, OWNER]
+    );
+    await pool.query('INSERT INTO event_contacts (event_id, contact_id) VALUES ($1, $2)', [EVENT_ID, result.rows[0].id]);
+    return result.rows[0].id;
+  }
+
+  async function sendTemplate(contactIds) {
+    const res = createMockResponse();
+    await handleSendTemplate(createMockRequest({ body: { eventId: EVENT_ID, contactIds } }), res);
+    return res;
+  }
+
+  it('queues one invitation per household, to its recipient for the event', async () => {
+    const avi = await insertContact('Avi Cohen', '0541111111');
+    const rina = await insertContact('Rina Cohen', '0541111112');
+    const single = await insertContact('Yael', '0541111113');
+
+    const household = await createHousehold(OWNER, { name: 'Cohen family', contactIds: [avi, rina], primaryContactId: avi });
+
+    let res = await sendTemplate([avi, rina, single]);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.results.queued, 2);
+    assert.equal(res.body.results.sent, 2);
+    assert.deepEqual(res.body.results.successList, res.body.results.queuedList);
+    assert.deepEqual(res.body.results.coveredList, [{ contactId: rina, householdId: household.id, recipientId: avi }]);
+
+    const rows = await pool.query('SELECT contact_id, household_id FROM event_messages WHERE event_id = $1 ORDER BY contact_id', [EVENT_ID]);
+    assert.deepEqual(rows.rows, [
+      { contact_id: avi, household_id: household.id },
+      { contact_id: single, household_id: null }
+    ]);
+
+    // Sending to Rina for this event reuses the household's invitation row
+    assert.deepEqual(await setHouseholdEventRecipient(OWNER, household.id, EVENT_ID, rina), { status: 'ok' });
+    res = await sendTemplate([avi, rina]);
+
+    assert.equal(res.body.results.queued, 1);
+    assert.equal(res.body.results.queuedList[0].contactId, rina);
+
+    const householdRows = await pool.query('SELECT contact_id FROM event_messages WHERE household_id = $1', [household.id]);
+    assert.deepEqual(householdRows.rows, [{ contact_id: rina }]);
+  });
+
+  it('counts a household once in the response stats', async () => {
+    const statsEvent = 'household-stats';
+    await pool.query(`INSERT INTO events (id, event_name, owner_email) VALUES ($1, 'Stats', $2)`, [statsEvent, OWNER]);
+
+    const contacts = await pool.query(
+      `INSERT INTO contacts (display_name, phone_number, contact_owner) VALUES
+       ('Moshe', '0542222221', $1), ('Sara', '0542222222', $1), ('Eli', '0542222223', $1)
+       RETURNING id`,
+      [OWNER]
+    );
+    const [moshe, sara, eli] = contacts.rows.map(row => row.id);
+    const household = await createHousehold(OWNER, { name: 'Levi family', contactIds: [moshe, sara] });
+
+    // Both spouses were invited individually before they were grouped, and both answered
+    await pool.query(
+      `INSERT INTO event_messages (event_id, contact_id, message_type, message_round, response, guests_coming, response_time) VALUES
+       ($1, $2, 'invitation', 1, 'מגיע', 2, NOW() - INTERVAL '1 day'),
+       ($1, $3, 'invitation', 1, 'מגיע', 2, NOW()),
+       ($1, $4, 'invitation', 1, 'לא מגיע', 0, NOW())`,
+      [statsEvent, moshe, sara, eli]
+    );
+
+    const res = createMockResponse();
+    await getEventResponseStats(createMockRequest({ query: { eventId: statsEvent } }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(Number(res.body.totalHouseholdsInvited), 1);
+
+    const attending = res.body.responseBreakdown.find(row => row.response_type === 'מגיע');
+    assert.equal(Number(attending.count), 1);
+    assert.equal(Number(attending.total_guests), 2);
+
+    assert.equal(res.body.households.length, 1);
+    assert.equal(res.body.households[0].household_id, household.id);
+    assert.equal(res.body.households[0].member_count, 2);
+    assert.equal(res.body.households[0].responder_contact_id, sara);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickHouseholdRecipient, selectHouseholdRecipients } from '../Services/contacts/households.js';
+
+function member(contactId, householdId, { primaryId = null, recipientId = null } = {}) {
+  return {
+    contact_id: contactId,
+    household_id: householdId,
+    household_primary_contact_id: primaryId,
+    household_recipient_id: recipientId
+  };
+}
+
+describe('pickHouseholdRecipient', () => {
+  it('prefers the per-event recipient, then the primary contact, then the lowest ID', () => {
+    assert.equal(pickHouseholdRecipient([member(3, 1, { primaryId: 4, recipientId: 5 }), member(4, 1), member(5, 1)]).contact_id, 5);
+    assert.equal(pickHouseholdRecipient([member(3, 1, { primaryId: 4 }), member(4, 1)]).contact_id, 4);
+    assert.equal(pickHouseholdRecipient([member(7, 1), member(3, 1)]).contact_id, 3);
+  });
+
+  it('ignores a preferred recipient that is not being invited', () => {
+    assert.equal(pickHouseholdRecipient([member(3, 1, { primaryId: 9, recipientId: 8 }), member(4, 1)]).contact_id, 3);
+  });
+
+  it('reads contacts keyed by id as well as contact_id', () => {
+    const contacts = [{ id: 4, household_id: 1, household_primary_contact_id: 4 }, { id: 2, household_id: 1 }];
+    assert.equal(pickHouseholdRecipient(contacts).id, 4);
+  });
+});
+
+describe('selectHouseholdRecipients', () => {
+  it('keeps one recipient per household and every contact without one', () => {
+    const contacts = [member(1, null), member(2, 10, { primaryId: 3 }), member(3, 10, { primaryId: 3 }), member(4, 11), member(5, null)];
+
+    const { recipients, covered } = selectHouseholdRecipients(contacts);
+
+    assert.deepEqual(recipients.map(contact => contact.contact_id), [1, 3, 4, 5]);
+    assert.deepEqual(recipients[1].household_member_ids, [2, 3]);
+    assert.deepEqual(recipients[2].household_member_ids, [4]);
+    assert.deepEqual(covered, [{ contactId: 2, householdId: 10, recipientId: 3 }]);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasTestDatabase, createTestDatabase } from './helpers/testDatabase.js';
+import { callHandler } from './helpers/httpMocks.js';
+import { createWebhookFixtures } from './helpers/webhookFixtures.js';
+import { createDialog360MockServer } from '../mock/dialog360MockServer.js';
+import { buildButtonReply, buildMediaMessage, buildTextMessage } from '../mock/webhookPayloads.js';
+import { isServiceWindowOpen, getServiceWindowEnd } from '../Services/dialog360/serviceWindow.js';
+
+/**
+ * Owner inbox: inbound guest messages, media and owner replies
+ * DB tests require TEST_DATABASE_URL; outbound WhatsApp calls go to the Dialog360 mock server.
+ */
+
+const OWNER = 'owner@example.com';
+const EVENT_ID = 'inbox-event';
+
+describe('customer service window', () => {
+  it('is open for 24 hours after the guest\'s last message', () => {
+    const lastInboundAt = new Date('2030-01-01T10:00:00Z');
+
+    assert.equal(getServiceWindowEnd(lastInboundAt).toISOString(), '2030-01-02T10:00:00.000Z');
+    assert.equal(isServiceWindowOpen(lastInboundAt, new Date('2030-01-02T09:59:00Z')), true);
+    assert.equal(isServiceWindowOpen(lastInboundAt, new Date('2030-01-02T10:00:00Z')), false);
+    assert.equal(isServiceWindowOpen(null), false);
+  });
+});
+
+describe('owner inbox', { skip: !hasTestDatabase && 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let pool;
+  let mock;
+  let seedInvitation;
+  let deliver;
+  let downloadDialog360Media;
+  let inbox;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+
+    mock = await createDialog360MockServer({ port: 0 }).start();
+    process.env.D360_BASE_URL = mock.url;
+    process.env.D360_API_KEY = 'test-key';
+
+    ({ seedInvitation, deliver } = createWebhookFixtures({ pool, ownerEmail: OWNER, eventId: EVENT_ID }));
+    ({ downloadDialog360Media } = await import('../Services/dialog360/dialog360Media.js'));
+    inbox = await import('../Services/database/inbox.js');
+
+    await pool.query(
+      `INSERT INTO events (id, event_name, owner_email, event_type, event_date, celebrator1_name)
+       VALUES ($1, 'Inbox Wedding', $2, 'wedding', '2030-01-01', 'Dana')`,
+      [EVENT_ID, OWNER]
+    );
+  });
+
+  after(async () => {
+    await mock?.stop();
+    await database?.drop();
+  });
+
+  it('keeps guest messages in a thread about their event', async () => {
+    const { contactId, phone } = await seedInvitation();
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_no_${EVENT_ID}` }));
+    await deliver(buildTextMessage({ from: phone, text: 'מזל טוב! איפה חונים?' }));
+
+    const threads = (await callHandler(inbox.getInbox, {})).body.threads;
+    const thread = threads.find(candidate => candidate.contact_id === contactId);
+
+    assert.equal(thread.event_id, EVENT_ID);
+    assert.equal(thread.last_body, 'מזל טוב! איפה חונים?');
+    assert.equal(thread.unread_count, 1);
+    assert.equal(thread.windowOpen, true);
+
+    const res = await callHandler(inbox.getInboxThread, { params: { contactId: String(contactId) } });
+    assert.deepEqual(res.body.messages.map(message => [message.body, message.rsvp_handled]), [
+      ['לצערי, לא', true],
+      ['מזל טוב! איפה חונים?', false]
+    ]);
+
+    await callHandler(inbox.markInboxRead, { params: { contactId: String(contactId) } });
+    const after = (await callHandler(inbox.getInbox, {})).body.threads.find(candidate => candidate.contact_id === contactId);
+    assert.equal(after.unread_count, 0);
+  });
+
+  it('leaves threads of RSVP answers only out of the inbox', async () => {
+    const { contactId, phone } = await seedInvitation();
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_yes_${EVENT_ID}` }));
+
+    const threads = (await callHandler(inbox.getInbox, {})).body.threads;
+    assert.equal(threads.some(thread => thread.contact_id === contactId), false);
+  });
+
+  it('downloads media through the Dialog360 media API', async () => {
+    const mediaId = mock.addMedia({ mimeType: 'image/jpeg', data: Buffer.from('jpeg bytes') });
+
+    const media = await downloadDialog360Media(mediaId);
+    assert.equal(media.buffer.toString(), 'jpeg bytes');
+    assert.equal(media.mimeType, 'image/jpeg');
+
+    await assert.rejects(downloadDialog360Media('missing-media'), /Media lookup failed \(404\)/);
+  });
+
+  it('keeps photos with their caption and media details', async () => {
+    const { contactId, phone } = await seedInvitation();
+    const mediaId = mock.addMedia({ mimeType: 'image/jpeg', data: Buffer.from('photo') });
+
+    await deliver(buildMediaMessage({ from: phone, type: 'image', mediaId, caption: 'מהחינה 📸' }));
+
+    const result = await pool.query('SELECT * FROM inbox_messages WHERE contact_id = $1', [contactId]);
+    assert.equal(result.rows.length, 1);
+    assert.equal(result.rows[0].message_type, 'image');
+    assert.equal(result.rows[0].body, 'מהחינה 📸');
+    assert.equal(result.rows[0].media_id, mediaId);
+    assert.equal(result.rows[0].media_mime_type, 'image/jpeg');
+    // Cloudinary is not configured in tests
+    assert.equal(result.rows[0].media_status, 'failed');
+  });
+
+  it('sends owner replies within the customer service window only', async () => {
+    const { contactId, phone } = await seedInvitation();
+
+    const closed = await callHandler(inbox.replyToInboxThread, { params: { contactId: String(contactId) }, body: { text: 'שלום' } });
+    assert.equal(closed.statusCode, 409);
+
+    await deliver(buildTextMessage({ from: phone, text: 'יש הסעה?' }));
+
+    const sent = await callHandler(inbox.replyToInboxThread, { params: { contactId: String(contactId) }, body: { text: 'כן, מהמרכז ב-18:00' } });
+    assert.equal(sent.statusCode, 200);
+    assert.equal(sent.body.message.direction, 'outbound');
+    assert.equal(sent.body.message.sent_by, OWNER);
+
+    const outbound = mock.getMessages(phone);
+    assert.equal(outbound[outbound.length - 1].body.text.body, 'כן, מהמרכז ב-18:00');
+
+    await pool.query(
+      `UPDATE inbox_messages SET created_at = NOW() - INTERVAL '25 hours'
+       WHERE contact_id = $1 AND direction = 'inbound'`,
+      [contactId]
+    );
+
+    const expired = await callHandler(inbox.replyToInboxThread, { params: { contactId: String(contactId) }, body: { text: 'עוד משהו' } });
+    assert.equal(expired.statusCode, 409);
+  });
+
+  it('only shows the owner their own contacts', async () => {
+    const { contactId } = await seedInvitation();
+
+    const res = await callHandler(inbox.getInboxThread, { params: { contactId: String(contactId) }, user: { email: 'other@example.com' } });
+    assert.equal(res.statusCode, 404);
+  });
+});
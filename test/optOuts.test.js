@@ -0,0 +1,201 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasTestDatabase, createTestDatabase } from './helpers/testDatabase.js';
+import { callHandler } from './helpers/httpMocks.js';
+import { createWebhookFixtures } from './helpers/webhookFixtures.js';
+import { createDialog360MockServer } from '../mock/dialog360MockServer.js';
+import { buildButtonReply, buildInteractiveReply, buildTextMessage } from '../mock/webhookPayloads.js';
+import { matchOptOutKeyword } from '../Services/dialog360/optOutKeywords.js';
+
+/**
+ * WhatsApp opt-outs: keywords, the do-not-contact list and the send paths that check it
+ * DB tests require TEST_DATABASE_URL; outbound WhatsApp calls go to the Dialog360 mock server.
+ */
+
+const OWNER = 'owner@example.com';
+const EVENT_ID = 'opt-out-event';
+
+describe('matchOptOutKeyword', () => {
+  it('recognizes stop and start keywords in every language', () => {
+    assert.equal(matchOptOutKeyword('STOP').action, 'stop');
+    assert.equal(matchOptOutKeyword('הסר אותי!').action, 'stop');
+    assert.equal(matchOptOutKeyword('Стоп').action, 'stop');
+    assert.equal(matchOptOutKeyword('إيقاف').action, 'stop');
+    assert.equal(matchOptOutKeyword('arret').action, 'stop');
+    assert.equal(matchOptOutKeyword('Start').action, 'start');
+    assert.equal(matchOptOutKeyword('התחל').action, 'start');
+  });
+
+  it('answers in the guest\'s language when the keyword is shared', () => {
+    assert.equal(matchOptOutKeyword('stop').language, 'en');
+    assert.equal(matchOptOutKeyword('stop', 'fr').language, 'fr');
+  });
+
+  it('ignores keywords inside longer messages', () => {
+    assert.equal(matchOptOutKeyword('we will stop by after the ceremony'), null);
+    assert.equal(matchOptOutKeyword('לא מגיע'), null);
+    assert.equal(matchOptOutKeyword(''), null);
+  });
+});
+
+describe('WhatsApp opt-outs', { skip: !hasTestDatabase && 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let pool;
+  let mock;
+  let seedInvitation;
+  let deliver;
+  let drainOutboundQueue;
+  let handleSendTemplate;
+  let optOutApi;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+
+    mock = await createDialog360MockServer({ port: 0 }).start();
+    process.env.D360_BASE_URL = mock.url;
+    process.env.D360_API_KEY = 'test-key';
+
+    ({ seedInvitation, deliver } = createWebhookFixtures({ pool, ownerEmail: OWNER, eventId: EVENT_ID }));
+    ({ drainOutboundQueue } = await import('../Services/dialog360/outboundQueue.js'));
+    ({ handleSendTemplate } = await import('../Services/dialog360SendTemplate.js'));
+    optOutApi = await import('../Services/database/optOuts.js');
+
+    const eventDate = new Date();
+    eventDate.setDate(eventDate.getDate() + 30);
+
+    await pool.query(
+      `INSERT INTO events (id, event_name, owner_email, event_type, event_date, celebrator1_name)
+       VALUES ($1, 'Opt-out Wedding', $2, 'wedding', $3, 'Dana')`,
+      [EVENT_ID, OWNER, eventDate.toISOString().split('T')[0]]
+    );
+  });
+
+  after(async () => {
+    await mock?.stop();
+    await database?.drop();
+  });
+
+  function lastText(phone) {
+    const outbound = mock.getMessages(phone);
+    return outbound[outbound.length - 1]?.body.text?.body;
+  }
+
+  it('puts a guest who replies STOP on the list and confirms in their language', async () => {
+    const { contactId, eventMessageId, phone } = await seedInvitation({ language: 'en' });
+
+    await deliver(buildTextMessage({ from: phone, text: 'STOP' }));
+
+    const optOuts = await pool.query('SELECT * FROM opt_outs WHERE phone_number = $1', [phone]);
+    assert.equal(optOuts.rows.length, 1);
+    assert.equal(optOuts.rows[0].owner_email, null);
+    assert.equal(optOuts.rows[0].source, 'keyword');
+    assert.match(lastText(phone), /unsubscribed/);
+
+    // Not taken as an RSVP answer, but kept in the owner's inbox
+    const invitation = await pool.query('SELECT response FROM event_messages WHERE id = $1', [eventMessageId]);
+    assert.equal(invitation.rows[0].response, 'ממתין לתגובה');
+
+    const inbox = await pool.query('SELECT body, rsvp_handled FROM inbox_messages WHERE contact_id = $1', [contactId]);
+    assert.deepEqual(inbox.rows, [{ body: 'STOP', rsvp_handled: false }]);
+  });
+
+  it('sends no RSVP flow messages to a guest who opted out', async () => {
+    const { eventMessageId, phone } = await seedInvitation();
+
+    await deliver(buildTextMessage({ from: phone, text: 'הסר' }));
+    const sentBefore = mock.getMessages(phone).length;
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_yes_${EVENT_ID}` }));
+
+    const invitation = await pool.query('SELECT response FROM event_messages WHERE id = $1', [eventMessageId]);
+    assert.equal(invitation.rows[0].response, 'מגיע');
+    assert.equal(mock.getMessages(phone).length, sentBefore);
+
+    // "Maybe" and its follow-up choice are recorded without a confirmation
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_maybe_${EVENT_ID}` }));
+    await deliver(buildInteractiveReply({ from: phone, id: 'followup_week', title: 'בעוד שבוע' }));
+
+    const maybe = await pool.query('SELECT response, followup_date FROM event_messages WHERE id = $1', [eventMessageId]);
+    assert.equal(maybe.rows[0].response, 'לא בטוח');
+    assert.ok(maybe.rows[0].followup_date);
+    assert.equal(mock.getMessages(phone).length, sentBefore);
+  });
+
+  it('skips opted-out contacts in manual sends and in the outbound worker', async () => {
+    const { contactId, eventMessageId, phone } = await seedInvitation();
+    const other = await seedInvitation();
+
+    // Queued before the guest opted out
+    await pool.query(
+      `INSERT INTO outbound_messages (idempotency_key, event_message_id, phone_number, payload)
+       VALUES ('opt-out-test', $1, $2, $3)`,
+      [eventMessageId, phone, { phoneNumber: phone, templateName: 'event_invitation', languageCode: 'he' }]
+    );
+
+    await deliver(buildTextMessage({ from: phone, text: 'stop' }));
+    await drainOutboundQueue();
+
+    const queued = await pool.query(`SELECT status FROM outbound_messages WHERE idempotency_key = 'opt-out-test'`);
+    assert.equal(queued.rows[0].status, 'failed');
+
+    const invitation = await pool.query('SELECT failure_reason FROM event_messages WHERE id = $1', [eventMessageId]);
+    assert.equal(invitation.rows[0].failure_reason, 'OPTED_OUT');
+    assert.equal(mock.getMessages(phone).filter(message => message.body.type === 'template').length, 0);
+
+    const res = await callHandler(handleSendTemplate, { body: { eventId: EVENT_ID, contactIds: [contactId, other.contactId] } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.results.queuedList.map(item => item.contactId), [other.contactId]);
+    assert.deepEqual(res.body.results.failedList.map(item => [item.contactId, item.error]), [
+      [contactId, 'Opted out of WhatsApp messages']
+    ]);
+  });
+
+  it('lets a guest opt back in with START', async () => {
+    const { phone } = await seedInvitation();
+
+    await deliver(buildTextMessage({ from: phone, text: 'עצור' }));
+    await deliver(buildTextMessage({ from: phone, text: 'התחל' }));
+
+    const active = await pool.query('SELECT * FROM opt_outs WHERE phone_number = $1 AND lifted_at IS NULL', [phone]);
+    assert.equal(active.rows.length, 0);
+    assert.match(lastText(phone), /חזרת לרשימת התפוצה/);
+  });
+
+  it('lets owners list, add and lift opt-outs of their contacts', async () => {
+    const { contactId, phone } = await seedInvitation();
+    const guest = await seedInvitation();
+
+    await deliver(buildTextMessage({ from: guest.phone, text: 'unsubscribe' }));
+
+    const added = await callHandler(optOutApi.addOptOut, { body: { contactId } });
+    assert.equal(added.statusCode, 201);
+    assert.equal(added.body.optOut.phone_number, phone);
+
+    const again = await callHandler(optOutApi.addOptOut, { body: { contactId } });
+    assert.equal(again.statusCode, 200);
+    assert.equal(again.body.created, false);
+
+    const list = (await callHandler(optOutApi.getOptOuts, {})).body.optOuts;
+    const ownerOptOut = list.find(optOut => optOut.phone_number === phone);
+    const guestOptOut = list.find(optOut => optOut.phone_number === guest.phone);
+
+    assert.equal(ownerOptOut.scope, 'owner');
+    assert.deepEqual(ownerOptOut.contacts, [{ id: contactId, displayName: 'Guest' }]);
+    assert.equal(guestOptOut.scope, 'global');
+    assert.equal(guestOptOut.keyword, 'unsubscribe');
+
+    // Other owners only see opt-outs of their own contacts
+    const otherOwner = (await callHandler(optOutApi.getOptOuts, { user: { email: 'other@example.com' } })).body.optOuts;
+    assert.equal(otherOwner.length, 0);
+    const forbidden = await callHandler(optOutApi.liftOptOutEndpoint, { params: { optOutId: String(guestOptOut.id) }, user: { email: 'other@example.com' } });
+    assert.equal(forbidden.statusCode, 404);
+
+    const lifted = await callHandler(optOutApi.liftOptOutEndpoint, { params: { optOutId: String(guestOptOut.id) } });
+    assert.equal(lifted.statusCode, 200);
+    assert.equal(lifted.body.optOut.lifted_by, OWNER);
+
+    const liftedAgain = await callHandler(optOutApi.liftOptOutEndpoint, { params: { optOutId: String(guestOptOut.id) } });
+    assert.equal(liftedAgain.statusCode, 409);
+  });
+});
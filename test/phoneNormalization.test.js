@@ -0,0 +1,191 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizePhoneForDialog360,
+  normalizePhoneNumberFormats,
+  parsePhoneNumber,
+  formatE164,
+  isValidPhoneNumber,
+  getPhoneNumberType,
+  getPhoneComparisonKey,
+  resolveContactPhone,
+  getContactPhoneNumbers
+} from '../Services/utils/phoneNormalization.js';
+import { findCountryByDialCode, isSupportedPhoneCountry } from '../Services/utils/phoneCountries.js';
+
+describe('normalizePhoneForDialog360', () => {
+  it('converts Israeli local numbers to international format', () => {
+    assert.equal(normalizePhoneForDialog360('0544349661'), '972544349661');
+    assert.equal(normalizePhoneForDialog360('054-434-9661'), '972544349661');
+    assert.equal(normalizePhoneForDialog360('(054) 434 9661'), '972544349661');
+    assert.equal(normalizePhoneForDialog360('031234567'), '97231234567');
+  });
+
+  it('strips the + of international numbers', () => {
+    assert.equal(normalizePhoneForDialog360('+972544349661'), '972544349661');
+    assert.equal(normalizePhoneForDialog360('+972 54-434-9661'), '972544349661');
+    assert.equal(normalizePhoneForDialog360('+1 (212) 555-0100'), '12125550100');
+  });
+
+  it('keeps international numbers without +', () => {
+    assert.equal(normalizePhoneForDialog360('972544349661'), '972544349661');
+    assert.equal(normalizePhoneForDialog360('447911123456'), '447911123456');
+  });
+
+  it('reads local numbers in the default country', () => {
+    assert.equal(normalizePhoneForDialog360('(212) 555-0100', 'US'), '12125550100');
+    assert.equal(normalizePhoneForDialog360('07911 123456', 'GB'), '447911123456');
+    assert.equal(normalizePhoneForDialog360('06 12 34 56 78', 'FR'), '33612345678');
+  });
+
+  it('returns null for empty input', () => {
+    assert.equal(normalizePhoneForDialog360(''), null);
+    assert.equal(normalizePhoneForDialog360(null), null);
+    assert.equal(normalizePhoneForDialog360(undefined), null);
+  });
+
+  it('returns null for invalid numbers', () => {
+    assert.equal(normalizePhoneForDialog360('12345'), null);
+    assert.equal(normalizePhoneForDialog360('No local number'), null);
+    assert.equal(normalizePhoneForDialog360('054434966'), null);
+  });
+});
+
+describe('normalizePhoneNumberFormats', () => {
+  it('returns international and local variants of Israeli numbers', () => {
+    assert.deepEqual(normalizePhoneNumberFormats('972544349661'), ['972544349661', '0544349661', '544349661']);
+    assert.deepEqual(normalizePhoneNumberFormats('0544349661'), ['0544349661', '972544349661', '544349661']);
+  });
+
+  it('returns the national number of other countries', () => {
+    assert.deepEqual(normalizePhoneNumberFormats('12125550100'), ['12125550100', '2125550100']);
+    assert.deepEqual(normalizePhoneNumberFormats('447911123456'), ['447911123456', '07911123456', '7911123456']);
+  });
+
+  it('returns only the digits of numbers that do not parse', () => {
+    assert.deepEqual(normalizePhoneNumberFormats('380501234567'), ['380501234567']);
+  });
+});
+
+describe('parsePhoneNumber', () => {
+  it('parses E.164, 00-prefixed and local numbers to the same number', () => {
+    for (const input of ['+972544349661', '00972544349661', '0544349661', '972544349661']) {
+      const parsed = parsePhoneNumber(input);
+      assert.equal(parsed.isValid, true, input);
+      assert.equal(parsed.e164, '+972544349661', input);
+      assert.equal(parsed.countryCode, 'IL', input);
+      assert.equal(parsed.national, '0544349661', input);
+    }
+  });
+
+  it('validates the number length per country', () => {
+    assert.equal(isValidPhoneNumber('+97254434966'), false);
+    assert.equal(isValidPhoneNumber('+4479111234'), false);
+    assert.equal(isValidPhoneNumber('+33 6 12 34 56 78'), true);
+    assert.equal(parsePhoneNumber('+97254434966').reason, 'Invalid number length for country');
+  });
+
+  it('accepts international numbers of countries missing from the table by length', () => {
+    const parsed = parsePhoneNumber('+380 50 123 4567');
+    assert.equal(parsed.isValid, true);
+    assert.equal(parsed.e164, '+380501234567');
+    assert.equal(parsed.countryCode, null);
+    assert.equal(isValidPhoneNumber('+380 12'), false);
+  });
+
+  it('does not guess a country for local numbers that do not fit the default country', () => {
+    assert.equal(isValidPhoneNumber('2125550100'), false);
+    assert.equal(isValidPhoneNumber('2125550100', 'US'), true);
+  });
+
+  it('falls back to Israel for unknown default countries', () => {
+    assert.equal(formatE164('0544349661', 'XX'), '+972544349661');
+  });
+
+  it('tries every country sharing a dial code', () => {
+    assert.equal(parsePhoneNumber('+1 416 555 0100').countryCode, 'US');
+    assert.equal(parsePhoneNumber('416 555 0100', 'CA').countryCode, 'CA');
+    assert.equal(parsePhoneNumber('+7 912 345 6789').countryCode, 'RU');
+    assert.equal(parsePhoneNumber('+7 701 234 5678').countryCode, 'KZ');
+  });
+});
+
+describe('getPhoneNumberType', () => {
+  it('classifies mobile and landline numbers', () => {
+    assert.equal(getPhoneNumberType('0544349661'), 'mobile');
+    assert.equal(getPhoneNumberType('02-6234567'), 'landline');
+    assert.equal(getPhoneNumberType('+44 7911 123456'), 'mobile');
+    assert.equal(getPhoneNumberType('+44 20 7946 0958'), 'landline');
+    assert.equal(getPhoneNumberType('8 912 345 67 89', 'RU'), 'mobile');
+  });
+
+  it('returns unknown where the numbering plan does not tell them apart', () => {
+    assert.equal(getPhoneNumberType('+1 212 555 0100'), 'unknown');
+    assert.equal(getPhoneNumberType('12345'), 'unknown');
+  });
+});
+
+describe('getPhoneComparisonKey', () => {
+  it('gives the same key to every spelling of a number', () => {
+    assert.equal(getPhoneComparisonKey('054-434-9661'), getPhoneComparisonKey('+972 54 434 9661'));
+    assert.notEqual(getPhoneComparisonKey('0544349661'), getPhoneComparisonKey('0544349662'));
+  });
+
+  it('falls back to the digits of invalid numbers', () => {
+    assert.equal(getPhoneComparisonKey('12-345'), '12345');
+  });
+});
+
+describe('resolveContactPhone', () => {
+  it('uses the local number of the contact', () => {
+    assert.equal(resolveContactPhone({ phone_number: '0544349661', canonical_form: 'Dana Levi' }), '972544349661');
+  });
+
+  it('falls back to the international number in canonical_form', () => {
+    assert.equal(
+      resolveContactPhone({ phone_number: 'No local number', canonical_form: '+447911123456' }),
+      '447911123456'
+    );
+  });
+
+  it('prefers a mobile number over a landline', () => {
+    assert.equal(resolveContactPhone({ phone_number: '031234567, 0544349661', canonical_form: null }), '972544349661');
+  });
+
+  it('reads local numbers in the owner country', () => {
+    assert.equal(resolveContactPhone({ phone_number: '07911 123456' }, 'GB'), '447911123456');
+  });
+
+  it('returns null when the contact has no valid number', () => {
+    assert.equal(resolveContactPhone({ phone_number: 'No local number', canonical_form: 'No canonical number' }), null);
+  });
+});
+
+describe('getContactPhoneNumbers', () => {
+  it('normalizes every stored number once', () => {
+    assert.deepEqual(
+      getContactPhoneNumbers({ phone_number: '054-434-9661, 03-1234567', canonical_form: '+972 54 434 9661' }),
+      ['972544349661', '97231234567']
+    );
+  });
+
+  it('reads local numbers in the owner country and keeps the digits of invalid ones', () => {
+    assert.deepEqual(getContactPhoneNumbers({ phone_number: '07911 123456' }, 'GB'), ['447911123456']);
+    assert.deepEqual(getContactPhoneNumbers({ phone_number: '12-345', canonical_form: 'No canonical number' }), ['12345']);
+  });
+});
+
+describe('phone country table', () => {
+  it('matches the longest dial code', () => {
+    assert.equal(findCountryByDialCode('972544349661'), 'IL');
+    assert.equal(findCountryByDialCode('79123456789'), 'RU');
+    assert.equal(findCountryByDialCode('12125550100'), 'US');
+    assert.equal(findCountryByDialCode('380501234567'), null);
+  });
+
+  it('checks supported countries case-insensitively', () => {
+    assert.equal(isSupportedPhoneCountry('gb'), true);
+    assert.equal(isSupportedPhoneCountry('UA'), false);
+    assert.equal(isSupportedPhoneCountry(undefined), false);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapInvitationButtonResponse, mapRsvpPayload } from '../Services/dialog360/responseMapper.js';
+
+describe('mapInvitationButtonResponse', () => {
+  it('maps the template buttons', () => {
+    assert.equal(mapInvitationButtonResponse('כן, אני אגיע!', 'button'), 'מגיע');
+    assert.equal(mapInvitationButtonResponse('לצערי, לא', 'button'), 'לא מגיע');
+    assert.equal(mapInvitationButtonResponse('עדיין לא יודע\\ת', 'button'), 'לא בטוח');
+  });
+
+  it('maps interactive button titles the same way', () => {
+    assert.equal(mapInvitationButtonResponse('כן, אני מגיע', 'interactive'), 'מגיע');
+  });
+
+  it('ignores punctuation and surrounding whitespace', () => {
+    assert.equal(mapInvitationButtonResponse('  כן אני אגיע!!  ', 'button'), 'מגיע');
+  });
+
+  it('ignores free text unless the text fallback is enabled', () => {
+    assert.equal(mapInvitationButtonResponse('כן', 'text'), null);
+    assert.equal(mapInvitationButtonResponse('כן', 'text', true), 'מגיע');
+  });
+
+  it('maps free-text answers with the fallback', () => {
+    assert.equal(mapInvitationButtonResponse('לא נגיע, מצטערים', 'text', true), 'לא מגיע');
+    assert.equal(mapInvitationButtonResponse('לא', 'text', true), 'לא מגיע');
+    assert.equal(mapInvitationButtonResponse('אולי', 'text', true), 'לא בטוח');
+    assert.equal(mapInvitationButtonResponse('תלוי בעבודה', 'text', true), 'לא בטוח');
+    assert.equal(mapInvitationButtonResponse('נגיע בשמחה', 'text', true), 'מגיע');
+    assert.equal(mapInvitationButtonResponse('yes', 'text', true), 'מגיע');
+  });
+
+  it('checks negative answers before positive ones', () => {
+    // "לא מגיע" contains "מגיע"
+    assert.equal(mapInvitationButtonResponse('לא מגיע', 'text', true), 'לא מגיע');
+  });
+
+  it('returns null for unrecognised or empty replies', () => {
+    assert.equal(mapInvitationButtonResponse('מה השעה?', 'text', true), null);
+    assert.equal(mapInvitationButtonResponse('', 'button'), null);
+    assert.equal(mapInvitationButtonResponse(undefined, 'button'), null);
+    assert.equal(mapInvitationButtonResponse('מגיע', 'button'), null);
+  });
+
+  it('maps replies in the other guest languages', () => {
+    assert.equal(mapInvitationButtonResponse("Yes, we'll be there!", 'text', true, 'en'), 'מגיע');
+    assert.equal(mapInvitationButtonResponse("Sorry, we can’t make it", 'text', true, 'en'), 'לא מגיע');
+    assert.equal(mapInvitationButtonResponse('not sure yet', 'text', true, 'en'), 'לא בטוח');
+    assert.equal(mapInvitationButtonResponse('Да, придём!', 'text', true, 'ru'), 'מגיע');
+    assert.equal(mapInvitationButtonResponse('К сожалению, не сможем', 'text', true, 'ru'), 'לא מגיע');
+    assert.equal(mapInvitationButtonResponse('لا أعرف بعد', 'text', true, 'ar'), 'לא בטוח');
+    assert.equal(mapInvitationButtonResponse('نعم سنحضر', 'text', true, 'ar'), 'מגיע');
+    assert.equal(mapInvitationButtonResponse('Je ne sais pas encore', 'text', true, 'fr'), 'לא בטוח');
+    assert.equal(mapInvitationButtonResponse('Oui, avec plaisir', 'button', false, 'fr'), 'מגיע');
+  });
+
+  it('matches whole words and tries every language', () => {
+    // "no" inside "know" / "noon" is not a refusal
+    assert.equal(mapInvitationButtonResponse("I don't know", 'text', true, 'en'), 'לא בטוח');
+    assert.equal(mapInvitationButtonResponse('at noon?', 'text', true, 'en'), null);
+    // A guest answering in another language than their preferred one
+    assert.equal(mapInvitationButtonResponse('כן', 'text', true, 'ru'), 'מגיע');
+    assert.equal(mapInvitationButtonResponse('non merci', 'text', true), 'לא מגיע');
+  });
+});
+
+describe('mapRsvpPayload', () => {
+  it('maps invitation button payloads in any language', () => {
+    assert.equal(mapRsvpPayload('rsvp_yes_event-1'), 'מגיע');
+    assert.equal(mapRsvpPayload('rsvp_no_event-1'), 'לא מגיע');
+    assert.equal(mapRsvpPayload('rsvp_maybe_event-1'), 'לא בטוח');
+    assert.equal(mapRsvpPayload('followup_week'), null);
+    assert.equal(mapRsvpPayload(null), null);
+  });
+});
@@ -0,0 +1,491 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasTestDatabase, createTestDatabase } from './helpers/testDatabase.js';
+import { createMockRequest, createMockResponse } from './helpers/httpMocks.js';
+import { createWebhookFixtures } from './helpers/webhookFixtures.js';
+import { createDialog360MockServer } from '../mock/dialog360MockServer.js';
+import {
+  buildButtonReply,
+  buildInteractiveReply,
+  buildListReply,
+  buildTextMessage
+} from '../mock/webhookPayloads.js';
+import { calculateFollowupDate } from '../Services/dialog360/followUpButtonsHelper.js';
+
+/**
+ * Webhook -> database RSVP flows (updateEventMessageResponse and friends)
+ * Requires TEST_DATABASE_URL; outbound WhatsApp calls go to the Dialog360 mock server.
+ */
+
+const OWNER = 'owner@example.com';
+const EVENT_ID = 'test-event-1';
+
+describe('RSVP webhook flow', { skip: !hasTestDatabase && 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let pool;
+  let mock;
+  let seedInvitation;
+  let deliver;
+  let resolveRsvpReview;
+  let dismissRsvpReview;
+  let saveContactPhones;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+
+    mock = await createDialog360MockServer({ port: 0 }).start();
+    process.env.D360_BASE_URL = mock.url;
+    process.env.D360_API_KEY = 'test-key';
+
+    ({ seedInvitation, deliver } = createWebhookFixtures({ pool, ownerEmail: OWNER, eventId: EVENT_ID }));
+    ({ resolveRsvpReview, dismissRsvpReview } = await import('../Services/database/rsvpReviewRepository.js'));
+    ({ saveContactPhones } = await import('../Services/database/contactPhonesRepository.js'));
+
+    const eventDate = new Date();
+    eventDate.setDate(eventDate.getDate() + 30);
+
+    await pool.query(
+      `INSERT INTO events (id, event_name, owner_email, event_type, event_date, celebrator1_name)
+       VALUES ($1, 'Test Wedding', $2, 'wedding', $3, 'Dana')`,
+      [EVENT_ID, OWNER, eventDate.toISOString().split('T')[0]]
+    );
+  });
+
+  after(async () => {
+    await mock?.stop();
+    await database?.drop();
+  });
+
+  async function getEventMessage(id) {
+    const result = await pool.query('SELECT * FROM event_messages WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  async function getConversation(eventMessageId) {
+    const result = await pool.query(
+      'SELECT * FROM rsvp_conversations WHERE event_message_id = $1 ORDER BY id DESC LIMIT 1',
+      [eventMessageId]
+    );
+    return result.rows[0];
+  }
+
+  function lastTextTo(phone) {
+    const messages = mock.getMessages().filter(message => message.to === phone || message.to === `0${phone.substring(3)}`);
+    return messages[messages.length - 1];
+  }
+
+  it('records "attending" and asks for the guest count', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_yes_${EVENT_ID}` }));
+
+    const row = await getEventMessage(eventMessageId);
+    assert.equal(row.response, 'מגיע');
+    assert.ok(row.response_time);
+    assert.match(lastTextTo(phone).body.text.body, /כמה אורחים/);
+
+    const conversation = await getConversation(eventMessageId);
+    assert.equal(conversation.status, 'active');
+    assert.equal(conversation.current_step, 'guest_count');
+  });
+
+  it('stores the guest count reply', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_yes_${EVENT_ID}` }));
+    await deliver(buildTextMessage({ from: phone, text: '4' }));
+
+    const row = await getEventMessage(eventMessageId);
+    assert.equal(row.guests_coming, 4);
+    assert.equal((await getConversation(eventMessageId)).status, 'completed');
+    assert.equal(lastTextTo(phone).body.text.body, 'תודה! רשמנו 4 אורחים. נתראה באירוע! 🎊');
+  });
+
+  it('runs the event\'s RSVP questionnaire with interactive lists and buttons', async () => {
+    const questionnaireEvent = 'test-event-questionnaire';
+    await pool.query(
+      `INSERT INTO events (id, event_name, owner_email, rsvp_questionnaire)
+       VALUES ($1, 'Catered Wedding', $2, $3)`,
+      [questionnaireEvent, OWNER, { adultsChildren: true, dietaryOptions: ['vegan', 'gluten_free'] }]
+    );
+    const { phone, eventMessageId } = await seedInvitation({ eventId: questionnaireEvent });
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_yes_${questionnaireEvent}` }));
+
+    const adultsQuestion = lastTextTo(phone);
+    assert.equal(adultsQuestion.body.interactive.type, 'list');
+    assert.equal(adultsQuestion.body.interactive.action.sections[0].rows[0].id, 'rsvpq:adults:1');
+    assert.equal((await getConversation(eventMessageId)).current_step, 'adults');
+
+    await deliver(buildListReply({ from: phone, id: 'rsvpq:adults:2', title: '2' }));
+    await deliver(buildTextMessage({ from: phone, text: 'הרבה' })); // invalid - asked again
+    assert.match(lastTextTo(phone).body.interactive.body.text, /לא הבנו/);
+    await deliver(buildTextMessage({ from: phone, text: '1' }));
+
+    const dietaryQuestion = lastTextTo(phone);
+    assert.equal(dietaryQuestion.body.interactive.type, 'button');
+    await deliver(buildInteractiveReply({ from: phone, id: 'rsvpq:dietary:yes', title: 'כן' }));
+    await deliver(buildListReply({ from: phone, id: 'rsvpq:diet_vegan:1', title: '1' }));
+    await deliver(buildListReply({ from: phone, id: 'rsvpq:diet_gluten_free:0', title: '0' }));
+
+    const row = await getEventMessage(eventMessageId);
+    assert.equal(row.response, 'מגיע');
+    assert.equal(row.guests_coming, 3);
+    assert.equal(row.adults_count, 2);
+    assert.equal(row.children_count, 1);
+    assert.equal(row.vegan_count, 1);
+    assert.equal(row.gluten_free_count, 0);
+    assert.equal((await getConversation(eventMessageId)).status, 'completed');
+    assert.match(lastTextTo(phone).body.text.body, /2 מבוגרים, 1 ילדים, 1 טבעוני/);
+  });
+
+  it('records "not attending" and confirms', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_no_${EVENT_ID}` }));
+
+    const row = await getEventMessage(eventMessageId);
+    assert.equal(row.response, 'לא מגיע');
+    assert.equal(await getConversation(eventMessageId), undefined);
+    assert.equal(lastTextTo(phone).body.text.body, 'תודה על עדכון! נשמח לראותך באירועים הבאים 💙');
+  });
+
+  it('runs an owner-defined flow with branches and custom texts', async () => {
+    const flowEvent = 'test-event-custom-flow';
+    await pool.query(
+      `INSERT INTO events (id, event_name, owner_email, rsvp_flow)
+       VALUES ($1, 'Garden Party', $2, $3)`,
+      [flowEvent, OWNER, {
+        start: { attending: 'count' },
+        steps: {
+          count: {
+            type: 'number', text: 'כמה תהיו?', min: 1, max: 20, saveAs: 'guests_coming',
+            branches: [{ min: 5, next: 'bus' }], next: 'thanks'
+          },
+          bus: {
+            type: 'choice', text: 'להזמין לכם הסעה?', saveAs: 'needs_bus',
+            options: [
+              { id: 'yes', title: 'כן', value: true, next: 'thanks' },
+              { id: 'no', title: 'לא', value: false, next: 'thanks' }
+            ]
+          },
+          thanks: { type: 'message', text: 'רשמנו {guests_coming} אורחים ל{event_name}' }
+        }
+      }]
+    );
+    const { phone, eventMessageId } = await seedInvitation({ eventId: flowEvent });
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_yes_${flowEvent}` }));
+    assert.equal(lastTextTo(phone).body.text.body, 'כמה תהיו?');
+
+    await deliver(buildTextMessage({ from: phone, text: '6' }));
+    assert.equal(lastTextTo(phone).body.interactive.action.buttons[0].reply.id, 'rsvpq:bus:yes');
+
+    await deliver(buildInteractiveReply({ from: phone, id: 'rsvpq:bus:yes', title: 'כן' }));
+    assert.equal(lastTextTo(phone).body.text.body, 'רשמנו 6 אורחים לGarden Party');
+
+    const conversation = await getConversation(eventMessageId);
+    assert.equal(conversation.status, 'completed');
+    assert.deepEqual(conversation.answers, { guests_coming: 6, needs_bus: true });
+    assert.equal((await getEventMessage(eventMessageId)).guests_coming, 6);
+
+    // Nothing configured for "not attending" - recorded without a reply
+    const declined = await seedInvitation({ eventId: flowEvent });
+    mock.clear();
+    await deliver(buildButtonReply({ from: declined.phone, payload: `rsvp_no_${flowEvent}` }));
+    assert.equal((await getEventMessage(declined.eventMessageId)).response, 'לא מגיע');
+    assert.equal(lastTextTo(declined.phone), undefined);
+  });
+
+  it('records "maybe", offers follow-up buttons and stores the chosen follow-up date', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_maybe_${EVENT_ID}` }));
+
+    assert.equal((await getEventMessage(eventMessageId)).response, 'לא בטוח');
+    const followupQuestion = lastTextTo(phone);
+    assert.equal(followupQuestion.type, 'interactive');
+    assert.deepEqual(
+      followupQuestion.body.interactive.action.buttons.map(button => button.reply.id),
+      ['followup_3days', 'followup_week', 'followup_2weeks']
+    );
+
+    await deliver(buildInteractiveReply({ from: phone, id: 'followup_week', title: 'בעוד שבוע' }));
+
+    const result = await pool.query('SELECT followup_date::text AS followup_date FROM event_messages WHERE id = $1', [eventMessageId]);
+    assert.equal(result.rows[0].followup_date, calculateFollowupDate('followup_week'));
+  });
+
+  it('accepts free-text answers for the pending invitation', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+
+    await deliver(buildTextMessage({ from: phone, text: 'לא נוכל להגיע, מצטערים' }));
+
+    assert.equal((await getEventMessage(eventMessageId)).response, 'לא מגיע');
+  });
+
+  it('takes the guest count from a free-text answer', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+
+    await deliver(buildTextMessage({ from: phone, text: 'נהיה 4' }));
+
+    const row = await getEventMessage(eventMessageId);
+    assert.equal(row.response, 'מגיע');
+    assert.equal(row.guests_coming, 4);
+    assert.equal(lastTextTo(phone).body.text.body, 'תודה! רשמנו 4 אורחים. נתראה באירוע! 🎊');
+  });
+
+  it('queues unclear free-text answers for the owner to resolve', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+
+    await deliver(buildTextMessage({ from: phone, text: 'כן אבל לא בטוח' }));
+
+    assert.equal((await getEventMessage(eventMessageId)).response, 'ממתין לתגובה');
+
+    const queued = await pool.query('SELECT * FROM rsvp_review_items WHERE event_message_id = $1', [eventMessageId]);
+    assert.equal(queued.rows.length, 1);
+    assert.equal(queued.rows[0].status, 'open');
+    assert.equal(queued.rows[0].message_text, 'כן אבל לא בטוח');
+    assert.equal(queued.rows[0].suggested_response, 'לא בטוח');
+
+    const reviewId = queued.rows[0].id;
+    assert.equal((await resolveRsvpReview('other@example.com', reviewId, { response: 'מגיע' })).found, false);
+
+    const resolved = await resolveRsvpReview(OWNER, reviewId, { response: 'מגיע', guestsComing: 3 });
+    assert.equal(resolved.item.status, 'resolved');
+
+    const row = await getEventMessage(eventMessageId);
+    assert.equal(row.response, 'מגיע');
+    assert.equal(row.guests_coming, 3);
+
+    assert.equal((await resolveRsvpReview(OWNER, reviewId, { response: 'לא מגיע' })).open, false);
+    assert.equal(await dismissRsvpReview(OWNER, reviewId), false);
+  });
+
+  it('does not queue small talk after the guest answered', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_no_${EVENT_ID}` }));
+    await deliver(buildTextMessage({ from: phone, text: 'מזל טוב!!' }));
+
+    assert.equal((await getEventMessage(eventMessageId)).response, 'לא מגיע');
+
+    const queued = await pool.query('SELECT id FROM rsvp_review_items WHERE event_message_id = $1', [eventMessageId]);
+    assert.equal(queued.rows.length, 0);
+  });
+
+  it('talks to guests in their preferred language', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+    await pool.query(
+      `UPDATE contacts SET preferred_language = 'en'
+       WHERE id = (SELECT contact_id FROM event_messages WHERE id = $1)`,
+      [eventMessageId]
+    );
+
+    await deliver(buildTextMessage({ from: phone, text: "Yes, we'll be there!" }));
+
+    assert.equal((await getEventMessage(eventMessageId)).response, 'מגיע');
+    assert.match(lastTextTo(phone).body.text.body, /How many guests/);
+
+    await deliver(buildTextMessage({ from: phone, text: '2' }));
+    assert.equal(lastTextTo(phone).body.text.body, 'Thank you! We have noted 2 guests. See you at the event! 🎊');
+  });
+
+  it('sends localized follow-up buttons and confirmation', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+    await pool.query(
+      `UPDATE contacts SET preferred_language = 'fr'
+       WHERE id = (SELECT contact_id FROM event_messages WHERE id = $1)`,
+      [eventMessageId]
+    );
+
+    await deliver(buildTextMessage({ from: phone, text: 'peut-être' }));
+
+    assert.equal((await getEventMessage(eventMessageId)).response, 'לא בטוח');
+    const followupQuestion = lastTextTo(phone).body.interactive;
+    assert.match(followupQuestion.body.text, /Quand pouvons-nous/);
+    assert.equal(followupQuestion.action.buttons[1].reply.title, 'Dans une semaine');
+
+    await deliver(buildInteractiveReply({ from: phone, id: 'followup_week', title: 'Dans une semaine' }));
+    assert.equal(lastTextTo(phone).body.text.body, 'Merci ! Nous reviendrons vers vous dans une semaine ✅');
+  });
+
+  it('processes a redelivered webhook only once', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+    const body = buildButtonReply({ from: phone, payload: `rsvp_yes_${EVENT_ID}` });
+
+    await deliver(body);
+    mock.clear();
+    await deliver(body);
+
+    assert.equal((await getEventMessage(eventMessageId)).response, 'מגיע');
+    assert.equal(mock.getMessages(phone).length, 0);
+  });
+
+  it('processes a redelivered webhook again when the first attempt failed', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+    const body = buildButtonReply({ from: phone, payload: `rsvp_yes_${EVENT_ID}` });
+
+    // A database error part-way through recording the answer
+    await pool.query('ALTER TABLE rsvp_response_changes RENAME TO rsvp_response_changes_renamed');
+    try {
+      await assert.rejects(deliver(body));
+    } finally {
+      await pool.query('ALTER TABLE rsvp_response_changes_renamed RENAME TO rsvp_response_changes');
+    }
+    assert.equal((await getEventMessage(eventMessageId)).response, 'ממתין לתגובה');
+
+    await deliver(body);
+    assert.equal((await getEventMessage(eventMessageId)).response, 'מגיע');
+  });
+
+  it('lets a guest change their answer and notifies the owner', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_yes_${EVENT_ID}` }));
+    await deliver(buildTextMessage({ from: phone, text: '3' }));
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_no_${EVENT_ID}` }));
+
+    let row = await getEventMessage(eventMessageId);
+    assert.equal(row.response, 'לא מגיע');
+    assert.equal(row.guests_coming, 0);
+    assert.equal(row.error_message, null);
+    assert.match(lastTextTo(phone).body.text.body, /נשמח לראותך/);
+
+    // Free text changes it back and restarts the guest count question
+    await deliver(buildTextMessage({ from: phone, text: 'בעצם כן נגיע' }));
+    row = await getEventMessage(eventMessageId);
+    assert.equal(row.response, 'מגיע');
+    assert.match(lastTextTo(phone).body.text.body, /כמה אורחים/);
+
+    const history = await pool.query(
+      'SELECT previous_response, new_response, previous_guests_coming, source FROM rsvp_response_changes WHERE event_message_id = $1 ORDER BY id',
+      [eventMessageId]
+    );
+    assert.deepEqual(history.rows.map(change => [change.previous_response, change.new_response]), [
+      ['ממתין לתגובה', 'מגיע'],
+      ['מגיע', 'לא מגיע'],
+      ['לא מגיע', 'מגיע']
+    ]);
+    assert.equal(history.rows[1].previous_guests_coming, 3);
+    assert.equal(history.rows[2].source, 'text');
+
+    const notifications = await pool.query(
+      "SELECT owner_email, details FROM owner_notifications WHERE event_message_id = $1 AND type = 'rsvp_changed' ORDER BY id",
+      [eventMessageId]
+    );
+    assert.equal(notifications.rows.length, 2);
+    assert.equal(notifications.rows[0].owner_email, OWNER);
+    assert.deepEqual(notifications.rows[0].details, { previousResponse: 'מגיע', newResponse: 'לא מגיע', previousGuestsComing: 3 });
+  });
+
+  it('ignores a repeated answer', async () => {
+    const { phone, eventMessageId } = await seedInvitation();
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_no_${EVENT_ID}` }));
+    mock.clear();
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_no_${EVENT_ID}` }));
+
+    assert.equal(mock.getMessages(phone).length, 0);
+    const notifications = await pool.query('SELECT COUNT(*)::int AS count FROM owner_notifications WHERE event_message_id = $1', [eventMessageId]);
+    assert.equal(notifications.rows[0].count, 0);
+  });
+
+  it('does not change answers after the event', async () => {
+    const pastEvent = 'test-event-past';
+    await pool.query(
+      `INSERT INTO events (id, event_name, owner_email, event_date)
+       VALUES ($1, 'Last Year', $2, CURRENT_DATE - 1)`,
+      [pastEvent, OWNER]
+    );
+    const { phone, eventMessageId } = await seedInvitation({ eventId: pastEvent });
+    await pool.query("UPDATE event_messages SET response = 'לא מגיע' WHERE id = $1", [eventMessageId]);
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_yes_${pastEvent}` }));
+
+    const row = await getEventMessage(eventMessageId);
+    assert.equal(row.response, 'לא מגיע');
+    assert.match(row.error_message, /No pending invitation found/);
+  });
+
+  it('matches guests stored with punctuation or only an international number', async () => {
+    const { rows: [local] } = await pool.query(
+      `INSERT INTO contacts (display_name, phone_number, contact_owner)
+       VALUES ('Formatted', '054-000-2000', $1) RETURNING id`,
+      [OWNER]
+    );
+    const { rows: [abroad] } = await pool.query(
+      `INSERT INTO contacts (display_name, phone_number, canonical_form, contact_owner)
+       VALUES ('Abroad', 'No local number', '+44 7911 123456', $1) RETURNING id`,
+      [OWNER]
+    );
+    await saveContactPhones(pool, [local.id, abroad.id]);
+
+    const messageIds = [];
+    for (const contact of [local, abroad]) {
+      await pool.query('INSERT INTO event_contacts (event_id, contact_id) VALUES ($1, $2)', [EVENT_ID, contact.id]);
+      const message = await pool.query(
+        `INSERT INTO event_messages (event_id, contact_id, message_type, message_round, response)
+         VALUES ($1, $2, 'invitation', 1, 'ממתין לתגובה') RETURNING id`,
+        [EVENT_ID, contact.id]
+      );
+      messageIds.push(message.rows[0].id);
+    }
+
+    await deliver(buildButtonReply({ from: '972540002000', payload: `rsvp_no_${EVENT_ID}` }));
+    await deliver(buildButtonReply({ from: '447911123456', payload: `rsvp_no_${EVENT_ID}` }));
+
+    assert.equal((await getEventMessage(messageIds[0])).response, 'לא מגיע');
+    assert.equal((await getEventMessage(messageIds[1])).response, 'לא מגיע');
+  });
+
+  it('matches contacts again after their numbers or the owner country change', async () => {
+    const owner = 'uk@example.com';
+    const { sendContactsToDatabase } = await import('../Services/database/sendContactsToDatabase.js');
+    const { updateContact } = await import('../Services/database/updateContact.js');
+    const { setUserDefaultCountry } = await import('../Services/database/usersRepository.js');
+    const { findContactByPhoneNumber } = await import('../Services/database/eventMessagesRepository.js');
+
+    await pool.query(`INSERT INTO users (name, email) VALUES ('UK', $1)`, [owner]);
+
+    const created = createMockResponse();
+    await sendContactsToDatabase(createMockRequest({
+      body: { contacts: [{ displayName: 'Londoner', phoneNumber: '07911 123457' }] },
+      user: { email: owner }
+    }), created);
+    const [contactId] = created.body.insertedIds;
+
+    const storedNumbers = async () => (await pool.query(
+      'SELECT phone_number FROM contact_phones WHERE contact_id = $1',
+      [contactId]
+    )).rows.map(row => row.phone_number);
+
+    // Not an Israeli number - kept as its digits until the owner says where it is from
+    assert.deepEqual(await storedNumbers(), ['07911123457']);
+
+    await setUserDefaultCountry(owner, 'GB');
+    assert.deepEqual(await storedNumbers(), ['447911123457']);
+    assert.equal((await findContactByPhoneNumber('447911123457')).id, contactId);
+
+    const updated = createMockResponse();
+    await updateContact(createMockRequest({
+      params: { id: String(contactId) },
+      body: { displayName: 'Londoner', phoneNumber: '07911 123458' },
+      user: { email: owner }
+    }), updated);
+    assert.equal(updated.statusCode, 200);
+
+    assert.equal(await findContactByPhoneNumber('447911123457'), null);
+    assert.equal((await findContactByPhoneNumber('447911123458')).id, contactId);
+  });
+
+  it('ignores replies from unknown numbers', async () => {
+    await deliver(buildButtonReply({ from: '972599999999', payload: `rsvp_yes_${EVENT_ID}` }));
+
+    const result = await pool.query(
+      "SELECT COUNT(*)::int AS count FROM event_messages WHERE error_message IS NOT NULL AND error_message LIKE '%972599999999%'"
+    );
+    assert.equal(result.rows[0].count, 0);
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildDefaultRsvpFlow,
+  validateRsvpFlow,
+  getStartStep,
+  parseFlowAnswer,
+  applyFlowAnswer,
+  skipAnsweredSteps,
+  getAnswerColumns,
+  renderFlowText,
+  buildFlowQuestion,
+  buildFlowRetry,
+  usesReplyButtons
+} from '../Services/dialog360/rsvpFlows.js';
+
+const FULL = buildDefaultRsvpFlow({ adultsChildren: true, dietaryOptions: ['vegetarian', 'gluten_free'] });
+
+const CUSTOM = {
+  start: { attending: 'count', not_attending: 'bye' },
+  steps: {
+    count: {
+      type: 'number',
+      text: 'כמה תהיו, {guest_name}?',
+      min: 1,
+      max: 20,
+      saveAs: 'guests_coming',
+      branches: [{ min: 5, next: 'bus' }],
+      next: 'thanks'
+    },
+    bus: {
+      type: 'choice',
+      text: 'להזמין לכם הסעה?',
+      saveAs: 'needs_bus',
+      options: [
+        { id: 'yes', title: 'כן', value: true, next: 'thanks' },
+        { id: 'no', title: 'לא', value: false, next: 'thanks' }
+      ]
+    },
+    thanks: { type: 'message', text: 'רשמנו {guests_coming} אורחים ל{event_name}' },
+    bye: { type: 'message', text: 'חבל! נתראה בפעם הבאה' }
+  }
+};
+
+describe('default flow', () => {
+  it('reproduces the built-in conversation', () => {
+    const flow = buildDefaultRsvpFlow(null);
+
+    assert.equal(getStartStep(flow, 'מגיע'), 'guest_count');
+    assert.equal(flow.steps[getStartStep(flow, 'לא מגיע')].text, 'תודה על עדכון! נשמח לראותך באירועים הבאים 💙');
+    assert.equal(flow.steps[getStartStep(flow, 'לא בטוח')].type, 'followup');
+    assert.equal(renderFlowText(flow.steps.confirmation.text, { guests_coming: 3 }), 'תודה! רשמנו 3 אורחים. נתראה באירוע! 🎊');
+  });
+
+  it('is built in the guest language', () => {
+    const flow = buildDefaultRsvpFlow(null, 'en');
+    const context = { language: 'en' };
+
+    assert.equal(flow.steps.declined.text, 'Thank you for letting us know! We hope to see you at future events 💙');
+    assert.equal(renderFlowText(flow.steps.confirmation.text, { guests_coming: 3 }, context), 'Thank you! We have noted 3 guests. See you at the event! 🎊');
+    assert.match(buildFlowRetry('guest_count', flow.steps.guest_count, {}, context).text, /valid number/);
+
+    const adults = buildDefaultRsvpFlow({ adultsChildren: true }, 'en').steps.adults;
+    assert.match(buildFlowQuestion('adults', adults, {}, context).text, /For a larger number/);
+  });
+
+  it('passes its own validation', () => {
+    assert.deepEqual(validateRsvpFlow(FULL).flow, FULL);
+    assert.equal(validateRsvpFlow(buildDefaultRsvpFlow(null)).error, undefined);
+  });
+});
+
+describe('validateRsvpFlow', () => {
+  it('treats null as the default flow', () => {
+    assert.deepEqual(validateRsvpFlow(null), { flow: null });
+  });
+
+  it('rejects unknown steps, types and start responses', () => {
+    const broken = step => ({ ...CUSTOM, steps: { ...CUSTOM.steps, count: { ...CUSTOM.steps.count, ...step } } });
+
+    assert.match(validateRsvpFlow(broken({ next: 'missing' })).error, /unknown next step "missing"/);
+    assert.match(validateRsvpFlow(broken({ type: 'date' })).error, /type must be one of/);
+    assert.match(validateRsvpFlow(broken({ max: 0 })).error, /max must be/);
+    assert.match(validateRsvpFlow({ ...CUSTOM, start: { yes: 'count' } }).error, /start may only contain/);
+    assert.match(validateRsvpFlow({ start: {}, steps: { 'Bad-Id': { type: 'message', text: 'x' } } }).error, /Invalid step ID/);
+  });
+
+  it('only saves whole numbers into invitation columns', () => {
+    const flow = {
+      start: { attending: 'note' },
+      steps: { note: { type: 'text', text: 'הערות?', saveAs: 'adults_count' } }
+    };
+
+    assert.match(validateRsvpFlow(flow).error, /adults_count holds a number/);
+  });
+
+  it('drops fields the engine does not use', () => {
+    const { flow } = validateRsvpFlow({
+      ...CUSTOM,
+      steps: { ...CUSTOM.steps, bye: { type: 'message', text: 'ביי', color: 'red' } }
+    });
+
+    assert.deepEqual(flow.steps.bye, { type: 'message', text: 'ביי' });
+  });
+});
+
+describe('parseFlowAnswer', () => {
+  it('reads interactive reply IDs and typed answers', () => {
+    assert.deepEqual(parseFlowAnswer('adults', FULL.steps.adults, { payload: 'rsvpq:adults:3', text: '3' }), { valid: true, value: 3, next: 'children' });
+    assert.equal(parseFlowAnswer('children', FULL.steps.children, { text: ' 0 ' }).value, 0);
+    assert.equal(parseFlowAnswer('dietary', FULL.steps.dietary, { text: 'כן' }).next, 'diet_vegetarian');
+    assert.equal(parseFlowAnswer('dietary', FULL.steps.dietary, { payload: 'rsvpq:dietary:no', text: 'לא' }).next, 'confirmation');
+  });
+
+  it('rejects buttons of an earlier question and numbers outside the range', () => {
+    assert.equal(parseFlowAnswer('children', FULL.steps.children, { payload: 'rsvpq:adults:2', text: '2' }).valid, false);
+    assert.equal(parseFlowAnswer('adults', FULL.steps.adults, { text: '0' }).valid, false);
+    assert.equal(parseFlowAnswer('diet_vegetarian', FULL.steps.diet_vegetarian, { text: '4' }, { guests_coming: 3 }).valid, false);
+    assert.equal(parseFlowAnswer('adults', FULL.steps.adults, { text: 'שניים' }).valid, false);
+  });
+
+  it('follows the first matching branch', () => {
+    const { flow } = validateRsvpFlow(CUSTOM);
+
+    assert.equal(parseFlowAnswer('count', flow.steps.count, { text: '2' }).next, 'thanks');
+    assert.equal(parseFlowAnswer('count', flow.steps.count, { text: '6' }).next, 'bus');
+
+    const bus = parseFlowAnswer('bus', flow.steps.bus, { text: 'לא' });
+    assert.equal(bus.value, false);
+    assert.equal(bus.next, 'thanks');
+  });
+});
+
+describe('applyFlowAnswer', () => {
+  it('keeps guests_coming as adults + children', () => {
+    const afterAdults = applyFlowAnswer(FULL.steps.adults, { value: 2 }, { guests_coming: 1 });
+    assert.deepEqual(afterAdults, { guests_coming: 2, adults_count: 2 });
+
+    const afterChildren = applyFlowAnswer(FULL.steps.children, { value: 3 }, afterAdults);
+    assert.equal(afterChildren.guests_coming, 5);
+  });
+
+  it('applies the values an option sets and keeps custom answers out of the columns', () => {
+    const answers = applyFlowAnswer(FULL.steps.dietary, parseFlowAnswer('dietary', FULL.steps.dietary, { text: 'לא' }), { guests_coming: 2 });
+    assert.deepEqual(answers, { guests_coming: 2, vegetarian_count: 0, vegan_count: 0, gluten_free_count: 0 });
+
+    assert.deepEqual(getAnswerColumns({ guests_coming: 6, needs_bus: true }), { guests_coming: 6 });
+  });
+});
+
+describe('skipAnsweredSteps', () => {
+  it('skips questions answered in the invitation reply', () => {
+    const { flow } = validateRsvpFlow(CUSTOM);
+
+    assert.deepEqual(skipAnsweredSteps(flow, 'count', { guests_coming: 1 }, { guests_coming: 3 }), {
+      stepId: 'thanks',
+      answers: { guests_coming: 3 }
+    });
+    assert.equal(skipAnsweredSteps(flow, 'count', {}, { guests_coming: 6 }).stepId, 'bus');
+  });
+
+  it('stops at unanswered or invalid answers', () => {
+    const { flow } = validateRsvpFlow(CUSTOM);
+
+    assert.equal(skipAnsweredSteps(flow, 'count', {}, {}).stepId, 'count');
+    assert.equal(skipAnsweredSteps(flow, 'count', {}, { guests_coming: 40 }).stepId, 'count');
+    assert.equal(skipAnsweredSteps(FULL, FULL.start.attending, {}, { guests_coming: 2 }).stepId, FULL.start.attending);
+  });
+});
+
+describe('question messages', () => {
+  it('sends up to 3 options as buttons and longer ranges as a list', () => {
+    const dietary = buildFlowQuestion('dietary', FULL.steps.dietary);
+    assert.ok(usesReplyButtons(dietary));
+    assert.deepEqual(dietary.options.map(option => option.id), ['rsvpq:dietary:yes', 'rsvpq:dietary:no']);
+
+    const adults = buildFlowQuestion('adults', FULL.steps.adults);
+    assert.equal(usesReplyButtons(adults), false);
+    assert.equal(adults.options.length, 10);
+    assert.match(adults.text, /השב\/י במספר/);
+
+    const diet = buildFlowQuestion('diet_vegetarian', FULL.steps.diet_vegetarian, { guests_coming: 2 });
+    assert.deepEqual(diet.options.map(option => option.title), ['0', '1', '2']);
+  });
+
+  it('fills placeholders and asks plain text questions without options', () => {
+    const { flow } = validateRsvpFlow(CUSTOM);
+    const question = buildFlowQuestion('count', flow.steps.count, {}, { guest_name: 'דנה' });
+
+    assert.equal(question.text, 'כמה תהיו, דנה?');
+    assert.deepEqual(question.options, []);
+  });
+
+  it('repeats questions with options after an invalid answer', () => {
+    const retry = buildFlowRetry('children', FULL.steps.children, { adults_count: 2 });
+    assert.match(retry.text, /^לא הבנו את התשובה/);
+    assert.match(retry.text, /וכמה ילדים\?/);
+
+    const plain = buildDefaultRsvpFlow(null).steps.guest_count;
+    assert.equal(buildFlowRetry('guest_count', plain).text, 'אנא השב עם מספר תקין (לדוגמה: 2, 3, 4...)');
+  });
+
+  it('summarizes the answers', () => {
+    const text = renderFlowText(FULL.steps.confirmation.text, { adults_count: 2, children_count: 1, vegetarian_count: 1, gluten_free_count: 0 });
+    assert.equal(text, 'תודה! רשמנו 2 מבוגרים, 1 ילדים, 1 צמחוני. נתראה באירוע! 🎊');
+  });
+});
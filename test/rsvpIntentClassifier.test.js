@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyRsvpReply, RSVP_REVIEW_THRESHOLD } from '../Services/dialog360/rsvpIntentClassifier.js';
+
+function intentOf(text, language) {
+  return classifyRsvpReply(text, language).intent;
+}
+
+describe('classifyRsvpReply', () => {
+  it('reads short Hebrew answers confidently', () => {
+    for (const [text, intent] of [['כן', 'attending'], ['נגיע בשמחה', 'attending'], ['לא', 'not_attending'], ['אולי', 'maybe']]) {
+      const result = classifyRsvpReply(text);
+      assert.equal(result.intent, intent, text);
+      assert.ok(result.confidence >= RSVP_REVIEW_THRESHOLD, text);
+    }
+  });
+
+  it('handles negation', () => {
+    assert.equal(intentOf('לא בטוח שנגיע'), 'maybe');
+    assert.equal(intentOf('עדיין לא יודעים'), 'maybe');
+    assert.equal(intentOf('בטוח שלא'), 'not_attending');
+    assert.equal(intentOf('בטח!'), 'attending');
+    assert.equal(intentOf('לא נוכל להגיע, מצטערים'), 'not_attending');
+    assert.equal(intentOf('ממש לא'), 'not_attending');
+    assert.equal(intentOf('אין בעיה, נגיע'), 'attending');
+  });
+
+  it('extracts the guest count of attending replies', () => {
+    assert.deepEqual(classifyRsvpReply('נהיה 4'), { intent: 'attending', response: 'מגיע', guestCount: 4, confidence: 0.95 });
+    assert.equal(classifyRsvpReply('שנינו נגיע 😊').guestCount, 2);
+    assert.equal(classifyRsvpReply('לא נגיע, 3 מאיתנו חולים').guestCount, null);
+  });
+
+  it('reads the other guest languages, the preferred one first', () => {
+    assert.equal(intentOf("Sorry, we can't make it", 'en'), 'not_attending');
+    assert.equal(intentOf('not sure yet', 'en'), 'maybe');
+    assert.deepEqual(classifyRsvpReply('Да, придём вдвоём', 'ru').guestCount, 2);
+    assert.equal(intentOf('нет, не придём', 'ru'), 'not_attending');
+    assert.equal(intentOf('لا أعرف بعد', 'ar'), 'maybe');
+    assert.equal(intentOf('Je ne sais pas encore', 'fr'), 'maybe');
+    assert.equal(intentOf('nous ne pourrons pas venir', 'fr'), 'not_attending');
+    assert.equal(intentOf('yes'), 'attending');
+  });
+
+  it('is not sure about mixed answers, questions and bare numbers', () => {
+    assert.ok(classifyRsvpReply('כן אבל לא בטוח').confidence < RSVP_REVIEW_THRESHOLD);
+    assert.ok(classifyRsvpReply('אנחנו מגיעים ברכב, יש חניה?').confidence < RSVP_REVIEW_THRESHOLD);
+
+    const count = classifyRsvpReply('4');
+    assert.equal(count.intent, 'attending');
+    assert.equal(count.guestCount, 4);
+    assert.ok(count.confidence < RSVP_REVIEW_THRESHOLD);
+  });
+
+  it('returns no intent for unrelated text', () => {
+    assert.deepEqual(classifyRsvpReply('מזל טוב!!'), { intent: null, response: null, guestCount: null, confidence: 0 });
+    assert.equal(classifyRsvpReply('').intent, null);
+  });
+});
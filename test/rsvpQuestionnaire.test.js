@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeQuestionnaireConfig, buildQuestionnaireSteps } from '../Services/dialog360/rsvpQuestionnaire.js';
+
+const FULL = { adultsChildren: true, dietaryOptions: ['vegetarian', 'gluten_free'] };
+
+describe('normalizeQuestionnaireConfig', () => {
+  it('treats an empty questionnaire as the single guest count question', () => {
+    assert.deepEqual(normalizeQuestionnaireConfig(null), { config: null });
+    assert.deepEqual(normalizeQuestionnaireConfig({ adultsChildren: false, dietaryOptions: [] }), { config: null });
+  });
+
+  it('keeps dietary options in a fixed order and rejects unknown ones', () => {
+    assert.deepEqual(
+      normalizeQuestionnaireConfig({ dietaryOptions: ['gluten_free', 'vegetarian'] }).config,
+      { adultsChildren: false, dietaryOptions: ['vegetarian', 'gluten_free'] }
+    );
+    assert.match(normalizeQuestionnaireConfig({ dietaryOptions: ['kosher'] }).error, /dietaryOptions/);
+  });
+});
+
+describe('buildQuestionnaireSteps', () => {
+  it('keeps the plain text guest count question without a questionnaire', () => {
+    const { firstStep, steps } = buildQuestionnaireSteps(null, 'confirmation');
+
+    assert.equal(firstStep, 'guest_count');
+    assert.deepEqual(Object.keys(steps), ['guest_count']);
+    assert.equal(steps.guest_count.showOptions, undefined);
+    assert.equal(steps.guest_count.next, 'confirmation');
+  });
+
+  it('chains the questions of a configuration', () => {
+    const { firstStep, steps } = buildQuestionnaireSteps(FULL, 'confirmation');
+
+    assert.equal(firstStep, 'adults');
+    assert.deepEqual(Object.keys(steps), ['adults', 'children', 'dietary', 'diet_vegetarian', 'diet_gluten_free']);
+    assert.equal(steps.children.next, 'dietary');
+    assert.equal(steps.diet_vegetarian.next, 'diet_gluten_free');
+    assert.equal(steps.diet_gluten_free.next, 'confirmation');
+    assert.equal(steps.diet_vegetarian.max, 'guests_coming');
+  });
+
+  it('skips the dietary counts when nobody needs one', () => {
+    const { steps } = buildQuestionnaireSteps(FULL, 'confirmation');
+    const [yes, no] = steps.dietary.options;
+
+    assert.equal(yes.next, 'diet_vegetarian');
+    assert.equal(no.next, 'confirmation');
+    assert.deepEqual(no.set, { vegetarian_count: 0, vegan_count: 0, gluten_free_count: 0 });
+    assert.match(steps.dietary.text, /צמחוני, ללא גלוטן/);
+  });
+
+  it('asks the questions in the guest language', () => {
+    const { steps } = buildQuestionnaireSteps(FULL, 'confirmation', 'ru');
+
+    assert.match(steps.adults.text, /Сколько взрослых/);
+    assert.deepEqual(steps.dietary.options.map(option => option.title), ['Да', 'Нет']);
+    assert.equal(steps.diet_gluten_free.buttonLabel, 'без глютена');
+  });
+});
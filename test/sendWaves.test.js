@@ -0,0 +1,175 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasTestDatabase, createTestDatabase } from './helpers/testDatabase.js';
+import { createMockRequest, createMockResponse } from './helpers/httpMocks.js';
+import { createDialog360MockServer } from '../mock/dialog360MockServer.js';
+
+/**
+ * Scheduled send waves: scheduling, editing, cancelling and firing
+ * Requires TEST_DATABASE_URL; outbound WhatsApp calls go to the Dialog360 mock server.
+ */
+
+const OWNER = 'owner@example.com';
+const EVENT_ID = 'send-wave-event';
+
+describe('Send waves', { skip: !hasTestDatabase && 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let pool;
+  let mock;
+  let waveApi;
+  let processDueSendWaves;
+  let drainOutboundQueue;
+  let nextPhone = 8000;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+
+    mock = await createDialog360MockServer({ port: 0 }).start();
+    process.env.D360_BASE_URL = mock.url;
+    process.env.D360_API_KEY = 'test-key';
+
+    waveApi = await import('../Services/database/sendWaves.js');
+    ({ processDueSendWaves } = await import('../Services/sendWaves.js'));
+    ({ drainOutboundQueue } = await import('../Services/dialog360/outboundQueue.js'));
+
+    // Sent at any hour so the test does not depend on the time it runs
+    await pool.query(
+      `INSERT INTO events (id, event_name, owner_email, event_type, event_date, celebrator1_name, send_window)
+       VALUES ($1, 'Wave Wedding', $2, 'wedding', '2030-01-01', 'Dana', $3)`,
+      [EVENT_ID, OWNER, { startHour: 0, endHour: 24, observeShabbat: false }]
+    );
+  });
+
+  after(async () => {
+    await mock?.stop();
+    await database?.drop();
+  });
+
+  async function seedContact({ tags = null, phone = null } = {}) {
+    const localPhone = phone ?? `054000${nextPhone++}`;
+    const contact = await pool.query(
+      `INSERT INTO contacts (display_name, phone_number, contact_owner) VALUES ('Guest', $1, $2) RETURNING id`,
+      [localPhone, OWNER]
+    );
+    const contactId = contact.rows[0].id;
+
+    await pool.query('INSERT INTO event_contacts (event_id, contact_id, tags) VALUES ($1, $2, $3)', [EVENT_ID, contactId, tags]);
+    return contactId;
+  }
+
+  async function call(handler, request) {
+    const res = createMockResponse();
+    await handler(createMockRequest({ ...request, params: { eventId: EVENT_ID, ...request.params } }), res);
+    return res;
+  }
+
+  const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+  it('schedules, edits and cancels waves until they fire', async () => {
+    const contactId = await seedContact();
+
+    const invalid = await call(waveApi.createSendWaveEndpoint, {
+      body: { name: 'Past', contactIds: [contactId], sendAt: '2020-01-01T10:00:00Z' }
+    });
+    assert.equal(invalid.statusCode, 400);
+
+    const created = await call(waveApi.createSendWaveEndpoint, {
+      body: { name: 'Family', contactIds: [contactId], sendAt: inAnHour() }
+    });
+    assert.equal(created.statusCode, 201);
+    assert.equal(created.body.wave.status, 'scheduled');
+    assert.equal(created.body.wave.templateName, 'event_invitation');
+
+    const waveId = String(created.body.wave.id);
+
+    const updated = await call(waveApi.updateSendWaveEndpoint, {
+      params: { waveId },
+      body: { name: 'Close family', tags: ['family'] }
+    });
+    assert.equal(updated.statusCode, 200);
+    assert.equal(updated.body.wave.name, 'Close family');
+    assert.deepEqual(updated.body.wave.tags, ['family']);
+    assert.equal(updated.body.wave.contactIds, null);
+
+    const cancelled = await call(waveApi.cancelSendWaveEndpoint, { params: { waveId } });
+    assert.equal(cancelled.statusCode, 200);
+    assert.equal(cancelled.body.wave.status, 'cancelled');
+
+    const editCancelled = await call(waveApi.updateSendWaveEndpoint, { params: { waveId }, body: { name: 'Again' } });
+    assert.equal(editCancelled.statusCode, 409);
+
+    const missing = await call(waveApi.cancelSendWaveEndpoint, { params: { waveId: '999999' } });
+    assert.equal(missing.statusCode, 404);
+  });
+
+  it('queues a due wave to the tagged contacts and reports its progress', async () => {
+    const friend = await seedContact({ tags: ['friends'] });
+    const invalid = await seedContact({ tags: ['friends'], phone: '12' });
+    await seedContact({ tags: ['work'] });
+
+    const created = await call(waveApi.createSendWaveEndpoint, {
+      body: { name: 'Friends', tags: ['friends'], sendAt: inAnHour() }
+    });
+    const waveId = created.body.wave.id;
+
+    // Not due yet
+    assert.equal((await processDueSendWaves()).processed, 0);
+
+    await pool.query(`UPDATE send_waves SET send_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [waveId]);
+
+    const stats = await processDueSendWaves();
+    assert.deepEqual(stats, { processed: 1, completed: 1, failed: 0 });
+
+    const queued = await pool.query(
+      `SELECT em.contact_id, em.message_type
+       FROM outbound_messages om JOIN event_messages em ON em.id = om.event_message_id
+       WHERE om.send_wave_id = $1`,
+      [waveId]
+    );
+    assert.deepEqual(queued.rows, [{ contact_id: friend, message_type: 'invitation' }]);
+
+    await drainOutboundQueue();
+
+    const wave = (await call(waveApi.getSendWaveEndpoint, { params: { waveId: String(waveId) } })).body.wave;
+    assert.equal(wave.status, 'completed');
+    assert.equal(wave.results.queued, 1);
+    assert.deepEqual(wave.results.skipped.map(item => [item.contactId, item.error]), [[invalid, 'Invalid phone number']]);
+    assert.equal(wave.progress.sent, 1);
+    assert.equal(wave.progress.pending, 0);
+
+    // A fired wave is not sent again and can no longer be cancelled
+    assert.equal((await processDueSendWaves()).processed, 0);
+    const cancel = await call(waveApi.cancelSendWaveEndpoint, { params: { waveId: String(waveId) } });
+    assert.equal(cancel.statusCode, 409);
+
+    const list = (await call(waveApi.getSendWaves, {})).body.waves;
+    assert.deepEqual(list.map(item => item.name), ['Friends', 'Close family']);
+  });
+
+  it('takes over a wave left sending by a crashed server without queueing twice', async () => {
+    const contactId = await seedContact();
+    const created = await call(waveApi.createSendWaveEndpoint, {
+      body: { name: 'Crashed', contactIds: [contactId], sendAt: inAnHour() }
+    });
+    const waveId = created.body.wave.id;
+
+    await pool.query(`UPDATE send_waves SET send_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [waveId]);
+    assert.equal((await processDueSendWaves()).completed, 1);
+
+    // The server went down after queueing, before the wave was completed
+    await pool.query(
+      `UPDATE send_waves SET status = 'sending', completed_at = NULL, started_at = NOW() - INTERVAL '1 minute' WHERE id = $1`,
+      [waveId]
+    );
+    assert.equal((await processDueSendWaves()).processed, 0);
+
+    await pool.query(`UPDATE send_waves SET started_at = NOW() - INTERVAL '1 hour' WHERE id = $1`, [waveId]);
+    assert.deepEqual(await processDueSendWaves(), { processed: 1, completed: 1, failed: 0 });
+
+    const wave = (await call(waveApi.getSendWaveEndpoint, { params: { waveId: String(waveId) } })).body.wave;
+    assert.equal(wave.status, 'completed');
+    assert.equal(wave.results.queued, 1);
+    assert.equal(wave.progress.messages, 1);
+  });
+});
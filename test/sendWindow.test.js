@@ -0,0 +1,189 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasTestDatabase, createTestDatabase } from './helpers/testDatabase.js';
+import { createDialog360MockServer } from '../mock/dialog360MockServer.js';
+import {
+  getSendWindowStatus,
+  normalizeSendWindow,
+  resolveSendWindow,
+  resolveRecipientTimeZone
+} from '../Services/dialog360/sendWindow.js';
+
+/**
+ * Send windows: quiet hours, Shabbat/holiday blackouts and deferred queue messages
+ * DB tests require TEST_DATABASE_URL; outbound WhatsApp calls go to the Dialog360 mock server.
+ */
+
+const OWNER = 'owner@example.com';
+const EVENT_ID = 'send-window-event';
+
+describe('getSendWindowStatus', () => {
+  const policy = resolveSendWindow();
+
+  it('blocks Shabbat from Friday sunset until nightfall', () => {
+    // Friday 19:00 in Jerusalem
+    const status = getSendWindowStatus(policy, 'Asia/Jerusalem', new Date('2026-10-16T16:00:00Z'));
+
+    assert.equal(status.open, false);
+    assert.equal(status.reason, 'shabbat');
+    // Saturday evening after nightfall (around 18:30 local)
+    assert.ok(status.nextOpenAt > new Date('2026-10-17T15:00:00Z'));
+    assert.ok(status.nextOpenAt < new Date('2026-10-17T16:30:00Z'));
+  });
+
+  it('blocks holidays, with a second day abroad', () => {
+    // Yom Kippur, Monday noon
+    assert.equal(getSendWindowStatus(policy, 'Asia/Jerusalem', new Date('2026-09-21T09:00:00Z')).reason, 'holiday');
+
+    // Shemini Atzeret falls on Shabbat; Simchat Torah is a yom tov only outside Israel
+    const israel = getSendWindowStatus(policy, 'Asia/Jerusalem', new Date('2026-10-03T09:00:00Z'));
+    const london = getSendWindowStatus(policy, 'Europe/London', new Date('2026-10-03T09:00:00Z'));
+    assert.ok(israel.nextOpenAt < new Date('2026-10-04T00:00:00Z'));
+    assert.ok(london.nextOpenAt > new Date('2026-10-04T17:00:00Z'));
+  });
+
+  it('keeps quiet hours in the guest\'s time zone', () => {
+    const lateInIsrael = new Date('2026-10-20T20:00:00Z');
+
+    const israel = getSendWindowStatus(policy, 'Asia/Jerusalem', lateInIsrael);
+    assert.equal(israel.reason, 'quiet_hours');
+    assert.equal(israel.nextOpenAt.toISOString(), '2026-10-21T06:00:00.000Z');
+
+    assert.equal(getSendWindowStatus(policy, 'America/New_York', lateInIsrael).open, true);
+  });
+
+  it('applies owner and event overrides', () => {
+    const eventPolicy = resolveSendWindow({ startHour: 8, endHour: 20 }, { observeShabbat: false });
+    assert.deepEqual(eventPolicy, { startHour: 8, endHour: 20, observeShabbat: false });
+    assert.equal(getSendWindowStatus(eventPolicy, 'Asia/Jerusalem', new Date('2026-10-17T09:00:00Z')).open, true);
+  });
+
+  it('validates policies', () => {
+    assert.deepEqual(normalizeSendWindow({ startHour: 10, endHour: 18 }), { config: { startHour: 10, endHour: 18 } });
+    assert.deepEqual(normalizeSendWindow({}), { config: null });
+    assert.ok(normalizeSendWindow({ startHour: 10 }).error);
+    assert.ok(normalizeSendWindow({ startHour: 18, endHour: 10 }).error);
+    assert.ok(normalizeSendWindow({ observeShabbat: 'yes' }).error);
+  });
+
+  it('finds the guest\'s time zone from the contact or the phone number', () => {
+    assert.equal(resolveRecipientTimeZone('America/Chicago', '972541234567'), 'America/Chicago');
+    assert.equal(resolveRecipientTimeZone(null, '447911123456'), 'Europe/London');
+    assert.equal(resolveRecipientTimeZone('Not/AZone', null), 'Asia/Jerusalem');
+  });
+});
+
+describe('Send window deferral', { skip: !hasTestDatabase && 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let pool;
+  let mock;
+  let drainOutboundQueue;
+  let nextPhone = 7000;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+
+    mock = await createDialog360MockServer({ port: 0 }).start();
+    process.env.D360_BASE_URL = mock.url;
+    process.env.D360_API_KEY = 'test-key';
+
+    ({ drainOutboundQueue } = await import('../Services/dialog360/outboundQueue.js'));
+
+    await pool.query(
+      `INSERT INTO events (id, event_name, owner_email, event_type, event_date, celebrator1_name)
+       VALUES ($1, 'Send Window Wedding', $2, 'wedding', '2030-01-01', 'Dana')`,
+      [EVENT_ID, OWNER]
+    );
+  });
+
+  after(async () => {
+    await mock?.stop();
+    await database?.drop();
+  });
+
+  // Queue an invitation to a new Israeli contact; returns the outbound message ID and phone
+  async function queueInvitation() {
+    const localPhone = `054000${nextPhone++}`;
+    const phone = `972${localPhone.substring(1)}`;
+
+    const contact = await pool.query(
+      `INSERT INTO contacts (display_name, phone_number, contact_owner)
+       VALUES ('Guest', $1, $2) RETURNING id`,
+      [localPhone, OWNER]
+    );
+
+    const message = await pool.query(
+      `INSERT INTO event_messages (event_id, contact_id, message_type, message_round, response)
+       VALUES ($1, $2, 'invitation', 1, 'ממתין לתגובה') RETURNING id`,
+      [EVENT_ID, contact.rows[0].id]
+    );
+
+    const outbound = await pool.query(
+      `INSERT INTO outbound_messages (idempotency_key, event_message_id, phone_number, payload)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [`send-window-${phone}`, message.rows[0].id, phone, { phoneNumber: phone, templateName: 'event_invitation', languageCode: 'he' }]
+    );
+
+    return { outboundMessageId: outbound.rows[0].id, phone };
+  }
+
+  async function setEventWindow(sendWindow) {
+    await pool.query('UPDATE events SET send_window = $2 WHERE id = $1', [EVENT_ID, sendWindow]);
+  }
+
+  it('defers a message outside the window instead of sending it', async () => {
+    // An hour of the day that is not now in Israel
+    const hour = Number(new Intl.DateTimeFormat('en-US', { timeZone: 'Asia/Jerusalem', hour: 'numeric', hourCycle: 'h23' }).format(new Date()));
+    await setEventWindow(hour >= 12
+      ? { startHour: 0, endHour: 1, observeShabbat: false }
+      : { startHour: 23, endHour: 24, observeShabbat: false });
+
+    const { outboundMessageId, phone } = await queueInvitation();
+    const stats = await drainOutboundQueue();
+
+    assert.equal(stats.deferred, 1);
+    assert.equal(mock.getMessages(phone).length, 0);
+
+    const queued = await pool.query('SELECT * FROM outbound_messages WHERE id = $1', [outboundMessageId]);
+    assert.equal(queued.rows[0].status, 'pending');
+    assert.equal(queued.rows[0].attempts, 0);
+    assert.equal(queued.rows[0].deferred_reason, 'quiet_hours');
+    assert.ok(queued.rows[0].next_attempt_at > new Date());
+  });
+
+  it('sends once the window is open', async () => {
+    await setEventWindow({ startHour: 0, endHour: 24, observeShabbat: false });
+
+    const { outboundMessageId, phone } = await queueInvitation();
+    await drainOutboundQueue();
+
+    const queued = await pool.query('SELECT status FROM outbound_messages WHERE id = $1', [outboundMessageId]);
+    assert.equal(queued.rows[0].status, 'sent');
+    assert.equal(mock.getMessages(phone).length, 1);
+  });
+
+  it('puts a message back without failing it when the checks before sending fail', async () => {
+    const { outboundMessageId, phone } = await queueInvitation();
+
+    // A database error while reading the send window
+    await pool.query('ALTER TABLE contacts RENAME COLUMN timezone TO timezone_renamed');
+    let stats;
+    try {
+      stats = await drainOutboundQueue();
+    } finally {
+      await pool.query('ALTER TABLE contacts RENAME COLUMN timezone_renamed TO timezone');
+    }
+
+    assert.equal(stats.retried, 1);
+    assert.equal(mock.getMessages(phone).length, 0);
+
+    const queued = await pool.query('SELECT * FROM outbound_messages WHERE id = $1', [outboundMessageId]);
+    assert.equal(queued.rows[0].status, 'pending');
+    assert.equal(queued.rows[0].attempts, 0);
+    assert.ok(queued.rows[0].next_attempt_at > new Date());
+
+    const message = await pool.query('SELECT failed_at FROM event_messages WHERE id = $1', [queued.rows[0].event_message_id]);
+    assert.equal(message.rows[0].failed_at, null);
+  });
+});
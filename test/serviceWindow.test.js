@@ -0,0 +1,136 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasTestDatabase, createTestDatabase } from './helpers/testDatabase.js';
+import { createMockRequest, createMockResponse } from './helpers/httpMocks.js';
+import { createWebhookFixtures } from './helpers/webhookFixtures.js';
+import { createDialog360MockServer } from '../mock/dialog360MockServer.js';
+import { buildButtonReply, buildTextMessage } from '../mock/webhookPayloads.js';
+
+/**
+ * Customer service window: last inbound tracking and session message fallback
+ * Requires TEST_DATABASE_URL; outbound WhatsApp calls go to the Dialog360 mock server.
+ */
+
+const OWNER = 'owner@example.com';
+const EVENT_ID = 'window-event';
+
+describe('customer service window tracking', { skip: !hasTestDatabase && 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let pool;
+  let mock;
+  let seedInvitation;
+  let deliver;
+  let startRsvpConversation;
+  let getContactsByOwner;
+  let saveContactPhones;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+
+    mock = await createDialog360MockServer({ port: 0 }).start();
+    process.env.D360_BASE_URL = mock.url;
+    process.env.D360_API_KEY = 'test-key';
+
+    ({ seedInvitation, deliver } = createWebhookFixtures({ pool, ownerEmail: OWNER, eventId: EVENT_ID }));
+    ({ startRsvpConversation } = await import('../Services/dialog360/rsvpFlowEngine.js'));
+    ({ getContactsByOwner } = await import('../Services/database/getContactsByOwner.js'));
+    ({ saveContactPhones } = await import('../Services/database/contactPhonesRepository.js'));
+
+    const eventDate = new Date();
+    eventDate.setDate(eventDate.getDate() + 30);
+
+    await pool.query(
+      `INSERT INTO events (id, event_name, owner_email, event_type, event_date, celebrator1_name)
+       VALUES ($1, 'Window Wedding', $2, 'wedding', $3, 'Dana')`,
+      [EVENT_ID, OWNER, eventDate.toISOString().split('T')[0]]
+    );
+  });
+
+  after(async () => {
+    await mock?.stop();
+    await database?.drop();
+  });
+
+  async function getFallbacks(eventMessageId) {
+    const result = await pool.query(
+      `SELECT * FROM outbound_messages WHERE purpose = 'session_fallback' AND event_message_id = $1`,
+      [eventMessageId]
+    );
+    return result.rows;
+  }
+
+  it('records the last inbound message on every contact with the number', async () => {
+    const { contactId, localPhone, phone } = await seedInvitation();
+    const otherOwner = await pool.query(
+      `INSERT INTO contacts (display_name, phone_number, contact_owner)
+       VALUES ('Guest', $1, 'other@example.com') RETURNING id`,
+      [localPhone]
+    );
+    await saveContactPhones(pool, [otherOwner.rows[0].id]);
+
+    await deliver(buildTextMessage({ from: phone, text: 'מזל טוב!' }));
+
+    const result = await pool.query(
+      'SELECT id, last_inbound_at FROM contacts WHERE id = ANY($1::int[])',
+      [[contactId, otherOwner.rows[0].id]]
+    );
+    assert.equal(result.rows.length, 2);
+    assert.ok(result.rows.every(row => row.last_inbound_at));
+  });
+
+  it('shows the window in the contact API', async () => {
+    const { contactId, phone } = await seedInvitation();
+    const silent = await seedInvitation();
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_no_${EVENT_ID}` }));
+
+    const res = createMockResponse();
+    await getContactsByOwner(createMockRequest({ body: {} }), res);
+
+    const wrote = res.body.contacts.find(contact => contact.id === contactId);
+    assert.equal(wrote.windowOpen, true);
+    assert.ok(new Date(wrote.windowClosesAt) > new Date());
+
+    const neverWrote = res.body.contacts.find(contact => contact.id === silent.contactId);
+    assert.equal(neverWrote.lastInboundAt, null);
+    assert.equal(neverWrote.windowOpen, false);
+    assert.equal(neverWrote.windowClosesAt, null);
+  });
+
+  it('sends RSVP flow questions within the window', async () => {
+    const { eventMessageId, phone } = await seedInvitation();
+
+    await deliver(buildButtonReply({ from: phone, payload: `rsvp_yes_${EVENT_ID}` }));
+
+    // The default flow asks how many guests are coming
+    const outbound = mock.getMessages(phone);
+    assert.equal(outbound.length, 1);
+    assert.equal(outbound[0].body.type, 'text');
+    assert.equal((await getFallbacks(eventMessageId)).length, 0);
+  });
+
+  it('queues the followup template once a day instead when the window is closed', async () => {
+    const { contactId, eventMessageId, localPhone, phone } = await seedInvitation();
+
+    await pool.query(
+      `UPDATE contacts SET last_inbound_at = NOW() - INTERVAL '25 hours' WHERE id = $1`,
+      [contactId]
+    );
+
+    await startRsvpConversation(eventMessageId, EVENT_ID, contactId, 'מגיע', localPhone);
+    await startRsvpConversation(eventMessageId, EVENT_ID, contactId, 'מגיע', localPhone);
+
+    assert.equal(mock.getMessages(phone).length + mock.getMessages(localPhone).length, 0);
+
+    const fallbacks = await getFallbacks(eventMessageId);
+    assert.equal(fallbacks.length, 1);
+    assert.equal(fallbacks[0].phone_number, phone);
+    assert.equal(fallbacks[0].payload.templateName, 'invitation_followup');
+    assert.deepEqual(fallbacks[0].payload.buttons.map(button => button.payload), [
+      `rsvp_yes_${EVENT_ID}`,
+      `rsvp_no_${EVENT_ID}`,
+      `rsvp_maybe_${EVENT_ID}`
+    ]);
+  });
+});
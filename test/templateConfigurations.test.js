@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTemplateConfiguration, selectTemplateLanguage } from '../Services/templates/templateConfigurations.js';
+
+const EVENT = {
+  event_name: 'Dana & Yoni',
+  event_type: 'wedding',
+  event_date: '2026-12-03', // Thursday
+  event_time: '19:30',
+  venue_name: 'Gan Oranim',
+  celebrator1_name: 'Dana',
+  celebrator2_name: 'Yoni'
+};
+
+describe('getTemplateConfiguration', () => {
+  it('keeps the Hebrew variant for contacts without a language', () => {
+    const config = getTemplateConfiguration('event_invitation', EVENT, { display_name: 'Avi' });
+
+    assert.equal(config.languageCode, 'he');
+    assert.equal(config.eventName, 'חתונה');
+    assert.equal(config.eventDate, 'Dana וYoni');
+    assert.equal(config.eventLocation, 'חמישי');
+    assert.deepEqual(config.customParams, ['03.12.2026', 'Gan Oranim', '19:30']);
+  });
+
+  it('fills the localized variant of the contact\'s language', () => {
+    const english = getTemplateConfiguration('event_invitation', EVENT, { preferred_language: 'en' });
+    assert.equal(english.languageCode, 'en');
+    assert.deepEqual(
+      [english.eventName, english.eventDate, english.eventLocation, english.customParams[0]],
+      ['wedding', 'Dana & Yoni', 'Thursday', '03/12/2026']
+    );
+
+    const russian = getTemplateConfiguration('reminder_3', EVENT, { display_name: null, preferred_language: 'ru' });
+    assert.equal(russian.guestName, 'Гость');
+    assert.equal(russian.eventDate, 'хотят');
+    assert.equal(russian.customParams[0], 'четверг');
+
+    const arabic = getTemplateConfiguration('invitation_followup', EVENT, { preferred_language: 'ar' });
+    assert.equal(arabic.eventName, 'حفل زفاف');
+    assert.match(arabic.customParams[0], /^03\D+12\D+2026$/);
+  });
+
+  it('falls back to Hebrew when the template has no variant in the language', () => {
+    const config = getTemplateConfiguration('thank_you_note', EVENT, { preferred_language: 'fr' });
+
+    assert.equal(config.languageCode, 'he');
+    assert.equal(selectTemplateLanguage('thank_you_note', 'fr'), 'he');
+    assert.equal(selectTemplateLanguage('reminder_1', 'fr'), 'fr');
+    assert.equal(selectTemplateLanguage('reminder_1', 'de'), 'he');
+  });
+
+  it('uses an explicitly requested language', () => {
+    const config = getTemplateConfiguration('reminder_1', EVENT, { preferred_language: 'ru' }, 'fr');
+
+    assert.equal(config.languageCode, 'fr');
+    assert.equal(config.eventLocation, 'jeudi');
+  });
+});
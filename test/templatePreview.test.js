@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasTestDatabase, createTestDatabase } from './helpers/testDatabase.js';
+import { createMockRequest, createMockResponse } from './helpers/httpMocks.js';
+import { createDialog360MockServer } from '../mock/dialog360MockServer.js';
+import { loadTemplateRegistry } from '../Services/templates/templateRegistry.js';
+
+/**
+ * Template preview and the auto-invite dry run: rendered like a send, nothing sent or queued
+ * Requires TEST_DATABASE_URL; Dialog360 calls would go to the mock server.
+ */
+
+const OWNER = 'owner@example.com';
+const EVENT_ID = 'preview-event';
+
+describe('Template preview', { skip: !hasTestDatabase && 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let pool;
+  let mock;
+  let previewTemplate;
+  let processAutoInvitations;
+  let refreshTemplateRegistry;
+  let contactId;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+
+    mock = await createDialog360MockServer({ port: 0 }).start();
+    process.env.D360_BASE_URL = mock.url;
+    process.env.D360_API_KEY = 'test-key';
+
+    ({ previewTemplate } = await import('../Services/database/previewTemplate.js'));
+    ({ processAutoInvitations } = await import('../Services/autoInvitations.js'));
+    ({ refreshTemplateRegistry } = await import('../Services/templates/templateSync.js'));
+
+    await pool.query(
+      `INSERT INTO events (
+        id, event_name, owner_email, event_type, event_date, event_time, location,
+        celebrator1_name, image_url, auto_invite_enabled, auto_invite_started_at
+      ) VALUES ($1, 'Dana Wedding', $2, 'wedding', '2030-01-01', '19:00', 'Tel Aviv', 'Dana',
+        'https://example.com/invite.jpg', TRUE, NOW())`,
+      [EVENT_ID, OWNER]
+    );
+
+    const contact = await pool.query(
+      `INSERT INTO contacts (display_name, phone_number, contact_owner, preferred_language)
+       VALUES ('Avi', '0541234567', $1, 'en') RETURNING id`,
+      [OWNER]
+    );
+    contactId = contact.rows[0].id;
+    await pool.query('INSERT INTO event_contacts (event_id, contact_id) VALUES ($1, $2)', [EVENT_ID, contactId]);
+
+    // The synced English variant, with its text and button labels
+    await pool.query(
+      `UPDATE whatsapp_templates SET components = $1 WHERE name = 'event_invitation' AND language = 'en'`,
+      [JSON.stringify([
+        { type: 'HEADER', format: 'IMAGE' },
+        { type: 'BODY', text: 'You are invited to the {{variable_1}} of {{variable_2}} on {{variable_4}} at {{variable_5}}' },
+        { type: 'BUTTONS', buttons: [{ type: 'QUICK_REPLY', text: 'Coming' }, { type: 'QUICK_REPLY', text: 'Not coming' }, { type: 'QUICK_REPLY', text: 'Maybe' }] }
+      ])]
+    );
+    await refreshTemplateRegistry();
+  });
+
+  after(async () => {
+    loadTemplateRegistry([]);
+    await mock?.stop();
+    await database?.drop();
+  });
+
+  async function preview(body) {
+    const res = createMockResponse();
+    await previewTemplate(createMockRequest({ params: { eventId: EVENT_ID }, body, user: { email: OWNER } }), res);
+    return res;
+  }
+
+  it('renders the body, header image and buttons a contact would receive', async () => {
+    const res = await preview({ contactId, templateName: 'event_invitation' });
+    assert.equal(res.statusCode, 200);
+
+    const { preview: rendered } = res.body;
+    assert.equal(rendered.languageCode, 'en');
+    assert.equal(rendered.body.text, 'You are invited to the wedding of Dana on 01/01/2030 at Tel Aviv');
+    assert.deepEqual(rendered.header, { type: 'image', url: 'https://example.com/invite.jpg' });
+    assert.deepEqual(rendered.buttons.map(button => button.text), ['Coming', 'Not coming', 'Maybe']);
+    assert.equal(rendered.buttons[0].payload, `rsvp_yes_${EVENT_ID}`);
+    assert.equal(rendered.payload.to, '972541234567');
+    assert.deepEqual(rendered.warnings, []);
+
+    // A variant without synced text is previewed by its parameters
+    const hebrew = (await preview({ contactId, languageCode: 'he' })).body.preview;
+    assert.equal(hebrew.body.text, null);
+    assert.equal(hebrew.body.parameters[0].name, 'variable_1');
+
+    const sample = (await preview({ templateName: 'reminder_1' })).body.preview;
+    assert.equal(sample.body.parameters.find(parameter => parameter.name === 'guest_name').text, 'אורח');
+
+    assert.equal((await preview({ templateName: 'unknown' })).statusCode, 400);
+    assert.equal((await preview({ contactId: 999999 })).statusCode, 404);
+    assert.equal(mock.getMessages().length, 0);
+  });
+
+  it('lists what auto-invite would send without queueing anything', async () => {
+    const result = await processAutoInvitations({ dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.equal(result.processed, 1);
+    assert.equal(result.queued, 1);
+    assert.equal(result.planned.length, 1);
+
+    const [planned] = result.planned;
+    assert.equal(planned.contactId, contactId);
+    assert.equal(planned.messageType, 'invitation');
+    assert.equal(planned.templateName, 'event_invitation');
+    assert.match(planned.body.text, /wedding of Dana/);
+    assert.equal(planned.payload, undefined);
+
+    const queued = await pool.query('SELECT COUNT(*)::int AS count FROM outbound_messages');
+    const messages = await pool.query('SELECT COUNT(*)::int AS count FROM event_messages');
+    assert.equal(queued.rows[0].count, 0);
+    assert.equal(messages.rows[0].count, 0);
+  });
+});
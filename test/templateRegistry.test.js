@@ -0,0 +1,221 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasTestDatabase, createTestDatabase } from './helpers/testDatabase.js';
+import { createMockRequest, createMockResponse } from './helpers/httpMocks.js';
+import { createDialog360MockServer } from '../mock/dialog360MockServer.js';
+import {
+  getTemplateConfiguration,
+  normalizeVariableMapping,
+  applyVariableMapping,
+  templateRequiresImage
+} from '../Services/templates/templateConfigurations.js';
+import { loadTemplateRegistry, getRegisteredLanguages } from '../Services/templates/templateRegistry.js';
+
+/**
+ * Template registry: variable mappings, registry variants and the Dialog360 sync
+ * The sync tests require TEST_DATABASE_URL; Dialog360 calls go to the mock server.
+ */
+
+const event = {
+  event_name: 'Dana & Yoni',
+  event_type: 'wedding',
+  celebrator1_name: 'Dana',
+  celebrator2_name: 'Yoni',
+  event_date: '2030-01-01',
+  location: 'Tel Aviv',
+  event_time: '19:00'
+};
+
+const contact = { display_name: 'Avi', preferred_language: 'ru' };
+
+function registryRow(overrides) {
+  return {
+    name: 'event_invitation',
+    language: 'he',
+    status: 'approved',
+    category: 'MARKETING',
+    components: [{ type: 'HEADER', format: 'IMAGE' }],
+    variable_mapping: null,
+    ...overrides
+  };
+}
+
+describe('Template variable mappings', () => {
+  afterEach(() => loadTemplateRegistry([]));
+
+  it('validates mappings', () => {
+    assert.match(normalizeVariableMapping({}).error, /array/);
+    assert.match(normalizeVariableMapping([{ parameter: 'Bad Name', value: 'event.name' }]).error, /Invalid parameter/);
+    assert.match(normalizeVariableMapping([{ parameter: 'variable_1', value: 'event.color' }]).error, /Unknown value "event.color"/);
+    assert.match(
+      normalizeVariableMapping([
+        { parameter: 'variable_1', value: 'event.name' },
+        { parameter: 'variable_1', value: 'event.date' }
+      ]).error,
+      /mapped twice/
+    );
+
+    const { mapping, error } = normalizeVariableMapping([{ parameter: ' variable_1 ', value: ' event.venue || "TBA" ' }]);
+    assert.equal(error, undefined);
+    assert.deepEqual(mapping, [{ parameter: 'variable_1', value: 'event.venue || "TBA"' }]);
+  });
+
+  it('fills parameters from fields, alternatives and literals, leaving empty ones out', () => {
+    const parameters = applyVariableMapping([
+      { parameter: 'guest_name', value: 'guest.name' },
+      { parameter: 'variable_1', value: 'event.type' },
+      { parameter: 'variable_2', value: 'event.venue || event.location' },
+      { parameter: 'variable_3', value: 'event.venue || "TBA"' },
+      { parameter: 'variable_4', value: 'event.venue' }
+    ], event, contact, 'en');
+
+    assert.deepEqual(parameters, [
+      { name: 'guest_name', text: 'Avi' },
+      { name: 'variable_1', text: 'wedding' },
+      { name: 'variable_2', text: 'Tel Aviv' },
+      { name: 'variable_3', text: 'TBA' }
+    ]);
+  });
+
+  it('uses registry variants for languages, mappings and image headers', () => {
+    loadTemplateRegistry([
+      registryRow({ variable_mapping: [{ parameter: 'variable_1', value: 'event.celebrators' }] }),
+      registryRow({ language: 'en_US', variable_mapping: [{ parameter: 'variable_1', value: 'event.celebrators' }] }),
+      registryRow({ language: 'ru', status: 'rejected' }),
+      registryRow({ name: 'thank_you_note', components: [] })
+    ]);
+
+    assert.deepEqual(getRegisteredLanguages('event_invitation'), ['he', 'en']);
+
+    // No approved Russian variant - Hebrew
+    const hebrew = getTemplateConfiguration('event_invitation', event, contact);
+    assert.equal(hebrew.language, 'he');
+    assert.deepEqual(hebrew.parameters, [{ name: 'variable_1', text: 'Dana וYoni' }]);
+
+    const english = getTemplateConfiguration('event_invitation', event, { ...contact, preferred_language: 'en' });
+    assert.equal(english.languageCode, 'en_US');
+    assert.deepEqual(english.parameters, [{ name: 'variable_1', text: 'Dana & Yoni' }]);
+
+    // No mapping - built-in configuration
+    const thankYou = getTemplateConfiguration('thank_you_note', event, contact);
+    assert.equal(thankYou.parameters, undefined);
+    assert.equal(thankYou.eventName, 'Dana & Yoni');
+
+    assert.equal(templateRequiresImage('event_invitation'), true);
+    assert.equal(templateRequiresImage('thank_you_note'), false);
+  });
+});
+
+describe('Template sync', { skip: !hasTestDatabase && 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let pool;
+  let mock;
+  let templateApi;
+  let sendTemplateMessage;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+
+    mock = await createDialog360MockServer({ port: 0 }).start();
+    process.env.D360_BASE_URL = mock.url;
+    process.env.D360_API_KEY = 'test-key';
+
+    templateApi = await import('../Services/database/whatsappTemplates.js');
+    ({ sendTemplateMessage } = await import('../Services/dialog360SendTemplate.js'));
+  });
+
+  after(async () => {
+    loadTemplateRegistry([]);
+    await mock?.stop();
+    await database?.drop();
+  });
+
+  async function call(handler, request = {}) {
+    const res = createMockResponse();
+    await handler(createMockRequest({ user: { email: 'admin@example.com' }, ...request }), res);
+    return res;
+  }
+
+  it('imports the account templates, keeping mappings and marking removed variants', async () => {
+    mock.setTemplates([
+      { name: 'event_invitation', language: 'he', status: 'approved', components: [{ type: 'BODY', text: 'Hi' }] },
+      { name: 'event_invitation', language: 'en', status: 'rejected', rejected_reason: 'INVALID_FORMAT' },
+      { name: 'save_the_date', language: 'he', status: 'APPROVED', category: 'MARKETING' }
+    ]);
+
+    const seeded = (await pool.query('SELECT COUNT(*)::int AS count FROM whatsapp_templates')).rows[0].count;
+
+    const synced = await call(templateApi.syncWhatsAppTemplatesEndpoint);
+    assert.equal(synced.statusCode, 200);
+    assert.equal(synced.body.fetched, 3);
+    assert.equal(synced.body.created, 1);
+    assert.equal(synced.body.updated, 2);
+    assert.equal(synced.body.deleted, seeded - 2);
+    assert.equal(synced.body.approved, 2);
+
+    const templates = (await call(templateApi.getWhatsAppTemplates)).body.templates;
+    const invitation = templates.find(template => template.name === 'event_invitation' && template.language === 'he');
+    assert.equal(invitation.status, 'approved');
+    assert.deepEqual(invitation.components, [{ type: 'BODY', text: 'Hi' }]);
+    assert.equal(invitation.variableMapping.length, 6);
+    assert.ok(invitation.syncedAt);
+
+    const english = templates.find(template => template.name === 'event_invitation' && template.language === 'en');
+    assert.equal(english.status, 'rejected');
+    assert.equal(english.rejectedReason, 'INVALID_FORMAT');
+
+    assert.deepEqual(getRegisteredLanguages('event_invitation'), ['he']);
+    assert.equal(getRegisteredLanguages('reminder_1'), null);
+
+    // An empty listing leaves the registry as it is
+    mock.setTemplates([]);
+    const empty = await call(templateApi.syncWhatsAppTemplatesEndpoint);
+    assert.equal(empty.statusCode, 502);
+    assert.deepEqual(getRegisteredLanguages('event_invitation'), ['he']);
+  });
+
+  it('fills a new template from the mapping set for it', async () => {
+    const template = (await pool.query(`SELECT id FROM whatsapp_templates WHERE name = 'save_the_date'`)).rows[0];
+
+    const invalid = await call(templateApi.updateTemplateVariableMapping, {
+      params: { templateId: String(template.id) },
+      body: { variableMapping: [{ parameter: 'variable_1', value: 'event.weather' }] }
+    });
+    assert.equal(invalid.statusCode, 400);
+
+    const missing = await call(templateApi.updateTemplateVariableMapping, {
+      params: { templateId: '999999' },
+      body: { variableMapping: [] }
+    });
+    assert.equal(missing.statusCode, 404);
+
+    const updated = await call(templateApi.updateTemplateVariableMapping, {
+      params: { templateId: String(template.id) },
+      body: {
+        variableMapping: [
+          { parameter: 'guest_name', value: 'guest.name' },
+          { parameter: 'date', value: 'event.date' }
+        ]
+      }
+    });
+    assert.equal(updated.statusCode, 200);
+
+    const config = getTemplateConfiguration('save_the_date', event, contact);
+    assert.equal(config.languageCode, 'he');
+
+    await sendTemplateMessage({
+      phoneNumber: '972541234567',
+      templateName: 'save_the_date',
+      languageCode: config.languageCode,
+      templateData: config
+    });
+
+    const [message] = mock.getMessages('972541234567');
+    const body = message.body.template.components.find(component => component.type === 'body');
+    assert.deepEqual(body.parameters, [
+      { type: 'text', text: 'Avi', parameter_name: 'guest_name' },
+      { type: 'text', text: '01.01.2030', parameter_name: 'date' }
+    ]);
+  });
+});
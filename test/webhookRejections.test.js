@@ -0,0 +1,59 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { hasTestDatabase, createTestDatabase } from './helpers/testDatabase.js';
+
+/**
+ * Rejected webhook requests: what is kept of them and how long
+ * Requires TEST_DATABASE_URL.
+ */
+
+describe('Webhook rejections', { skip: !hasTestDatabase && 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let pool;
+  let logWebhookRejection;
+  let pruneWebhookRejections;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+
+    process.env.D360_WEBHOOK_SECRET = 'test-secret';
+
+    ({ logWebhookRejection } = await import('../Services/dialog360/webhookAuth.js'));
+    ({ pruneWebhookRejections } = await import('../Services/database/webhookEventsRepository.js'));
+  });
+
+  after(async () => {
+    delete process.env.D360_WEBHOOK_SECRET;
+    await database?.drop();
+  });
+
+  it('keeps the start of the body with its length and digest', async () => {
+    const rawBody = Buffer.from('x'.repeat(100 * 1024));
+
+    await logWebhookRejection({
+      ip: '203.0.113.1',
+      rawBody,
+      headers: { 'x-webhook-secret': 'guess', 'user-agent': 'a'.repeat(1000) }
+    }, 'invalid_secret');
+
+    const { rows: [rejection] } = await pool.query('SELECT * FROM webhook_rejections');
+    assert.equal(rejection.reason, 'invalid_secret');
+    assert.equal(rejection.body.length, 2048);
+    assert.equal(rejection.body_length, rawBody.length);
+    assert.equal(rejection.body_sha256, crypto.createHash('sha256').update(rawBody).digest('hex'));
+    assert.equal(rejection.headers['x-webhook-secret'], '[masked]');
+    assert.equal(rejection.headers['user-agent'].length, 256);
+  });
+
+  it('prunes rejections older than the retention', async () => {
+    await pool.query(`UPDATE webhook_rejections SET created_at = NOW() - INTERVAL '31 days'`);
+    await logWebhookRejection({ ip: '203.0.113.2', rawBody: Buffer.from('{}'), headers: {} }, 'missing_secret_header');
+
+    assert.equal(await pruneWebhookRejections(30), 1);
+
+    const { rows } = await pool.query('SELECT reason FROM webhook_rejections');
+    assert.deepEqual(rows, [{ reason: 'missing_secret_header' }]);
+  });
+});